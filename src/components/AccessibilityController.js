@@ -0,0 +1,269 @@
+import { StateManager } from '../stateManager.js';
+import { LAKE_CONFIG, getLakeConfigType } from '../models/lakes.js';
+
+// What each particle flow pattern depicts, for the map's text alternative
+const EFFECT_DESCRIPTIONS = {
+    'gentle-ripple': 'slow ripples spreading across calm fresh water',
+    'mountain-current': 'cold wind-driven currents crossing a high mountain lake',
+    'urban-flow': 'water circulating through a lake ringed by the city',
+    'sacred-spiral': 'a slow golden spiral, like offerings circling on sacred water',
+    'crystalline': 'a shimmering, regular pattern like salt crystals forming on the water',
+    'brackish-mix': 'fresh river water mixing with the sea'
+};
+
+/**
+ * AccessibilityController makes the lake list operable from the keyboard and
+ * tells screen-reader users what the map is showing.
+ *
+ * - The lake sections form a single tab stop (roving tabindex): Up/Down,
+ *   Home/End move between lakes that match the search, Enter or Space flies
+ *   to the focused lake, and its marker gets a focus ring on the map.
+ * - Lake changes are announced in a polite live region.
+ * - The map is described by a text alternative saying what the particle
+ *   effect over the active lake represents.
+ */
+export class AccessibilityController {
+    /**
+     * Create the accessibility controller
+     * @param {HTMLElement} list - Element holding the lake sections (#features)
+     * @param {HTMLElement} mapContainer - The map's container element
+     */
+    constructor(list, mapContainer) {
+        this.list = list;
+        this.mapContainer = mapContainer;
+        
+        this.list.setAttribute('role', 'region');
+        this.list.setAttribute('aria-label', 'Lakes');
+        
+        this.instructions = createHiddenText('lake-list-instructions',
+            'Use the Up and Down arrow keys to move between lakes, and Enter to fly to a lake.');
+        this.announcer = createHiddenText('lake-announcer', '');
+        this.announcer.setAttribute('aria-live', 'polite');
+        this.description = createHiddenText('map-description', '');
+        document.body.append(this.instructions, this.announcer, this.description);
+        
+        this.mapContainer.setAttribute('aria-describedby', this.description.id);
+        
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleFocusIn = this.handleFocusIn.bind(this);
+        this.handleFocusOut = this.handleFocusOut.bind(this);
+        this.list.addEventListener('keydown', this.handleKeydown);
+        this.list.addEventListener('focusin', this.handleFocusIn);
+        this.list.addEventListener('focusout', this.handleFocusOut);
+        
+        this.setupSections();
+        this.updateActiveLake(StateManager.getActiveLake());
+        
+        console.log('[AccessibilityController] Initialized');
+    }
+    
+    /**
+     * Label each lake section and make it focusable
+     */
+    setupSections() {
+        this.getSections(true).forEach(section => {
+            const heading = section.querySelector('h2');
+            if (heading) {
+                heading.id = `${section.id}-title`;
+                section.setAttribute('aria-labelledby', heading.id);
+            }
+            
+            section.setAttribute('aria-describedby', this.instructions.id);
+            section.tabIndex = -1;
+        });
+        
+        this.syncTabStops();
+    }
+    
+    /**
+     * Lake sections in list order
+     * @param {boolean} includeHidden - Also return sections hidden by the search
+     * @returns {Array<HTMLElement>} Sections
+     */
+    getSections(includeHidden = false) {
+        return Array.from(this.list.querySelectorAll('section'))
+            .filter(section => includeHidden || !section.hidden);
+    }
+    
+    /**
+     * Keep exactly one visible section in the tab order, preferring the
+     * focused one, then the active lake, then the first
+     */
+    syncTabStops() {
+        const sections = this.getSections();
+        const current = sections.find(section => section.tabIndex === 0) ||
+            sections.find(section => section.id === StateManager.getActiveLake()) ||
+            sections[0];
+        
+        this.getSections(true).forEach(section => {
+            section.tabIndex = section === current ? 0 : -1;
+        });
+    }
+    
+    /**
+     * Move focus to a section and make it the tab stop
+     * @param {HTMLElement} section - Section to focus
+     */
+    focusSection(section) {
+        this.getSections(true).forEach(other => {
+            other.tabIndex = other === section ? 0 : -1;
+        });
+        section.focus();
+    }
+    
+    /**
+     * Arrow, Home/End and Enter/Space handling within the lake list
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeydown(e) {
+        // Leave keys pressed on controls inside a section (e.g. the offline button) alone
+        const section = e.target.closest('section');
+        if (!section || e.target !== section) return;
+        
+        const sections = this.getSections();
+        const index = sections.indexOf(section);
+        let target = null;
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                target = sections[Math.min(sections.length - 1, index + 1)];
+                break;
+            case 'ArrowUp':
+                target = sections[Math.max(0, index - 1)];
+                break;
+            case 'Home':
+                target = sections[0];
+                break;
+            case 'End':
+                target = sections[sections.length - 1];
+                break;
+            case 'Enter':
+            case ' ':
+                if (StateManager.lakeManager) {
+                    StateManager.lakeManager.setActiveLake(section.id);
+                }
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        // Keep the global shortcuts from also acting on this key
+        e.stopPropagation();
+        
+        if (target) {
+            this.focusSection(target);
+        }
+    }
+    
+    /**
+     * Show keyboard focus in the list on the lake's marker
+     * @param {FocusEvent} e - Focus event
+     */
+    handleFocusIn(e) {
+        const section = e.target.closest('section');
+        
+        if (section) {
+            this.getSections(true).forEach(other => {
+                other.tabIndex = other === section ? 0 : -1;
+            });
+        }
+        
+        // Only for keyboard focus on the section itself, not clicks or the search box
+        const focused = section && e.target === section && section.matches(':focus-visible');
+        if (StateManager.lakeMarkers) {
+            StateManager.lakeMarkers.setFocusedLake(focused ? section.id : null);
+        }
+    }
+    
+    /**
+     * Clear the marker focus ring when focus leaves the list
+     * @param {FocusEvent} e - Focus event
+     */
+    handleFocusOut(e) {
+        if (this.list.contains(e.relatedTarget)) return;
+        
+        if (StateManager.lakeMarkers) {
+            StateManager.lakeMarkers.setFocusedLake(null);
+        }
+    }
+    
+    /**
+     * Announce a lake change and update the description of the map
+     * @param {string} lakeId - ID of the new active lake
+     */
+    announceLake(lakeId) {
+        const lake = StateManager.lakes[lakeId];
+        if (!lake) return;
+        
+        this.updateActiveLake(lakeId);
+        
+        const place = [lake.type, lake.location].filter(Boolean).join(', ');
+        this.announcer.textContent = `Flying to ${lake.title || lakeId}. ${place}.`;
+    }
+    
+    /**
+     * Mark the active lake's section and describe its particle effect
+     * @param {string} lakeId - ID of the active lake
+     */
+    updateActiveLake(lakeId) {
+        this.getSections(true).forEach(section => {
+            if (section.id === lakeId) {
+                section.setAttribute('aria-current', 'true');
+            } else {
+                section.removeAttribute('aria-current');
+            }
+        });
+        
+        const lake = StateManager.lakes[lakeId];
+        if (lake) {
+            this.description.textContent = describeLakeEffect(lake);
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.list.removeEventListener('keydown', this.handleKeydown);
+        this.list.removeEventListener('focusin', this.handleFocusIn);
+        this.list.removeEventListener('focusout', this.handleFocusOut);
+        this.mapContainer.removeAttribute('aria-describedby');
+        
+        this.instructions.remove();
+        this.announcer.remove();
+        this.description.remove();
+        
+        this.list = null;
+        this.mapContainer = null;
+        
+        console.log('[AccessibilityController] Disposed');
+    }
+}
+
+/**
+ * Text alternative for the particle effect drawn over a lake
+ * @param {Object} lake - Lake data
+ * @returns {string} Description
+ */
+export function describeLakeEffect(lake) {
+    const { flowPattern } = LAKE_CONFIG[getLakeConfigType(lake.type)];
+    const pattern = EFFECT_DESCRIPTIONS[flowPattern] || EFFECT_DESCRIPTIONS['gentle-ripple'];
+    
+    return `Map of ${lake.title}. Glowing particles drift over the lake, showing ${pattern}. ` +
+        'Dragging across the water stirs them, and tapping it sends out a ripple.';
+}
+
+/**
+ * Create an element that screen readers read but that isn't shown
+ * @param {string} id - Element ID
+ * @param {string} text - Initial text
+ * @returns {HTMLElement} Element
+ */
+function createHiddenText(id, text) {
+    const element = document.createElement('div');
+    element.id = id;
+    element.className = 'visually-hidden';
+    element.textContent = text;
+    return element;
+}
\ No newline at end of file
@@ -1,4 +1,6 @@
 import * as THREE from 'three';
+import { StateManager } from '../stateManager.js';
+import { setLocalizedText } from './LocaleController.js';
 
 /**
  * CoinAttributionSystem manages the 3D coin model for attribution
@@ -28,6 +30,16 @@ export class CoinAttributionSystem {
         this.setupRenderer();
         this.setupLighting();
         
+        // Hold the coin still while motion is reduced, and pick the spin back up when it isn't
+        this.removeMotionListener = StateManager.addEventListener('motionPolicyChanged', ({ reducedMotion }) => {
+            if (reducedMotion) {
+                this.stopAnimation();
+                this.renderStill();
+            } else {
+                this.startAnimation();
+            }
+        });
+        
         console.log('[CoinAttributionSystem] Initialized');
     }
     
@@ -152,6 +164,11 @@ export class CoinAttributionSystem {
     startAnimation() {
         if (this.isAnimating) return;
         
+        if (StateManager.prefersReducedMotion()) {
+            this.renderStill();
+            return;
+        }
+        
         this.isAnimating = true;
         this.lastFrameTime = performance.now();
         this.animate();
@@ -161,6 +178,15 @@ export class CoinAttributionSystem {
         this.isAnimating = false;
     }
     
+    /**
+     * Draw a single frame with the coin in its current pose, in place of the animation
+     */
+    renderStill() {
+        if (this.renderer) {
+            this.renderer.render(this.scene, this.camera);
+        }
+    }
+    
     animate() {
         if (!this.isAnimating) return;
         
@@ -256,6 +282,15 @@ export class CoinAttributionSystem {
         this.container.style.cursor = 'pointer';
         
         // Create info display element
+        this.createInfoElement();
+    }
+    
+    /**
+     * Create the lake info panel if it doesn't exist yet
+     */
+    createInfoElement() {
+        if (this.infoElement || !this.container) return;
+        
         this.infoElement = document.createElement('div');
         this.infoElement.className = 'coin-info';
         this.infoElement.style.display = 'none';
@@ -280,7 +315,7 @@ export class CoinAttributionSystem {
      * Animate coin flipping
      */
     playFlipAnimation() {
-        if (!this.coin) return;
+        if (!this.coin || StateManager.prefersReducedMotion()) return;
         
         // Store original position and rotation
         const originalRotY = this.coin.rotation.y;
@@ -330,12 +365,30 @@ export class CoinAttributionSystem {
 
     /**
      * Show information about the current lake
+     * @param {string} activeLakeName - ID of the lake to describe
+     * @param {Object} lakes - Lake data keyed by ID
+     * @param {Object} options - Optional narration text and display duration in ms
      */
-    showLakeInfo(activeLakeName, lakes) {
+    showLakeInfo(activeLakeName, lakes, options = {}) {
+        this.createInfoElement();
         if (!this.infoElement) return;
         
+        const { narration = null, duration = 5000 } = options;
+        
+        // Cancel pending hides from a previous call
+        clearTimeout(this.infoShowTimeout);
+        clearTimeout(this.infoHideTimeout);
+        clearTimeout(this.infoRemoveTimeout);
+        
         // Get current lake info
         const lake = lakes?.[activeLakeName] || {};
+        const i18n = StateManager.localeController;
+        
+        // Lake text in the current language, falling back to English
+        const lakeField = (field, fallbackKey) => {
+            const { text, lang } = i18n.translateLakeField(activeLakeName, lake, field);
+            return text ? { text, lang } : i18n.translate(fallbackKey);
+        };
         
         // Clear previous content
         while (this.infoElement.firstChild) {
@@ -345,22 +398,34 @@ export class CoinAttributionSystem {
         // Create elements using DOM methods
         const contentDiv = document.createElement('div');
         contentDiv.className = 'coin-info-content';
+        contentDiv.lang = i18n.locale;
+        contentDiv.dir = i18n.getDirection();
         
-        const heading = document.createElement('h3');
         // Sanitize inputs before assigning to textContent
-        heading.textContent = this.sanitizeText(lake.title) || 'Sacred Lakes';
+        const title = lakeField('title', 'coin.title');
+        const heading = document.createElement('h3');
+        setLocalizedText(heading, this.sanitizeText(title.text), title.lang);
         contentDiv.appendChild(heading);
         
+        const type = i18n.translateLakeType(lake.type);
         const typeP = document.createElement('p');
-        typeP.textContent = this.sanitizeText(lake.type) || '';
+        setLocalizedText(typeP, this.sanitizeText(type.text), type.lang);
         contentDiv.appendChild(typeP);
         
+        const description = lakeField('description', 'coin.description');
         const descP = document.createElement('p');
         descP.className = 'coin-info-description';
-        descP.textContent = this.sanitizeText(lake.description) || 
-            'Explore the sacred lakes of the Indian Subcontinent';
+        setLocalizedText(descP, this.sanitizeText(description.text), description.lang);
         contentDiv.appendChild(descP);
         
+        if (narration) {
+            // Tour narration is written in English
+            const narrationP = document.createElement('p');
+            narrationP.className = 'coin-info-narration';
+            setLocalizedText(narrationP, this.sanitizeText(narration), 'en');
+            contentDiv.appendChild(narrationP);
+        }
+        
         // Append the content div to the info element
         this.infoElement.appendChild(contentDiv);
         
@@ -370,21 +435,21 @@ export class CoinAttributionSystem {
         this.infoElement.style.transform = 'translateY(20px)';
         
         // Animate in
-        setTimeout(() => {
+        this.infoShowTimeout = setTimeout(() => {
             this.infoElement.style.transition = 'opacity 0.5s, transform 0.5s';
             this.infoElement.style.opacity = '1';
             this.infoElement.style.transform = 'translateY(0)';
         }, 50);
         
         // Hide after delay
-        setTimeout(() => {
+        this.infoHideTimeout = setTimeout(() => {
             this.infoElement.style.opacity = '0';
             this.infoElement.style.transform = 'translateY(10px)';
             
-            setTimeout(() => {
+            this.infoRemoveTimeout = setTimeout(() => {
                 this.infoElement.style.display = 'none';
             }, 500);
-        }, 5000);
+        }, duration);
     }
 
     /**
@@ -406,7 +471,7 @@ export class CoinAttributionSystem {
      * Create particle explosion effect
      */
     scatterParticles() {
-        if (!this.particles) return;
+        if (!this.particles || StateManager.prefersReducedMotion()) return;
         
         // Explode particles outward
         this.particles.forEach(particle => {
@@ -478,6 +543,11 @@ export class CoinAttributionSystem {
     
     dispose() {
         this.stopAnimation();
+        this.removeMotionListener?.();
+        
+        clearTimeout(this.infoShowTimeout);
+        clearTimeout(this.infoHideTimeout);
+        clearTimeout(this.infoRemoveTimeout);
         
         // Dispose geometries and materials
         if (this.coin) {
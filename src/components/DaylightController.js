@@ -0,0 +1,108 @@
+import { StateManager } from '../stateManager.js';
+import { SeasonController } from './SeasonController.js';
+import { getSolarPosition, getSolarMinutes } from '../utils/solarPosition.js';
+
+// Minutes in a day on the time scrubber
+const MINUTES_IN_DAY = 1440;
+
+// How often the sun is moved on while following the clock
+const CLOCK_INTERVAL = 60000;
+
+/**
+ * DaylightController holds the time of day the lakes are shown at and works
+ * out where the sun stands over each lake, so lighting follows the real sky at
+ * the lake rather than the viewer's clock.
+ *
+ * The time of day is local mean solar time at the lake (noon is roughly when the
+ * sun is highest), so dawn on the scrubber is dawn at every lake. The day of the
+ * year comes from the SeasonController. Until a time is chosen, the lakes follow
+ * the clock and timeOfDayChanged fires every minute as the sun moves.
+ */
+export class DaylightController {
+    /**
+     * Create a daylight controller
+     * @param {number|null} minutes - Minutes after local solar midnight, or null to follow the clock
+     */
+    constructor(minutes = null) {
+        this.minutes = null;
+        
+        if (minutes !== null) {
+            this.setMinutes(minutes);
+        }
+        
+        this.clockInterval = setInterval(() => {
+            if (this.minutes === null) {
+                StateManager.dispatchEvent('timeOfDayChanged', { previous: null, current: null });
+            }
+        }, CLOCK_INTERVAL);
+        
+        console.log('[DaylightController] Initialized');
+    }
+    
+    /**
+     * Show the lakes at a time of day, or at the current time
+     * @param {number|null} minutes - Minutes after local solar midnight (0-1439), or null to follow the clock
+     */
+    setMinutes(minutes) {
+        if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0 || minutes >= MINUTES_IN_DAY)) {
+            console.warn(`[DaylightController] Invalid time of day: ${minutes}`);
+            return;
+        }
+        
+        if (minutes === this.minutes) return;
+        
+        const previous = this.minutes;
+        this.minutes = minutes;
+        
+        StateManager.dispatchEvent('timeOfDayChanged', { previous, current: minutes });
+    }
+    
+    /**
+     * Time of day at a lake: the chosen one, or its solar time now
+     * @param {string} lakeId - ID of the lake
+     * @returns {number} Minutes after local solar midnight
+     */
+    getMinutes(lakeId) {
+        if (this.minutes !== null) return this.minutes;
+        
+        const lake = StateManager.lakes[lakeId];
+        return Math.floor(getSolarMinutes(new Date(), lake ? lake.center[0] : 0));
+    }
+    
+    /**
+     * Moment the lake is shown at, from the season's day and the time of day
+     * @param {string} lakeId - ID of the lake
+     * @returns {Date} Moment in UTC
+     */
+    getDate(lakeId) {
+        const lake = StateManager.lakes[lakeId];
+        const lng = lake ? lake.center[0] : 0;
+        const seasons = StateManager.seasonController;
+        const day = seasons && seasons.day !== null ? seasons.day : SeasonController.getDayOfYear();
+        
+        // Solar time runs four minutes ahead of UTC for every degree east
+        const utcMinutes = this.getMinutes(lakeId) - 4 * lng;
+        return new Date(SeasonController.getDate(day).getTime() + utcMinutes * 60000);
+    }
+    
+    /**
+     * Where the sun stands over a lake at the moment it is shown at
+     * @param {string} lakeId - ID of the lake
+     * @returns {Object|null} {azimuth, altitude} in degrees, or null for an unknown lake
+     */
+    getSunPosition(lakeId) {
+        const lake = StateManager.lakes[lakeId];
+        if (!lake) return null;
+        
+        return getSolarPosition(this.getDate(lakeId), lake.center[0], lake.center[1]);
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        clearInterval(this.clockInterval);
+        
+        console.log('[DaylightController] Disposed');
+    }
+}
\ No newline at end of file
@@ -1,23 +1,28 @@
 import { Vector3 } from 'three';
 import { StateManager } from '../stateManager.js';
 import { getLakeConfigType } from '../models/lakes.js';
+import { WEATHER_CONFIG } from '../config/constants.js';
 
 /**
  * FlowController manages fluid dynamics for different lake types
- * Provides pattern-based movement and type-specific boundary handling
+ * Provides pattern-based movement, wind drift from each lake's weather
+ * and type-specific boundary handling
  */
 export class FlowController {
     constructor() {
         this.flowPatterns = {};
         this.activePatterns = new Map();
         
-        // Boundary conditions by lake type
+        // Per-lake fluid grids keyed by lake ID (see setFluidSimulations)
+        this.fluidSimulations = new Map();
+        
+        // Boundary conditions by lake type (LAKE_CONFIG names, see getLakeConfigType)
         this.boundaryConditions = {
-            'Freshwater': { type: 'absorb', factor: 0.8 },
+            'Freshwater Lake': { type: 'absorb', factor: 0.8 },
             'Salt Lake': { type: 'reflect', factor: 0.9 },
-            'High Altitude': { type: 'freeze', factor: 0.95 },
+            'High Altitude Lake': { type: 'freeze', factor: 0.95 },
             'Sacred Lake': { type: 'orbit', factor: 1.0 },
-            'Brackish': { type: 'turbulent', factor: 0.85 }
+            'Brackish Lake': { type: 'turbulent', factor: 0.85 }
         };
         
         // Flow state transitions
@@ -33,6 +38,24 @@ export class FlowController {
         console.log('[FlowController] Initialized with boundary conditions');
     }
     
+    /**
+     * Share the per-lake fluid grids. The map is live: particle systems add and
+     * remove their lake's grid as they are created and disposed.
+     * @param {Map} fluidSimulations - FluidSimulation instances keyed by lake ID
+     */
+    setFluidSimulations(fluidSimulations) {
+        this.fluidSimulations = fluidSimulations;
+    }
+    
+    /**
+     * Get a lake's fluid grid
+     * @param {string} lakeId - Lake ID
+     * @returns {FluidSimulation|null} Fluid simulation, or null if the lake has none
+     */
+    getFluidSimulation(lakeId) {
+        return this.fluidSimulations.get(lakeId) || null;
+    }
+    
     registerFlowPattern(name, patternFunction) {
         this.flowPatterns[name] = patternFunction;
         console.log(`[FlowController] Registered flow pattern: ${name}`);
@@ -70,11 +93,17 @@ export class FlowController {
         return flow;
     }
     
-    applyBoundaryCondition(particle, lakeSystem) {
-        if (!lakeSystem || !lakeSystem.lakeData) return;
-        
-        const lakeType = lakeSystem.lakeData.type;
-        const boundary = this.boundaryConditions[lakeType] || { type: 'absorb', factor: 0.8 };
+    /**
+     * React to a particle reaching the edge of the open water, in the way of the lake's type
+     * @param {Particle3D} particle - Particle to check
+     * @param {ParticleSystem} lakeSystem - System owning the particle
+     * @param {number} delta - Time elapsed since last update in ms
+     */
+    applyBoundaryCondition(particle, lakeSystem, delta = 1000 / 60) {
+        if (!lakeSystem || !lakeSystem.lakeData || !lakeSystem.shoreline) return;
+        
+        const configType = getLakeConfigType(lakeSystem.lakeData.type);
+        const boundary = this.boundaryConditions[configType] || { type: 'absorb', factor: 0.8 };
         
         // Apply based on boundary type
         switch (boundary.type) {
@@ -87,49 +116,100 @@ export class FlowController {
                 break;
                 
             case 'freeze':
-                this.applyFreezeBoundary(particle, lakeSystem, boundary.factor);
+                this.applyFreezeBoundary(particle, lakeSystem, boundary.factor, delta);
                 break;
                 
             case 'orbit':
-                this.applyOrbitBoundary(particle, lakeSystem, boundary.factor);
+                this.applyOrbitBoundary(particle, lakeSystem, boundary.factor, delta);
                 break;
                 
             case 'turbulent':
-                this.applyTurbulentBoundary(particle, lakeSystem, boundary.factor);
+                this.applyTurbulentBoundary(particle, lakeSystem, boundary.factor, delta);
                 break;
         }
     }
     
-    // Implement various boundary condition methods
-    applyReflectBoundary(particle, lakeSystem, factor) {
-        if (!lakeSystem.boundary) return;
+    /**
+     * Surface drift a lake's wind causes, scaled to the lake so a given wind
+     * crosses small and large lakes in the same time
+     * @param {ParticleSystem} lakeSystem - System of the lake
+     * @returns {Object} Drift {x, y} in degrees per second, zero in calm weather
+     */
+    getWindDrift(lakeSystem) {
+        const { wind } = StateManager.getLakeWeather(lakeSystem.lakeId);
+        if (wind.speed === 0 || !lakeSystem.shoreline) return { x: 0, y: 0 };
+        
+        // Reports give where the wind blows from; the water goes the other way
+        const heading = (wind.direction + 180) * Math.PI / 180;
+        const speed = wind.speed * WEATHER_CONFIG.windDrift * lakeSystem.shoreline.getExtent();
+        
+        // A degree of longitude shrinks away from the equator
+        const cosLat = Math.cos(lakeSystem.lakeData.center[1] * Math.PI / 180);
+        return { x: Math.sin(heading) * speed / cosLat, y: Math.cos(heading) * speed };
+    }
+    
+    /**
+     * Push a lake's particles downwind; boundary conditions then deal with
+     * those blown onto the shore or the ice edge
+     * @param {ParticleSystem} lakeSystem - System of the lake
+     * @param {number} delta - Time elapsed in ms
+     */
+    applyWind(lakeSystem, delta) {
+        const drift = this.getWindDrift(lakeSystem);
+        if (drift.x === 0 && drift.y === 0) return;
+        
+        const seconds = delta / 1000;
+        lakeSystem.particles.forEach(particle => {
+            particle.position.x += drift.x * seconds;
+            particle.position.y += drift.y * seconds;
+        });
+    }
     
-        const boundary = lakeSystem.boundary;
-        let reflected = false;
-        
-        // Check for collision with boundary
-        if (particle.x < boundary.minX) {
-            particle.velocity.x = Math.abs(particle.velocity.x) * factor;
-            particle.x = boundary.minX + 1;
-            reflected = true;
-        } else if (particle.x > boundary.maxX) {
-            particle.velocity.x = -Math.abs(particle.velocity.x) * factor;
-            particle.x = boundary.maxX - 1;
-            reflected = true;
+    /**
+     * Measure a particle against the edge of the open water: the lake shoreline,
+     * or the ice edge when the season has ice (or dry shallows) reaching in from it
+     * @param {Object} particle - Particle to measure
+     * @param {ParticleSystem} lakeSystem - System owning the shoreline
+     * @param {number} marginFraction - Edge margin as a fraction of the lake extent
+     * @returns {Object} Nearest edge {x, y, distance, inside, normal, margin}
+     */
+    getEdgeState(particle, lakeSystem, marginFraction) {
+        const shoreline = lakeSystem.shoreline;
+        const edge = shoreline.nearestEdge(particle.position.x, particle.position.y);
+        edge.margin = shoreline.getExtent() * marginFraction;
+        
+        // Move the edge in along the normal, which points into the water from both sides
+        const band = lakeSystem.season ? lakeSystem.season.iceBand : 0;
+        if (band > 0 && Number.isFinite(band)) {
+            const signedDistance = (edge.inside ? edge.distance : -edge.distance) - band;
+            edge.x += edge.normal.x * band;
+            edge.y += edge.normal.y * band;
+            edge.distance = Math.abs(signedDistance);
+            edge.inside = signedDistance >= 0;
         }
         
-        if (particle.y < boundary.minY) {
-            particle.velocity.y = Math.abs(particle.velocity.y) * factor;
-            particle.y = boundary.minY + 1;
-            reflected = true;
-        } else if (particle.y > boundary.maxY) {
-            particle.velocity.y = -Math.abs(particle.velocity.y) * factor;
-            particle.y = boundary.maxY - 1;
-            reflected = true;
+        return edge;
+    }
+    
+    // Implement various boundary condition methods
+    applyReflectBoundary(particle, lakeSystem, factor) {
+        const edge = this.getEdgeState(particle, lakeSystem, 0.001);
+        if (edge.inside) return;
+        
+        // Mirror the velocity component heading onto land about the shoreline normal
+        const normal = edge.normal;
+        const normalVelocity = particle.velocity.x * normal.x + particle.velocity.y * normal.y;
+        if (normalVelocity < 0) {
+            particle.velocity.x -= (1 + factor) * normalVelocity * normal.x;
+            particle.velocity.y -= (1 + factor) * normalVelocity * normal.y;
         }
         
-        // Trigger reflection visual effect if reflected
-        if (reflected && particle.triggerEffect) {
+        // Place the particle just back on the water
+        particle.position.x = edge.x + normal.x * edge.margin;
+        particle.position.y = edge.y + normal.y * edge.margin;
+        
+        // Trigger reflection visual effect
+        if (particle.triggerEffect) {
             particle.triggerEffect('reflection', {
                 strength: factor,
                 duration: 500
@@ -138,24 +218,11 @@ export class FlowController {
     }
 
     applyAbsorbBoundary(particle, lakeSystem, factor) {
-        if (!lakeSystem.boundary) return;
-    
-        const boundary = lakeSystem.boundary;
-        let absorbed = false;
-        const margin = 5;
-        
-        // Calculate distance to boundary
-        const distToLeft = particle.x - boundary.minX;
-        const distToRight = boundary.maxX - particle.x;
-        const distToTop = particle.y - boundary.minY;
-        const distToBottom = boundary.maxY - particle.y;
-        
-        // Find the nearest boundary
-        const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
+        const edge = this.getEdgeState(particle, lakeSystem, 0.02);
         
-        if (minDist < margin) {
+        if (edge.inside && edge.distance < edge.margin) {
             // Apply absorption at boundary (slow down)
-            const absorption = factor * (1 - minDist / margin);
+            const absorption = factor * (1 - edge.distance / edge.margin);
             particle.velocity.x *= (1 - absorption);
             particle.velocity.y *= (1 - absorption);
             
@@ -163,23 +230,23 @@ export class FlowController {
             if (particle.opacity) {
                 particle.opacity = Math.max(0.2, particle.opacity - absorption * 0.1);
             }
-            
-            absorbed = true;
         }
         
-        // If outside boundary, relocate particle
-        if (particle.x < boundary.minX || particle.x > boundary.maxX || 
-            particle.y < boundary.minY || particle.y > boundary.maxY) {
+        // If off the open water, respawn the particle on it (or leave it to be culled if there is none to find)
+        const respawnPoint = edge.inside ? null : lakeSystem.randomOpenWaterPoint();
+        if (respawnPoint) {
+            particle.position.x = respawnPoint[0];
+            particle.position.y = respawnPoint[1];
             
-            // Respawn particle at random position inside boundary
-            const phi = 1.61803398875;
-            const normalizedIndex = (particle.id * phi) % 1;
-            particle.x = boundary.minX + normalizedIndex * (boundary.maxX - boundary.minX);
-            particle.y = boundary.minY + ((particle.id * phi * phi) % 1) * (boundary.maxY - boundary.minY);
+            // A respawn is an escape and a new spawn, as if the particle had been culled and replaced
+            if (lakeSystem.stats) {
+                lakeSystem.stats.escaped++;
+                lakeSystem.stats.spawned++;
+            }
             
-            // Reset velocity
-            const angle = (particle.id * 0.1) % (2 * Math.PI);
-            const magnitude = 0.25; // Half of 0.5
+            // Reset velocity to a gentle drift, in lake extents per second
+            const angle = lakeSystem.random.next() * Math.PI * 2;
+            const magnitude = 0.025;
             particle.velocity.x = Math.cos(angle) * magnitude;
             particle.velocity.y = Math.sin(angle) * magnitude;
             
@@ -188,24 +255,13 @@ export class FlowController {
         }
     }
 
-    applyFreezeBoundary(particle, lakeSystem, factor) {
-        if (!lakeSystem.boundary) return;
-    
-        const boundary = lakeSystem.boundary;
-        const margin = 15;
-        
-        // Calculate distance to boundary
-        const distToLeft = particle.x - boundary.minX;
-        const distToRight = boundary.maxX - particle.x;
-        const distToTop = particle.y - boundary.minY;
-        const distToBottom = boundary.maxY - particle.y;
+    applyFreezeBoundary(particle, lakeSystem, factor, delta) {
+        const edge = this.getEdgeState(particle, lakeSystem, 0.06);
+        const frameCount = lakeSystem.frameCount || 0;
         
-        // Find the nearest boundary
-        const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-        
-        if (minDist < margin) {
+        if (edge.inside && edge.distance < edge.margin) {
             // Apply freezing effect near boundary
-            const freezeFactor = factor * (1 - minDist / margin);
+            const freezeFactor = factor * (1 - edge.distance / edge.margin);
             
             // Slow down particles in a non-linear way (more slowing as they get closer)
             const slowdown = Math.pow(1 - freezeFactor, 2);
@@ -241,7 +297,7 @@ export class FlowController {
         
         // Update frozen particles
         if (particle.isFrozen) {
-            particle.frozenTime += 16.67; // Assuming ~60fps
+            particle.frozenTime += delta;
             
             if (particle.frozenTime >= particle.frozenDuration) {
                 // Unfreeze the particle
@@ -265,48 +321,31 @@ export class FlowController {
         }
     }
 
-    applyOrbitBoundary(particle, lakeSystem, factor) {
-        if (!lakeSystem.boundary || !lakeSystem.center) return;
-    
-        const boundary = lakeSystem.boundary;
-        const center = lakeSystem.center;
-        
-        // Calculate distance from center
-        const dx = particle.x - center.x;
-        const dy = particle.y - center.y;
-        const distSquared = dx * dx + dy * dy;
-        const dist = Math.sqrt(distSquared);
-        
-        // Calculate maximum distance (distance to furthest boundary point)
-        const cornerDistances = [
-            Math.sqrt(Math.pow(boundary.minX - center.x, 2) + Math.pow(boundary.minY - center.y, 2)),
-            Math.sqrt(Math.pow(boundary.maxX - center.x, 2) + Math.pow(boundary.minY - center.y, 2)),
-            Math.sqrt(Math.pow(boundary.minX - center.x, 2) + Math.pow(boundary.maxY - center.y, 2)),
-            Math.sqrt(Math.pow(boundary.maxX - center.x, 2) + Math.pow(boundary.maxY - center.y, 2))
-        ];
-        const maxDist = Math.max(...cornerDistances);
-        
-        // If near the boundary, apply orbital forces
-        if (dist > maxDist * 0.8) {
-            const orbitalFactor = factor * ((dist - maxDist * 0.8) / (maxDist * 0.2));
+    applyOrbitBoundary(particle, lakeSystem, factor, delta) {
+        const edge = this.getEdgeState(particle, lakeSystem, 0.1);
+        const seconds = delta / 1000;
+        
+        // If near the shoreline, circulate along it
+        if (edge.distance < edge.margin || !edge.inside) {
+            const orbitalFactor = edge.inside ? factor * (1 - edge.distance / edge.margin) : factor;
             
-            // Calculate normalized direction to center
-            const nx = dx / dist;
-            const ny = dy / dist;
+            // Normal pointing back onto the water
+            const nx = edge.normal.x;
+            const ny = edge.normal.y;
             
-            // Calculate orbit direction (perpendicular to center direction)
+            // Orbit direction runs along the shoreline (perpendicular to the normal)
             const ox = -ny;
             const oy = nx;
             
-            // Apply orbital force
-            const orbitalStrength = 0.05 * orbitalFactor;
+            // Apply orbital force (lake extents per second, per second)
+            const orbitalStrength = 0.3 * orbitalFactor * seconds;
             particle.velocity.x += ox * orbitalStrength;
             particle.velocity.y += oy * orbitalStrength;
             
-            // Add slight attraction to center
-            const attractionStrength = 0.02 * orbitalFactor;
-            particle.velocity.x -= nx * attractionStrength;
-            particle.velocity.y -= ny * attractionStrength;
+            // Add slight attraction back onto the water
+            const attractionStrength = 0.12 * orbitalFactor * seconds;
+            particle.velocity.x += nx * attractionStrength;
+            particle.velocity.y += ny * attractionStrength;
             
             // Trigger visual effect
             if (orbitalFactor > 0.5 && particle.triggerEffect) {
@@ -318,28 +357,19 @@ export class FlowController {
         }
     }
 
-    applyTurbulentBoundary(particle, lakeSystem, factor) {
-        if (!lakeSystem.boundary) return;
-    
-        const boundary = lakeSystem.boundary;
-        const margin = 20;
+    applyTurbulentBoundary(particle, lakeSystem, factor, delta) {
+        const edge = this.getEdgeState(particle, lakeSystem, 0.08);
+        const seconds = delta / 1000;
+        const frameCount = lakeSystem.frameCount || 0;
         
-        // Calculate distance to boundary
-        const distToLeft = particle.x - boundary.minX;
-        const distToRight = boundary.maxX - particle.x;
-        const distToTop = particle.y - boundary.minY;
-        const distToBottom = boundary.maxY - particle.y;
-        
-        // Find the nearest boundary
-        const minDist = Math.min(distToLeft, distToRight, distToTop, distToBottom);
-        
-        if (minDist < margin) {
+        if (edge.inside && edge.distance < edge.margin) {
             // Apply turbulence near boundary
-            const turbulenceFactor = factor * (1 - minDist / margin);
+            const turbulenceFactor = factor * (1 - edge.distance / edge.margin);
             
             // Use sine waves with different frequencies for deterministic but varied turbulence
-            const turbulenceOffsetX = Math.sin(frameCount * 0.1 + particle.id * 0.5) * 0.5 * turbulenceFactor;
-            const turbulenceOffsetY = Math.sin(frameCount * 0.12 + particle.id * 0.7) * 0.5 * turbulenceFactor;
+            // Forces are in lake extents per second, per second
+            const turbulenceOffsetX = Math.sin(frameCount * 0.1 + particle.id * 0.5) * 0.3 * turbulenceFactor * seconds;
+            const turbulenceOffsetY = Math.sin(frameCount * 0.12 + particle.id * 0.7) * 0.3 * turbulenceFactor * seconds;
             particle.velocity.x += turbulenceOffsetX;
             particle.velocity.y += turbulenceOffsetY;
             
@@ -356,17 +386,14 @@ export class FlowController {
         
         // Update swirling particles
         if (particle.swirling) {
-            particle.swirling.time += 16.67; // Assuming ~60fps
+            particle.swirling.time += delta;
             
             if (particle.swirling.time < particle.swirling.duration) {
-                // Apply swirl force
-                const center = lakeSystem.center || {
-                    x: (boundary.minX + boundary.maxX) / 2,
-                    y: (boundary.minY + boundary.maxY) / 2
-                };
+                // Apply swirl force around the lake center
+                const [centerX, centerY] = lakeSystem.lakeCenter;
                 
-                const dx = particle.x - center.x;
-                const dy = particle.y - center.y;
+                const dx = particle.position.x - centerX;
+                const dy = particle.position.y - centerY;
                 const dist = Math.sqrt(dx * dx + dy * dy);
                 
                 if (dist > 0) {
@@ -378,12 +405,13 @@ export class FlowController {
                     const py = nx * particle.swirling.direction;
                     
                     // Apply swirl force
-                    particle.velocity.x += px * particle.swirling.strength;
-                    particle.velocity.y += py * particle.swirling.strength;
+                    const strength = particle.swirling.strength * seconds;
+                    particle.velocity.x += px * strength;
+                    particle.velocity.y += py * strength;
                     
                     // Add slight attraction to center
-                    particle.velocity.x -= nx * particle.swirling.strength * 0.2;
-                    particle.velocity.y -= ny * particle.swirling.strength * 0.2;
+                    particle.velocity.x -= nx * strength * 0.2;
+                    particle.velocity.y -= ny * strength * 0.2;
                 }
             } else {
                 // End swirling
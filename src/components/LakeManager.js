@@ -1,5 +1,5 @@
 import { StateManager } from '../stateManager.js';
-import { lakes } from '../models/lakes.js';
+import { ParticleSystem } from './ParticleSystem.js';
 
 /**
  * LakeManager class for coordinating lake states and transitions
@@ -20,12 +20,18 @@ export class LakeManager {
     /**
      * Set the active lake and handle transitions
      * @param {string} lakeName - ID of the lake to activate
+     * @param {Object} camera - Optional camera overrides (center, zoom, bearing, pitch)
      */
-    setActiveLake(lakeName) {
+    setActiveLake(lakeName, camera = null) {
         if (lakeName === StateManager.getActiveLake() || this.isTransitioning) {
             return;
         }
         
+        if (!StateManager.lakes[lakeName]) {
+            console.warn(`[LakeManager] Unknown lake: ${lakeName}`);
+            return;
+        }
+        
         const prevLake = StateManager.getActiveLake();
         console.log(`[LakeManager] Switching active lake from ${prevLake} to ${lakeName}`);
         
@@ -39,7 +45,7 @@ export class LakeManager {
         StateManager.setActiveLake(lakeName);
         
         // Fly to the new lake
-        this.flyToLake(lakeName);
+        this.flyToLake(lakeName, camera);
     }
     
     /**
@@ -55,16 +61,22 @@ export class LakeManager {
         if (oldEl) oldEl.className = '';
         if (newEl) newEl.className = 'active';
         
-        // Update marker styling
-        const markers = StateManager.markers;
-        if (markers.get(oldLake)) markers.get(oldLake).element.classList.remove('marker-active');
-        if (markers.get(newLake)) markers.get(newLake).element.classList.add('marker-active');
+        // Highlight the active lake's marker
+        if (StateManager.lakeMarkers) {
+            StateManager.lakeMarkers.setActiveLake(newLake);
+        }
+        
+        // Tell screen-reader users where the map is going
+        if (StateManager.accessibility) {
+            StateManager.accessibility.announceLake(newLake);
+        }
     }
     
     /**
-     * Toggle particle systems during lake transition
+     * Toggle particle systems during lake transition. This is the one place
+     * lakes' particle systems are created and activated.
      * @param {string} newLake - ID of the new active lake
-     * @param {string} oldLake - ID of the previous active lake 
+     * @param {string|null} oldLake - ID of the previous active lake, or null for none
      */
     toggleParticleSystems(newLake, oldLake) {
         const systems = StateManager.particleSystems;
@@ -74,22 +86,21 @@ export class LakeManager {
             systems.get(oldLake).deactivate();
         }
         
-        // Activate or create new system
+        // Create the new lake's system on its first visit, drawn by the map's particle layer
         if (!systems.get(newLake)) {
-            // This will be properly implemented using the renderer
-            console.log(`[LakeManager] Creating new particle system for ${newLake}`);
+            const renderer = StateManager.mapIntegrator ? StateManager.mapIntegrator.lakeRenderer : null;
+            systems.set(newLake, new ParticleSystem(this.map, newLake, StateManager.lakes[newLake], renderer));
         }
         
-        if (systems.get(newLake)) {
-            systems.get(newLake).activate();
-        }
+        systems.get(newLake).activate();
     }
     
     /**
      * Fly the map to the selected lake
      * @param {string} lakeName - ID of the lake to fly to
+     * @param {Object} camera - Optional camera overrides (center, zoom, bearing, pitch)
      */
-    flyToLake(lakeName) {
+    flyToLake(lakeName, camera = null) {
         // Cancel existing animations
         if (this.flyTimeout) {
             clearTimeout(this.flyTimeout);
@@ -98,19 +109,37 @@ export class LakeManager {
         // Prevent system from responding to map movements during transition
         this.isTransitioning = true;
         
-        const lake = lakes[lakeName];
+        const lake = StateManager.lakes[lakeName];
+        const duration = StateManager.prefersReducedMotion() ? 0 : lake.duration || 2000;
+        
+        // With reduced motion this is a jump-cut
         this.map.flyTo({
             center: lake.center,
             zoom: lake.zoom,
             bearing: lake.bearing,
             pitch: lake.pitch,
-            duration: lake.duration || 2000
+            ...camera,
+            duration,
+            ...StateManager.getCameraMotion()
         });
         
         // Reset state after animation completes
         this.flyTimeout = setTimeout(() => {
             this.isTransitioning = false;
-        }, lake.duration || 2000);
+        }, duration);
+    }
+    
+    /**
+     * Stop any flight in progress so a new lake can be selected immediately
+     */
+    cancelTransition() {
+        if (this.flyTimeout) {
+            clearTimeout(this.flyTimeout);
+            this.flyTimeout = null;
+        }
+        
+        this.map.stop();
+        this.isTransitioning = false;
     }
     
     /**
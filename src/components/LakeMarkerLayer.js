@@ -0,0 +1,491 @@
+import * as maplibregl from 'maplibre-gl';
+import { StateManager } from '../stateManager.js';
+import { LAKE_CONFIG, getLakeConfigType } from '../models/lakes.js';
+import { MARKER_CONFIG, LOCALES } from '../config/constants.js';
+import { setLocalizedText } from './LocaleController.js';
+
+const SOURCE_ID = 'lake-markers';
+const LAYERS = {
+    clusters: 'lake-marker-clusters',
+    clusterCounts: 'lake-marker-cluster-counts',
+    focus: 'lake-marker-focus',
+    points: 'lake-marker-points',
+    icons: 'lake-marker-icons'
+};
+
+// Icon drawing size in CSS pixels; images are rendered at twice this for high-DPI screens
+const ICON_SIZE = 20;
+const ICON_PIXEL_RATIO = 2;
+
+/**
+ * LakeMarkerLayer draws a marker for every lake from a clustered GeoJSON
+ * source, so the map stays readable however large the catalogue grows.
+ * Each marker is a disc in its type's LAKE_CONFIG colour, sized by the lake's
+ * surface area, with an icon for the type. Nearby lakes merge into clusters
+ * at low zoom; hovering shows a tooltip, clicking a lake makes it active and
+ * clicking a cluster zooms in on it.
+ */
+export class LakeMarkerLayer {
+    /**
+     * Create the lake markers
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {Object} lakes - Lakes keyed by ID
+     * @param {Object} options - Overrides for MARKER_CONFIG
+     */
+    constructor(map, lakes, options = {}) {
+        this.map = map;
+        this.lakes = lakes;
+        this.options = { ...MARKER_CONFIG, ...options };
+        this.activeLake = StateManager.getActiveLake();
+        this.visibleLakes = null; // null shows every lake
+        this.focusedLake = null; // Lake focused in the lake list, ringed for keyboard users
+        this.hovered = null; // Lake ID or 'cluster-<id>' under the pointer
+        this.handlers = [];
+        
+        this.tooltip = new maplibregl.Popup({
+            closeButton: false,
+            closeOnClick: false,
+            offset: 14,
+            className: 'lake-tooltip'
+        });
+        
+        this.addIcons();
+        this.addLayers();
+        this.addHandlers();
+        
+        console.log(`[LakeMarkerLayer] Initialized with ${Object.keys(lakes).length} lakes`);
+    }
+    
+    /**
+     * Build the GeoJSON for the lakes currently shown
+     * @returns {Object} FeatureCollection of lake points
+     */
+    createData() {
+        const features = Object.entries(this.lakes)
+            .filter(([lakeId]) => !this.visibleLakes || this.visibleLakes.has(lakeId))
+            .map(([lakeId, lake]) => {
+                const configType = getLakeConfigType(lake.type);
+                
+                return {
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: lake.center },
+                    properties: {
+                        lakeId,
+                        configType,
+                        color: LAKE_CONFIG[configType].color,
+                        area: lake.shoreline ? lake.shoreline.getArea() : 0,
+                        active: lakeId === this.activeLake
+                    }
+                };
+            });
+        
+        return { type: 'FeatureCollection', features };
+    }
+    
+    /**
+     * Register an icon image for every lake type
+     */
+    addIcons() {
+        Object.keys(LAKE_CONFIG).forEach(configType => {
+            const id = `lake-icon-${configType}`;
+            if (!this.map.hasImage(id)) {
+                this.map.addImage(id, drawIcon(configType), { pixelRatio: ICON_PIXEL_RATIO });
+            }
+        });
+    }
+    
+    /**
+     * Add the source and the cluster, disc and icon layers
+     */
+    addLayers() {
+        const { clusterMaxZoom, clusterRadius, minRadius, maxRadius, maxArea } = this.options;
+        
+        this.map.addSource(SOURCE_ID, {
+            type: 'geojson',
+            data: this.createData(),
+            cluster: true,
+            clusterMaxZoom,
+            clusterRadius
+        });
+        
+        this.map.addLayer({
+            id: LAYERS.clusters,
+            type: 'circle',
+            source: SOURCE_ID,
+            filter: ['has', 'point_count'],
+            paint: {
+                'circle-color': '#1a73e8',
+                'circle-opacity': 0.75,
+                'circle-radius': ['step', ['get', 'point_count'], 14, 5, 18, 20, 24],
+                'circle-stroke-color': '#ffffff',
+                'circle-stroke-width': 2
+            }
+        });
+        
+        // Counts need the style's glyphs; without them the tooltip gives the count
+        if (this.map.getStyle().glyphs) {
+            this.map.addLayer({
+                id: LAYERS.clusterCounts,
+                type: 'symbol',
+                source: SOURCE_ID,
+                filter: ['has', 'point_count'],
+                layout: {
+                    'text-field': ['get', 'point_count_abbreviated'],
+                    'text-size': 12,
+                    'text-allow-overlap': true
+                },
+                paint: { 'text-color': '#ffffff' }
+            });
+        }
+        
+        // Disc area grows with the lake's, between minRadius and maxRadius pixels
+        const radius = ['interpolate', ['linear'], ['sqrt', ['min', ['get', 'area'], maxArea]],
+            0, minRadius,
+            Math.sqrt(maxArea), maxRadius];
+        
+        // Focus ring mirroring keyboard focus in the lake list
+        this.map.addLayer({
+            id: LAYERS.focus,
+            type: 'circle',
+            source: SOURCE_ID,
+            filter: this.getFocusFilter(),
+            paint: {
+                'circle-opacity': 0,
+                'circle-radius': ['+', radius, 5],
+                'circle-stroke-color': '#1a73e8',
+                'circle-stroke-width': 3
+            }
+        });
+        
+        this.map.addLayer({
+            id: LAYERS.points,
+            type: 'circle',
+            source: SOURCE_ID,
+            filter: ['!', ['has', 'point_count']],
+            paint: {
+                'circle-color': ['get', 'color'],
+                'circle-radius': radius,
+                'circle-stroke-color': ['case', ['boolean', ['get', 'active'], false], '#ffffff', 'rgba(0, 0, 0, 0.35)'],
+                'circle-stroke-width': ['case', ['boolean', ['get', 'active'], false], 3, 1]
+            }
+        });
+        
+        this.map.addLayer({
+            id: LAYERS.icons,
+            type: 'symbol',
+            source: SOURCE_ID,
+            filter: ['!', ['has', 'point_count']],
+            layout: {
+                'icon-image': ['concat', 'lake-icon-', ['get', 'configType']],
+                'icon-size': ['interpolate', ['linear'], ['sqrt', ['min', ['get', 'area'], maxArea]],
+                    0, minRadius * 1.6 / ICON_SIZE,
+                    Math.sqrt(maxArea), maxRadius * 1.6 / ICON_SIZE],
+                'icon-allow-overlap': true,
+                'icon-ignore-placement': true
+            }
+        });
+    }
+    
+    /**
+     * Wire up hover tooltips and clicks
+     */
+    addHandlers() {
+        const on = (type, layer, handler) => {
+            this.map.on(type, layer, handler);
+            this.handlers.push([type, layer, handler]);
+        };
+        
+        [LAYERS.points, LAYERS.clusters].forEach(layer => {
+            on('mouseenter', layer, () => {
+                this.map.getCanvas().style.cursor = 'pointer';
+            });
+            on('mouseleave', layer, () => {
+                this.map.getCanvas().style.cursor = '';
+                this.hovered = null;
+                this.tooltip.remove();
+            });
+        });
+        
+        // Only rebuild the tooltip when the pointer moves onto a different marker
+        on('mousemove', LAYERS.points, (e) => {
+            const lakeId = e.features[0].properties.lakeId;
+            if (this.hovered === lakeId) return;
+            
+            this.hovered = lakeId;
+            this.showTooltip(e.features[0].geometry.coordinates, this.createLakeTooltip(lakeId));
+        });
+        
+        on('mousemove', LAYERS.clusters, (e) => {
+            const key = `cluster-${e.features[0].properties.cluster_id}`;
+            if (this.hovered === key) return;
+            
+            this.hovered = key;
+            this.showClusterTooltip(e.features[0]);
+        });
+        
+        on('click', LAYERS.points, (e) => {
+            const lakeId = e.features[0].properties.lakeId;
+            if (StateManager.lakeManager) {
+                StateManager.lakeManager.setActiveLake(lakeId);
+            }
+        });
+        
+        on('click', LAYERS.clusters, async (e) => {
+            const feature = e.features[0];
+            let zoom;
+            
+            // setVisibleLakes() replacing the data drops the cluster, and dispose() the map, while waiting
+            try {
+                zoom = await this.map.getSource(SOURCE_ID).getClusterExpansionZoom(feature.properties.cluster_id);
+            } catch (error) {
+                console.warn('[LakeMarkerLayer] Cluster no longer available:', error.message);
+                return;
+            }
+            if (!this.map) return;
+            
+            this.map.easeTo({ center: feature.geometry.coordinates, zoom, ...StateManager.getCameraMotion() });
+        });
+    }
+    
+    /**
+     * Show the tooltip at a position
+     * @param {Array} lngLat - [lng, lat]
+     * @param {HTMLElement} content - Tooltip content
+     */
+    showTooltip(lngLat, content) {
+        this.tooltip.setLngLat(lngLat).setDOMContent(content).addTo(this.map);
+    }
+    
+    /**
+     * Tooltip content for one lake
+     * @param {string} lakeId - ID of the lake
+     * @returns {HTMLElement} Tooltip content
+     */
+    createLakeTooltip(lakeId) {
+        const lake = this.lakes[lakeId];
+        const i18n = StateManager.localeController;
+        const content = document.createElement('div');
+        
+        const name = i18n.translateLakeField(lakeId, lake, 'title');
+        const title = document.createElement('strong');
+        setLocalizedText(title, name.text || lakeId, name.lang);
+        
+        // Type and location may each be translated or in English
+        const details = document.createElement('div');
+        [i18n.translateLakeType(lake.type), i18n.translateLakeField(lakeId, lake, 'location')]
+            .filter(({ text }) => text)
+            .forEach(({ text, lang }, index) => {
+                const part = document.createElement('span');
+                setLocalizedText(part, text, lang);
+                details.append(index > 0 ? ' · ' : '', part);
+            });
+        
+        content.append(title, details);
+        return content;
+    }
+    
+    /**
+     * Show the number of lakes in a cluster and the first few names
+     * @param {Object} feature - Cluster feature
+     */
+    async showClusterTooltip(feature) {
+        const { cluster_id: clusterId, point_count: count } = feature.properties;
+        let leaves;
+        
+        try {
+            leaves = await this.map.getSource(SOURCE_ID).getClusterLeaves(clusterId, this.options.tooltipNames, 0);
+        } catch (error) {
+            console.warn('[LakeMarkerLayer] Cluster no longer available:', error.message);
+            return;
+        }
+        
+        // The pointer may have moved on, or the layer been disposed, before the leaves arrived
+        if (!this.map || this.hovered !== `cluster-${clusterId}`) return;
+        
+        // Names may each be translated or in English
+        const i18n = StateManager.localeController;
+        const names = leaves.map(({ properties: { lakeId } }) => {
+            const lake = this.lakes[lakeId];
+            const name = lake ? i18n.translateLakeField(lakeId, lake, 'title') : {};
+            return { text: name.text || lakeId, lang: name.lang || LOCALES.default };
+        });
+        if (count > names.length) {
+            names.push(i18n.translate('markers.clusterMore', { count: count - names.length }));
+        }
+        
+        const content = document.createElement('div');
+        const title = document.createElement('strong');
+        const { text, lang } = i18n.translate('markers.clusterTitle', { count });
+        setLocalizedText(title, text, lang);
+        
+        const details = document.createElement('div');
+        names.forEach(({ text, lang }, index) => {
+            const part = document.createElement('span');
+            setLocalizedText(part, text, lang);
+            details.append(index > 0 ? ', ' : '', part);
+        });
+        content.append(title, details);
+        
+        this.showTooltip(feature.geometry.coordinates, content);
+    }
+    
+    /**
+     * Highlight the active lake's marker
+     * @param {string} lakeId - ID of the active lake
+     */
+    setActiveLake(lakeId) {
+        this.activeLake = lakeId;
+        this.refresh();
+    }
+    
+    /**
+     * Ring a lake's marker to show where keyboard focus is
+     * @param {string|null} lakeId - ID of the focused lake, or null to clear
+     */
+    setFocusedLake(lakeId) {
+        this.focusedLake = lakeId;
+        
+        if (this.map && this.map.getLayer(LAYERS.focus)) {
+            this.map.setFilter(LAYERS.focus, this.getFocusFilter());
+        }
+    }
+    
+    /**
+     * Layer filter matching only the focused lake
+     * @returns {Array} Filter expression
+     */
+    getFocusFilter() {
+        return ['all', ['!', ['has', 'point_count']], ['==', ['get', 'lakeId'], this.focusedLake || '']];
+    }
+    
+    /**
+     * Show only some lakes, e.g. those matching a search
+     * @param {Iterable<string>|null} lakeIds - Lake IDs to show, or null for all
+     */
+    setVisibleLakes(lakeIds) {
+        this.visibleLakes = lakeIds ? new Set(lakeIds) : null;
+        this.refresh();
+    }
+    
+    /**
+     * Rebuild the source data, re-clustering the lakes
+     */
+    refresh() {
+        const source = this.map && this.map.getSource(SOURCE_ID);
+        if (source) {
+            source.setData(this.createData());
+        }
+        
+        // Cluster IDs are reassigned, so a cluster tooltip (or one still loading) would be stale
+        if (this.hovered && this.hovered.startsWith('cluster-')) {
+            this.hovered = null;
+            this.tooltip.remove();
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.handlers.forEach(([type, layer, handler]) => this.map.off(type, layer, handler));
+        this.handlers = [];
+        this.tooltip.remove();
+        
+        Object.values(LAYERS).forEach(layer => {
+            if (this.map.getLayer(layer)) {
+                this.map.removeLayer(layer);
+            }
+        });
+        if (this.map.getSource(SOURCE_ID)) {
+            this.map.removeSource(SOURCE_ID);
+        }
+        
+        this.map = null;
+        
+        console.log('[LakeMarkerLayer] Disposed');
+    }
+}
+
+/**
+ * Draw a white type icon for the marker discs
+ * @param {string} configType - Key into LAKE_CONFIG
+ * @returns {ImageData} Icon image
+ */
+function drawIcon(configType) {
+    const size = ICON_SIZE * ICON_PIXEL_RATIO;
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(size, size); // Draw in a 0-1 square
+    ctx.fillStyle = ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 0.09;
+    ctx.lineCap = ctx.lineJoin = 'round';
+    
+    const wave = (y) => {
+        ctx.beginPath();
+        ctx.moveTo(0.22, y);
+        ctx.bezierCurveTo(0.36, y - 0.12, 0.44, y + 0.12, 0.5, y);
+        ctx.bezierCurveTo(0.56, y - 0.12, 0.64, y + 0.12, 0.78, y);
+        ctx.stroke();
+    };
+    
+    switch (configType) {
+        case 'High Altitude Lake':
+            // Snow-capped peak
+            ctx.beginPath();
+            ctx.moveTo(0.2, 0.72);
+            ctx.lineTo(0.5, 0.26);
+            ctx.lineTo(0.8, 0.72);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        
+        case 'Urban Lake':
+            // Skyline
+            ctx.fillRect(0.24, 0.42, 0.14, 0.32);
+            ctx.fillRect(0.43, 0.26, 0.14, 0.48);
+            ctx.fillRect(0.62, 0.36, 0.14, 0.38);
+            break;
+        
+        case 'Sacred Lake':
+            // Lotus: a centre petal flanked by two leaning ones
+            [-0.5, 0, 0.5].forEach(angle => {
+                ctx.save();
+                ctx.translate(0.5, 0.7);
+                ctx.rotate(angle);
+                ctx.beginPath();
+                ctx.ellipse(0, -0.2, 0.09, 0.2, 0, 0, Math.PI * 2);
+                ctx.fill();
+                ctx.restore();
+            });
+            break;
+        
+        case 'Salt Lake':
+            // Crystal
+            ctx.beginPath();
+            ctx.moveTo(0.5, 0.22);
+            ctx.lineTo(0.74, 0.5);
+            ctx.lineTo(0.5, 0.78);
+            ctx.lineTo(0.26, 0.5);
+            ctx.closePath();
+            ctx.fill();
+            break;
+        
+        case 'Brackish Lake':
+            // Sea wave meeting still water
+            wave(0.4);
+            ctx.beginPath();
+            ctx.moveTo(0.22, 0.64);
+            ctx.lineTo(0.78, 0.64);
+            ctx.stroke();
+            break;
+        
+        default:
+            // Freshwater ripples
+            wave(0.4);
+            wave(0.62);
+    }
+    
+    return ctx.getImageData(0, 0, size, size);
+}
\ No newline at end of file
@@ -1,275 +1,437 @@
-import * as THREE from 'three';
+import { createProgram, bindDefaultVertexArray, translateMatrix, getInstancing } from '../utils/glUtils.js';
+import { getTerrainExaggeration } from './TerrainController.js';
+import { TERRAIN_CONFIG } from '../config/constants.js';
+import { StateManager } from '../stateManager.js';
 
-// Vertex shader for particle rendering
+// Equatorial circumference in metres, as MapLibre uses for mercator altitudes
+const EARTH_CIRCUMFERENCE = 2 * Math.PI * 6371008.8;
+
+// Systems the shader can fade separately; index 0 is for slots with no registered system
+const MAX_SYSTEMS = 16;
+
+// Vertex shader: one instanced quad per particle slot, projected to mercator here
 const vertexShader = `
-attribute vec3 position;
-attribute vec3 customColor;
-attribute float size;
-attribute float opacity;
+precision highp float;
+
+const float PI = ${Math.PI};
+
+uniform mat4 u_matrix;
+uniform vec2 u_viewport;
+uniform float u_sizeScale;
+uniform vec2 u_origin; // Frame origin [lng, lat], whose mercator position is folded into u_matrix
+uniform float u_exaggeration;
+uniform float u_surfaceOffset;
+uniform float u_systemOpacity[${MAX_SYSTEMS}];
 
+attribute vec2 a_corner;
+attribute vec3 a_position; // lng, lat, elevation
+attribute float a_opacity;
+attribute float a_visible;
+attribute float a_system;
+attribute vec3 a_color;
+attribute float a_size;
+
+varying vec2 vCorner;
 varying vec3 vColor;
 varying float vOpacity;
 
+// Mercator y of origin.y + dLat less that of origin.y. Projecting both and subtracting
+// would lose a lake's worth of float precision, so the difference is taken in closed
+// form: atanh(sin a) - atanh(sin b) = atanh((sin a - sin b) / (1 - sin a sin b)).
+float mercatorDeltaY(float originLat, float dLat) {
+    float b = radians(originLat);
+    float d = radians(dLat);
+    float s = 2.0 * cos(b + 0.5 * d) * sin(0.5 * d) / (1.0 - sin(b + d) * sin(b));
+    float s2 = s * s;
+    
+    // The series keeps precision for the small values of particles near the origin
+    float t = abs(s) < 0.1 ?
+        s * (1.0 + s2 * (1.0 / 3.0 + s2 * (0.2 + s2 / 7.0))) :
+        0.5 * log((1.0 + s) / (1.0 - s));
+    return -t / (2.0 * PI);
+}
+
 void main() {
-    vColor = customColor;
-    vOpacity = opacity;
+    vCorner = a_corner;
+    vColor = a_color;
+    vOpacity = a_opacity * a_visible * u_systemOpacity[int(a_system)];
     
-    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-    gl_PointSize = size * (300.0 / -mvPosition.z);
-    gl_Position = projectionMatrix * mvPosition;
+    // Free, pooled and hidden slots are not visible; move them outside the clip volume
+    if (vOpacity <= 0.0) {
+        gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+        return;
+    }
+    
+    // Nearby single precision values subtract exactly, so offsets from the origin stay precise
+    vec2 d = a_position.xy - u_origin;
+    vec3 point = vec3(d.x / 360.0, mercatorDeltaY(u_origin.y, d.y), 0.0);
+    if (u_exaggeration > 0.0) {
+        float altitude = a_position.z * u_exaggeration + u_surfaceOffset;
+        point.z = altitude / (${EARTH_CIRCUMFERENCE} * cos(radians(u_origin.y + d.y)));
+    }
+    
+    vec4 center = u_matrix * vec4(point, 1.0);
+    vec2 offset = a_corner * a_size * u_sizeScale / u_viewport;
+    gl_Position = center + vec4(offset * center.w, 0.0, 0.0);
 }`;
 
 // Fragment shader for particle rendering
 const fragmentShader = `
+precision mediump float;
+
+uniform float u_glow;
+
+varying vec2 vCorner;
 varying vec3 vColor;
 varying float vOpacity;
 
 void main() {
     // Calculate distance from center for circular particles
-    float dist = length(gl_PointCoord - vec2(0.5, 0.5));
+    float dist = length(vCorner) * 0.5;
     if (dist > 0.5) discard; // Discard pixels outside circle
     
-    // Apply soft edge
-    float alpha = 1.0 - smoothstep(0.4, 0.5, dist);
+    // Soft glow falloff, or a crisp disc when glow effects are off
+    float alpha = mix(1.0 - smoothstep(0.4, 0.5, dist), 1.0 - smoothstep(0.0, 0.5, dist), u_glow);
     
-    // Final color with glow effect
-    gl_FragColor = vec4(vColor, vOpacity * alpha);
+    // Premultiplied for additive blending into the map
+    gl_FragColor = vec4(vColor * vOpacity * alpha, vOpacity * alpha);
 }`;
 
+// Store arrays uploaded per dirty group: [shader attribute, store array, components]
+const STORE_ATTRIBUTES = {
+    position: [['position', 'renderPosition', 3]],
+    opacity: [['opacity', 'opacity', 1], ['visible', 'visible', 1], ['system', 'owner', 1]],
+    appearance: [['color', 'color', 3], ['size', 'size', 1]]
+};
+
+// Quad corners drawn as a triangle strip
+const QUAD_CORNERS = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+
+// Screen pixels per unit of particle size, before device pixel ratio
+const BASE_POINT_SIZE = 3;
+
 /**
- * LakeRenderer class for WebGL-based rendering of lake particles
- * Supports fallback from WebGPU to WebGL
+ * LakeRenderer draws every lake's particles as one MapLibre custom layer.
+ * It renders into the map's own WebGL context with the map's projection
+ * matrix, so particles stay fixed to the ground during pan, zoom and pitch.
+ *
+ * Particles are drawn as instanced quads straight from the systems'
+ * ParticleStore. Each frame only the slots whose positions, opacities,
+ * colours or sizes changed are uploaded, and the vertex shader projects the
+ * positions to mercator. A particle's position.z is its lake's surface
+ * elevation, which places it on the water when terrain is on.
  */
 export class LakeRenderer {
-    constructor(canvas) {
-        this.canvas = canvas;
+    /**
+     * Create a new particle layer
+     * @param {Object} options - Layer options
+     * @param {string} options.id - Map layer ID
+     */
+    constructor(options = {}) {
+        // CustomLayerInterface
+        this.id = options.id || 'lake-particles';
+        this.type = 'custom';
+        this.renderingMode = '3d'; // Share the terrain's depth range so mountains can hide particles
+        
+        this.map = null;
+        this.gl = null;
+        this.program = null;
+        this.instancing = null;
         this.systems = new Set();
         this.active = true;
         
-        // Check for WebGPU support with fallback to WebGL
-        this.useWebGPU = false;
-        this.initializeRenderer();
+        // Per-system opacity multipliers, uploaded each frame
+        this.systemOpacity = new Float32Array(MAX_SYSTEMS);
         
-        // Set up scene, camera, etc.
-        this.setupScene();
-        this.setupGeometry();
-        this.setupMaterials();
+        // GPU buffers per particle store
+        this.storeBuffers = new Map();
         
-        console.log(`[LakeRenderer] Initialized with ${this.useWebGPU ? 'WebGPU' : 'WebGL'}`);
-    }
-    
-    initializeRenderer() {
-        try {
-            // Try to use WebGPU if available
-            if (navigator.gpu) {
-                // For actual implementation, we'd need the WebGPU initialization code
-                // This is simplified as WebGPU API is still evolving
-                this.useWebGPU = true;
-                this.renderer = new THREE.WebGLRenderer({ 
-                    canvas: this.canvas,
-                    antialias: true,
-                    alpha: true
-                });
-                console.log('[LakeRenderer] Using WebGPU renderer');
-            } else {
-                throw new Error('WebGPU not available');
-            }
-        } catch (e) {
-            // Fallback to WebGL
-            console.log('[LakeRenderer] WebGPU not available, falling back to WebGL');
-            this.useWebGPU = false;
-            this.renderer = new THREE.WebGLRenderer({ 
-                canvas: this.canvas,
-                antialias: true,
-                alpha: true
-            });
-        }
+        // Quality-driven appearance
+        this.glow = 1;
+        this.renderScale = 1;
         
-        this.renderer.setPixelRatio(window.devicePixelRatio);
-        this.renderer.setClearColor(0x000000, 0);
+        console.log('[LakeRenderer] Initialized');
     }
     
     /**
-     * Set up materials for particles
+     * Called by MapLibre when the layer is added to the map
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {WebGLRenderingContext} gl - The map's GL context
      */
-    setupMaterials() {
-        // Initialize WebGL shader material for particles
-        this.shaderMaterial = new THREE.ShaderMaterial({
-            uniforms: {
-                color: { value: new THREE.Color(0x00ffff) }
-            },
-            vertexShader: vertexShader,
-            fragmentShader: fragmentShader,
-            blending: THREE.AdditiveBlending,
-            depthTest: false,
-            transparent: true
-        });
+    onAdd(map, gl) {
+        this.map = map;
+        this.gl = gl;
         
-        // Create a simpler material as fallback
-        this.fallbackMaterial = new THREE.PointsMaterial({
-            color: 0x00ffff,
-            size: 2,
-            blending: THREE.AdditiveBlending,
-            transparent: true,
-            sizeAttenuation: true
-        });
+        console.log('[LakeRenderer] Added to map');
     }
     
     /**
-     * Set up geometry for particles
+     * Compile the shaders and create the quad buffer
+     * @returns {boolean} True if the layer can draw
      */
-    setupGeometry() {
-        // Create empty geometry - will be populated later
-        this.geometry = new THREE.BufferGeometry();
-        this.particlesGroup = new THREE.Group();
-        this.scene.add(this.particlesGroup);
+    initializeGL() {
+        const gl = this.gl;
+        
+        this.instancing = getInstancing(gl);
+        if (!this.instancing) {
+            console.error('[LakeRenderer] Instanced drawing is not supported');
+            return false;
+        }
+        
+        this.program = createProgram(gl, vertexShader, fragmentShader, 'LakeRenderer');
+        if (!this.program) return false;
+        
+        this.attributes = {
+            corner: gl.getAttribLocation(this.program, 'a_corner'),
+            position: gl.getAttribLocation(this.program, 'a_position'),
+            opacity: gl.getAttribLocation(this.program, 'a_opacity'),
+            visible: gl.getAttribLocation(this.program, 'a_visible'),
+            system: gl.getAttribLocation(this.program, 'a_system'),
+            color: gl.getAttribLocation(this.program, 'a_color'),
+            size: gl.getAttribLocation(this.program, 'a_size')
+        };
+        
+        this.uniforms = {
+            matrix: gl.getUniformLocation(this.program, 'u_matrix'),
+            viewport: gl.getUniformLocation(this.program, 'u_viewport'),
+            sizeScale: gl.getUniformLocation(this.program, 'u_sizeScale'),
+            origin: gl.getUniformLocation(this.program, 'u_origin'),
+            exaggeration: gl.getUniformLocation(this.program, 'u_exaggeration'),
+            surfaceOffset: gl.getUniformLocation(this.program, 'u_surfaceOffset'),
+            systemOpacity: gl.getUniformLocation(this.program, 'u_systemOpacity'),
+            glow: gl.getUniformLocation(this.program, 'u_glow')
+        };
+        
+        this.quadBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, QUAD_CORNERS, gl.STATIC_DRAW);
+        
+        return true;
     }
     
     /**
-     * Register a particle system with the renderer
+     * Register a particle system with the renderer, giving it the index its particles'
+     * slots carry so the shader can apply the system's opacity
      * @param {ParticleSystem} system - Particle system to register
      */
     registerSystem(system) {
+        const used = new Set([...this.systems].map(s => s.rendererIndex));
+        let index = 1;
+        while (used.has(index)) index++;
+        
+        if (index < MAX_SYSTEMS) {
+            system.rendererIndex = index;
+        } else {
+            console.warn(`[LakeRenderer] More than ${MAX_SYSTEMS - 1} systems, ${system.lakeId} will not fade`);
+        }
+        
         this.systems.add(system);
         console.log(`[LakeRenderer] System registered: ${system.lakeId}`);
+        
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
     }
     
     /**
-     * Unregister a particle system
+     * Unregister a particle system, dropping GPU buffers for stores no system uses
      * @param {ParticleSystem} system - Particle system to unregister
      */
     unregisterSystem(system) {
         this.systems.delete(system);
+        
+        const inUse = new Set([...this.systems].map(s => s.store));
+        this.storeBuffers.forEach((buffers, store) => {
+            if (!inUse.has(store)) {
+                this.deleteStoreBuffers(buffers);
+                this.storeBuffers.delete(store);
+            }
+        });
     }
     
     /**
-     * Render all registered particle systems
+     * Apply quality settings
+     * @param {string} level - Quality level name
+     * @param {Object} settings - Quality preset (see QUALITY_PRESETS)
      */
-    render() {
-        // Skip if no systems or scene isn't set up
-        if (this.systems.size === 0 || !this.scene || !this.camera) return;
-        
-        // Collect all particles from active systems for batched rendering
-        this.updateParticleBuffers();
-        
-        // Render the scene
-        this.renderer.render(this.scene, this.camera);
+    setQualityLevel(level, settings) {
+        this.glow = settings.glowEffects ? 1 : 0;
+        this.setRenderScale(settings.renderScale);
+    }
+    
+    /**
+     * Scale particle sprites. Particles draw into the map's framebuffer, so
+     * sprite size is the fill cost this renderer controls.
+     * @param {number} scale - Render scale from the quality preset
+     */
+    setRenderScale(scale) {
+        this.renderScale = Number.isFinite(scale) && scale > 0 ? scale : 1;
     }
     
     /**
-     * Update particle buffers with current data
+     * Render all registered particle systems
+     * @param {WebGLRenderingContext} gl - The map's GL context
+     * @param {Object} options - MapLibre render input
      */
-    updateParticleBuffers() {
-        let totalParticles = 0;
+    render(gl, options) {
+        if (!this.active || this.initFailed || this.systems.size === 0) return;
         
-        // Count total active particles
+        if (!this.program && !this.initializeGL()) {
+            console.error('[LakeRenderer] Shader setup failed, particles disabled');
+            this.initFailed = true;
+            return;
+        }
+        
+        // Systems share a store, so draw each store with a visible system once
+        const stores = new Set();
+        this.systemOpacity.fill(1);
         this.systems.forEach(system => {
-            if (system.active) {
-                totalParticles += system.particles.length;
+            if (system.visible && system.store) {
+                stores.add(system.store);
+            }
+            if (system.rendererIndex > 0) {
+                this.systemOpacity[system.rendererIndex] = system.opacity;
             }
         });
+        if (stores.size === 0) return;
         
-        if (totalParticles === 0) return;
+        // The shader works relative to the map center to keep float precision; the origin is
+        // rounded as the shader sees it so the matrix translation matches
+        const center = this.map.getCenter();
+        const originLng = Math.fround(center.lng);
+        const originLat = Math.fround(center.lat);
+        const origin = lngLatToMercator(originLng, originLat);
         
-        // Create or resize buffers if needed
-        this.createBuffersIfNeeded(totalParticles);
+        gl.useProgram(this.program);
         
-        // Update particle data
-        let index = 0;
+        // Draw with the default vertex array so MapLibre's own bindings are untouched
+        bindDefaultVertexArray(gl);
         
-        this.systems.forEach(system => {
-            if (!system.active) return;
+        // Test against the terrain without writing depth, so additive sprites don't cut into each other
+        const exaggeration = getTerrainExaggeration(this.map);
+        if (exaggeration > 0) {
+            gl.enable(gl.DEPTH_TEST);
+            gl.depthFunc(gl.LEQUAL);
+            gl.depthMask(false);
+        } else {
+            gl.disable(gl.DEPTH_TEST);
+        }
+        gl.disable(gl.STENCIL_TEST);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        
+        const matrix = options.defaultProjectionData.mainMatrix;
+        gl.uniformMatrix4fv(this.uniforms.matrix, false, translateMatrix(matrix, origin.x, origin.y));
+        gl.uniform2f(this.uniforms.viewport, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.uniform1f(this.uniforms.sizeScale, BASE_POINT_SIZE * this.renderScale * window.devicePixelRatio);
+        gl.uniform2f(this.uniforms.origin, originLng, originLat);
+        gl.uniform1f(this.uniforms.exaggeration, exaggeration);
+        gl.uniform1f(this.uniforms.surfaceOffset, TERRAIN_CONFIG.surfaceOffset);
+        gl.uniform1fv(this.uniforms.systemOpacity, this.systemOpacity);
+        gl.uniform1f(this.uniforms.glow, this.glow);
+        
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quadBuffer);
+        gl.enableVertexAttribArray(this.attributes.corner);
+        gl.vertexAttribPointer(this.attributes.corner, 2, gl.FLOAT, false, 0, 0);
+        
+        stores.forEach(store => this.drawStore(gl, store));
+        
+        gl.disableVertexAttribArray(this.attributes.corner);
+        
+        // Particles move every frame, unless they are frozen for reduced motion
+        if (!StateManager.prefersReducedMotion()) {
+            this.map.triggerRepaint();
+        }
+    }
+    
+    /**
+     * Upload a store's changed data and draw its slots as instanced quads
+     * @param {WebGLRenderingContext} gl - The map's GL context
+     * @param {ParticleStore} store - Particle store
+     */
+    drawStore(gl, store) {
+        // Every slot up to the high-water mark is drawn; the shader skips hidden ones
+        const count = store.count;
+        if (count === 0) return;
+        
+        const buffers = this.getStoreBuffers(store);
+        
+        // Only the slots written since the last frame, per attribute group
+        Object.entries(STORE_ATTRIBUTES).forEach(([group, attributes]) => {
+            const dirty = store.takeDirtyRange(group);
+            if (!dirty) return;
             
-            // Copy particle data to buffers
-            system.particles.forEach(particle => {
-                // Convert from geographic to clip space coordinates
-                const screenCoords = particle.getScreenCoordinates();
-                
-                // Position
-                this.positions[index * 3] = (screenCoords.x / this.canvas.width) * 2 - 1;
-                this.positions[index * 3 + 1] = -((screenCoords.y / this.canvas.height) * 2 - 1);
-                this.positions[index * 3 + 2] = 0;
-                
-                // Size
-                this.sizes[index] = particle.size * window.devicePixelRatio;
-                
-                // Color
-                const color = this.parseColor(particle.color);
-                this.colors[index * 3] = color.r;
-                this.colors[index * 3 + 1] = color.g;
-                this.colors[index * 3 + 2] = color.b;
-                
-                // Opacity
-                this.opacities[index] = particle.opacity;
-                
-                index++;
+            attributes.forEach(([name, array, components]) => {
+                const data = store[array];
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffers[name]);
+                gl.bufferSubData(gl.ARRAY_BUFFER, dirty.start * components * data.BYTES_PER_ELEMENT,
+                    data.subarray(dirty.start * components, dirty.end * components));
             });
         });
         
-        // Update geometry with new data
-        this.geometry.setAttribute('position', new THREE.BufferAttribute(this.positions, 3));
-        this.geometry.setAttribute('customColor', new THREE.BufferAttribute(this.colors, 3));
-        this.geometry.setAttribute('size', new THREE.BufferAttribute(this.sizes, 1));
-        this.geometry.setAttribute('opacity', new THREE.BufferAttribute(this.opacities, 1));
+        const attributes = Object.values(STORE_ATTRIBUTES).flat().map(([name, array, components]) =>
+            [buffers[name], this.attributes[name], components, store[array] instanceof Uint8Array ? gl.UNSIGNED_BYTE : gl.FLOAT]);
         
-        // Update particle points
-        if (!this.particles) {
-            this.particles = new THREE.Points(this.geometry, this.shaderMaterial);
-            this.particlesGroup.add(this.particles);
-        } else {
-            this.particles.geometry = this.geometry;
-        }
+        attributes.forEach(([buffer, location, size, type]) => {
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, type, false, 0, 0);
+            this.instancing.vertexAttribDivisor(location, 1);
+        });
         
-        // Set draw range
-        this.geometry.setDrawRange(0, totalParticles);
+        this.instancing.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+        
+        // Leave the default vertex array as MapLibre expects it
+        attributes.forEach(([, location]) => {
+            this.instancing.vertexAttribDivisor(location, 0);
+            gl.disableVertexAttribArray(location);
+        });
     }
     
     /**
-     * Create particle buffers if they don't exist or need resizing
-     * @param {number} totalParticles - Total number of particles
+     * Get the GPU buffers for a store, (re)creating them when the store has grown
+     * @param {ParticleStore} store - Particle store
+     * @returns {Object} A buffer per shader attribute, by name
      */
-    createBuffersIfNeeded(totalParticles) {
-        if (!this.positions || this.positions.length < totalParticles * 3) {
-            // Create position buffer (xyz * totalParticles)
-            this.positions = new Float32Array(totalParticles * 3);
-            this.colors = new Float32Array(totalParticles * 3);
-            this.sizes = new Float32Array(totalParticles);
-            this.opacities = new Float32Array(totalParticles);
+    getStoreBuffers(store) {
+        let buffers = this.storeBuffers.get(store);
+        if (buffers && buffers.version === store.version) return buffers;
+        
+        const gl = this.gl;
+        if (buffers) {
+            this.deleteStoreBuffers(buffers);
         }
+        
+        // Fresh buffers get every slot's data, so pending changes are covered
+        buffers = { version: store.version };
+        Object.values(STORE_ATTRIBUTES).flat().forEach(([name, array]) => {
+            buffers[name] = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffers[name]);
+            gl.bufferData(gl.ARRAY_BUFFER, store[array], gl.DYNAMIC_DRAW);
+        });
+        store.resetDirtyRange();
+        
+        this.storeBuffers.set(store, buffers);
+        
+        console.log(`[LakeRenderer] Allocated GPU buffers for ${store.capacity} particles`);
+        return buffers;
     }
     
     /**
-     * Parse color string to RGB components
-     * @param {string} colorStr - Color string (#RRGGBB)
-     * @returns {Object} RGB color components
+     * Delete a store's GPU buffers
+     * @param {Object} buffers - Buffers from getStoreBuffers
      */
-    parseColor(colorStr) {
-        const result = { r: 1, g: 1, b: 1 };
+    deleteStoreBuffers(buffers) {
+        if (!this.gl) return;
         
-        if (!colorStr) return result;
-        
-        if (colorStr.startsWith('#')) {
-            const hex = parseInt(colorStr.slice(1), 16);
-            result.r = ((hex >> 16) & 255) / 255;
-            result.g = ((hex >> 8) & 255) / 255;
-            result.b = (hex & 255) / 255;
-        }
-        
-        return result;
+        Object.values(STORE_ATTRIBUTES).flat().forEach(([name]) => this.gl.deleteBuffer(buffers[name]));
     }
     
     /**
-     * Resize the renderer when canvas size changes
+     * Called by MapLibre when the layer is removed from the map
      */
-    resize() {
-        const width = this.canvas.clientWidth;
-        const height = this.canvas.clientHeight;
-        
-        if (this.canvas.width !== width || this.canvas.height !== height) {
-            this.renderer.setSize(width, height, false);
-            this.camera.aspect = width / height;
-            this.camera.updateProjectionMatrix();
-        }
+    onRemove() {
+        this.dispose();
     }
     
     /**
@@ -278,59 +440,30 @@ export class LakeRenderer {
     dispose() {
         this.systems.clear();
         
-        if (this.geometry) {
-            this.geometry.dispose();
-        }
-        
-        if (this.shaderMaterial) {
-            this.shaderMaterial.dispose();
-        }
-        
-        if (this.particles) {
-            this.particlesGroup.remove(this.particles);
-            this.particles = null;
+        if (this.gl) {
+            this.storeBuffers.forEach(buffers => this.deleteStoreBuffers(buffers));
+            this.gl.deleteBuffer(this.quadBuffer);
+            this.gl.deleteProgram(this.program);
+            this.gl = null;
+            this.program = null;
         }
         
-        if (this.renderer) {
-            this.renderer.dispose();
-        }
+        this.storeBuffers.clear();
+        this.map = null;
         
         console.log('[LakeRenderer] Disposed');
     }
+}
 
-    /**
-     * Initialize shaders
-     */
-    initShaders() {
-        const gl = this.gl;
-        
-        // Create shader program
-        this.program = gl.createProgram();
-        
-        // Compile vertex shader
-        const vertexShaderObj = this.compileShader(gl.VERTEX_SHADER, vertexShader);
-        gl.attachShader(this.program, vertexShaderObj);
-        
-        // Compile fragment shader
-        const fragmentShaderObj = this.compileShader(gl.FRAGMENT_SHADER, fragmentShader);
-        gl.attachShader(this.program, fragmentShaderObj);
-        
-        // Link program
-        gl.linkProgram(this.program);
-        
-        if (!gl.getProgramParameter(this.program, gl.LINK_STATUS)) {
-            console.error('Failed to link program:', gl.getProgramInfoLog(this.program));
-            return null;
-        }
-        
-        // Get attribute locations
-        this.attributes = {
-            position: gl.getAttribLocation(this.program, 'position'),
-            customColor: gl.getAttribLocation(this.program, 'customColor'),
-            size: gl.getAttribLocation(this.program, 'size'),
-            opacity: gl.getAttribLocation(this.program, 'opacity')
-        };
-        
-        return this.program;
-    }
-}
\ No newline at end of file
+/**
+ * Convert longitude/latitude to MapLibre mercator coordinates (0-1 across the world)
+ * @param {number} lng - Longitude
+ * @param {number} lat - Latitude
+ * @returns {Object} Mercator {x, y}
+ */
+function lngLatToMercator(lng, lat) {
+    return {
+        x: (180 + lng) / 360,
+        y: (180 - (180 / Math.PI) * Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360))) / 360
+    };
+}
@@ -0,0 +1,241 @@
+import { StateManager } from '../stateManager.js';
+import { getLakeConfigType } from '../models/lakes.js';
+import { fuzzyScore } from '../utils/fuzzyMatch.js';
+import { setLocalizedText } from './LocaleController.js';
+
+// Relative weight of each searchable lake field
+const SEARCH_FIELDS = {
+    title: 3,
+    historicalName: 2.5,
+    location: 1.5,
+    region: 1.5,
+    description: 1
+};
+
+/**
+ * LakeSearchController adds a search box and type/region filters above the
+ * lake sections. Lakes that don't match have their section and map marker
+ * hidden; the remaining sections are ordered by how well they match.
+ */
+export class LakeSearchController {
+    /**
+     * Create a lake search panel
+     * @param {HTMLElement} container - Element holding the lake sections (#features)
+     * @param {Object} lakes - Lakes keyed by ID
+     */
+    constructor(container, lakes) {
+        this.container = container;
+        this.lakes = lakes;
+        this.query = '';
+        this.filters = { type: '', region: '' };
+        this.visible = new Set(Object.keys(lakes));
+        
+        // Section order before any search, restored when the query is cleared
+        this.defaultOrder = Array.from(container.querySelectorAll('section')).map(section => section.id);
+        
+        this.element = this.createPanel();
+        this.container.prepend(this.element);
+        
+        console.log('[LakeSearchController] Initialized');
+    }
+    
+    /**
+     * Build the search box, facet selects and result count
+     * @returns {HTMLElement} Panel element
+     */
+    createPanel() {
+        const panel = document.createElement('form');
+        panel.className = 'lake-search';
+        panel.setAttribute('role', 'search');
+        panel.addEventListener('submit', e => e.preventDefault());
+        
+        this.input = document.createElement('input');
+        this.input.type = 'search';
+        this.input.placeholder = 'Search lakes';
+        this.input.setAttribute('aria-label', 'Search lakes by name, history, location or description');
+        this.input.addEventListener('input', () => this.setQuery(this.input.value));
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.input.value = '';
+                this.setQuery('');
+                this.input.blur();
+            }
+        });
+        
+        const types = uniqueSorted(Object.values(this.lakes).map(lake => getLakeConfigType(lake.type)));
+        const regions = uniqueSorted(Object.values(this.lakes).map(getLakeRegion));
+        
+        this.typeSelect = createSelect('Lake type', 'All types', types, value => this.setFilter('type', value));
+        this.regionSelect = createSelect('Region', 'All regions', regions, value => this.setFilter('region', value));
+        
+        this.status = document.createElement('p');
+        this.status.className = 'lake-search-status';
+        this.status.setAttribute('aria-live', 'polite');
+        
+        panel.append(this.input, this.typeSelect, this.regionSelect, this.status);
+        return panel;
+    }
+    
+    /**
+     * Search for lakes
+     * @param {string} query - Free text
+     */
+    setQuery(query) {
+        this.query = query.trim();
+        this.apply();
+    }
+    
+    /**
+     * Restrict results to one facet value
+     * @param {string} facet - 'type' or 'region'
+     * @param {string} value - Facet value, or '' for all
+     */
+    setFilter(facet, value) {
+        if (!(facet in this.filters)) {
+            console.warn(`[LakeSearchController] Unknown filter "${facet}"`);
+            return;
+        }
+        
+        this.filters[facet] = value;
+        this.apply();
+    }
+    
+    /**
+     * Score every lake against the query and filters
+     * @returns {Map<string, number>} Matching lake IDs to scores
+     */
+    getMatches() {
+        const matches = new Map();
+        
+        Object.entries(this.lakes).forEach(([lakeId, lake]) => {
+            if (this.filters.type && getLakeConfigType(lake.type) !== this.filters.type) return;
+            if (this.filters.region && getLakeRegion(lake) !== this.filters.region) return;
+            
+            // Match the lake's English text and, if different, its text in the current language
+            const localized = StateManager.localeController.localizeLake(lakeId, lake);
+            const fields = Object.entries(SEARCH_FIELDS).flatMap(([field, weight]) => [
+                { text: lake[field], weight },
+                { text: localized[field] !== lake[field] ? localized[field] : null, weight }
+            ]);
+            const score = fuzzyScore(this.query, fields);
+            
+            if (score > 0) {
+                matches.set(lakeId, score);
+            }
+        });
+        
+        return matches;
+    }
+    
+    /**
+     * Show matching sections and markers, best match first, and hide the rest
+     */
+    apply() {
+        const matches = this.getMatches();
+        this.visible = new Set(matches.keys());
+        
+        // Best match first while searching; stable sort keeps the default order for ties
+        const order = this.query
+            ? [...this.defaultOrder].sort((a, b) => (matches.get(b) || 0) - (matches.get(a) || 0))
+            : this.defaultOrder;
+        
+        order.forEach(lakeId => {
+            const section = document.getElementById(lakeId);
+            if (section) {
+                section.hidden = !this.visible.has(lakeId);
+                this.container.appendChild(section);
+            }
+        });
+        
+        if (StateManager.lakeMarkers) {
+            StateManager.lakeMarkers.setVisibleLakes(this.visible);
+        }
+        
+        // A hidden section can't hold the lake list's tab stop
+        if (StateManager.accessibility) {
+            StateManager.accessibility.syncTabStops();
+        }
+        
+        // Shown in the current language, which apply() is called again for when it changes
+        const i18n = StateManager.localeController;
+        const total = Object.keys(this.lakes).length;
+        const status = this.visible.size === 0 ? i18n.translate('search.noMatches')
+            : this.visible.size === total ? { text: '', lang: i18n.locale }
+            : i18n.translate('search.matchCount', { shown: this.visible.size, total });
+        setLocalizedText(this.status, status.text, status.lang);
+    }
+    
+    /**
+     * Check whether a lake is currently shown
+     * @param {string} lakeId - ID of the lake
+     * @returns {boolean} True if it matches the search and filters
+     */
+    isVisible(lakeId) {
+        return this.visible.has(lakeId);
+    }
+    
+    /**
+     * Put the cursor in the search box
+     */
+    focus() {
+        this.input.focus();
+        this.input.select();
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        // Show everything again
+        this.query = '';
+        this.filters = { type: '', region: '' };
+        this.apply();
+        
+        this.element.remove();
+        this.element = null;
+        this.container = null;
+        
+        console.log('[LakeSearchController] Disposed');
+    }
+}
+
+/**
+ * Region a lake belongs to, from its region field or the last part of its location
+ * @param {Object} lake - Lake data
+ * @returns {string} Region name
+ */
+export function getLakeRegion(lake) {
+    return lake.region || String(lake.location || '').split(',').pop().trim();
+}
+
+/**
+ * Distinct non-empty values in alphabetical order
+ * @param {Array<string>} values - Values
+ * @returns {Array<string>} Sorted unique values
+ */
+function uniqueSorted(values) {
+    return [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Build a labelled facet select
+ * @param {string} label - Accessible name
+ * @param {string} allLabel - Text of the "no filter" option
+ * @param {Array<string>} values - Facet values
+ * @param {Function} onChange - Called with the selected value
+ * @returns {HTMLSelectElement} Select element
+ */
+function createSelect(label, allLabel, values, onChange) {
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', label);
+    
+    [['', allLabel], ...values.map(value => [value, value])].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+    });
+    
+    select.addEventListener('change', () => onChange(select.value));
+    return select;
+}
\ No newline at end of file
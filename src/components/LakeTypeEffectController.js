@@ -162,7 +162,7 @@ export class LakeTypeEffectController {
                 
                 // Randomize particle size within range based on quality
                 const [minSize, maxSize] = settings.particleSize;
-                particle.size = minSize + Math.random() * (maxSize - minSize) * qualityFactor;
+                particle.size = minSize + lakeSystem.random.next() * (maxSize - minSize) * qualityFactor;
                 
                 // Apply other visual properties
                 if (particle.setEffectStrength) {
@@ -218,8 +218,8 @@ export class LakeTypeEffectController {
             // Add gentle wave motion
             particle.addBehavior('wave', {
                 amplitude: 0.5,
-                frequency: 0.3 + Math.random() * 0.2,
-                phase: Math.random() * Math.PI * 2
+                frequency: 0.3 + system.random.next() * 0.2,
+                phase: system.random.next() * Math.PI * 2
             });
             
             // Add reflection effect
@@ -241,7 +241,7 @@ export class LakeTypeEffectController {
             });
             
             // Add salt-specific visual properties
-            particle.opacity = 0.8 + Math.random() * 0.2;
+            particle.opacity = 0.8 + lakeSystem.random.next() * 0.2;
             particle.isSaltParticle = true;
         });
     }
@@ -253,7 +253,7 @@ export class LakeTypeEffectController {
         
         lakeSystem.particles.forEach(particle => {
             // Brackish water has a mix of properties
-            const isSaltDominant = Math.random() < 0.4;
+            const isSaltDominant = lakeSystem.random.next() < 0.4;
             
             if (isSaltDominant) {
                 particle.addBehavior('crystallize', {
@@ -261,14 +261,14 @@ export class LakeTypeEffectController {
                     duration: 2000,
                     maxSize: 1.8
                 });
-                particle.opacity = 0.75 + Math.random() * 0.15;
+                particle.opacity = 0.75 + lakeSystem.random.next() * 0.15;
             } else {
                 particle.addBehavior('wave', {
                     amplitude: 0.3,
-                    frequency: 0.2 + Math.random() * 0.2,
-                    phase: Math.random() * Math.PI * 2
+                    frequency: 0.2 + lakeSystem.random.next() * 0.2,
+                    phase: lakeSystem.random.next() * Math.PI * 2
                 });
-                particle.reflective = Math.random() < 0.7;
+                particle.reflective = lakeSystem.random.next() < 0.7;
             }
         });
     }
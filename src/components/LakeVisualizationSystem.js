@@ -2,7 +2,6 @@ import { StateManager } from '../stateManager.js';
 import { PERFORMANCE_THRESHOLDS, QUALITY_PRESETS } from '../config/constants.js';
 import { getLakeConfigType } from '../models/lakes.js';
 import { ParticleSystem } from './ParticleSystem.js';
-import { LakeRenderer } from './LakeRenderer.js';
 
 /**
  * LakeVisualizationSystem manages the visualization of lakes
@@ -50,7 +49,7 @@ export class LakeVisualizationSystem {
         this.perfMonitor = StateManager.perfMonitor;
         
         // Update performance display periodically
-        setInterval(() => this.adaptQualityBasedOnPerformance(), 5000);
+        this.performanceInterval = setInterval(() => this.adaptQualityBasedOnPerformance(), 5000);
     }
     
     adaptQualityBasedOnPerformance() {
@@ -100,8 +99,8 @@ export class LakeVisualizationSystem {
             
             // If we need to reduce particles
             if (system.particles && system.particles.length > targetCount) {
-                // Remove excess particles
-                system.particles.splice(targetCount, system.particles.length - targetCount);
+                // Remove excess particles, returning them to the pool
+                system.trimParticles(targetCount);
             }
             
             // Update rendering settings
@@ -179,7 +178,7 @@ export class LakeVisualizationSystem {
         let particleCount = Math.floor(QUALITY_PRESETS[this.currentQuality].maxParticles * quality.particleMultiplier);
         
         // Create particle system
-        const renderer = new LakeRenderer(document.createElement('canvas'));
+        const renderer = StateManager.mapIntegrator?.lakeRenderer || null;
         const system = new ParticleSystem(StateManager.map, lakeName, lake, renderer);
         
         // Set quality-specific options if available
@@ -231,4 +230,13 @@ export class LakeVisualizationSystem {
         console.log(`[LakeVisualization] Quality level manually set to ${level}`);
         return true;
     }
+    
+    // Stop monitoring performance and remove the visualization containers
+    dispose() {
+        clearInterval(this.performanceInterval);
+        
+        for (const lakeName of [...this.activeVisualizations.keys()]) {
+            this.removeVisualization(lakeName);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,277 @@
+import { StateManager } from '../stateManager.js';
+import { LOCALES } from '../config/constants.js';
+import { getLakeConfigType } from '../models/lakes.js';
+
+// English interface text; bundles translate these keys under "ui"
+const UI_STRINGS = {
+    'lake.type': 'Type',
+    'lake.location': 'Location',
+    'lake.elevation': 'Elevation',
+    'lake.historicalContext': 'Historical Context',
+    'coin.title': 'Sacred Lakes',
+    'coin.description': 'Explore the sacred lakes of the Indian Subcontinent',
+    'markers.clusterTitle': '{count} lakes',
+    'markers.clusterMore': 'and {count} more',
+    'search.noMatches': 'No lakes match',
+    'search.matchCount': '{shown} of {total} lakes',
+    'settings.title': 'Settings',
+    'settings.motion': 'Motion',
+    'settings.motion.system': 'Match device setting',
+    'settings.motion.reduce': 'Reduced',
+    'settings.motion.full': 'Full',
+    'settings.language': 'Language',
+    'settings.date': 'Date',
+    'settings.solarTime': 'Solar time',
+    'settings.now': 'Now',
+    'offline.download': 'Download for offline',
+    'offline.remove': 'Remove offline copy',
+    'offline.downloading': 'Downloading... {percent}%'
+};
+
+// Lake fields a bundle can translate
+const LAKE_FIELDS = ['title', 'location', 'description', 'historicalName', 'historicalContext'];
+
+/**
+ * LocaleController holds the interface language. English text comes from the
+ * lake data and UI_STRINGS; other languages are loaded from translation
+ * bundles (public/data/i18n/<code>.json) holding interface strings, lake type
+ * names and per-lake fields. Lookups fall back to English for anything a
+ * bundle doesn't translate, and report which language the text is in so it
+ * can be marked up for fonts and screen readers.
+ */
+export class LocaleController {
+    constructor() {
+        this.locale = LOCALES.default;
+        this.bundles = new Map();
+        
+        console.log('[LocaleController] Initialized');
+    }
+    
+    /**
+     * Languages for the language switcher
+     * @returns {Array<Array<string>>} [code, name] pairs
+     */
+    static getAvailableLocales() {
+        return Object.entries(LOCALES.available).map(([code, { name }]) => [code, name]);
+    }
+    
+    /**
+     * Pick the first supported language from a preference list
+     * @param {Array<string>} languages - BCP 47 tags, e.g. navigator.languages
+     * @returns {string} Locale code
+     */
+    static matchLocale(languages = []) {
+        for (const tag of languages) {
+            const code = String(tag).toLowerCase().split('-')[0];
+            if (LOCALES.available[code]) return code;
+        }
+        return LOCALES.default;
+    }
+    
+    /**
+     * Start in the saved language, or the browser's if it is supported
+     * @returns {Promise<string>} Locale in use
+     */
+    async init() {
+        const saved = StateManager.loadSettings().locale;
+        const locale = LOCALES.available[saved] ? saved : LocaleController.matchLocale(navigator.languages);
+        
+        if (locale !== this.locale) {
+            await this.setLocale(locale, { save: false });
+        }
+        
+        return this.locale;
+    }
+    
+    /**
+     * Switch language, loading its bundle first. If the bundle can't be
+     * loaded the current language is kept.
+     * @param {string} locale - Locale code
+     * @param {Object} options - {save: remember the choice (default true)}
+     * @returns {Promise<boolean>} True if the language changed
+     */
+    async setLocale(locale, { save = true } = {}) {
+        if (!LOCALES.available[locale]) {
+            console.warn(`[LocaleController] Unsupported locale "${locale}"`);
+            return false;
+        }
+        
+        try {
+            await this.loadBundle(locale);
+        } catch (error) {
+            console.error(`[LocaleController] Failed to load ${locale} translations:`, error);
+            return false;
+        }
+        
+        if (save) {
+            StateManager.saveSetting('locale', locale);
+        }
+        
+        if (locale === this.locale) return false;
+        
+        const previous = this.locale;
+        this.locale = locale;
+        StateManager.dispatchEvent('localeChanged', { previous, current: locale });
+        
+        console.log(`[LocaleController] Language set to ${locale}`);
+        return true;
+    }
+    
+    /**
+     * Fetch a language's translation bundle once
+     * @param {string} locale - Locale code
+     * @returns {Promise<Object|null>} Bundle, or null for the default language
+     */
+    async loadBundle(locale) {
+        if (locale === LOCALES.default) return null;
+        if (this.bundles.has(locale)) return this.bundles.get(locale);
+        
+        const url = `${LOCALES.path}/${locale}.json`;
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`[LocaleController] Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        const bundle = await response.json();
+        this.bundles.set(locale, {
+            ui: bundle.ui || {},
+            types: bundle.types || {},
+            lakes: bundle.lakes || {}
+        });
+        
+        return this.bundles.get(locale);
+    }
+    
+    /**
+     * Bundle of the current language
+     * @returns {Object|null} Bundle, or null when showing English
+     */
+    getBundle() {
+        return this.bundles.get(this.locale) || null;
+    }
+    
+    /**
+     * Text direction of the current language
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    getDirection() {
+        return LOCALES.available[this.locale].dir || 'ltr';
+    }
+    
+    /**
+     * Interface text
+     * @param {string} key - Key into UI_STRINGS
+     * @param {Object} values - Values for the text's {name} placeholders; numbers are written in the text's language
+     * @returns {Object} {text, lang}
+     */
+    translate(key, values = {}) {
+        const bundled = this.getBundle()?.ui[key];
+        const lang = bundled ? this.locale : LOCALES.default;
+        const template = bundled || (UI_STRINGS[key] ?? key);
+        
+        const text = template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in values)) return placeholder;
+            
+            const value = values[name];
+            return typeof value === 'number' ?
+                new Intl.NumberFormat(LOCALES.available[lang].numberLocale).format(value) : value;
+        });
+        
+        return { text, lang };
+    }
+    
+    /**
+     * A lake's name, description or other text field
+     * @param {string} lakeId - ID of the lake
+     * @param {Object} lake - Lake data, providing the English text
+     * @param {string} field - One of LAKE_FIELDS
+     * @returns {Object} {text, lang}; text is undefined if the lake has no such field
+     */
+    translateLakeField(lakeId, lake, field) {
+        const text = LAKE_FIELDS.includes(field) ? this.getBundle()?.lakes[lakeId]?.[field] : null;
+        return text ? { text, lang: this.locale } : { text: lake[field], lang: LOCALES.default };
+    }
+    
+    /**
+     * A lake type, translated as written or as the lake type it maps to
+     * @param {string} type - Lake type, e.g. 'Sacred Lake'
+     * @returns {Object} {text, lang}
+     */
+    translateLakeType(type) {
+        if (!type) return { text: '', lang: LOCALES.default };
+        
+        const types = this.getBundle()?.types || {};
+        const text = types[type] || types[getLakeConfigType(type)];
+        return text ? { text, lang: this.locale } : { text: type, lang: LOCALES.default };
+    }
+    
+    /**
+     * Copy of a lake with its text fields in the current language
+     * @param {string} lakeId - ID of the lake
+     * @param {Object} lake - Lake data
+     * @returns {Object} Localised lake
+     */
+    localizeLake(lakeId, lake) {
+        const localized = { ...lake, type: this.translateLakeType(lake.type).text };
+        
+        LAKE_FIELDS.forEach(field => {
+            const { text } = this.translateLakeField(lakeId, lake, field);
+            if (text !== undefined) {
+                localized[field] = text;
+            }
+        });
+        
+        return localized;
+    }
+    
+    /**
+     * Format a number with the current language's digits and grouping
+     * @param {number} value - Number
+     * @param {Object} options - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(LOCALES.available[this.locale].numberLocale, options).format(value);
+    }
+    
+    /**
+     * Format a lake elevation
+     * @param {number} metres - Metres above sea level
+     * @returns {string} E.g. "4,590 m"
+     */
+    formatElevation(metres) {
+        return this.formatNumber(metres, { style: 'unit', unit: 'meter', maximumFractionDigits: 0 });
+    }
+    
+    /**
+     * Format a date in the current language
+     * @param {Date} date - Date
+     * @param {Object} options - Intl.DateTimeFormat options (the time zone defaults to UTC)
+     * @returns {string} Formatted date
+     */
+    formatDate(date, options = {}) {
+        return new Intl.DateTimeFormat(LOCALES.available[this.locale].numberLocale, { timeZone: 'UTC', ...options }).format(date);
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.bundles.clear();
+        
+        console.log('[LocaleController] Disposed');
+    }
+}
+
+/**
+ * Set an element's text and mark its language and direction
+ * @param {HTMLElement} element - Element to fill
+ * @param {string} text - Text
+ * @param {string} lang - Locale code the text is in
+ */
+export function setLocalizedText(element, text, lang) {
+    element.textContent = text ?? '';
+    element.lang = lang;
+    element.dir = LOCALES.available[lang]?.dir || 'ltr';
+}
\ No newline at end of file
@@ -1,15 +1,20 @@
+import { LakeRenderer } from './LakeRenderer.js';
+import { TERRAIN_CONFIG } from '../config/constants.js';
+
 /**
  * MapIntegrator class for integrating map with particle systems
- * Handles viewport state and canvas management
+ * Handles viewport state and the particle layer drawn inside the map
  */
 export class MapIntegrator {
     /**
      * Create a new map integrator
      * @param {Object} map - The MapLibre GL map instance
+     * @param {Object} options - Integration options
+     * @param {string} options.beforeId - Layer to insert the particle layer beneath (e.g. the first label layer)
      */
-    constructor(map) {
+    constructor(map, options = {}) {
         this.map = map;
-        this.canvas = document.createElement('canvas');
+        this.lakeRenderer = null;
         this.viewport = {
             center: map.getCenter(),
             zoom: map.getZoom(),
@@ -20,23 +25,21 @@ export class MapIntegrator {
         };
         this.viewportListeners = [];
         
-        this.setupParticleCanvas();
+        this.setupParticleLayer(options.beforeId);
         this.setupViewportSync();
         
         console.log('[MapIntegrator] Initialized');
     }
     
     /**
-     * Setup the particle canvas overlay
+     * Add the shared particle renderer to the map as a custom layer
+     * @param {string} beforeId - Layer to insert beneath, or undefined for the top
      */
-    setupParticleCanvas() {
-        this.canvas.className = 'particle-overlay';
-        this.canvas.width = this.viewport.width;
-        this.canvas.height = this.viewport.height;
+    setupParticleLayer(beforeId) {
+        this.lakeRenderer = new LakeRenderer();
+        this.map.addLayer(this.lakeRenderer, beforeId);
         
-        document.body.appendChild(this.canvas);
-        
-        console.log('[MapIntegrator] Particle canvas created');
+        console.log('[MapIntegrator] Particle layer added');
     }
     
     /**
@@ -47,15 +50,22 @@ export class MapIntegrator {
         this.map.on('move', () => this.updateViewportState());
         
         // Update viewport on window resize
-        window.addEventListener('resize', () => {
-            this.updateParticleCanvas();
-            this.updateViewportState();
-        });
+        this.handleResize = () => this.updateViewportState();
+        window.addEventListener('resize', this.handleResize);
         
         // Add viewport change listeners
         this.map.on('move', () => this._notifyViewportListeners());
         this.map.on('zoom', () => this._notifyViewportListeners());
         
+        // Terrain moves screen positions without moving the camera: when it is
+        // switched on or off, and when DEM tiles under the view finish loading
+        this.map.on('terrain', () => this._notifyViewportListeners());
+        this.map.on('sourcedata', (e) => {
+            if (e.sourceId === TERRAIN_CONFIG.sourceId && e.isSourceLoaded) {
+                this._notifyViewportListeners();
+            }
+        });
+        
         console.log('[MapIntegrator] Viewport sync setup');
     }
     
@@ -107,27 +117,10 @@ export class MapIntegrator {
      * @param {Object} currentState - Current viewport state
      */
     onViewportChanged(prevState, currentState) {
-        // Update canvas size if needed
-        if (prevState.width !== currentState.width || prevState.height !== currentState.height) {
-            this.updateParticleCanvas();
-        }
-        
         // Notify listeners
         this.notifyViewportListeners(prevState, currentState);
     }
     
-    /**
-     * Update the particle canvas dimensions
-     */
-    updateParticleCanvas() {
-        const { width, height } = this.map.getContainer();
-        
-        this.canvas.width = width;
-        this.canvas.height = height;
-        
-        console.log(`[MapIntegrator] Canvas resized to ${width}x${height}`);
-    }
-    
     /**
      * Register a system to receive viewport change notifications
      * @param {function} listener - Callback function for viewport changes
@@ -148,7 +141,7 @@ export class MapIntegrator {
      * @param {function} listener - Callback function to remove
      */
     unregisterViewportListener(listener) {
-        this.viewportListeners.delete(listener);
+        this.viewportListeners = this.viewportListeners.filter(registered => registered !== listener);
     }
     
     /**
@@ -194,8 +187,19 @@ export class MapIntegrator {
      * Clean up resources
      */
     dispose() {
-        this.canvas.remove();
-        this.viewportListeners.clear();
+        window.removeEventListener('resize', this.handleResize);
+        
+        if (this.lakeRenderer) {
+            // Removing the layer makes MapLibre call the renderer's onRemove
+            if (this.map.getLayer(this.lakeRenderer.id)) {
+                this.map.removeLayer(this.lakeRenderer.id);
+            } else {
+                this.lakeRenderer.dispose();
+            }
+            this.lakeRenderer = null;
+        }
+        
+        this.viewportListeners = [];
         
         console.log('[MapIntegrator] Disposed');
     }
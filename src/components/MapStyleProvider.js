@@ -0,0 +1,214 @@
+import * as maplibregl from 'maplibre-gl';
+import { Protocol } from 'pmtiles';
+import { MAP_STYLE } from '../config/constants.js';
+
+// Registered once per page, however many providers are created
+let pmtilesProtocol = null;
+
+/**
+ * MapStyleProvider picks the basemap style the map starts with. The local
+ * style reads vector tiles from a PMTiles archive served next to it, so the
+ * app works with no network at all; an online style can be configured at build
+ * time and is used when it answers in time, from the network or, offline, from
+ * the service worker's cache.
+ *
+ * If neither loads, a plain background style is returned so the lakes, water
+ * surfaces and particles still draw.
+ */
+export class MapStyleProvider {
+    /**
+     * Create a style provider
+     * @param {string} localUrl - Location of the local style JSON
+     * @param {Object} options - Overrides for MAP_STYLE
+     */
+    constructor(localUrl, options = {}) {
+        this.localUrl = localUrl;
+        this.options = { ...MAP_STYLE, ...options };
+        this.source = null; // 'local', 'remote' or 'fallback' once resolved
+        
+        console.log('[MapStyleProvider] Initialized');
+    }
+    
+    /**
+     * Load the first usable style
+     * @returns {Promise<Object>} A MapLibre style object
+     */
+    async resolve() {
+        for (const source of this.getOrder()) {
+            try {
+                const style = source === 'remote' ? await this.loadRemote() : await this.loadLocal();
+                this.source = source;
+                console.log(`[MapStyleProvider] Using ${source} style "${style.name || 'unnamed'}"`);
+                return style;
+            } catch (error) {
+                console.warn(`[MapStyleProvider] ${source} style unavailable:`, error.message);
+            }
+        }
+        
+        this.source = 'fallback';
+        console.warn('[MapStyleProvider] Using plain background style');
+        return this.createFallbackStyle();
+    }
+    
+    /**
+     * Which styles to try, in order
+     * @returns {Array<string>} 'local' and/or 'remote'
+     */
+    getOrder() {
+        const { remote, prefer } = this.options;
+        
+        if (!remote) {
+            return ['local'];
+        }
+        
+        // Offline, the online style can only come from the service worker's cache
+        if (navigator.onLine === false) {
+            return ['local', 'remote'];
+        }
+        
+        return prefer === 'remote' ? ['remote', 'local'] : ['local', 'remote'];
+    }
+    
+    /**
+     * Fetch the online style
+     * @returns {Promise<Object>} Style object
+     */
+    async loadRemote() {
+        const { remote, remoteTimeout } = this.options;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), remoteTimeout);
+        
+        try {
+            return await fetchStyle(remote, { signal: controller.signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`[MapStyleProvider] ${remote} did not answer within ${remoteTimeout} ms`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Fetch the local style and point its sources at the bundled files
+     * @returns {Promise<Object>} Style object
+     */
+    async loadLocal() {
+        const base = new URL(this.localUrl, window.location.href);
+        const style = await fetchStyle(base.href);
+        
+        this.resolveUrls(style, base);
+        
+        // A style without its archive would show an empty map, so let the caller fall back
+        const archives = Object.values(style.sources)
+            .filter(source => typeof source.url === 'string' && source.url.startsWith('pmtiles://'))
+            .map(source => source.url.slice('pmtiles://'.length));
+        
+        if (archives.length > 0) {
+            await Promise.all(archives.map(checkArchive));
+            registerPmtilesProtocol();
+        }
+        
+        return style;
+    }
+    
+    /**
+     * Make relative source, sprite and glyph URLs absolute, relative to the style file
+     * @param {Object} style - Style object, changed in place
+     * @param {URL} base - Location of the style file
+     */
+    resolveUrls(style, base) {
+        // Keep {z}/{x}/{y} and {fontstack}/{range} placeholders unescaped
+        const resolve = url => decodeURI(new URL(url, base).href);
+        
+        Object.values(style.sources).forEach(source => {
+            if (typeof source.url === 'string') {
+                source.url = source.url.startsWith('pmtiles://')
+                    ? `pmtiles://${resolve(source.url.slice('pmtiles://'.length))}`
+                    : resolve(source.url);
+            }
+            if (Array.isArray(source.tiles)) {
+                source.tiles = source.tiles.map(resolve);
+            }
+            if (typeof source.data === 'string') {
+                source.data = resolve(source.data);
+            }
+        });
+        
+        if (typeof style.sprite === 'string') {
+            style.sprite = resolve(style.sprite);
+        }
+        if (typeof style.glyphs === 'string') {
+            style.glyphs = resolve(style.glyphs);
+        }
+    }
+    
+    /**
+     * Style with nothing but a background, used when no other style loads
+     * @returns {Object} Style object
+     */
+    createFallbackStyle() {
+        return {
+            version: 8,
+            name: 'Plain',
+            sources: {},
+            layers: [
+                {
+                    id: 'background',
+                    type: 'background',
+                    paint: { 'background-color': this.options.background }
+                }
+            ]
+        };
+    }
+}
+
+/**
+ * Fetch and sanity-check a style JSON file
+ * @param {string} url - Style location
+ * @param {Object} init - fetch options
+ * @returns {Promise<Object>} Style object
+ */
+async function fetchStyle(url, init = {}) {
+    const response = await fetch(url, init);
+    
+    if (!response.ok) {
+        throw new Error(`[MapStyleProvider] Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+    
+    let style;
+    try {
+        style = await response.json();
+    } catch (error) {
+        throw new Error(`[MapStyleProvider] ${url} is not valid JSON: ${error.message}`);
+    }
+    
+    if (style.version !== 8 || !style.sources || !Array.isArray(style.layers)) {
+        throw new Error(`[MapStyleProvider] ${url} is not a MapLibre style`);
+    }
+    
+    return style;
+}
+
+/**
+ * Check that a tile archive is being served
+ * @param {string} url - Archive location
+ */
+async function checkArchive(url) {
+    const response = await fetch(url, { method: 'HEAD' });
+    
+    if (!response.ok) {
+        throw new Error(`[MapStyleProvider] Tile archive ${url} is missing: ${response.status} ${response.statusText}`);
+    }
+}
+
+/**
+ * Let MapLibre read pmtiles:// sources straight from the archive with range requests
+ */
+function registerPmtilesProtocol() {
+    if (pmtilesProtocol) return;
+    
+    pmtilesProtocol = new Protocol();
+    maplibregl.addProtocol('pmtiles', pmtilesProtocol.tile);
+}
\ No newline at end of file
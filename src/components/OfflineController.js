@@ -0,0 +1,220 @@
+import { OFFLINE_CONFIG } from '../config/constants.js';
+import { fillTileTemplate, getLakeArea, getTileRange } from '../utils/tileCoverage.js';
+
+/**
+ * OfflineController registers the service worker and downloads the map and
+ * terrain tiles around a lake into that lake's own cache, which the service
+ * worker then answers from. Downloaded lakes stay available until removed;
+ * tiles picked up while browsing live in a separate, bounded cache.
+ *
+ * Sources read from a PMTiles archive are skipped, since the archive is
+ * served with the app and read with range requests. A style with no other
+ * sources, like the bundled basemap without DEM tiles, has nothing to
+ * download; canDownload() tells the page so it can leave the action out.
+ */
+export class OfflineController {
+    /**
+     * Create an offline controller
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {Object} options - Overrides for OFFLINE_CONFIG
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = { ...OFFLINE_CONFIG, ...options };
+        this.registration = null;
+        this.downloads = new Map(); // Lake ID -> download promise
+        
+        console.log('[OfflineController] Initialized');
+    }
+    
+    /**
+     * Check whether the browser can cache for offline use (needs HTTPS or localhost)
+     * @returns {boolean} True if service workers and the Cache API are available
+     */
+    isSupported() {
+        return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+    }
+    
+    /**
+     * Register the service worker
+     * @returns {Promise<boolean>} True once registered
+     */
+    async register() {
+        if (!this.isSupported()) {
+            console.warn('[OfflineController] Service workers unavailable, offline caching disabled');
+            return false;
+        }
+        
+        this.registration = await navigator.serviceWorker.register(new URL('../workers/serviceWorker.js', import.meta.url));
+        
+        console.log(`[OfflineController] Service worker registered for ${this.registration.scope}`);
+        return true;
+    }
+    
+    /**
+     * Name of the cache holding a downloaded lake
+     * @param {string} lakeId - ID of the lake
+     * @returns {string} Cache name
+     */
+    getCacheName(lakeId) {
+        return `${this.options.cachePrefix}lake-${lakeId}`;
+    }
+    
+    /**
+     * Check whether a lake has been downloaded
+     * @param {string} lakeId - ID of the lake
+     * @returns {Promise<boolean>} True if its tiles are cached
+     */
+    async isLakeAvailable(lakeId) {
+        return this.isSupported() && caches.has(this.getCacheName(lakeId));
+    }
+    
+    /**
+     * Check whether there is anything to download: offline caching works and the
+     * current style has tile sources beyond the bundled archive
+     * @returns {boolean} True if downloadLake() has tiles to fetch
+     */
+    canDownload() {
+        return this.isSupported() && this.getTileSources().length > 0;
+    }
+    
+    /**
+     * Tile URL templates of the current style's sources
+     * @returns {Array<Object>} Sources {id, tiles, minzoom, maxzoom}
+     */
+    getTileSources() {
+        return Object.keys(this.map.getStyle().sources)
+            .map(id => ({ id, source: this.map.getSource(id) }))
+            .filter(({ source }) => source && Array.isArray(source.tiles))
+            .map(({ id, source }) => ({
+                id,
+                tiles: source.tiles.filter(tile => /^https?:/.test(tile)),
+                minzoom: source.minzoom ?? 0,
+                maxzoom: source.maxzoom ?? 22
+            }))
+            .filter(source => source.tiles.length > 0);
+    }
+    
+    /**
+     * URLs of the tiles around a lake, over all tile sources
+     * @param {Object} lake - Lake data
+     * @returns {Array<string>} Tile URLs, shallowest zoom first
+     */
+    getLakeTileUrls(lake) {
+        const area = getLakeArea(lake, this.options.lakeMargin);
+        const ratio = window.devicePixelRatio >= 2 ? '@2x' : '';
+        const urls = [];
+        
+        this.getTileSources().forEach(source => {
+            const maxZoom = Math.min(this.options.downloadMaxZoom, source.maxzoom);
+            
+            for (let z = source.minzoom; z <= maxZoom; z++) {
+                const range = getTileRange(area, z);
+                
+                for (let x = range.minX; x <= range.maxX; x++) {
+                    for (let y = range.minY; y <= range.maxY; y++) {
+                        // Spread tiles over a source's mirrors the way MapLibre does
+                        const template = source.tiles[(x + y) % source.tiles.length];
+                        urls.push(fillTileTemplate(template, z, x, y, ratio));
+                    }
+                }
+            }
+        });
+        
+        if (urls.length > this.options.maxDownloadTiles) {
+            console.warn(`[OfflineController] ${urls.length} tiles around the lake, keeping the first ${this.options.maxDownloadTiles}`);
+            urls.length = this.options.maxDownloadTiles;
+        }
+        
+        return urls;
+    }
+    
+    /**
+     * Download the tiles around a lake into its cache
+     * @param {string} lakeId - ID of the lake
+     * @param {Object} lake - Lake data
+     * @param {Function} onProgress - Called with the fraction done (0-1)
+     * @returns {Promise<Object>} {total, cached, failed}
+     */
+    downloadLake(lakeId, lake, onProgress = () => {}) {
+        if (!this.isSupported()) {
+            return Promise.reject(new Error('[OfflineController] Offline caching is not supported in this browser'));
+        }
+        
+        // A second request for the same lake joins the one in progress
+        if (!this.downloads.has(lakeId)) {
+            const download = this.fetchLakeTiles(lakeId, lake, onProgress)
+                .finally(() => this.downloads.delete(lakeId));
+            this.downloads.set(lakeId, download);
+        }
+        
+        return this.downloads.get(lakeId);
+    }
+    
+    /**
+     * Fetch a lake's tiles a few at a time and store them
+     * @param {string} lakeId - ID of the lake
+     * @param {Object} lake - Lake data
+     * @param {Function} onProgress - Called with the fraction done (0-1)
+     * @returns {Promise<Object>} {total, cached, failed}
+     */
+    async fetchLakeTiles(lakeId, lake, onProgress) {
+        const urls = this.getLakeTileUrls(lake);
+        
+        if (urls.length === 0) {
+            throw new Error('[OfflineController] The map style has no tile sources to download');
+        }
+        
+        const cache = await caches.open(this.getCacheName(lakeId));
+        const result = { total: urls.length, cached: 0, failed: 0 };
+        let next = 0;
+        
+        const worker = async () => {
+            while (next < urls.length) {
+                const url = urls[next++];
+                
+                try {
+                    const response = await fetch(url);
+                    if (!response.ok) {
+                        throw new Error(`${response.status} ${response.statusText}`);
+                    }
+                    await cache.put(url, response);
+                    result.cached++;
+                } catch (error) {
+                    result.failed++;
+                }
+                
+                onProgress((result.cached + result.failed) / result.total);
+            }
+        };
+        
+        await Promise.all(Array.from({ length: this.options.downloadConcurrency }, worker));
+        
+        if (result.cached === 0) {
+            await caches.delete(this.getCacheName(lakeId));
+            throw new Error(`[OfflineController] No tiles could be downloaded for ${lakeId}`);
+        }
+        
+        console.log(`[OfflineController] ${lakeId}: cached ${result.cached} of ${result.total} tiles (${result.failed} failed)`);
+        return result;
+    }
+    
+    /**
+     * Delete a downloaded lake
+     * @param {string} lakeId - ID of the lake
+     * @returns {Promise<boolean>} True if there was a download to delete
+     */
+    async removeLake(lakeId) {
+        return this.isSupported() && caches.delete(this.getCacheName(lakeId));
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.map = null;
+        this.downloads.clear();
+        
+        console.log('[OfflineController] Disposed');
+    }
+}
\ No newline at end of file
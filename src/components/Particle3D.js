@@ -1,82 +1,105 @@
-import * as THREE from 'three';
 import { LAKE_CONFIG, getLakeConfigType } from '../models/lakes.js';
+import { ParticleStore, ParticleVector3 } from '../utils/ParticleStore.js';
+
+// Fraction of a particle's velocity kept over each 60 Hz frame; shared with WebGPUParticleCompute's shader
+export const VELOCITY_DAMPING = 0.97;
+export const FRAME_MS = 1000 / 60;
 
 /**
  * Particle3D class for individual particle behavior
- * Represents a single particle in the lake visualization
+ * Represents a single particle in the lake visualization. Its position,
+ * velocity, age and render attributes live in a slot of a ParticleStore,
+ * so the renderer can upload them without walking particle objects.
  */
 export class Particle3D {
     /**
      * Create a new particle
+     * Pooled particles are created empty and set up later through init()
      * @param {Object} map - The MapLibre GL map instance
-     * @param {Array} lakeCenter - [lng, lat] of the lake center
+     * @param {Array} position - [lng, lat, elevation] spawn position on the lake (elevation in metres, default 0)
      * @param {string} lakeType - Type of lake (Freshwater, etc.)
+     * @param {Function} random - Random source returning values in [0, 1)
+     * @param {ParticleStore} store - Store holding this particle's slot (default: a private store)
      */
-    constructor(map, lakeCenter, lakeType) {
-        this.map = map;
-        this.position = new THREE.Vector3(lakeCenter[0], lakeCenter[1], 0);
-        
-        // Configuration based on lake type
-        const configType = getLakeConfigType(lakeType);
-        const config = LAKE_CONFIG[configType] || LAKE_CONFIG['Freshwater Lake'];
-        
-        // Initialize velocity with random values
-        this.velocity = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.1,
-            0
-        );
-        
-        // Set lifespan based on config
-        this.lifespan = config.particleLifespan.min + 
-            Math.random() * (config.particleLifespan.max - config.particleLifespan.min);
+    constructor(map, position, lakeType, random = Math.random, store = null) {
+        this.store = store || new ParticleStore(1);
+        this.index = this.store.allocate();
+        this.position = new ParticleVector3(this.store, 'position', this.index);
+        this.velocity = new ParticleVector3(this.store, 'velocity', this.index);
+        this.position.set(0, 0, 0);
+        this.velocity.set(0, 0, 0);
         this.age = 0;
+        this.lifespan = 0;
+        this.random = random;
         
-        // Visual properties
-        this.color = config.color;
-        this.opacity = Math.random() * 0.5 + 0.3;
-        this.size = config.particleSize.min + 
-            Math.random() * (config.particleSize.max - config.particleSize.min);
-        
-        // Flow pattern properties
-        this.flowPattern = config.flowPattern || 'gentle-ripple';
-        this.phaseOffset = Math.random() * Math.PI * 2;
+        // Velocities are in lake extents per second; the owning system sets the lake's extent in degrees
+        this.extent = 0;
         
-        // Sacred lake properties (used only for sacred lakes)
-        if (configType === 'Sacred Lake') {
-            this.orbitalRadius = Math.random() * 0.05 + 0.02;
-            this.orbitalSpeed = Math.random() * 0.01 + 0.005;
-            this.orbitalAngle = Math.random() * Math.PI * 2;
+        if (position) {
+            this.init(map, position, lakeType, random);
         }
     }
     
+    // Stable per-particle number for staggering effects (colour picks, flicker phases): its store slot
+    get id() { return this.index; }
+    
+    get age() { return this.store.age[this.index]; }
+    
+    set age(value) { this.store.age[this.index] = value; }
+    
+    get lifespan() { return this.store.lifespan[this.index]; }
+    
+    set lifespan(value) { this.store.lifespan[this.index] = value; }
+    
+    get opacity() { return this.store.opacity[this.index]; }
+    
+    set opacity(value) { this.store.setOpacity(this.index, value); }
+    
+    get size() { return this.store.size[this.index]; }
+    
+    set size(value) { this.store.setSize(this.index, value); }
+    
+    get color() { return this._color; }
+    
+    set color(value) {
+        if (value === this._color) return;
+        this._color = value;
+        this.store.setColor(this.index, value);
+    }
+    
+    /**
+     * Show or hide the particle without changing its state
+     * @param {boolean} visible - Whether the renderer should draw it
+     */
+    setVisible(visible) {
+        this.store.setVisible(this.index, visible);
+    }
+    
     /**
      * Update particle position and age
-     * @param {number} delta - Time elapsed since last update in seconds
+     * @param {number} deltaTime - Time elapsed since last update in ms
+     * @param {number} time - Simulation time of the owning system in seconds, which drives the flow pattern
+     * @returns {boolean} False once the particle has expired
      */
-    update(deltaTime, now, boundaries = null) {
-        if (this.isExpired) return false;
+    update(deltaTime, time = 0) {
+        if (this.isExpired()) return false;
         
         // Update age
         this.age += deltaTime;
-        if (this.age > this.lifespan) {
-            this.isExpired = true;
+        if (this.isExpired()) {
             return false;
         }
         
-        // Flow controller referenced but integration unclear
-        const flowController = StateManager.flowController;
-        if (flowController && this.lakeCenter && this.lakeType) {
-            flowController.applyFlowToParticle(this, this.lakeCenter, this.lakeType, now);
-        } else {
-            // Legacy fallback behavior
-            this.position.x += this.velocity.x * deltaTime;
-            this.position.y += this.velocity.y * deltaTime;
-        }
+        // WebGPUParticleCompute's shader integrates in the same steps, so both backends move particles alike
+        this.applyFlowPatternForces(time, deltaTime / 1000);
+        
+        // Drift with the particle's own velocity, converted from lake extents per second to degrees
+        const step = this.extent * deltaTime / 1000;
+        this.position.x += this.velocity.x * step;
+        this.position.y += this.velocity.y * step;
         
-        // Apply gravity and damping
-        this.velocity.z -= 0.01 * deltaTime; // Gravity
-        this.velocity.multiplyScalar(0.98); // Damping
+        // Damp the drift at the same rate whatever the frame rate
+        this.velocity.multiplyScalar(Math.pow(VELOCITY_DAMPING, deltaTime / FRAME_MS));
         
         // Update alpha based on lifecycle
         const progress = this.age / this.lifespan;
@@ -85,6 +108,17 @@ export class Particle3D {
         return true;
     }
     
+    /**
+     * Fade the particle in at birth and out towards the end of its life
+     * @param {number} progress - Age as a fraction of lifespan (0-1)
+     * @returns {number} Opacity
+     */
+    _calculateOpacity(progress) {
+        const fadeIn = Math.min(1, progress / 0.15);
+        const fadeOut = Math.min(1, (1 - progress) / 0.3);
+        return this.baseOpacity * Math.max(0, Math.min(fadeIn, fadeOut));
+    }
+    
     // Legacy method for backwards compatibility
     _applyBoundariesLegacy(boundaries) {
         // Simple boundary constraints (used when FlowController not available)
@@ -98,12 +132,12 @@ export class Particle3D {
     }
     
     /**
-     * Apply forces based on the particle's flow pattern
+     * Apply forces based on the particle's flow pattern, in lake extents per second per second.
+     * They follow simulation time rather than the clock, so a seeded run repeats exactly.
+     * @param {number} time - Simulation time in seconds
      * @param {number} delta - Time elapsed since last update in seconds
      */
-    applyFlowPatternForces(delta) {
-        const time = performance.now() * 0.001; // Current time in seconds
-        
+    applyFlowPatternForces(time, delta) {
         switch(this.flowPattern) {
             case 'sacred-spiral':
                 // Spiral pattern for sacred lakes
@@ -114,13 +148,6 @@ export class Particle3D {
                 this.velocity.y += spiralForceY * delta;
                 break;
                 
-            case 'mountain-current':
-                // Stronger directional flow for high altitude lakes
-                const windAngle = Math.sin(time * 0.2 + this.phaseOffset) * 0.5;
-                this.velocity.x += Math.cos(windAngle) * 0.01 * delta;
-                this.velocity.y += Math.sin(windAngle) * 0.01 * delta;
-                break;
-                
             case 'crystalline':
                 // More structured pattern for salt lakes
                 const crystalForce = Math.sin(time + this.position.x * 5 + this.position.y * 5) * 0.01;
@@ -130,15 +157,13 @@ export class Particle3D {
                 
             case 'gentle-ripple':
             default:
-                // Default gentle ripple pattern
+                // Default gentle ripple pattern; the wind over mountain-current lakes
+                // comes from their weather (FlowController.applyWind)
                 const rippleForce = Math.sin(time + this.phaseOffset) * 0.005;
                 this.velocity.x += rippleForce * delta;
                 this.velocity.y += rippleForce * delta;
                 break;
         }
-        
-        // Apply a slight damping to prevent excessive velocities
-        this.velocity.multiplyScalar(0.99);
     }
     
     /**
@@ -153,11 +178,18 @@ export class Particle3D {
      * Reset the particle for reuse from particle pool
      */
     reset() {
+        const random = this.random;
+        
+        // Pooled particles keep their slot but are no longer drawn
+        this.store.alive[this.index] = 0;
+        this.setVisible(false);
+        
         this.age = 0;
-        this.opacity = Math.random() * 0.5 + 0.3;
+        this.opacity = random() * 0.5 + 0.3;
+        this.baseOpacity = this.opacity;
         this.velocity.set(
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.1,
+            (random() - 0.5) * 0.1,
+            (random() - 0.5) * 0.1,
             0
         );
     }
@@ -165,44 +197,49 @@ export class Particle3D {
     /**
      * Initialize/reinitialize a particle with new parameters
      * @param {Object} map - The MapLibre GL map instance
-     * @param {Array} lakeCenter - [lng, lat] of the lake center
+     * @param {Array} position - [lng, lat, elevation] spawn position on the lake (elevation in metres, default 0)
      * @param {string} lakeType - Type of lake (Freshwater, etc.)
+     * @param {Function} random - Random source returning values in [0, 1)
      */
-    init(map, lakeCenter, lakeType) {
+    init(map, position, lakeType, random = Math.random) {
         this.map = map;
-        this.position.set(lakeCenter[0], lakeCenter[1], 0);
+        this.random = random;
+        this.store.alive[this.index] = 1;
+        this.setVisible(true);
+        this.position.set(position[0], position[1], position[2] || 0);
         this.age = 0;
         
         // Configuration based on lake type
         const configType = getLakeConfigType(lakeType);
         const config = LAKE_CONFIG[configType] || LAKE_CONFIG['Freshwater Lake'];
         
-        // Reset velocity
+        // A slow drift of up to 5% of the lake a second, in lake extents per second
         this.velocity.set(
-            (Math.random() - 0.5) * 0.1,
-            (Math.random() - 0.5) * 0.1,
+            (random() - 0.5) * 0.1,
+            (random() - 0.5) * 0.1,
             0
         );
         
         // Update lifespan
         this.lifespan = config.particleLifespan.min + 
-            Math.random() * (config.particleLifespan.max - config.particleLifespan.min);
+            random() * (config.particleLifespan.max - config.particleLifespan.min);
         
         // Update visual properties
         this.color = config.color;
-        this.opacity = Math.random() * 0.5 + 0.3;
+        this.opacity = random() * 0.5 + 0.3;
+        this.baseOpacity = this.opacity;
         this.size = config.particleSize.min + 
-            Math.random() * (config.particleSize.max - config.particleSize.min);
+            random() * (config.particleSize.max - config.particleSize.min);
             
         // Update flow pattern properties
         this.flowPattern = config.flowPattern || 'gentle-ripple';
-        this.phaseOffset = Math.random() * Math.PI * 2;
+        this.phaseOffset = random() * Math.PI * 2;
         
         // Sacred lake properties
         if (configType === 'Sacred Lake') {
-            this.orbitalRadius = Math.random() * 0.05 + 0.02;
-            this.orbitalSpeed = Math.random() * 0.01 + 0.005;
-            this.orbitalAngle = Math.random() * Math.PI * 2;
+            this.orbitalRadius = random() * 0.05 + 0.02;
+            this.orbitalSpeed = random() * 0.01 + 0.005;
+            this.orbitalAngle = random() * Math.PI * 2;
         }
     }
     
@@ -218,97 +255,15 @@ export class Particle3D {
     }
 
     /**
-     * Reset the particle for reuse 
-     */
-    reset() {
-        // Reset position
-        this.x = 0;
-        this.y = 0;
-        this.z = 0;
-        
-        // Reset physics properties
-        this.velocity = { x: 0, y: 0, z: 0 };
-        this.acceleration = { x: 0, y: 0, z: 0 };
-        
-        // Reset visual properties
-        this.opacity = 1;
-        this.size = 1;
-        this.color = null;
-        
-        // Reset tracking properties
-        this.age = 0;
-        this.lifespan = 0;
-        this.isExpired = false;
-        
-        // Clear references
-        this.map = null;
-        this.lngLat = null;
-        this.lakeType = null;
-    }
-    
-    /**
-     * Initialize the particle with new properties
-     * @param {Object} map - The MapLibre map instance
-     * @param {Array} lakeCenter - Center coordinates of the lake
-     * @param {string} lakeType - Type of lake (affects particle behavior)
+     * Give the particle's slot back to its store. The particle must not be used afterwards.
      */
-    init(map, lakeCenter, lakeType) {
-        // Create position based on lake center with some random distribution
-        const randomOffsetX = (Math.random() - 0.5) * 0.01;
-        const randomOffsetY = (Math.random() - 0.5) * 0.01;
-        const lngLat = [lakeCenter[0] + randomOffsetX, lakeCenter[1] + randomOffsetY];
-        
-        // Convert to pixel coordinates for rendering
-        const point = map.project(lngLat);
-        this.x = point.x;
-        this.y = point.y;
-        this.z = 0;
-        
-        // Store original lng/lat for later use
-        this.lngLat = lngLat;
-        this.map = map;
-        this.lakeType = lakeType;
+    dispose() {
+        if (this.index < 0) return;
         
-        // Get configuration based on lake type
-        const typeConfig = this.getTypeConfig(lakeType);
-        
-        // Set up physics properties
-        this.velocity = { x: 0, y: 0, z: 0 };
-        this.acceleration = { x: 0, y: 0, z: 0 };
-        this.mass = Math.random() * 0.5 + 0.5;
-        this.age = 0;
-        this.lifespan = typeConfig.particleLifespan.min + 
-                    Math.random() * (typeConfig.particleLifespan.max - typeConfig.particleLifespan.min);
-        
-        // Visual properties
-        this.size = typeConfig.particleSize.min + 
-                   Math.random() * (typeConfig.particleSize.max - typeConfig.particleSize.min);
-        this.opacity = Math.random() * 0.5 + 0.3;
-        this.isExpired = false;
-        
-        // Random initial velocity based on type
-        const speed = 0.2 + Math.random() * 0.3;
-        const angle = Math.random() * Math.PI * 2;
-        this.velocity.x = Math.cos(angle) * speed;
-        this.velocity.y = Math.sin(angle) * speed;
-        this.velocity.z = (Math.random() - 0.5) * 0.1;
+        this.store.free(this.index);
+        this.index = -1;
     }
     
-    /**
-     * Helper to get type-specific configuration
-     * @param {string} lakeType - The type of lake
-     * @returns {Object} Configuration for this lake type
-     */
-    getTypeConfig(lakeType) {
-        // This is a simplified version - in actual implementation, 
-        // use the full configuration from constants or models
-        return {
-            particleSize: { min: 0.5, max: 2.0 },
-            particleLifespan: { min: 3000, max: 4500 },
-            glowIntensity: 1.0,
-        };
-    }
-
     /**
      * Set the Level of Detail for this particle
      * @param {number} level - LOD level between 0 and 1
@@ -1,6 +1,9 @@
 import { StateManager } from '../stateManager.js';
 import { Particle3D } from './Particle3D.js';
-import { LAKE_CONFIG, getLakeConfigType } from '../models/lakes.js';
+import { LAKE_CONFIG, getLakeConfigType, getLakeShoreline } from '../models/lakes.js';
+import { ParticleStore } from '../utils/ParticleStore.js';
+import { WorkerFluidSimulation } from '../utils/WorkerFluidSimulation.js';
+import { INTERACTION_CONFIG, DYE_CONFIG } from '../config/constants.js';
 
 /**
  * ParticleSystem class for managing lake particles
@@ -19,8 +22,16 @@ export class ParticleSystem {
         this.lakeData = lakeData;
         this.renderer = renderer;
         this.active = false;
+        this.visible = false; // Drawn: while active, and while fading out afterwards
         this.particles = [];
         
+        // Multiplier the renderer applies to every particle's opacity, for crossfades between lakes
+        this.opacity = 1;
+        this.rendererIndex = 0; // Set by the renderer on registration
+        
+        // Particle state lives in the pool's store, which the renderer draws from directly
+        this.store = StateManager.particlePool?.store || new ParticleStore();
+        
         // Get config based on lake type
         const configType = getLakeConfigType(lakeData.type);
         const config = LAKE_CONFIG[configType] || LAKE_CONFIG['Freshwater Lake'];
@@ -34,6 +45,12 @@ export class ParticleSystem {
         this.frameCount = 0;
         this.avgUpdateTime = 0;
         
+        // Seconds this system has been simulated for, driving the particles' flow patterns
+        this.time = 0;
+        
+        // Particle lifecycle counters (escaped = left the open water, whether culled or respawned by its boundary)
+        this.stats = { spawned: 0, expired: 0, escaped: 0 };
+        
         // Initialize renderer if provided
         if (this.renderer) {
             this.renderer.registerSystem && this.renderer.registerSystem(this);
@@ -41,14 +58,32 @@ export class ParticleSystem {
         
         this.lakeCenter = lakeData.center;
         this.lakeType = lakeData.type;
+        this.elevation = lakeData.elevation || 0; // Lake surface, metres above sea level
         
-        // Lake boundaries for particles
-        this.boundaries = {
-            minX: this.lakeCenter[0] - 0.05,
-            maxX: this.lakeCenter[0] + 0.05,
-            minY: this.lakeCenter[1] - 0.05,
-            maxY: this.lakeCenter[1] + 0.05
-        };
+        // Per-lake random stream so the same seed reproduces the same particle field
+        this.random = StateManager.getRandom(`particles:${lakeId}`);
+        
+        // Shoreline polygon used to spawn, bound and cull particles
+        this.shoreline = lakeData.shoreline || getLakeShoreline(lakeId, this.lakeCenter);
+        
+        // Lake boundaries for particles (bounding box of the shoreline)
+        this.boundaries = this.shoreline.getBounds();
+        
+        // Ice, a receding waterline and floating vegetation for the chosen date
+        this.setSeason(StateManager.getLakeSeason(lakeId));
+        
+        // Fluid grid over the lake's extent: drags and ripples stir it, and it carries the particles.
+        // It is solved in the fluid worker when there is one, otherwise on the main thread
+        this.fluid = WorkerFluidSimulation.create({
+            ...StateManager.getFluidSimulationOptionsForLake(lakeData.type),
+            bounds: this.boundaries,
+            dyeDissipation: DYE_CONFIG.dissipation
+        }, StateManager.fluidWorker);
+        StateManager.fluidSimulations.set(lakeId, this.fluid);
+        
+        // Offering released into the water by drags and taps (see DYE_CONFIG), or null for none
+        this.offering = DYE_CONFIG.defaultOffering[configType] || null;
+        this.offeringColorIndex = 0;
         
         console.log(`[ParticleSystem] Created for lake ${lakeId}`);
     }
@@ -62,10 +97,14 @@ export class ParticleSystem {
         this.active = true;
         this.lastUpdateTime = performance.now();
         
+        // Fully visible unless a transition fades it in
+        this.opacity = 1;
+        
         // Generate initial particles if needed
         if (this.particles.length === 0) {
-            this.generateParticles(this.particleLimit);
+            this.generateParticles(this.getParticleTarget());
         }
+        this.setParticlesVisible(true);
         
         console.log(`[ParticleSystem] Activated for lake ${this.lakeId}`);
     }
@@ -78,33 +117,100 @@ export class ParticleSystem {
         
         this.active = false;
         
-        // Clean up particles if needed
-        // In a full implementation, we might move particles back to the pool
+        // Keep the particles for reactivation, but stop drawing them
+        this.setParticlesVisible(false);
         
         console.log(`[ParticleSystem] Deactivated for lake ${this.lakeId}`);
     }
+    
+    /**
+     * Fade the whole system in or out. An inactive system is drawn, frozen where
+     * it stopped, for as long as its opacity is above zero.
+     * @param {number} opacity - Multiplier for every particle's opacity (0-1)
+     */
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        
+        if (!this.active) {
+            this.setParticlesVisible(opacity > 0);
+        }
+    }
+    
+    /**
+     * Show or hide every particle, without changing their state
+     * @param {boolean} visible - Whether the renderer should draw them
+     */
+    setParticlesVisible(visible) {
+        if (visible === this.visible) return;
+        
+        this.visible = visible;
+        this.particles.forEach(particle => particle.setVisible(visible));
+    }
 
     /**
      * Update all particles in the system
-     * @param {number} delta - Time elapsed since last update in seconds
+     * @param {number} delta - Time elapsed since last update in ms
      */
     update(delta) {
         if (!this.active) return;
         
+        // Particles stay where they are, neither moving nor ageing, while motion is reduced
+        if (StateManager.prefersReducedMotion()) return;
+        
         const startTime = performance.now();
+        const flowController = StateManager.flowController;
+        this.time += delta / 1000;
+        
+        // Integrate on the GPU when available; its results arrive a frame later
+        const gpuCompute = StateManager.gpuCompute?.isReady() ? StateManager.gpuCompute : null;
+        if (gpuCompute) {
+            gpuCompute.collect(this);
+        }
+        
+        // Step the lake's water and let it carry the particles, with the wind pushing its surface
+        this.fluid.update(delta);
+        this.advectParticles(delta);
+        if (flowController) {
+            flowController.applyWind(this, delta);
+        }
         
         // Update existing particles
         this.particles = this.particles.filter(p => {
-            p.update(delta);
-            return !p.isExpired();
+            if (!gpuCompute) {
+                p.update(delta, this.time);
+            }
+            
+            // Let the lake type's boundary condition react to the shoreline first
+            if (flowController) {
+                flowController.applyBoundaryCondition(p, this, delta);
+            }
+            
+            // Cull particles that expired or ended up on land, ice or vegetation
+            const expired = p.isExpired();
+            if (expired || !this.isOpenWater(p.position.x, p.position.y)) {
+                if (expired) {
+                    this.stats.expired++;
+                } else {
+                    this.stats.escaped++;
+                }
+                this.releaseParticle(p);
+                return false;
+            }
+            
+            return true;
         });
         
         // Add new particles if needed
-        if (this.particles.length < this.particleLimit) {
-            const newCount = Math.min(10, this.particleLimit - this.particles.length);
+        const target = this.getParticleTarget();
+        if (this.particles.length < target) {
+            const newCount = Math.min(10, target - this.particles.length);
             this.generateParticles(newCount);
         }
         
+        if (gpuCompute) {
+            gpuCompute.dispatch(this, delta);
+        }
+        
         // Update performance metrics
         if (StateManager.perfMonitor) {
             StateManager.perfMonitor.updateParticleCount?.(this.particles.length);
@@ -117,6 +223,20 @@ export class ParticleSystem {
         this.avgUpdateTime = (this.avgUpdateTime * (this.frameCount - 1) + updateTime) / this.frameCount;
     }
 
+    /**
+     * Move particles with the fluid flow under them
+     * @param {number} delta - Time elapsed since last update in ms
+     */
+    advectParticles(delta) {
+        const seconds = delta / 1000;
+        
+        this.particles.forEach(particle => {
+            const flow = this.fluid.getVelocityAtLngLat(particle.position.x, particle.position.y);
+            particle.position.x += flow.x * seconds;
+            particle.position.y += flow.y * seconds;
+        });
+    }
+    
     /**
      * Generate new particles
      * @param {number} count - Number of particles to generate
@@ -125,22 +245,121 @@ export class ParticleSystem {
         const pool = StateManager.particlePool;
         
         for (let i = 0; i < count; i++) {
+            // Spawn somewhere on open water, never on land, islands or ice, at the lake's surface elevation.
+            // A lake almost frozen over may have too little open water to find; try again next frame
+            const waterPoint = this.randomOpenWaterPoint();
+            if (!waterPoint) break;
+            const spawnPoint = [...waterPoint, this.elevation];
+            
             // Try to get a particle from the pool
             let particle;
             
-            if (pool) {
-                particle = pool.acquire(this.map, this.lakeData.center, this.lakeData.type);
+            if (pool && pool.store === this.store) {
+                particle = pool.acquire(this.map, spawnPoint, this.lakeData.type, this.random.next);
             }
             
             // Fall back to creating a new particle if pool is empty
             if (!particle) {
-                particle = new Particle3D(this.map, this.lakeData.center, this.lakeData.type);
+                particle = new Particle3D(this.map, spawnPoint, this.lakeData.type, this.random.next, this.store);
             }
             
             // Apply lake-specific customizations
             this.customizeParticle(particle);
             
             this.particles.push(particle);
+            this.stats.spawned++;
+        }
+    }
+    
+    /**
+     * Follow the lake through the year. Particles keep to open water, so ice,
+     * a falling waterline and floating vegetation all take water from them
+     * @param {Object} season - Seasonal state from SeasonController.getLakeState
+     */
+    setSeason(season) {
+        this.season = season;
+        
+        // Vegetation mats as ellipses in degrees, for quick containment tests
+        const metresPerDegree = 111320;
+        const lngScale = Math.cos(this.lakeCenter[1] * Math.PI / 180);
+        this.vegetation = season.vegetation.map(({ center, radius }) => ({
+            x: center[0],
+            y: center[1],
+            rx: radius / (metresPerDegree * lngScale),
+            ry: radius / metresPerDegree
+        }));
+    }
+    
+    /**
+     * Number of particles to keep, in proportion to the open water left
+     * @returns {number} Target particle count
+     */
+    getParticleTarget() {
+        const { waterExtent, iceCover } = this.season;
+        return Math.round(this.particleLimit * waterExtent * (1 - iceCover));
+    }
+    
+    /**
+     * Check whether a point is on open water: on the lake, clear of ice and not under vegetation
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {boolean} True if particles may be there
+     */
+    isOpenWater(x, y) {
+        if (!this.shoreline.contains(x, y)) return false;
+        
+        // Ice (and dry shallows) reach in from the shore as far as the ice band
+        if (this.season.iceBand > 0 && this.shoreline.distanceToEdge(x, y) < this.season.iceBand) {
+            return false;
+        }
+        
+        return !this.vegetation.some(mat => {
+            const dx = (x - mat.x) / mat.rx;
+            const dy = (y - mat.y) / mat.ry;
+            return dx * dx + dy * dy < 1;
+        });
+    }
+    
+    /**
+     * Pick a random point on open water
+     * @param {number} maxAttempts - Samples to try when ice or vegetation cover part of the lake
+     * @returns {Array|null} [lng, lat], or null if no open water was found
+     */
+    randomOpenWaterPoint(maxAttempts = 30) {
+        const point = this.shoreline.randomPoint(this.random.next);
+        
+        // As mapped, all of the lake is open water
+        if (this.season.iceBand === 0 && this.vegetation.length === 0) return point;
+        
+        for (let i = 0; i < maxAttempts; i++) {
+            const [x, y] = i === 0 ? point : this.shoreline.randomPoint(this.random.next);
+            if (this.isOpenWater(x, y)) return [x, y];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Remove particles beyond a count, returning them to the pool
+     * @param {number} count - Number of particles to keep
+     * @returns {number} Number of particles removed
+     */
+    trimParticles(count) {
+        const removed = this.particles.splice(Math.max(0, Math.floor(count)));
+        removed.forEach(particle => this.releaseParticle(particle));
+        return removed.length;
+    }
+    
+    /**
+     * Return a particle to the pool, or free its store slot when there is no pool
+     * @param {Particle3D} particle - Particle leaving the system
+     */
+    releaseParticle(particle) {
+        const pool = StateManager.particlePool;
+        if (pool && particle.store === pool.store) {
+            pool.release(particle);
+        } else {
+            particle.dispose();
         }
     }
     
@@ -152,6 +371,12 @@ export class ParticleSystem {
         // Apply lake-specific customizations based on type
         const configType = getLakeConfigType(this.lakeData.type);
         
+        // Particle velocities are measured in extents of this lake
+        particle.extent = this.shoreline.getExtent();
+        
+        // The renderer fades this system's particles together
+        this.store.setOwner(particle.index, this.rendererIndex);
+        
         switch(configType) {
             case 'Sacred Lake':
                 // Add sacred lake properties
@@ -185,30 +410,108 @@ export class ParticleSystem {
         });
     }
     
+    /**
+     * Stir the water along a pointer drag
+     * @param {number} x - Screen x of the pointer
+     * @param {number} y - Screen y of the pointer
+     * @param {number} dx - Screen x movement since the last event
+     * @param {number} dy - Screen y movement since the last event
+     * @param {number} elapsed - Time since the last event in ms
+     */
+    applyDrag(x, y, dx, dy, elapsed) {
+        if (!this.active || elapsed <= 0) return;
+        
+        const current = this.map.unproject([x, y]);
+        if (!this.isOpenWater(current.lng, current.lat)) return;
+        
+        // Drag velocity in degrees per second, scaled down to a stirring speed
+        const previous = this.map.unproject([x - dx, y - dy]);
+        const scale = INTERACTION_CONFIG.dragCoefficient * 1000 / elapsed;
+        let velLng = (current.lng - previous.lng) * scale;
+        let velLat = (current.lat - previous.lat) * scale;
+        
+        // Cap the stirring speed so a flick can't throw the water off the lake
+        const maxSpeed = INTERACTION_CONFIG.maxForce * this.shoreline.getExtent();
+        const speed = Math.sqrt(velLng * velLng + velLat * velLat);
+        if (speed > maxSpeed) {
+            velLng *= maxSpeed / speed;
+            velLat *= maxSpeed / speed;
+        }
+        
+        this.fluid.addVelocityAtLngLat(current.lng, current.lat, velLng, velLat, INTERACTION_CONFIG.fluidStirRadius);
+        
+        if (this.offering) {
+            const offering = DYE_CONFIG.offerings[this.offering];
+            this.releaseDye(current.lng, current.lat, offering.dragAmount * elapsed / 1000);
+        }
+    }
+    
+    /**
+     * Choose the offering that drags and taps release into the water
+     * @param {string|null} offering - Key of DYE_CONFIG.offerings, or null to stop releasing dye
+     */
+    setOffering(offering) {
+        if (offering !== null && !DYE_CONFIG.offerings[offering]) {
+            console.warn(`[ParticleSystem] Unknown offering: ${offering}`);
+            return;
+        }
+        
+        this.offering = offering;
+        this.offeringColorIndex = 0;
+    }
+    
+    /**
+     * Release the current offering's dye into the fluid
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {number} amount - Dye density at the centre
+     */
+    releaseDye(lng, lat, amount) {
+        const colors = DYE_CONFIG.offerings[this.offering].colors;
+        const color = parseColor(colors[this.offeringColorIndex % colors.length]);
+        
+        this.fluid.addDyeAtLngLat(lng, lat, amount, color, DYE_CONFIG.radius);
+    }
+    
     /**
      * Apply a ripple effect from a specific point
      * @param {number} x - X coordinate of ripple center
      * @param {number} y - Y coordinate of ripple center
      * @param {number} intensity - Ripple intensity
-     * @param {number} radius - Ripple radius
+     * @param {number} radius - Ripple radius in degrees (default: a tenth of the lake)
      */
-    applyRipple(x, y, intensity = 1.0, radius = 0.1) {
+    applyRipple(x, y, intensity = 1.0, radius = null) {
         if (!this.active) return;
         
         const center = this.map.unproject([x, y]);
-        const centerLng = center.lng;
-        const centerLat = center.lat;
+        if (!this.isOpenWater(center.lng, center.lat)) return;
+        
+        const extent = this.shoreline.getExtent();
+        radius = radius || extent * 0.1;
+        
+        // The fluid keeps the part of the ripple that isn't a pure outflow, e.g. off the shoreline
+        const cells = radius / extent * Math.max(this.fluid.width, this.fluid.height);
+        this.fluid.addRipple(center.lng, center.lat, intensity * INTERACTION_CONFIG.fluidRippleStrength, Math.max(1, cells));
+        
+        // A tap drops one offering, and the next tap brings the offering's next colour
+        if (this.offering) {
+            const offering = DYE_CONFIG.offerings[this.offering];
+            this.releaseDye(center.lng, center.lat, offering.dropAmount * intensity);
+            this.offeringColorIndex = (this.offeringColorIndex + 1) % offering.colors.length;
+        }
+        
+        // Push the particles outwards directly (velocities are in lake extents per second)
+        const push = intensity * INTERACTION_CONFIG.fluidRippleStrength * radius / extent;
         
         this.particles.forEach(particle => {
-            const dx = particle.position.x - centerLng;
-            const dy = particle.position.y - centerLat;
+            const dx = particle.position.x - center.lng;
+            const dy = particle.position.y - center.lat;
             const distance = Math.sqrt(dx * dx + dy * dy);
             
-            if (distance < radius) {
-                const force = (1 - distance / radius) * intensity;
-                const angle = Math.atan2(dy, dx);
-                particle.velocity.x += Math.cos(angle) * force;
-                particle.velocity.y += Math.sin(angle) * force;
+            if (distance > 0 && distance < radius) {
+                const force = (1 - distance / radius) * push;
+                particle.velocity.x += dx / distance * force;
+                particle.velocity.y += dy / distance * force;
             }
         });
     }
@@ -231,7 +534,8 @@ export class ParticleSystem {
             particleLimit: this.particleLimit,
             avgUpdateTime: this.avgUpdateTime,
             frameCount: this.frameCount,
-            active: this.active
+            active: this.active,
+            ...this.stats
         };
     }
     
@@ -240,10 +544,7 @@ export class ParticleSystem {
      */
     dispose() {
         // Return particles to the pool
-        const pool = StateManager.particlePool;
-        if (pool) {
-            this.particles.forEach(particle => pool.release(particle));
-        }
+        this.particles.forEach(particle => this.releaseParticle(particle));
         
         // Clear particles array
         this.particles = [];
@@ -253,6 +554,15 @@ export class ParticleSystem {
             this.renderer.unregisterSystem(this);
         }
         
+        if (StateManager.gpuCompute) {
+            StateManager.gpuCompute.release(this);
+        }
+        
+        if (StateManager.fluidSimulations.get(this.lakeId) === this.fluid) {
+            StateManager.fluidSimulations.delete(this.lakeId);
+        }
+        this.fluid.dispose();
+        
         console.log(`[ParticleSystem] Disposed for lake ${this.lakeId}`);
     }
 }
@@ -274,4 +584,14 @@ class ParticleOptimizer {
   shouldRender(particle, cameraPosition) { /* ... */ }
   // Dynamic LOD (Level of Detail) system
   // ...
+}
+
+/**
+ * Parse a colour string to RGB components
+ * @param {string} color - Colour (#RRGGBB)
+ * @returns {Array} [r, g, b] in 0-1
+ */
+function parseColor(color) {
+    const hex = parseInt(color.slice(1), 16);
+    return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
 }
\ No newline at end of file
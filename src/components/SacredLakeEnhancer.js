@@ -1,41 +1,74 @@
 import * as THREE from 'three';
 import { StateManager } from '../stateManager.js';
-import { INTERACTION_CONFIG } from '../config/constants.js';
+import { INTERACTION_CONFIG, DYE_CONFIG } from '../config/constants.js';
 
 // Sacred lake visual effects configuration
 const SACRED_COLOR_SYSTEM = {
+    // Palettes at sun altitudes in degrees, from deep night to full day
     transitions: {
-        day: {
-            water: '#00e1ff',
-            glow: 'rgba(255, 205, 107, 0.4)',
-            particle: '#ffcd6b'
+        night: {
+            altitude: -18,
+            water: '#2aacff',
+            glow: 'rgba(255, 205, 107, 0.8)',
+            particle: '#ffe4ad'
+        },
+        twilight: {
+            altitude: -6,
+            water: '#3f8fe8',
+            glow: 'rgba(255, 176, 140, 0.7)',
+            particle: '#ffc8b0'
         },
-        dusk: {
+        sunrise: {
+            altitude: 0,
+            water: '#4fc8ff',
+            glow: 'rgba(255, 150, 90, 0.65)',
+            particle: '#ffb26b'
+        },
+        golden: {
+            altitude: 6,
             water: '#48f2ff',
             glow: 'rgba(255, 205, 107, 0.6)',
             particle: '#ffd98c'
         },
-        night: {
-            water: '#2aacff',
-            glow: 'rgba(255, 205, 107, 0.8)',
-            particle: '#ffe4ad'
+        day: {
+            altitude: 15,
+            water: '#00e1ff',
+            glow: 'rgba(255, 205, 107, 0.4)',
+            particle: '#ffcd6b'
         }
     },
     
-    getColorForTime(hour) {
-        if (hour >= 6 && hour < 17) {
-            // Day colors (6 AM - 5 PM)
-            return this.transitions.day;
-        } else if (hour >= 17 && hour < 20) {
-            // Dusk colors (5 PM - 8 PM)
-            return this.transitions.dusk;
-        } else {
-            // Night colors (8 PM - 6 AM)
-            return this.transitions.night;
-        }
+    // Blend the two palettes either side of the sun's altitude
+    getColorForSunAltitude(altitude) {
+        const stops = Object.values(this.transitions);
+        const index = stops.findIndex(stop => stop.altitude > altitude);
+        const upper = stops[index === -1 ? stops.length - 1 : index];
+        const lower = stops[index === -1 ? stops.length - 1 : Math.max(0, index - 1)];
+        
+        const span = upper.altitude - lower.altitude;
+        const t = span > 0 ? (altitude - lower.altitude) / span : 0;
+        
+        return {
+            water: mixColors(lower.water, upper.water, t),
+            glow: mixColors(lower.glow, upper.glow, t),
+            particle: mixColors(lower.particle, upper.particle, t)
+        };
     }
 };
 
+// Look of a sacred lake on its festival days (see the lake's "festivals" rules)
+const SACRED_FESTIVAL_PRESET = {
+    particleColors: DYE_CONFIG.offerings.diya.colors, // Particles become diya flames
+    glow: 'rgba(255, 180, 70, 0.95)', // Glow blended in over the time of day's
+    glowBlend: 0.7,
+    glowSpread: 2, // Orbital glow is this many times wider
+    flicker: { rate: 7, depth: 0.25 }, // Flame flicker speed and opacity swing
+    offering: 'diya' // Offering drags and taps release during the festival
+};
+
+// Offering each particle system had before its festival, shared by every enhancer
+const offeringsBeforeFestival = new WeakMap();
+
 // Special particle patterns for sacred lakes
 const SACRED_PARTICLE_PATTERNS = {
     spiral: {
@@ -57,24 +90,28 @@ const SACRED_PARTICLE_PATTERNS = {
 
 /**
  * SacredLakeEnhancer adds special effects to sacred lakes
- * including time-based colors and orbital particle patterns
+ * including time-based colors and orbital particle patterns.
+ * Colors follow the sun's altitude over each lake at the date and time of day
+ * being shown, so a lake is lit for dawn where it is dawn, whatever the viewer's clock.
+ * On a lake's festival days, found from the lunar calendar, its particles turn
+ * to flickering diyas and its glow grows denser.
  */
 export class SacredLakeEnhancer {
     constructor() {
         this.sacredLakeIds = this.findSacredLakes();
         this.active = true;
         this.lastUpdate = Date.now();
-        this.currentColors = { ...SACRED_COLOR_SYSTEM.transitions.day };
         
-        // Update colors based on time of day
-        this.updateTimeBasedColors();
-        
-        // Schedule regular updates
-        this.colorUpdateInterval = setInterval(() => this.updateTimeBasedColors(), 60000); // Every minute
+        // Colors per lake, worked out again whenever the sun moves
+        this.lakeColors = new Map();
         
         // Create orbital particle containers
         this.orbitalContainers = new Map();
         
+        // Recolor as the date or time of day changes (the daylight controller ticks while following the clock)
+        this.removeDaylightListeners = ['timeOfDayChanged', 'seasonChanged'].map(type =>
+            StateManager.addEventListener(type, () => this.updateTimeBasedColors()));
+        
         // Setup mouse and touch events
         this.setupMouseEvents();
         this.setupTouchEvents();
@@ -97,16 +134,33 @@ export class SacredLakeEnhancer {
     }
     
     updateTimeBasedColors() {
-        const now = new Date();
-        const hour = now.getHours();
+        this.lakeColors.clear();
         
-        // Get colors based on time of day
-        this.currentColors = SACRED_COLOR_SYSTEM.getColorForTime(hour);
+        // Recolor orbital effects already on screen
+        this.orbitalContainers.forEach((container, lakeId) => {
+            this.applyOrbitalColors(container, lakeId);
+        });
         
         // Update any active sacred lakes with new colors
         this.updateActiveSacredLakes();
     }
     
+    getLakeColors(lakeId) {
+        // Colors for where the sun stands over this lake, with a festival's denser glow
+        if (!this.lakeColors.has(lakeId)) {
+            const sun = StateManager.getSunPosition(lakeId);
+            const colors = SACRED_COLOR_SYSTEM.getColorForSunAltitude(sun ? sun.altitude : 90);
+            
+            if (StateManager.getLakeFestivals(lakeId).length > 0) {
+                colors.glow = mixColors(colors.glow, SACRED_FESTIVAL_PRESET.glow, SACRED_FESTIVAL_PRESET.glowBlend);
+            }
+            
+            this.lakeColors.set(lakeId, colors);
+        }
+        
+        return this.lakeColors.get(lakeId);
+    }
+    
     updateActiveSacredLakes() {
         if (!this.active) return;
         
@@ -136,6 +190,7 @@ export class SacredLakeEnhancer {
             <div class="orbital-ring"></div>
             <div class="orbital-glow"></div>
             <div class="orbital-particles"></div>
+            <div class="orbital-festival"></div>
         `;
         
         // Apply initial styling
@@ -150,16 +205,7 @@ export class SacredLakeEnhancer {
         });
         
         // Apply current colors
-        const ring = container.querySelector('.orbital-ring');
-        const glow = container.querySelector('.orbital-glow');
-        
-        if (ring) {
-            ring.style.borderColor = this.currentColors.particle;
-        }
-        
-        if (glow) {
-            glow.style.boxShadow = `0 0 20px 10px ${this.currentColors.glow}`;
-        }
+        this.applyOrbitalColors(container, lakeId);
         
         // Add to document and store reference
         document.body.appendChild(container);
@@ -171,6 +217,30 @@ export class SacredLakeEnhancer {
         }, 100);
     }
     
+    applyOrbitalColors(container, lakeId) {
+        const colors = this.getLakeColors(lakeId);
+        const festivals = StateManager.getLakeFestivals(lakeId);
+        const spread = festivals.length > 0 ? SACRED_FESTIVAL_PRESET.glowSpread : 1;
+        
+        const ring = container.querySelector('.orbital-ring');
+        const glow = container.querySelector('.orbital-glow');
+        const label = container.querySelector('.orbital-festival');
+        
+        if (ring) {
+            ring.style.borderColor = colors.particle;
+        }
+        
+        if (glow) {
+            glow.style.boxShadow = `0 0 ${20 * spread}px ${10 * spread}px ${colors.glow}`;
+        }
+        
+        // Name the festivals being held
+        if (label) {
+            label.textContent = festivals.map(festival => festival.name).join(' · ');
+            label.hidden = festivals.length === 0;
+        }
+    }
+    
     updateOrbitalPosition(lakeId) {
         const container = this.orbitalContainers.get(lakeId);
         if (!container) return;
@@ -194,8 +264,8 @@ export class SacredLakeEnhancer {
         container.style.top = `${point.y}px`;
         container.style.opacity = '1';
         
-        // Pulse animation based on time
-        const pulseFactor = 0.2 * Math.sin(Date.now() * 0.001) + 1;
+        // Pulse animation based on time; a steady glow with reduced motion
+        const pulseFactor = StateManager.prefersReducedMotion() ? 1 : 0.2 * Math.sin(Date.now() * 0.001) + 1;
         container.style.transform = `translate(-50%, -50%) scale(${pulseFactor})`;
     }
     
@@ -207,18 +277,29 @@ export class SacredLakeEnhancer {
         
         // Apply special colors and patterns to particles
         const time = Date.now() * 0.001; // Time in seconds
+        const reducedMotion = StateManager.prefersReducedMotion();
+        const colors = this.getLakeColors(particleSystem.lakeId);
+        const festive = StateManager.getLakeFestivals(particleSystem.lakeId).length > 0;
+        const { particleColors, flicker } = SACRED_FESTIVAL_PRESET;
+        
+        this.updateFestivalOffering(particleSystem, festive);
         
         particleSystem.particles.forEach(particle => {
-            // Apply sacred colors
-            particle.color = this.currentColors.particle;
+            // Apply sacred colors, or diya flames on festival days
+            particle.color = festive ? particleColors[particle.id % particleColors.length] : colors.particle;
             
             // Apply spiral pattern to a portion of particles
-            if (particle.id % 5 === 0) {
+            if (particle.id % 5 === 0 && !reducedMotion) {
                 this.applySpiralPattern(particle, SACRED_PARTICLE_PATTERNS.spiral);
             }
             
-            // Apply pulsing effect
-            const pulse = Math.sin(time + particle.id) * 0.3 + 0.7;
+            // Apply pulsing effect (a quick flame flicker on festival days), held steady with reduced motion
+            let pulse;
+            if (festive) {
+                pulse = reducedMotion ? 1 - flicker.depth / 2 : 1 - flicker.depth * (0.5 + 0.5 * Math.sin(time * flicker.rate + particle.id * 1.7));
+            } else {
+                pulse = reducedMotion ? 0.7 : Math.sin(time + particle.id) * 0.3 + 0.7;
+            }
             particle.opacity = pulse;
             
             // Increase particle size slightly for sacred lakes
@@ -226,6 +307,17 @@ export class SacredLakeEnhancer {
         });
     }
     
+    updateFestivalOffering(particleSystem, festive) {
+        // Release diyas for the festival, and go back to the lake's own offering after it
+        if (festive && !offeringsBeforeFestival.has(particleSystem)) {
+            offeringsBeforeFestival.set(particleSystem, particleSystem.offering);
+            particleSystem.setOffering(SACRED_FESTIVAL_PRESET.offering);
+        } else if (!festive && offeringsBeforeFestival.has(particleSystem)) {
+            particleSystem.setOffering(offeringsBeforeFestival.get(particleSystem));
+            offeringsBeforeFestival.delete(particleSystem);
+        }
+    }
+    
     applySpiralPattern(particle, pattern) {
         if (!particle || !pattern) return;
         
@@ -388,7 +480,7 @@ export class SacredLakeEnhancer {
             particle.velocity.y += forceY;
             
             // Non-security random value for visual effect only
-            particle.velocity.x += (Math.random() - 0.5) * strength * 0.5;
+            particle.velocity.x += (system.random.next() - 0.5) * strength * 0.5;
         });
     }
     
@@ -505,8 +597,8 @@ export class SacredLakeEnhancer {
         document.removeEventListener('touchmove', this.handleTouchMove.bind(this));
         document.removeEventListener('touchend', this.handleTouchEnd.bind(this));
         
-        // Clear interval
-        clearInterval(this.colorUpdateInterval);
+        // Stop following the sun
+        this.removeDaylightListeners.forEach(remove => remove());
         
         // Remove orbital containers
         this.orbitalContainers.forEach(container => {
@@ -518,4 +610,27 @@ export class SacredLakeEnhancer {
     }
 }
 
+// Split '#rrggbb' or 'rgba(r, g, b, a)' into [r, g, b, a]
+function parseColor(color) {
+    if (color.startsWith('#')) {
+        const value = parseInt(color.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255, 1];
+    }
+    
+    return color.match(/[\d.]+/g).map(Number);
+}
+
+// Blend two colors, keeping the format of the first
+function mixColors(from, to, t) {
+    const a = parseColor(from);
+    const b = parseColor(to);
+    const [r, g, bl, alpha] = a.map((value, i) => value + (b[i] - value) * t);
+    
+    if (from.startsWith('#')) {
+        return `#${[r, g, bl].map(value => Math.round(value).toString(16).padStart(2, '0')).join('')}`;
+    }
+    
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(bl)}, ${alpha.toFixed(2)})`;
+}
+
 export { SACRED_COLOR_SYSTEM };
\ No newline at end of file
@@ -102,19 +102,46 @@ export class ScrollAnimationController {
         }
     }
     
-    startTransition(fromLake, toLake) {
+    startTransition(fromLake, toLake, duration = 1000) {
         if (fromLake === toLake) return;
         
+        // A transition cut short leaves its lakes where it would have ended
+        if (this.transitionState.active) {
+            this.finishTransition();
+        }
+        
         this.transitionState = {
             active: true,
             startLake: fromLake,
             endLake: toLake,
             startTime: performance.now(),
-            duration: 1000, // 1 second transition
+            // Reduced motion cuts straight to the new lake instead of crossfading
+            duration: StateManager.prefersReducedMotion() ? 0 : duration,
             easing: t => t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
         };
         
         console.log(`[ScrollAnimationController] Starting transition from ${fromLake} to ${toLake}`);
+        
+        // Start from the first frame of the crossfade rather than a frame of both at full strength
+        this.updateTransition();
+    }
+    
+    /**
+     * Run a transition on its own animation loop, for transitions not driven by scrolling
+     * @param {string} fromLake - ID of the lake fading out
+     * @param {string} toLake - ID of the lake fading in
+     * @param {number} duration - Transition length in ms
+     */
+    playTransition(fromLake, toLake, duration = 1000) {
+        this.startTransition(fromLake, toLake, duration);
+        
+        cancelAnimationFrame(this.transitionFrameId);
+        const step = () => {
+            if (!this.transitionState.active) return;
+            this.updateTransition();
+            this.transitionFrameId = requestAnimationFrame(step);
+        };
+        this.transitionFrameId = requestAnimationFrame(step);
     }
     
     updateTransition() {
@@ -122,38 +149,43 @@ export class ScrollAnimationController {
         const elapsed = now - this.transitionState.startTime;
         
         if (elapsed >= this.transitionState.duration) {
-            // Transition complete
-            this.transitionState.active = false;
+            this.finishTransition();
             return;
         }
         
         // Calculate interpolation factor with easing
         const t = this.transitionState.easing(elapsed / this.transitionState.duration);
         
-        // Get start and end lake particle systems
-        const startSystem = this.particleSystems[this.transitionState.startLake];
-        const endSystem = this.particleSystems[this.transitionState.endLake];
+        // Crossfade the lakes' particle systems; the renderer applies their opacity to every particle,
+        // and keeps drawing the outgoing one after it has been deactivated until it has faded out
+        const startSystem = StateManager.particleSystems.get(this.transitionState.startLake);
+        const endSystem = StateManager.particleSystems.get(this.transitionState.endLake);
         
-        if (startSystem && endSystem) {
-            // Crossfade particle opacities
-            if (startSystem.particles) {
-                startSystem.particles.forEach(p => {
-                    p.opacity *= (1 - t) * 0.9; // Fade out
-                });
-            }
-            
-            if (endSystem.particles) {
-                endSystem.particles.forEach(p => {
-                    p.opacity = Math.min(1, p.opacity + t * 0.1); // Fade in
-                });
-            }
-        }
+        if (startSystem) startSystem.setOpacity(1 - t);
+        if (endSystem?.active) endSystem.setOpacity(t);
+    }
+    
+    /**
+     * End the transition: the outgoing lake's particles disappear once it is no longer active,
+     * and the incoming lake's are shown in full
+     */
+    finishTransition() {
+        this.transitionState.active = false;
+        
+        const startSystem = StateManager.particleSystems.get(this.transitionState.startLake);
+        const endSystem = StateManager.particleSystems.get(this.transitionState.endLake);
+        
+        if (startSystem) startSystem.setOpacity(startSystem.active ? 1 : 0);
+        if (endSystem?.active) endSystem.setOpacity(1);
     }
     
     applyScrollEffects(scrollDelta) {
         if (Math.abs(scrollDelta) < 1) return; // Ignore tiny scroll movements
         
-        const currentLakeSystem = this.particleSystems[this.activeLakeName];
+        // Scrolling the page shouldn't set the water moving when motion is reduced
+        if (StateManager.prefersReducedMotion()) return;
+        
+        const currentLakeSystem = StateManager.particleSystems.get(StateManager.getActiveLake());
         if (!currentLakeSystem?.active) return;
         
         // Determine direction
@@ -166,10 +198,10 @@ export class ScrollAnimationController {
         const lakeType = currentLakeSystem.lakeType;
         
         if (lakeType.includes('Sacred') || lakeType.includes('High Altitude')) {
-            // Create ripple effect from the center
+            // Create ripple effect from the lake center
             const center = { 
-                x: currentLakeSystem.canvas.width / 2, 
-                y: currentLakeSystem.canvas.height / 2 
+                x: currentLakeSystem.lakeCenter[0], 
+                y: currentLakeSystem.lakeCenter[1] 
             };
             
             // Apply ripple - expanding for down scroll, contracting for up scroll
@@ -207,21 +239,24 @@ export class ScrollAnimationController {
     addDirectionalFlow(system, direction, strength) {
         if (!system.particles) return;
         
+        // Particle velocities are in lake extents per second, so keep pushes small
+        const scale = 0.01;
+        
         // Apply directional flow to all particles
         system.particles.forEach(particle => {
             // Vertical flow based on scroll direction
-            particle.velocity.y += direction * strength * 0.5;
+            particle.velocity.y += direction * strength * 0.5 * scale;
             
             // Add a slight randomness for natural effect
-            particle.velocity.x += (Math.random() - 0.5) * strength * 0.2;
+            particle.velocity.x += (system.random.next() - 0.5) * strength * 0.2 * scale;
             
             // Add a small vertical displacement based on lake type
             if (system.lakeType.includes('High Altitude')) {
                 // High altitude lakes get more vertical movement
-                particle.velocity.z += direction * strength * 0.1;
+                particle.velocity.z += direction * strength * 0.1 * scale;
             } else if (system.lakeType.includes('Salt')) {
                 // Salt lakes get slightly different horizontal motion
-                particle.velocity.x += direction * strength * 0.05;
+                particle.velocity.x += direction * strength * 0.05 * scale;
             }
             
             // Adjust particle size temporarily for visual feedback
@@ -245,7 +280,7 @@ export class ScrollAnimationController {
                 if (system.particles && system.particles.length > 1000) {
                     // Remove some particles
                     const reduction = Math.floor(system.particles.length * 0.2); // Reduce by 20%
-                    system.particles.splice(0, reduction);
+                    system.trimParticles(system.particles.length - reduction);
                 }
             });
         }
@@ -299,6 +334,7 @@ export class ScrollAnimationController {
         
         this.triggers.clear();
         this.transitionState.active = false;
+        cancelAnimationFrame(this.transitionFrameId);
         
         console.log('[ScrollAnimationController] Disposed');
     }
@@ -0,0 +1,215 @@
+import { StateManager } from '../stateManager.js';
+import { getLunarDate } from '../utils/lunarCalendar.js';
+
+// Days on the season slider; 29 February shares 28 February's state
+const DAYS_IN_YEAR = 365;
+
+// Seasonal fields of a keyframe and their values when a keyframe leaves them out
+const SEASON_DEFAULTS = {
+    iceCover: 0,
+    waterExtent: 1,
+    turbidity: 0
+};
+
+/**
+ * State of a lake as mapped, for lakes without seasonal data or before a date is chosen
+ */
+export const DEFAULT_LAKE_SEASON = Object.freeze({
+    ...SEASON_DEFAULTS,
+    vegetation: [],
+    dryBand: 0,
+    iceBand: 0
+});
+
+/**
+ * SeasonController holds the date the lakes are shown at and works out each
+ * lake's seasonal state from the keyframes in its catalogue entry ("seasons"):
+ * how much of it is frozen, how far the water has receded from the mapped
+ * shoreline, how turbid it is and where its floating vegetation lies.
+ *
+ * Ice spreads in from the shore and a falling waterline uncovers the shallows
+ * first, so both are expressed as bands measured in from the mapped shoreline:
+ * dryBand is where the water now starts and iceBand where open water starts.
+ * Particles, flow boundaries and the water surface all work from these.
+ *
+ * Festivals follow the lunar calendar rather than the seasons, so they are
+ * looked up for the day in the current year from each lake's "festivals" rules.
+ */
+export class SeasonController {
+    /**
+     * Create a season controller
+     * @param {number|null} day - Day of the year (1-365), or null to show the lakes as mapped
+     * @param {number} year - Year whose lunar calendar festivals are looked up in
+     */
+    constructor(day = null, year = new Date().getFullYear()) {
+        this.day = null;
+        this.year = year;
+        this.states = new Map();
+        this.festivals = new Map();
+        
+        if (day !== null) {
+            this.setDay(day);
+        }
+        
+        console.log('[SeasonController] Initialized');
+    }
+    
+    /**
+     * Day of the year of a date, as used by the season slider
+     * @param {Date} date - Date (default today)
+     * @returns {number} Day of the year (1-365)
+     */
+    static getDayOfYear(date = new Date()) {
+        const start = Date.UTC(date.getFullYear(), 0, 1);
+        const today = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+        let day = Math.round((today - start) / 86400000) + 1;
+        
+        // Leap years: fold 29 February into the 28th and keep later dates on their usual day
+        const isLeap = new Date(date.getFullYear(), 1, 29).getDate() === 29;
+        if (isLeap && day >= 60) {
+            day--;
+        }
+        
+        return day;
+    }
+    
+    /**
+     * Calendar date of a day of the year
+     * @param {number} day - Day of the year (1-365)
+     * @param {number} year - Year (default a non-leap year, for labels)
+     * @returns {Date} Midnight UTC on that day
+     */
+    static getDate(day, year = 2025) {
+        // The reverse of getDayOfYear: in leap years the days from 1 March on are one later
+        const isLeap = new Date(Date.UTC(year, 1, 29)).getUTCDate() === 29;
+        return new Date(Date.UTC(year, 0, isLeap && day >= 60 ? day + 1 : day));
+    }
+    
+    /**
+     * Show the lakes as they are on a day of the year
+     * @param {number} day - Day of the year (1-365)
+     */
+    setDay(day) {
+        if (!Number.isInteger(day) || day < 1 || day > DAYS_IN_YEAR) {
+            console.warn(`[SeasonController] Invalid day of the year: ${day}`);
+            return;
+        }
+        
+        if (day === this.day) return;
+        
+        const previous = this.day;
+        this.day = day;
+        this.states.clear();
+        this.festivals.clear();
+        
+        // Let the particles move off newly frozen or dried-out water
+        StateManager.particleSystems.forEach((system, lakeId) => {
+            system.setSeason(this.getLakeState(lakeId));
+        });
+        
+        StateManager.dispatchEvent('seasonChanged', { previous, current: day });
+    }
+    
+    /**
+     * Seasonal state of a lake on the current day
+     * @param {string} lakeId - ID of the lake
+     * @returns {Object} {iceCover, waterExtent, turbidity, vegetation, dryBand, iceBand}
+     */
+    getLakeState(lakeId) {
+        const lake = StateManager.lakes[lakeId];
+        if (this.day === null || !lake || !lake.seasons || !lake.shoreline) {
+            return DEFAULT_LAKE_SEASON;
+        }
+        
+        if (!this.states.has(lakeId)) {
+            const state = sampleSeasons(lake.seasons, this.day);
+            
+            // Ice covers a fraction of the water that is left, from its edge inwards
+            state.dryBand = lake.shoreline.getShoreBand(1 - state.waterExtent);
+            state.iceBand = lake.shoreline.getShoreBand(1 - state.waterExtent * (1 - state.iceCover));
+            
+            this.states.set(lakeId, state);
+        }
+        
+        return this.states.get(lakeId);
+    }
+    
+    /**
+     * Festivals held at a lake on the current day
+     * @param {string} lakeId - ID of the lake
+     * @returns {Array<Object>} The lake's festival rules that match, as {name, month, tithi}
+     */
+    getLakeFestivals(lakeId) {
+        const lake = StateManager.lakes[lakeId];
+        if (this.day === null || !lake || !lake.festivals) {
+            return [];
+        }
+        
+        if (!this.festivals.has(lakeId)) {
+            // The day's tithi is the one in force at sunrise, taken as 06:00 local solar time
+            const sunrise = SeasonController.getDate(this.day, this.year).getTime() + (360 - 4 * lake.center[0]) * 60000;
+            this.festivals.set(lakeId, matchFestivals(lake.festivals, getLunarDate(new Date(sunrise))));
+        }
+        
+        return this.festivals.get(lakeId);
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.states.clear();
+        this.festivals.clear();
+        
+        console.log('[SeasonController] Disposed');
+    }
+}
+
+/**
+ * Interpolate a lake's seasonal keyframes, wrapping from December into January
+ * @param {Array<Object>} keyframes - Keyframes in day order, as validated by LakeCatalog
+ * @param {number} day - Day of the year (1-365)
+ * @returns {Object} {iceCover, waterExtent, turbidity, vegetation}
+ */
+export function sampleSeasons(keyframes, day) {
+    const nextIndex = keyframes.findIndex(keyframe => keyframe.day > day);
+    const next = keyframes[nextIndex === -1 ? 0 : nextIndex];
+    const previousIndex = (nextIndex === -1 ? keyframes.length : nextIndex) - 1;
+    const previous = keyframes[(previousIndex + keyframes.length) % keyframes.length];
+    
+    const span = (next.day - previous.day + DAYS_IN_YEAR) % DAYS_IN_YEAR;
+    const t = span > 0 ? ((day - previous.day + DAYS_IN_YEAR) % DAYS_IN_YEAR) / span : 0;
+    const lerp = (a, b) => a + (b - a) * t;
+    
+    const state = {};
+    Object.entries(SEASON_DEFAULTS).forEach(([field, fallback]) => {
+        state[field] = lerp(previous[field] ?? fallback, next[field] ?? fallback);
+    });
+    
+    // Each mat drifts from its position in one keyframe to its position in the next
+    state.vegetation = (previous.vegetation || []).map((mat, i) => {
+        const target = next.vegetation[i];
+        return {
+            center: [lerp(mat.center[0], target.center[0]), lerp(mat.center[1], target.center[1])],
+            radius: lerp(mat.radius, target.radius)
+        };
+    });
+    
+    return state;
+}
+
+/**
+ * Festival rules that fall on a lunar date
+ * @param {Array<Object>} rules - Festival rules, as validated by LakeCatalog
+ * @param {Object} lunarDate - {tithi, month, leap} from getLunarDate
+ * @returns {Array<Object>} Matching rules
+ */
+export function matchFestivals(rules, lunarDate) {
+    // Festivals are not held in an adhika month, only in the regular month that follows it
+    if (lunarDate.leap) return [];
+    
+    return rules.filter(rule => {
+        const [first, last] = Array.isArray(rule.tithi) ? rule.tithi : [rule.tithi, rule.tithi];
+        return rule.month === lunarDate.month && lunarDate.tithi >= first && lunarDate.tithi <= last;
+    });
+}
\ No newline at end of file
@@ -0,0 +1,240 @@
+import { setLocalizedText } from './LocaleController.js';
+
+/**
+ * SettingsControl is a map control for the viewer's display preferences: a
+ * button in the map's corner that opens a panel of labelled settings.
+ * Settings are added with addSelect, addRange and addButton, so each feature wires up its own.
+ * Labels given as functions follow the interface language (see refreshLabels).
+ */
+export class SettingsControl {
+    /**
+     * Create the control
+     * @param {string|Function} title - Name of the panel, as for setting labels
+     */
+    constructor(title = 'Settings') {
+        this.map = null;
+        this.ranges = [];
+        this.labels = [];
+        this.title = title;
+        
+        this.container = document.createElement('div');
+        this.container.className = 'maplibregl-ctrl maplibregl-ctrl-group settings-control';
+        
+        this.button = document.createElement('button');
+        this.button.type = 'button';
+        this.button.className = 'settings-toggle';
+        this.button.textContent = '⚙';
+        this.updateTitle();
+        this.button.setAttribute('aria-controls', 'settings-panel');
+        this.button.setAttribute('aria-expanded', 'false');
+        this.button.addEventListener('click', () => this.toggle());
+        
+        this.panel = document.createElement('div');
+        this.panel.id = 'settings-panel';
+        this.panel.className = 'settings-panel';
+        this.panel.hidden = true;
+        this.panel.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.toggle(false);
+                this.button.focus();
+            }
+        });
+        
+        this.container.append(this.button, this.panel);
+    }
+    
+    /**
+     * Called by MapLibre when the control is added to the map
+     * @param {Object} map - MapLibre map instance
+     * @returns {HTMLElement} Control element
+     */
+    onAdd(map) {
+        this.map = map;
+        return this.container;
+    }
+    
+    /**
+     * Called by MapLibre when the control is removed from the map
+     */
+    onRemove() {
+        this.container.remove();
+        this.map = null;
+    }
+    
+    /**
+     * Open or close the panel
+     * @param {boolean} open - Whether the panel should be open; toggles if omitted
+     */
+    toggle(open = this.panel.hidden) {
+        this.panel.hidden = !open;
+        this.button.setAttribute('aria-expanded', String(open));
+    }
+    
+    /**
+     * Name the toggle button, for its tooltip and screen readers
+     */
+    updateTitle() {
+        const { text, lang } = typeof this.title === 'function' ? this.title() : { text: this.title };
+        this.button.title = text;
+        this.button.setAttribute('aria-label', text);
+        
+        // The button shows only the gear, so its name is only in attributes; mark their language
+        if (lang) {
+            this.button.lang = lang;
+        }
+    }
+    
+    /**
+     * Write a label into an element, keeping function labels to refresh later
+     * @param {HTMLElement} element - Element to fill
+     * @param {string|Function} label - Text, or a function returning {text, lang} in the current language
+     */
+    setLabel(element, label) {
+        if (typeof label !== 'function') {
+            element.textContent = label;
+            return;
+        }
+        
+        this.labels.push({ element, label });
+        this.updateLabel({ element, label });
+    }
+    
+    /**
+     * Fill an element with its function label's current text
+     * @param {Object} entry - {element, label}
+     */
+    updateLabel({ element, label }) {
+        const { text, lang } = label();
+        setLocalizedText(element, text, lang);
+    }
+    
+    /**
+     * Add a labelled choice to the panel
+     * @param {string|Function} label - Setting name: text, or a function returning {text, lang}
+     * @param {Array<Array>} options - [value, text] pairs; the text may be a function, as for label
+     * @param {string} value - Currently selected value
+     * @param {Function} onChange - Called with the newly selected value
+     * @returns {HTMLSelectElement} Select element
+     */
+    addSelect(label, options, value, onChange) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        
+        const name = document.createElement('span');
+        this.setLabel(name, label);
+        
+        const select = document.createElement('select');
+        options.forEach(([optionValue, text]) => {
+            const option = document.createElement('option');
+            option.value = optionValue;
+            this.setLabel(option, text);
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => onChange(select.value));
+        
+        row.append(name, select);
+        this.panel.appendChild(row);
+        
+        return select;
+    }
+    
+    /**
+     * Add a labelled slider to the panel, showing its value as text
+     * @param {string|Function} label - Setting name, as for addSelect
+     * @param {Object} range - {min, max, step}
+     * @param {number} value - Current value
+     * @param {Function} onChange - Called with the new value as the slider moves
+     * @param {Function} format - Turns a value into the text shown and read out for it
+     * @returns {HTMLInputElement} Range input
+     */
+    addRange(label, { min, max, step = 1 }, value, onChange, format = String) {
+        const row = document.createElement('label');
+        row.className = 'settings-row';
+        
+        const name = document.createElement('span');
+        this.setLabel(name, label);
+        
+        const input = document.createElement('input');
+        input.type = 'range';
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.value = value;
+        
+        const output = document.createElement('output');
+        output.className = 'settings-value';
+        
+        const range = { input, output, format };
+        this.ranges.push(range);
+        this.updateRangeText(range);
+        
+        input.addEventListener('input', () => {
+            this.updateRangeText(range);
+            onChange(Number(input.value));
+        });
+        
+        row.append(name, input, output);
+        this.panel.appendChild(row);
+        
+        return input;
+    }
+    
+    /**
+     * Add a button to the panel, for actions rather than values
+     * @param {string|Function} label - Button text, as for addSelect
+     * @param {Function} onClick - Called when the button is pressed
+     * @returns {HTMLButtonElement} Button element
+     */
+    addButton(label, onClick) {
+        const row = document.createElement('div');
+        row.className = 'settings-row';
+        
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'settings-button';
+        this.setLabel(button, label);
+        button.addEventListener('click', onClick);
+        
+        row.appendChild(button);
+        this.panel.appendChild(row);
+        
+        return button;
+    }
+    
+    /**
+     * Write the panel's name and every function label again, after the language changed
+     */
+    refreshLabels() {
+        this.updateTitle();
+        this.labels.forEach(entry => this.updateLabel(entry));
+    }
+    
+    /**
+     * Show each slider's value as text again, e.g. after the language changed
+     */
+    refreshRanges() {
+        this.ranges.forEach(range => this.updateRangeText(range));
+    }
+    
+    /**
+     * Write a slider's value as text, for sight and for screen readers
+     * @param {Object} range - {input, output, format}
+     */
+    updateRangeText({ input, output, format }) {
+        const text = format(Number(input.value));
+        output.textContent = text;
+        input.setAttribute('aria-valuetext', text);
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (this.map) {
+            this.map.removeControl(this);
+        }
+        
+        console.log('[SettingsControl] Disposed');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,153 @@
+import { TERRAIN_CONFIG } from '../config/constants.js';
+
+/**
+ * TerrainController turns on MapLibre 3D terrain from a locally hosted DEM
+ * tile set described by a TileJSON file. Without the tiles the map stays flat
+ * and everything is drawn at sea level, as before.
+ *
+ * Custom layers place lake surfaces and particles at each lake's stored
+ * surface elevation (see getLakeAltitude), scaled by the terrain exaggeration
+ * so they sit on the DEM rather than under or above it.
+ */
+export class TerrainController {
+    /**
+     * Create a terrain controller
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {Object} options - Overrides for TERRAIN_CONFIG
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = { ...TERRAIN_CONFIG, ...options };
+        this.source = null;
+        this.enabled = false;
+        
+        console.log('[TerrainController] Initialized');
+    }
+    
+    /**
+     * Load the DEM TileJSON and enable terrain
+     * @param {string} url - Location of the TileJSON file
+     * @returns {Promise<boolean>} True once terrain is on
+     */
+    async load(url) {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`[TerrainController] Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        let tileJson;
+        try {
+            tileJson = await response.json();
+        } catch (error) {
+            throw new Error(`[TerrainController] ${url} is not valid JSON: ${error.message}`);
+        }
+        
+        if (!Array.isArray(tileJson.tiles) || tileJson.tiles.length === 0) {
+            throw new Error(`[TerrainController] ${url} has no "tiles" URLs`);
+        }
+        
+        // Tile URLs may be relative to the TileJSON file
+        const base = new URL(url, window.location.href);
+        
+        this.source = {
+            type: 'raster-dem',
+            tiles: tileJson.tiles.map(tile => decodeURI(new URL(tile, base).href)),
+            tileSize: tileJson.tileSize || this.options.tileSize,
+            encoding: tileJson.encoding || this.options.encoding,
+            minzoom: tileJson.minzoom ?? 0,
+            maxzoom: tileJson.maxzoom ?? 12
+        };
+        
+        if (Array.isArray(tileJson.bounds)) {
+            this.source.bounds = tileJson.bounds;
+        }
+        if (tileJson.attribution) {
+            this.source.attribution = tileJson.attribution;
+        }
+        
+        return this.enable();
+    }
+    
+    /**
+     * Add the DEM source if needed and turn terrain on
+     * @returns {boolean} True if terrain is on
+     */
+    enable() {
+        if (!this.source) {
+            console.warn('[TerrainController] No DEM loaded, terrain stays off');
+            return false;
+        }
+        
+        const { sourceId, exaggeration } = this.options;
+        
+        if (!this.map.getSource(sourceId)) {
+            this.map.addSource(sourceId, this.source);
+        }
+        
+        this.map.setTerrain({ source: sourceId, exaggeration });
+        this.enabled = true;
+        
+        console.log(`[TerrainController] Terrain enabled (${this.source.encoding}, zoom ${this.source.minzoom}-${this.source.maxzoom})`);
+        return true;
+    }
+    
+    /**
+     * Flatten the map again
+     */
+    disable() {
+        if (this.map.getTerrain()) {
+            this.map.setTerrain(null);
+        }
+        
+        this.enabled = false;
+    }
+    
+    /**
+     * Change how much the terrain is stretched vertically
+     * @param {number} exaggeration - Vertical scale (1 is true to life)
+     */
+    setExaggeration(exaggeration) {
+        this.options.exaggeration = Math.max(0, exaggeration);
+        
+        if (this.enabled) {
+            this.map.setTerrain({ source: this.options.sourceId, exaggeration: this.options.exaggeration });
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.disable();
+        
+        if (this.map.getSource(this.options.sourceId)) {
+            this.map.removeSource(this.options.sourceId);
+        }
+        
+        this.map = null;
+        
+        console.log('[TerrainController] Disposed');
+    }
+}
+
+/**
+ * Vertical scale of the map's terrain
+ * @param {Object} map - The MapLibre GL map instance
+ * @returns {number} Terrain exaggeration, or 0 when the map is flat
+ */
+export function getTerrainExaggeration(map) {
+    const terrain = map && map.getTerrain ? map.getTerrain() : null;
+    return terrain ? terrain.exaggeration ?? 1 : 0;
+}
+
+/**
+ * Height at which to draw something on a lake's surface
+ * @param {Object} map - The MapLibre GL map instance
+ * @param {number} elevation - Lake surface elevation in metres above sea level
+ * @returns {number} Altitude in metres as rendered, or 0 when the map is flat
+ */
+export function getLakeAltitude(map, elevation) {
+    const exaggeration = getTerrainExaggeration(map);
+    return exaggeration > 0 ? (elevation || 0) * exaggeration + TERRAIN_CONFIG.surfaceOffset : 0;
+}
\ No newline at end of file
@@ -0,0 +1,350 @@
+import { StateManager } from '../stateManager.js';
+
+// Time spent at a lake after the flight lands, when a stop doesn't set one
+const DEFAULT_DWELL = 8000;
+
+/**
+ * TourController plays a narrated flight through an ordered list of lakes.
+ * Each stop flies to its lake, crossfades the particle systems and shows the
+ * narration in the attribution panel, then waits for its dwell time.
+ */
+export class TourController {
+    /**
+     * Create a new tour controller
+     * @param {Array} stops - Ordered stops {lake, dwell, narration}
+     * @param {Object} options - Tour options
+     * @param {boolean} options.loop - Restart from the first stop after the last
+     */
+    constructor(stops = [], options = {}) {
+        this.stops = [];
+        this.currentIndex = -1;
+        this.state = 'stopped'; // 'stopped' | 'playing' | 'paused'
+        this.loop = options.loop || false;
+        this.title = options.title || 'Tour';
+        
+        // Timer bookkeeping so a paused stop resumes with its remaining time
+        this.stopTimer = null;
+        this.stopDeadline = 0;
+        this.remainingTime = 0;
+        
+        this.setStops(stops);
+        
+        console.log(`[TourController] Initialized with ${this.stops.length} stops`);
+    }
+    
+    /**
+     * Build a tour visiting every lake once, narrated from the lake data
+     * @param {Object} lakes - Lakes keyed by ID
+     * @returns {Array} Tour stops
+     */
+    static stopsFromLakes(lakes) {
+        return Object.entries(lakes).map(([lakeId, lake]) => ({
+            lake: lakeId,
+            dwell: DEFAULT_DWELL,
+            narration: lake.historicalContext || lake.description
+        }));
+    }
+    
+    /**
+     * Load a tour definition file
+     * @param {string} url - Location of the tour JSON ({title, loop, stops})
+     * @returns {Promise<TourController>} Tour ready to play
+     */
+    static async load(url) {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`[TourController] Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        if (!Array.isArray(data.stops)) {
+            throw new Error(`[TourController] ${url} must contain a "stops" array`);
+        }
+        
+        return new TourController(data.stops, { loop: data.loop, title: data.title });
+    }
+    
+    /**
+     * Replace the tour stops, skipping any that reference unknown lakes
+     * @param {Array} stops - Ordered stops {lake, dwell, narration}
+     */
+    setStops(stops) {
+        this.stop();
+        
+        this.stops = stops.filter((stop, index) => {
+            if (!stop || !StateManager.lakes[stop.lake]) {
+                console.warn(`[TourController] Skipping stop ${index}: unknown lake ${stop && stop.lake}`);
+                return false;
+            }
+            return true;
+        }).map(stop => ({
+            lake: stop.lake,
+            dwell: Number.isFinite(stop.dwell) && stop.dwell >= 0 ? stop.dwell : DEFAULT_DWELL,
+            narration: stop.narration || ''
+        }));
+    }
+    
+    /**
+     * Get the flight time for a stop, taken from the lake's duration
+     * (none with reduced motion, where the camera cuts straight to the lake)
+     * @param {Object} stop - Tour stop
+     * @returns {number} Flight duration in ms
+     */
+    getFlightDuration(stop) {
+        if (StateManager.prefersReducedMotion()) return 0;
+        return StateManager.lakes[stop.lake]?.duration || 2000;
+    }
+    
+    /**
+     * Get the total running time of one pass through the tour
+     * @returns {number} Duration in ms
+     */
+    getTotalDuration() {
+        return this.stops.reduce((total, stop) => total + this.getFlightDuration(stop) + stop.dwell, 0);
+    }
+    
+    /**
+     * Check whether the tour is playing or paused
+     * @returns {boolean} True unless stopped
+     */
+    isActive() {
+        return this.state !== 'stopped';
+    }
+    
+    /**
+     * Start or resume the tour
+     */
+    play() {
+        if (this.stops.length === 0) return;
+        
+        if (this.state === 'paused') {
+            this.state = 'playing';
+            this.scheduleNext(this.remainingTime);
+            this.notify();
+            return;
+        }
+        
+        if (this.state === 'stopped') {
+            this.state = 'playing';
+            this.goToStop(this.currentIndex >= 0 ? this.currentIndex : 0);
+        }
+    }
+    
+    /**
+     * Pause on the current stop
+     */
+    pause() {
+        if (this.state !== 'playing') return;
+        
+        this.remainingTime = Math.max(0, this.stopDeadline - performance.now());
+        clearTimeout(this.stopTimer);
+        this.state = 'paused';
+        this.notify();
+    }
+    
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.state === 'playing') {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+    
+    /**
+     * Stop the tour and forget the position
+     */
+    stop() {
+        clearTimeout(this.stopTimer);
+        
+        if (this.state === 'stopped') return;
+        
+        this.state = 'stopped';
+        this.currentIndex = -1;
+        this.notify();
+    }
+    
+    /**
+     * Jump to a stop. Keeps the play/pause state; starts paused when stopped.
+     * @param {number} index - Stop index (wraps around)
+     */
+    seek(index) {
+        if (this.stops.length === 0) return;
+        
+        const wrapped = ((index % this.stops.length) + this.stops.length) % this.stops.length;
+        
+        if (this.state === 'stopped') {
+            this.state = 'paused';
+        }
+        
+        this.goToStop(wrapped);
+    }
+    
+    /**
+     * Go to the next stop
+     */
+    next() {
+        this.seek(this.currentIndex + 1);
+    }
+    
+    /**
+     * Go to the previous stop
+     */
+    previous() {
+        this.seek(this.currentIndex - 1);
+    }
+    
+    /**
+     * Enable or disable looping
+     * @param {boolean} loop - Whether to loop
+     */
+    setLoop(loop) {
+        this.loop = loop;
+        this.notify();
+    }
+    
+    /**
+     * Fly to a stop and show its narration
+     * @param {number} index - Stop index
+     */
+    goToStop(index) {
+        clearTimeout(this.stopTimer);
+        
+        const stop = this.stops[index];
+        const previousLake = StateManager.getActiveLake();
+        const flightDuration = this.getFlightDuration(stop);
+        
+        this.currentIndex = index;
+        
+        const lakeManager = StateManager.lakeManager;
+        if (lakeManager) {
+            // The tour takes priority over any flight already in progress
+            lakeManager.cancelTransition();
+            
+            if (stop.lake === previousLake) {
+                lakeManager.flyToLake(stop.lake);
+            } else {
+                lakeManager.setActiveLake(stop.lake);
+            }
+        }
+        
+        if (StateManager.scrollAnimationController && stop.lake !== previousLake) {
+            StateManager.scrollAnimationController.playTransition(previousLake, stop.lake, flightDuration);
+        }
+        
+        if (StateManager.coinAttributionSystem) {
+            StateManager.coinAttributionSystem.showLakeInfo(stop.lake, StateManager.lakes, {
+                narration: stop.narration,
+                duration: flightDuration + stop.dwell
+            });
+        }
+        
+        const section = document.getElementById(stop.lake);
+        if (section) {
+            section.scrollIntoView({
+                behavior: StateManager.prefersReducedMotion() ? 'auto' : 'smooth',
+                block: 'nearest'
+            });
+        }
+        
+        // A paused tour stays on this stop with its full time remaining
+        this.remainingTime = flightDuration + stop.dwell;
+        if (this.state === 'playing') {
+            this.scheduleNext(this.remainingTime);
+        }
+        
+        this.notify();
+    }
+    
+    /**
+     * Advance to the next stop after a delay
+     * @param {number} delay - Delay in ms
+     */
+    scheduleNext(delay) {
+        clearTimeout(this.stopTimer);
+        this.stopDeadline = performance.now() + delay;
+        
+        this.stopTimer = setTimeout(() => {
+            const isLast = this.currentIndex >= this.stops.length - 1;
+            
+            if (isLast && !this.loop) {
+                this.stop();
+                return;
+            }
+            
+            this.goToStop(isLast ? 0 : this.currentIndex + 1);
+        }, delay);
+    }
+    
+    /**
+     * Broadcast the tour state to other components
+     */
+    notify() {
+        const stop = this.stops[this.currentIndex];
+        
+        StateManager.dispatchEvent('tourChanged', {
+            state: this.state,
+            index: this.currentIndex,
+            lake: stop ? stop.lake : null,
+            total: this.stops.length,
+            loop: this.loop
+        });
+    }
+    
+    /**
+     * Handle tour keyboard shortcuts
+     * T: start/stop, Space: play/pause, Arrow keys: previous/next stop,
+     * Home/End: first/last stop, L: toggle loop
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {boolean} True if the key was handled
+     */
+    handleKeydown(e) {
+        if (e.key === 't' || e.key === 'T') {
+            if (this.isActive()) {
+                this.stop();
+            } else {
+                this.play();
+            }
+            return true;
+        }
+        
+        if (!this.isActive()) return false;
+        
+        switch (e.key) {
+            case ' ':
+                this.togglePlay();
+                return true;
+            case 'ArrowRight':
+                this.next();
+                return true;
+            case 'ArrowLeft':
+                this.previous();
+                return true;
+            case 'Home':
+                this.seek(0);
+                return true;
+            case 'End':
+                this.seek(this.stops.length - 1);
+                return true;
+            case 'l':
+            case 'L':
+                this.setLoop(!this.loop);
+                return true;
+            default:
+                return false;
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.stop();
+        this.stops = [];
+        
+        console.log('[TourController] Disposed');
+    }
+}
\ No newline at end of file
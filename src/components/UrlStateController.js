@@ -0,0 +1,216 @@
+import { StateManager } from '../stateManager.js';
+import { QUALITY_PRESETS } from '../config/constants.js';
+import { debounce } from '../utils/debounce.js';
+
+/**
+ * UrlStateController keeps the active lake, camera and quality level in the
+ * URL hash so views can be shared as links and restored with back/forward.
+ *
+ * Hash format: #lake=pangong&center=78.70000,33.70000&zoom=10.50&bearing=0.0&pitch=65.0&quality=high&seed=12345
+ *
+ * The random seed is only read at startup, since particles are already spawned by the time
+ * back/forward can change it.
+ */
+export class UrlStateController {
+    /**
+     * Create a new URL state controller
+     * @param {Object} map - The MapLibre GL map instance
+     */
+    constructor(map) {
+        this.map = map;
+        this.isApplying = false;
+        this.lastLake = null;
+        this.removeListeners = [];
+        
+        // Camera moves only replace the current entry; lake changes push a new one
+        this.handleMoveEnd = debounce(() => this.writeState(), 250);
+        this.handlePopState = () => this.applyState(UrlStateController.parseHash(window.location.hash), true);
+        
+        console.log('[UrlStateController] Initialized');
+    }
+    
+    /**
+     * Parse a URL hash into view state, dropping anything malformed
+     * @param {string} hash - URL hash including or excluding the leading '#'
+     * @returns {Object} State {lake, camera: {center, zoom, bearing, pitch}, quality, seed}
+     */
+    static parseHash(hash) {
+        const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+        const state = { lake: null, camera: {}, quality: null, seed: null };
+        
+        const number = (key, min, max) => {
+            if (!params.has(key)) return undefined;
+            const value = parseFloat(params.get(key));
+            if (!Number.isFinite(value) || value < min || value > max) {
+                console.warn(`[UrlStateController] Ignoring invalid ${key} in URL: ${params.get(key)}`);
+                return undefined;
+            }
+            return value;
+        };
+        
+        if (params.has('lake')) {
+            state.lake = params.get('lake');
+        }
+        
+        if (params.has('center')) {
+            const center = params.get('center').split(',').map(parseFloat);
+            if (center.length === 2 && center.every(Number.isFinite) &&
+                Math.abs(center[0]) <= 180 && Math.abs(center[1]) <= 90) {
+                state.camera.center = center;
+            } else {
+                console.warn(`[UrlStateController] Ignoring invalid center in URL: ${params.get('center')}`);
+            }
+        }
+        
+        const zoom = number('zoom', 0, 22);
+        const bearing = number('bearing', -360, 360);
+        const pitch = number('pitch', 0, 85);
+        if (zoom !== undefined) state.camera.zoom = zoom;
+        if (bearing !== undefined) state.camera.bearing = bearing;
+        if (pitch !== undefined) state.camera.pitch = pitch;
+        
+        if (params.has('quality')) {
+            const quality = params.get('quality');
+            if (QUALITY_PRESETS[quality]) {
+                state.quality = quality;
+            } else {
+                console.warn(`[UrlStateController] Ignoring unknown quality in URL: ${quality}`);
+            }
+        }
+        
+        const seed = number('seed', 0, 0xffffffff);
+        if (seed !== undefined) state.seed = seed;
+        
+        return state;
+    }
+    
+    /**
+     * Build the URL hash for the current view
+     * @returns {string} Hash including the leading '#'
+     */
+    buildHash() {
+        const center = this.map.getCenter();
+        
+        return '#' + [
+            `lake=${encodeURIComponent(StateManager.getActiveLake())}`,
+            `center=${center.lng.toFixed(5)},${center.lat.toFixed(5)}`,
+            `zoom=${this.map.getZoom().toFixed(2)}`,
+            `bearing=${this.map.getBearing().toFixed(1)}`,
+            `pitch=${this.map.getPitch().toFixed(1)}`,
+            `quality=${encodeURIComponent(StateManager.qualityLevel)}`,
+            `seed=${StateManager.randomSeed}`
+        ].join('&');
+    }
+    
+    /**
+     * Restore state from the URL on page load, before the first lake is activated.
+     * Lakes not in the catalogue are ignored so the default lake is used instead.
+     */
+    restoreFromUrl() {
+        const state = UrlStateController.parseHash(window.location.hash);
+        
+        if (state.lake && StateManager.lakes[state.lake]) {
+            StateManager.setActiveLake(state.lake);
+        } else if (state.lake) {
+            console.warn(`[UrlStateController] Unknown lake in URL: ${state.lake}`);
+        }
+        
+        if (state.quality) {
+            StateManager.setQualityLevel(state.quality);
+        }
+        
+        // Lake view first, then any camera overrides from the link
+        const lake = StateManager.lakes[StateManager.getActiveLake()];
+        if (lake) {
+            this.map.jumpTo({
+                center: lake.center,
+                zoom: lake.zoom,
+                bearing: lake.bearing,
+                pitch: lake.pitch,
+                ...state.camera
+            });
+        }
+    }
+    
+    /**
+     * Start syncing state to the URL
+     */
+    start() {
+        this.map.on('moveend', this.handleMoveEnd);
+        window.addEventListener('popstate', this.handlePopState);
+        
+        this.removeListeners.push(
+            StateManager.addEventListener('lakeChanged', () => this.writeState()),
+            StateManager.addEventListener('qualityChanged', () => this.writeState())
+        );
+        
+        // Normalise whatever hash we started with without adding a history entry
+        this.lastLake = StateManager.getActiveLake();
+        window.history.replaceState(null, '', this.buildHash());
+    }
+    
+    /**
+     * Write the current view to the URL
+     */
+    writeState() {
+        // The URL is the source of the change being applied
+        if (this.isApplying) return;
+        
+        const hash = this.buildHash();
+        if (hash === window.location.hash) return;
+        
+        const lake = StateManager.getActiveLake();
+        
+        if (lake !== this.lastLake) {
+            window.history.pushState(null, '', hash);
+        } else {
+            window.history.replaceState(null, '', hash);
+        }
+        
+        this.lastLake = lake;
+    }
+    
+    /**
+     * Apply parsed URL state to the application
+     * @param {Object} state - State from parseHash
+     * @param {boolean} animate - Whether to animate the camera
+     */
+    applyState(state, animate = false) {
+        this.isApplying = true;
+        
+        try {
+            if (state.quality && state.quality !== StateManager.qualityLevel) {
+                StateManager.setQualityLevel(state.quality);
+            }
+            
+            const lakeChanged = state.lake && state.lake !== StateManager.getActiveLake() &&
+                StateManager.lakes[state.lake];
+            
+            if (lakeChanged && StateManager.lakeManager) {
+                StateManager.lakeManager.setActiveLake(state.lake, state.camera);
+            } else if (Object.keys(state.camera).length > 0) {
+                if (animate) {
+                    this.map.easeTo({ ...state.camera, duration: 1000, ...StateManager.getCameraMotion() });
+                } else {
+                    this.map.jumpTo(state.camera);
+                }
+            }
+            
+            this.lastLake = StateManager.getActiveLake();
+        } finally {
+            this.isApplying = false;
+        }
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.map.off('moveend', this.handleMoveEnd);
+        window.removeEventListener('popstate', this.handlePopState);
+        this.removeListeners.forEach(remove => remove());
+        this.removeListeners = [];
+        
+        console.log('[UrlStateController] Disposed');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,758 @@
+import * as maplibregl from 'maplibre-gl';
+import { ShapeUtils, Vector2 } from 'three';
+import { StateManager } from '../stateManager.js';
+import { QUALITY_PRESETS, DYE_CONFIG } from '../config/constants.js';
+import { LAKE_CONFIG, getLakeConfigType, getLakeShoreline } from '../models/lakes.js';
+import { getLakeAltitude } from './TerrainController.js';
+import { createProgram, createTexture, bindDefaultVertexArray, translateMatrix } from '../utils/glUtils.js';
+
+// Vertex shader for the water surface
+const vertexShader = `
+precision highp float;
+
+uniform mat4 u_matrix;
+uniform float u_altitude;
+uniform float u_metersPerUnit;
+uniform vec2 u_boundsMin;
+uniform vec2 u_boundsSize;
+
+attribute vec2 a_pos;
+
+varying vec2 v_meters;
+varying vec2 v_depthCoord;
+
+void main() {
+    // a_pos is relative to the lake origin, which is folded into u_matrix
+    v_meters = a_pos * u_metersPerUnit;
+    v_depthCoord = (a_pos - u_boundsMin) / u_boundsSize;
+    gl_Position = u_matrix * vec4(a_pos, u_altitude, 1.0);
+}`;
+
+// Floating vegetation mats drawn per lake; any further mats are left out
+const MAX_VEGETATION = 8;
+
+// Fragment shader for the water surface
+const fragmentShader = `
+precision highp float;
+
+#define MAX_VEGETATION ${MAX_VEGETATION}
+
+const vec3 SILT_COLOR = vec3(0.55, 0.48, 0.34);
+const vec3 ICE_COLOR = vec3(0.88, 0.94, 0.97);
+const vec3 ICE_SHADE_COLOR = vec3(0.70, 0.82, 0.90);
+const vec3 VEGETATION_COLOR = vec3(0.33, 0.40, 0.18);
+
+uniform sampler2D u_normalMap;
+uniform sampler2D u_depthMap;
+uniform sampler2D u_dyeMap;
+uniform float u_dyeOpacity;
+uniform float u_time;
+uniform float u_waveLength;
+uniform vec3 u_shallowColor;
+uniform vec3 u_deepColor;
+uniform vec3 u_skyColor;
+uniform vec3 u_viewDir;
+uniform vec3 u_sunDir;
+uniform float u_opacity;
+uniform float u_dryLevel;
+uniform float u_iceLevel;
+uniform float u_turbidity;
+uniform vec4 u_vegetation[MAX_VEGETATION];
+uniform int u_vegetationCount;
+
+varying vec2 v_meters;
+varying vec2 v_depthCoord;
+
+vec3 sampleNormal(vec2 uv) {
+    return texture2D(u_normalMap, uv).xyz * 2.0 - 1.0;
+}
+
+void main() {
+    // Two wave layers drifting in different directions at different scales
+    vec2 uv = v_meters / u_waveLength;
+    vec3 n1 = sampleNormal(uv + vec2(0.013, 0.007) * u_time);
+    vec3 n2 = sampleNormal(uv * 2.7 + vec2(-0.011, 0.017) * u_time);
+    vec3 normal = normalize(vec3(n1.xy + n2.xy * 0.6, n1.z * n2.z));
+    
+    // Deeper water away from the shore, clouded by silt when turbid
+    float depth = texture2D(u_depthMap, v_depthCoord).r;
+    vec3 waterColor = mix(u_shallowColor, u_deepColor, smoothstep(0.0, 0.8, depth));
+    waterColor = mix(waterColor, SILT_COLOR, u_turbidity * 0.8);
+    
+    // Schlick's approximation with water's reflectance at normal incidence
+    float cosTheta = clamp(dot(normal, u_viewDir), 0.0, 1.0);
+    float fresnel = 0.02 + 0.98 * pow(1.0 - cosTheta, 5.0);
+    vec3 color = mix(waterColor, u_skyColor, fresnel);
+    
+    // Offerings spreading on the surface (premultiplied dye from the lake's fluid grid)
+    vec4 dye = texture2D(u_dyeMap, v_depthCoord) * u_dyeOpacity;
+    color = color * (1.0 - dye.a) + dye.rgb;
+    
+    // Sun glint
+    vec3 halfVector = normalize(u_sunDir + u_viewDir);
+    color += vec3(pow(max(dot(normal, halfVector), 0.0), 120.0)) * 0.6;
+    
+    // Floating vegetation mats, with edges made ragged by the wave texture
+    float mat = 0.0;
+    for (int i = 0; i < MAX_VEGETATION; i++) {
+        if (i >= u_vegetationCount) break;
+        float d = length(v_meters - u_vegetation[i].xy) / u_vegetation[i].z;
+        mat = max(mat, 1.0 - smoothstep(0.85, 1.0, d + n1.x * 0.1));
+    }
+    color = mix(color, VEGETATION_COLOR * (0.85 + 0.3 * n2.y), mat);
+    
+    // Ice reaching in from the shore as far as u_iceLevel, still and without glint
+    float ice = step(u_dryLevel, u_iceLevel - 0.001) * (1.0 - smoothstep(u_iceLevel, u_iceLevel + 0.02, depth));
+    color = mix(color, mix(ICE_SHADE_COLOR, ICE_COLOR, sampleNormal(uv * 0.25).x * 0.5 + 0.5), ice);
+    
+    // Fade out at the waterline so the edge blends into the basemap; below u_dryLevel the shallows have dried up
+    float alpha = u_opacity * smoothstep(u_dryLevel, u_dryLevel + 0.08, depth);
+    gl_FragColor = vec4(color * alpha, alpha);
+}`;
+
+// Default look of the surface
+const DEFAULT_OPTIONS = {
+    id: 'lake-water-surface',
+    opacity: 0.85,
+    waveLength: 1200, // Metres covered by one repeat of the normal map
+    skyColor: '#bcd8f0',
+    depthResolution: 64,
+    normalMapSize: 256
+};
+
+// Water tints, nudged towards each lake type's colour
+const SHALLOW_WATER = '#5fb8c2';
+const DEEP_WATER = '#0b3550';
+
+/**
+ * WaterSurfaceLayer draws a shaded water surface for every lake as a MapLibre
+ * custom layer, so it is depth-sorted with the style and sits under labels.
+ * Each lake is a triangulated shoreline mesh (islands cut out) with wave
+ * normals from the Perlin worker, Fresnel sky reflection and a depth tint
+ * that darkens with distance from the shore. With terrain on, each surface
+ * sits at its lake's elevation and is hidden behind nearer mountains. Dye released into a lake's fluid
+ * grid is uploaded as a texture each frame and drawn translucently on top.
+ * The season at the chosen date (see SeasonController) dries out the shallows,
+ * freezes the water in from the shore, clouds it with silt and floats
+ * vegetation mats on it.
+ */
+export class WaterSurfaceLayer {
+    /**
+     * Create a new water surface layer
+     * @param {Object} options - Layer options
+     * @param {string} options.id - Map layer ID
+     * @param {number} options.opacity - Surface opacity (0-1)
+     * @param {number} options.waveLength - Wave texture repeat in metres
+     * @param {string} options.skyColor - Reflected sky colour (#RRGGBB)
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        
+        // CustomLayerInterface
+        this.id = this.options.id;
+        this.type = 'custom';
+        this.renderingMode = '3d'; // Share the terrain's depth range so mountains can hide the water
+        
+        this.map = null;
+        this.gl = null;
+        this.program = null;
+        this.meshes = new Map();
+        
+        // GL work is deferred to render(), where MapLibre expects its state to be touched
+        this.pendingLakes = null;
+        this.pendingNormalMap = null;
+        this.skyColor = parseColor(this.options.skyColor);
+        this.sunDirection = [0, 0, 1];
+        this.startTime = performance.now();
+        this.lastRenderTime = this.startTime;
+        
+        this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+        
+        // Light from the south-east in the morning until something sets the sun
+        this.setSunPosition(135, 35);
+    }
+    
+    /**
+     * Called by MapLibre when the layer is added to the map
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {WebGLRenderingContext} gl - The map's GL context
+     */
+    onAdd(map, gl) {
+        this.map = map;
+        this.gl = gl;
+        
+        this.requestNormalMap();
+        this.setLakes(StateManager.lakes);
+        
+        console.log('[WaterSurfaceLayer] Added to map');
+    }
+    
+    /**
+     * Compile the shaders and create the placeholder normal map
+     * @returns {boolean} True if the layer can draw
+     */
+    initializeGL() {
+        const gl = this.gl;
+        
+        this.program = createProgram(gl, vertexShader, fragmentShader, 'WaterSurfaceLayer');
+        if (!this.program) return false;
+        
+        this.attributes = {
+            position: gl.getAttribLocation(this.program, 'a_pos')
+        };
+        
+        this.uniforms = {};
+        [
+            'u_matrix', 'u_altitude', 'u_metersPerUnit', 'u_boundsMin', 'u_boundsSize', 'u_normalMap', 'u_depthMap',
+            'u_time', 'u_waveLength', 'u_shallowColor', 'u_deepColor', 'u_skyColor', 'u_viewDir',
+            'u_sunDir', 'u_opacity', 'u_dyeMap', 'u_dyeOpacity', 'u_dryLevel', 'u_iceLevel', 'u_turbidity',
+            'u_vegetation', 'u_vegetationCount'
+        ].forEach(name => {
+            this.uniforms[name] = gl.getUniformLocation(this.program, name);
+        });
+        
+        // 32-bit indices are core in WebGL2 and an extension in WebGL1
+        this.uint32Indices = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext ||
+            !!gl.getExtension('OES_element_index_uint');
+        
+        // Flat normals until the worker has generated the wave texture
+        this.normalTexture = createTexture(gl, 1, 1, gl.RGBA, new Uint8Array([128, 128, 255, 255]), gl.REPEAT);
+        
+        // Clear water for lakes without dye
+        this.emptyDyeTexture = createTexture(gl, 1, 1, gl.RGBA, new Uint8Array(4), gl.CLAMP_TO_EDGE);
+        
+        return true;
+    }
+    
+    /**
+     * Replace the set of lakes to draw; meshes are rebuilt on the next frame
+     * @param {Object} lakes - Lakes keyed by ID
+     */
+    setLakes(lakes) {
+        this.pendingLakes = lakes || {};
+        
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+    }
+    
+    /**
+     * Rebuild the surface meshes for the pending lakes
+     */
+    rebuildMeshes() {
+        const lakes = this.pendingLakes;
+        this.pendingLakes = null;
+        
+        this.disposeMeshes();
+        
+        Object.entries(lakes).forEach(([lakeId, lake]) => {
+            try {
+                const mesh = this.buildLakeMesh(lakeId, lake);
+                if (mesh) {
+                    this.meshes.set(lakeId, mesh);
+                }
+            } catch (error) {
+                console.error(`[WaterSurfaceLayer] Failed to build surface for ${lakeId}:`, error);
+            }
+        });
+        
+        console.log(`[WaterSurfaceLayer] Built ${this.meshes.size} lake surfaces`);
+    }
+    
+    /**
+     * Triangulate a lake's shoreline into GPU buffers
+     * @param {string} lakeId - Lake ID
+     * @param {Object} lake - Lake data
+     * @returns {Object|null} Mesh, or null if the shoreline has no area
+     */
+    buildLakeMesh(lakeId, lake) {
+        const gl = this.gl;
+        const shoreline = lake.shoreline || getLakeShoreline(lakeId, lake.center);
+        
+        // Vertices are stored relative to the lake center to keep float precision
+        const origin = maplibregl.MercatorCoordinate.fromLngLat(lake.center);
+        const toLocal = ([lng, lat]) => {
+            const coord = maplibregl.MercatorCoordinate.fromLngLat([lng, lat]);
+            return [coord.x - origin.x, coord.y - origin.y];
+        };
+        
+        const positions = [];
+        const indices = [];
+        
+        shoreline.polygons.forEach(rings => {
+            const [contour, ...holes] = rings.map(ring => withoutClosingPoint(ring).map(toLocal));
+            if (contour.length < 3) return;
+            
+            const offset = positions.length / 2;
+            const faces = ShapeUtils.triangulateShape(
+                contour.map(([x, y]) => new Vector2(x, y)),
+                holes.map(hole => hole.map(([x, y]) => new Vector2(x, y)))
+            );
+            
+            // Face indices refer to the contour followed by each hole in turn
+            [contour, ...holes].forEach(ring => ring.forEach(([x, y]) => positions.push(x, y)));
+            faces.forEach(face => indices.push(face[0] + offset, face[1] + offset, face[2] + offset));
+        });
+        
+        if (indices.length === 0) {
+            console.warn(`[WaterSurfaceLayer] Shoreline for ${lakeId} produced no triangles`);
+            return null;
+        }
+        
+        const vertexCount = positions.length / 2;
+        if (vertexCount > 65535 && !this.uint32Indices) {
+            console.warn(`[WaterSurfaceLayer] ${lakeId} shoreline has too many vertices for this GPU`);
+            return null;
+        }
+        
+        const { minX, maxX, minY, maxY } = shoreline.getBounds();
+        const topLeft = toLocal([minX, maxY]);
+        const bottomRight = toLocal([maxX, minY]);
+        
+        const vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(positions), gl.STATIC_DRAW);
+        
+        const indexBuffer = gl.createBuffer();
+        const use32 = vertexCount > 65535;
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
+        gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, use32 ? new Uint32Array(indices) : new Uint16Array(indices), gl.STATIC_DRAW);
+        
+        const colors = getWaterColors(lake.type);
+        const depth = this.buildDepthTexture(shoreline);
+        
+        return {
+            lakeId,
+            origin,
+            elevation: lake.elevation || 0,
+            bounds: { minX, maxX, minY, maxY },
+            boundsMin: topLeft,
+            boundsSize: [bottomRight[0] - topLeft[0], bottomRight[1] - topLeft[1]],
+            metersPerUnit: 1 / origin.meterInMercatorCoordinateUnits(),
+            vertexBuffer,
+            indexBuffer,
+            indexCount: indices.length,
+            indexType: use32 ? gl.UNSIGNED_INT : gl.UNSIGNED_SHORT,
+            depthTexture: depth.texture,
+            maxDistance: depth.maxDistance,
+            season: null,
+            vegetation: new Float32Array(MAX_VEGETATION * 4),
+            dyeTexture: null,
+            dyePixels: null,
+            shallowColor: colors.shallow,
+            deepColor: colors.deep
+        };
+    }
+    
+    /**
+     * Rasterise distance-to-shore over the lake's bounding box
+     * @param {Shoreline} shoreline - Lake shoreline
+     * @returns {Object} {texture, maxDistance}: a single-channel texture, 0 at the shore and 1 at
+     *     the deepest point, and the distance from the shore in degrees that 1 stands for
+     */
+    buildDepthTexture(shoreline) {
+        const gl = this.gl;
+        const size = this.options.depthResolution;
+        const { minX, maxX, minY, maxY } = shoreline.getBounds();
+        const distances = new Float32Array(size * size);
+        let maxDistance = 0;
+        
+        for (let j = 0; j < size; j++) {
+            // Row 0 is the northern edge, matching mercator y growing southwards
+            const lat = maxY - (j + 0.5) / size * (maxY - minY);
+            
+            for (let i = 0; i < size; i++) {
+                const lng = minX + (i + 0.5) / size * (maxX - minX);
+                
+                if (shoreline.contains(lng, lat)) {
+                    const distance = shoreline.nearestEdge(lng, lat).distance;
+                    distances[i + j * size] = distance;
+                    maxDistance = Math.max(maxDistance, distance);
+                }
+            }
+        }
+        
+        const pixels = new Uint8Array(size * size);
+        for (let i = 0; i < distances.length; i++) {
+            pixels[i] = maxDistance > 0 ? Math.round(distances[i] / maxDistance * 255) : 0;
+        }
+        
+        return {
+            texture: createTexture(gl, size, size, gl.LUMINANCE, pixels, gl.CLAMP_TO_EDGE),
+            maxDistance
+        };
+    }
+    
+    /**
+     * Set a lake's seasonal uniforms: dry shallows, ice, turbidity and vegetation
+     * @param {Object} mesh - Lake mesh
+     */
+    applySeason(mesh) {
+        const gl = this.gl;
+        const season = StateManager.getLakeSeason(mesh.lakeId);
+        
+        // Mats move in metres from the lake origin, like v_meters in the shader
+        if (mesh.season !== season) {
+            mesh.season = season;
+            mesh.vegetation.fill(0);
+            season.vegetation.slice(0, MAX_VEGETATION).forEach(({ center, radius }, i) => {
+                const coord = maplibregl.MercatorCoordinate.fromLngLat(center);
+                mesh.vegetation.set([
+                    (coord.x - mesh.origin.x) * mesh.metersPerUnit,
+                    (coord.y - mesh.origin.y) * mesh.metersPerUnit,
+                    radius
+                ], i * 4);
+            });
+        }
+        
+        // Bands in from the shore, in the depth texture's units (Infinity when frozen over)
+        const toLevel = band => mesh.maxDistance > 0 ? Math.min(2, band / mesh.maxDistance) : 0;
+        gl.uniform1f(this.uniforms.u_dryLevel, toLevel(season.dryBand));
+        gl.uniform1f(this.uniforms.u_iceLevel, toLevel(season.iceBand));
+        gl.uniform1f(this.uniforms.u_turbidity, season.turbidity);
+        gl.uniform4fv(this.uniforms.u_vegetation, mesh.vegetation);
+        gl.uniform1i(this.uniforms.u_vegetationCount, Math.min(season.vegetation.length, MAX_VEGETATION));
+    }
+    
+    /**
+     * Upload the dye in a lake's fluid grid
+     * @param {Object} mesh - Lake mesh
+     * @returns {WebGLTexture} Dye texture, or the empty one when the lake has no dye
+     */
+    updateDyeTexture(mesh) {
+        const gl = this.gl;
+        const fluid = StateManager.fluidSimulations.get(mesh.lakeId);
+        if (!fluid || !fluid.density || !fluid.bounds) return this.emptyDyeTexture;
+        
+        const { width, height, density, dyeRed, dyeGreen, dyeBlue } = fluid;
+        const size = width * height * 4;
+        if (!mesh.dyePixels || mesh.dyePixels.length !== size) {
+            mesh.dyePixels = new Uint8Array(size);
+            gl.deleteTexture(mesh.dyeTexture);
+            mesh.dyeTexture = null;
+        }
+        
+        const pixels = mesh.dyePixels;
+        let dyed = false;
+        
+        for (let j = 0; j < height; j++) {
+            // Row 0 is the northern edge, while grid rows grow northwards
+            const row = (height - 1 - j) * width;
+            
+            for (let i = 0; i < width; i++) {
+                const idx = row + i;
+                const offset = (i + j * width) * 4;
+                const amount = density[idx];
+                
+                if (amount <= 1e-3) {
+                    pixels[offset] = pixels[offset + 1] = pixels[offset + 2] = pixels[offset + 3] = 0;
+                    continue;
+                }
+                
+                // Colour channels hold colour * density; premultiply by the clamped alpha instead
+                const alpha = Math.min(1, amount);
+                const scale = alpha / amount * 255;
+                pixels[offset] = Math.min(255, Math.max(0, dyeRed[idx] * scale));
+                pixels[offset + 1] = Math.min(255, Math.max(0, dyeGreen[idx] * scale));
+                pixels[offset + 2] = Math.min(255, Math.max(0, dyeBlue[idx] * scale));
+                pixels[offset + 3] = alpha * 255;
+                dyed = true;
+            }
+        }
+        
+        if (!dyed) return this.emptyDyeTexture;
+        
+        if (!mesh.dyeTexture) {
+            mesh.dyeTexture = createTexture(gl, width, height, gl.RGBA, pixels, gl.CLAMP_TO_EDGE);
+        } else {
+            gl.bindTexture(gl.TEXTURE_2D, mesh.dyeTexture);
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+            gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, 0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        }
+        
+        this.dyeVisible = true;
+        return mesh.dyeTexture;
+    }
+    
+    /**
+     * Ask the Perlin worker for a tileable wave normal map
+     */
+    requestNormalMap() {
+        const worker = StateManager.perlinWorker;
+        
+        if (!worker) {
+            console.warn('[WaterSurfaceLayer] Perlin worker unavailable, water will be flat');
+            return;
+        }
+        
+        worker.addEventListener('message', this.handleWorkerMessage);
+        worker.postMessage({
+            type: 'normalMap',
+            data: { size: this.options.normalMapSize }
+        });
+    }
+    
+    /**
+     * Keep the normal map from the worker for upload on the next frame
+     * @param {MessageEvent} e - Worker message
+     */
+    handleWorkerMessage(e) {
+        if (e.data.type !== 'normalMap' || !this.map) return;
+        
+        this.pendingNormalMap = { pixels: e.data.pixels, size: e.data.size };
+        
+        StateManager.perlinWorker.removeEventListener('message', this.handleWorkerMessage);
+        this.map.triggerRepaint();
+    }
+    
+    /**
+     * Replace the placeholder normal map with the worker's wave texture
+     */
+    uploadNormalMap() {
+        const gl = this.gl;
+        const { pixels, size } = this.pendingNormalMap;
+        this.pendingNormalMap = null;
+        
+        gl.deleteTexture(this.normalTexture);
+        this.normalTexture = createTexture(gl, size, size, gl.RGBA, pixels, gl.REPEAT, true);
+        
+        console.log(`[WaterSurfaceLayer] Wave normal map ready (${size}x${size})`);
+    }
+    
+    /**
+     * Set the sun position used for glints
+     * @param {number} azimuth - Degrees clockwise from north
+     * @param {number} altitude - Degrees above the horizon
+     */
+    setSunPosition(azimuth, altitude) {
+        const az = azimuth * Math.PI / 180;
+        const alt = Math.max(0, altitude) * Math.PI / 180;
+        
+        // Surface frame: x east, y south (mercator), z up
+        this.sunDirection = [
+            Math.sin(az) * Math.cos(alt),
+            -Math.cos(az) * Math.cos(alt),
+            Math.sin(alt)
+        ];
+        
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+    }
+    
+    /**
+     * Set the reflected sky colour
+     * @param {string} color - Colour string (#RRGGBB)
+     */
+    setSkyColor(color) {
+        this.skyColor = parseColor(color);
+        
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+    }
+    
+    /**
+     * Draw every visible lake surface
+     * @param {WebGLRenderingContext} gl - The map's GL context
+     * @param {Object} options - MapLibre render input
+     */
+    render(gl, options) {
+        if (this.glFailed) return;
+        
+        if (!this.program && !this.initializeGL()) {
+            console.error('[WaterSurfaceLayer] Shader setup failed, water surface disabled');
+            this.glFailed = true;
+            return;
+        }
+        
+        if (this.pendingLakes) {
+            this.rebuildMeshes();
+        }
+        
+        if (this.pendingNormalMap) {
+            this.uploadNormalMap();
+        }
+        
+        if (this.meshes.size === 0) return;
+        
+        const matrix = options.defaultProjectionData.mainMatrix;
+        const terrain = !!this.map.getTerrain();
+        const viewBounds = this.map.getBounds();
+        
+        // Waves hold still while motion is reduced
+        const now = performance.now();
+        if (StateManager.prefersReducedMotion()) {
+            this.startTime += now - this.lastRenderTime;
+        }
+        this.lastRenderTime = now;
+        const time = (now - this.startTime) / 1000;
+        
+        // Vector from the surface towards the camera
+        const pitch = this.map.getPitch() * Math.PI / 180;
+        const bearing = this.map.getBearing() * Math.PI / 180;
+        const viewDir = [
+            -Math.sin(bearing) * Math.sin(pitch),
+            Math.cos(bearing) * Math.sin(pitch),
+            Math.cos(pitch)
+        ];
+        
+        gl.useProgram(this.program);
+        
+        // Draw with the default vertex array so MapLibre's own bindings are untouched
+        bindDefaultVertexArray(gl);
+        
+        // Test against the terrain without writing depth, so the translucent surface doesn't hide particles
+        if (terrain) {
+            gl.enable(gl.DEPTH_TEST);
+            gl.depthFunc(gl.LEQUAL);
+            gl.depthMask(false);
+        } else {
+            gl.disable(gl.DEPTH_TEST);
+        }
+        gl.disable(gl.STENCIL_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.normalTexture);
+        gl.uniform1i(this.uniforms.u_normalMap, 0);
+        gl.uniform1i(this.uniforms.u_depthMap, 1);
+        gl.uniform1i(this.uniforms.u_dyeMap, 2);
+        gl.uniform1f(this.uniforms.u_dyeOpacity, DYE_CONFIG.opacity);
+        
+        gl.uniform1f(this.uniforms.u_time, time);
+        gl.uniform1f(this.uniforms.u_waveLength, this.options.waveLength);
+        gl.uniform1f(this.uniforms.u_opacity, this.options.opacity);
+        gl.uniform3fv(this.uniforms.u_skyColor, this.skyColor);
+        gl.uniform3fv(this.uniforms.u_viewDir, viewDir);
+        gl.uniform3fv(this.uniforms.u_sunDir, this.sunDirection);
+        
+        gl.enableVertexAttribArray(this.attributes.position);
+        this.dyeVisible = false;
+        
+        this.meshes.forEach(mesh => {
+            const { bounds } = mesh;
+            if (bounds.maxX < viewBounds.getWest() || bounds.minX > viewBounds.getEast() ||
+                bounds.maxY < viewBounds.getSouth() || bounds.minY > viewBounds.getNorth()) {
+                return;
+            }
+            
+            gl.uniformMatrix4fv(this.uniforms.u_matrix, false, translateMatrix(matrix, mesh.origin.x, mesh.origin.y));
+            gl.uniform1f(this.uniforms.u_altitude, getLakeAltitude(this.map, mesh.elevation) / mesh.metersPerUnit);
+            gl.uniform1f(this.uniforms.u_metersPerUnit, mesh.metersPerUnit);
+            gl.uniform2fv(this.uniforms.u_boundsMin, mesh.boundsMin);
+            gl.uniform2fv(this.uniforms.u_boundsSize, mesh.boundsSize);
+            gl.uniform3fv(this.uniforms.u_shallowColor, mesh.shallowColor);
+            gl.uniform3fv(this.uniforms.u_deepColor, mesh.deepColor);
+            this.applySeason(mesh);
+            
+            gl.activeTexture(gl.TEXTURE1);
+            gl.bindTexture(gl.TEXTURE_2D, mesh.depthTexture);
+            
+            gl.activeTexture(gl.TEXTURE2);
+            gl.bindTexture(gl.TEXTURE_2D, this.updateDyeTexture(mesh));
+            
+            gl.bindBuffer(gl.ARRAY_BUFFER, mesh.vertexBuffer);
+            gl.vertexAttribPointer(this.attributes.position, 2, gl.FLOAT, false, 0, 0);
+            gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, mesh.indexBuffer);
+            gl.drawElements(gl.TRIANGLES, mesh.indexCount, mesh.indexType, 0);
+        });
+        
+        gl.disableVertexAttribArray(this.attributes.position);
+        
+        gl.activeTexture(gl.TEXTURE0);
+        
+        // Keep the waves moving unless the quality preset turns animation off; dye keeps spreading regardless.
+        // Reduced motion stills both, as the fluid carrying the dye is frozen too
+        const preset = QUALITY_PRESETS[StateManager.qualityLevel];
+        const animated = !preset || preset.animationComplexity > 0 || this.dyeVisible;
+        if (animated && !StateManager.prefersReducedMotion()) {
+            this.map.triggerRepaint();
+        }
+    }
+    
+    /**
+     * Called by MapLibre when the layer is removed from the map
+     */
+    onRemove() {
+        this.dispose();
+    }
+    
+    /**
+     * Delete every lake's buffers and textures
+     */
+    disposeMeshes() {
+        const gl = this.gl;
+        
+        this.meshes.forEach(mesh => {
+            gl.deleteBuffer(mesh.vertexBuffer);
+            gl.deleteBuffer(mesh.indexBuffer);
+            gl.deleteTexture(mesh.depthTexture);
+            gl.deleteTexture(mesh.dyeTexture);
+        });
+        
+        this.meshes.clear();
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        if (StateManager.perlinWorker) {
+            StateManager.perlinWorker.removeEventListener('message', this.handleWorkerMessage);
+        }
+        
+        if (this.gl) {
+            this.disposeMeshes();
+            this.gl.deleteTexture(this.normalTexture);
+            this.gl.deleteTexture(this.emptyDyeTexture);
+            this.gl.deleteProgram(this.program);
+            this.gl = null;
+            this.program = null;
+        }
+        
+        this.map = null;
+        
+        console.log('[WaterSurfaceLayer] Disposed');
+    }
+}
+
+/**
+ * Drop the repeated closing vertex of a GeoJSON ring
+ * @param {Array} ring - Ring of [lng, lat]
+ * @returns {Array} Ring without the closing vertex
+ */
+function withoutClosingPoint(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    
+    return ring.length > 1 && first[0] === last[0] && first[1] === last[1] ? ring.slice(0, -1) : ring;
+}
+
+/**
+ * Get the shallow and deep water tints for a lake type
+ * @param {string} lakeType - Lake type description
+ * @returns {Object} {shallow, deep} as RGB arrays
+ */
+function getWaterColors(lakeType) {
+    const lakeColor = parseColor(LAKE_CONFIG[getLakeConfigType(lakeType)].color);
+    const mix = (a, b, t) => a.map((value, i) => value + (b[i] - value) * t);
+    
+    return {
+        shallow: mix(parseColor(SHALLOW_WATER), lakeColor, 0.25),
+        deep: mix(parseColor(DEEP_WATER), lakeColor, 0.15)
+    };
+}
+
+/**
+ * Parse color string to RGB components
+ * @param {string} colorStr - Color string (#RRGGBB)
+ * @returns {Array} [r, g, b] in 0-1
+ */
+function parseColor(colorStr) {
+    const hex = parseInt(colorStr.slice(1), 16);
+    return [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+}
\ No newline at end of file
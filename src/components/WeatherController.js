@@ -0,0 +1,189 @@
+import { StateManager } from '../stateManager.js';
+import { WEATHER_CONFIG } from '../config/constants.js';
+
+// Precipitation a report can give, 'none' for dry weather
+const PRECIPITATION_TYPES = ['none', 'rain', 'snow'];
+
+/**
+ * Weather of a lake without a report: still, dry and clear
+ */
+export const CALM_WEATHER = Object.freeze({
+    wind: Object.freeze({ speed: 0, direction: 0 }),
+    precipitation: Object.freeze({ type: 'none', intensity: 0 }),
+    cloudCover: 0
+});
+
+/**
+ * JsonWeatherProvider reads weather reports for the lakes from a JSON file:
+ * { "lakes": { "<lakeId>": { "wind": {...}, "precipitation": {...}, "cloudCover": 0.4 } } }
+ * (see normalizeWeather for the fields).
+ */
+export class JsonWeatherProvider {
+    /**
+     * Create a provider
+     * @param {string} url - Location of the weather file
+     */
+    constructor(url) {
+        this.url = url;
+    }
+    
+    /**
+     * Fetch the reports
+     * @returns {Promise<Object>} Raw reports keyed by lake ID
+     */
+    async getWeather() {
+        const response = await fetch(this.url);
+        
+        if (!response.ok) {
+            throw new Error(`[JsonWeatherProvider] Failed to load ${this.url}: ${response.status} ${response.statusText}`);
+        }
+        
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`[JsonWeatherProvider] ${this.url} is not valid JSON: ${error.message}`);
+        }
+        
+        return data.lakes || {};
+    }
+}
+
+/**
+ * WeatherController holds the current weather at each lake: wind, rain or
+ * snow, and cloud cover. FlowController drifts the water with the wind and
+ * WeatherLayer draws the precipitation and cloud shadows.
+ *
+ * Reports come from a provider, any object with a getWeather(lakes) method
+ * returning raw reports keyed by lake ID (or a promise of them). The bundled
+ * one reads a local JSON file, so the app works offline; a live weather
+ * service can be plugged in instead. Reports are reloaded every
+ * refreshInterval, and lakes without one stay calm.
+ */
+export class WeatherController {
+    /**
+     * Create a weather controller
+     * @param {Object} provider - Source of weather reports, e.g. a JsonWeatherProvider
+     * @param {Object} options - Overrides for WEATHER_CONFIG
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.options = { ...WEATHER_CONFIG, ...options };
+        this.weather = new Map();
+        this.refreshTimer = null;
+        
+        console.log('[WeatherController] Initialized');
+    }
+    
+    /**
+     * Load reports from the provider, and keep reloading them
+     * @returns {Promise<boolean>} True if reports were loaded
+     */
+    async load() {
+        if (!this.refreshTimer && this.options.refreshInterval > 0) {
+            this.refreshTimer = setInterval(() => this.load(), this.options.refreshInterval);
+        }
+        
+        let reports;
+        try {
+            reports = await this.provider.getWeather(StateManager.lakes);
+        } catch (error) {
+            // Keep the last weather; on the first load that leaves every lake calm
+            console.warn('[WeatherController] Weather unavailable:', error.message);
+            return false;
+        }
+        
+        this.setWeather(reports);
+        return true;
+    }
+    
+    /**
+     * Replace the weather at every lake
+     * @param {Object} reports - Raw reports keyed by lake ID
+     */
+    setWeather(reports) {
+        this.weather.clear();
+        
+        Object.entries(reports || {}).forEach(([lakeId, report]) => {
+            if (!StateManager.lakes[lakeId]) {
+                console.warn(`[WeatherController] Report for unknown lake "${lakeId}" ignored`);
+                return;
+            }
+            
+            const weather = normalizeWeather(report, this.options.maxWindSpeed,
+                problem => console.warn(`[WeatherController] ${lakeId}: ${problem}`));
+            this.weather.set(lakeId, weather);
+        });
+        
+        console.log(`[WeatherController] Weather for ${this.weather.size} lakes`);
+        StateManager.dispatchEvent('weatherChanged', { lakes: [...this.weather.keys()] });
+    }
+    
+    /**
+     * Current weather at a lake
+     * @param {string} lakeId - ID of the lake
+     * @returns {Object} {wind: {speed, direction}, precipitation: {type, intensity}, cloudCover}
+     */
+    getLakeWeather(lakeId) {
+        return this.weather.get(lakeId) || CALM_WEATHER;
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this.weather.clear();
+        
+        console.log('[WeatherController] Disposed');
+    }
+}
+
+/**
+ * Check a raw weather report, keeping what is usable and calm values for the rest
+ * @param {Object} report - {wind: {speed (m/s), direction (degrees the wind blows from, clockwise
+ *   from north)}, precipitation: {type ('none', 'rain' or 'snow'), intensity (0-1)}, cloudCover (0-1)};
+ *   every field is optional
+ * @param {number} maxWindSpeed - Fastest wind kept, in m/s
+ * @param {Function} warn - Called with a description of each problem
+ * @returns {Object} Weather with every field filled in
+ */
+export function normalizeWeather(report, maxWindSpeed, warn) {
+    const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+    const clamp = (value, max) => Math.min(max, Math.max(0, value));
+    
+    if (!report || typeof report !== 'object') {
+        warn('report must be an object');
+        return CALM_WEATHER;
+    }
+    
+    const { wind = {}, precipitation = {}, cloudCover = 0 } = report;
+    const weather = {
+        wind: { ...CALM_WEATHER.wind },
+        precipitation: { ...CALM_WEATHER.precipitation },
+        cloudCover: 0
+    };
+    
+    if (isNumber(wind.speed) && isNumber(wind.direction ?? 0)) {
+        weather.wind.speed = clamp(wind.speed, maxWindSpeed);
+        weather.wind.direction = (((wind.direction ?? 0) % 360) + 360) % 360;
+    } else if (report.wind !== undefined) {
+        warn('wind must be {speed, direction} in m/s and degrees');
+    }
+    
+    if (PRECIPITATION_TYPES.includes(precipitation.type) && isNumber(precipitation.intensity ?? 1)) {
+        weather.precipitation.type = precipitation.type;
+        weather.precipitation.intensity = precipitation.type === 'none' ? 0 : clamp(precipitation.intensity ?? 1, 1);
+    } else if (report.precipitation !== undefined) {
+        warn(`precipitation must be {type, intensity} with type one of ${PRECIPITATION_TYPES.join(', ')}`);
+    }
+    
+    if (isNumber(cloudCover)) {
+        weather.cloudCover = clamp(cloudCover, 1);
+    } else {
+        warn('cloudCover must be a number from 0 to 1');
+    }
+    
+    return weather;
+}
\ No newline at end of file
@@ -0,0 +1,309 @@
+import { StateManager } from '../stateManager.js';
+import { WEATHER_CONFIG } from '../config/constants.js';
+
+const SHADOW_SOURCE_ID = 'cloud-shadows';
+const SHADOW_LAYER_ID = 'cloud-shadows';
+
+// Fallback size of a lake without a shoreline, in degrees
+const DEFAULT_LAKE_EXTENT = 0.05;
+
+/**
+ * WeatherLayer shows the weather at the active lake. Rain streaks and
+ * snowflakes fall on a canvas laid over the map, slanted and carried sideways
+ * by the wind as seen from the current bearing; there are more of them the
+ * heavier the precipitation. Cloud shadows (cloud_shadow.png) drift across the
+ * lake and its shores with the wind, darker the more cloud there is.
+ *
+ * With reduced motion the precipitation is drawn as a still frame and the
+ * shadows stay put.
+ */
+export class WeatherLayer {
+    /**
+     * Create the weather layer
+     * @param {Object} map - The MapLibre GL map instance
+     * @param {Object} options - Overrides for WEATHER_CONFIG, plus beforeId: layer to draw the shadows beneath
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = { ...WEATHER_CONFIG, ...options };
+        this.random = StateManager.getRandom('weather');
+        this.drops = [];
+        this.dropType = 'none';
+        this.elapsed = 0; // Seconds of animation, for the snow's sway
+        this.needsDraw = true;
+        
+        // Shadows cross the lake once per cycle; phase is how far through it they are
+        this.shadowPhase = 0.5;
+        this.sinceShadowUpdate = 0;
+        
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'weather-overlay';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        this.context = this.canvas.getContext('2d');
+        map.getContainer().appendChild(this.canvas);
+        
+        this.handleResize = () => this.resize();
+        map.on('resize', this.handleResize);
+        this.resize();
+        
+        // The shadow image failing to load leaves the map without shadows, not broken
+        this.handleError = event => {
+            if (event.sourceId === SHADOW_SOURCE_ID) {
+                console.warn('[WeatherLayer] Cloud shadow image unavailable:', event.error && event.error.message);
+            }
+        };
+        map.on('error', this.handleError);
+        this.addShadowLayer();
+        
+        console.log('[WeatherLayer] Initialized');
+    }
+    
+    /**
+     * Add the cloud shadow image beneath the given layer, hidden until there is cloud
+     */
+    addShadowLayer() {
+        this.map.addSource(SHADOW_SOURCE_ID, {
+            type: 'image',
+            url: this.options.cloudShadow.image,
+            coordinates: this.getShadowCoordinates(StateManager.getActiveLake(), { speed: 0, direction: 0 })
+        });
+        
+        this.map.addLayer({
+            id: SHADOW_LAYER_ID,
+            type: 'raster',
+            source: SHADOW_SOURCE_ID,
+            paint: {
+                'raster-opacity': 0,
+                'raster-fade-duration': 0
+            }
+        }, this.options.beforeId);
+    }
+    
+    /**
+     * Match the canvas to the map's size and the screen's pixel density
+     */
+    resize() {
+        const container = this.map.getContainer();
+        const ratio = window.devicePixelRatio || 1;
+        
+        this.width = container.clientWidth;
+        this.height = container.clientHeight;
+        this.canvas.width = Math.round(this.width * ratio);
+        this.canvas.height = Math.round(this.height * ratio);
+        this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        
+        // Spread the drops over the new area
+        this.drops = [];
+        this.needsDraw = true;
+    }
+    
+    /**
+     * Advance and draw the weather at the active lake
+     * @param {number} delta - Time elapsed since last update in ms
+     */
+    update(delta) {
+        const lakeId = StateManager.getActiveLake();
+        const weather = StateManager.getLakeWeather(lakeId);
+        const moving = !StateManager.prefersReducedMotion();
+        
+        this.updatePrecipitation(weather, moving ? delta / 1000 : 0);
+        this.updateShadows(lakeId, weather, moving ? delta : 0);
+    }
+    
+    /**
+     * Keep the right number of drops or flakes for the weather, move and draw them
+     * @param {Object} weather - Weather at the active lake
+     * @param {number} seconds - Time to advance by, 0 for a still frame
+     */
+    updatePrecipitation(weather, seconds) {
+        const { type, intensity } = weather.precipitation;
+        const target = type === 'rain' ? this.options.rain.maxDrops :
+            type === 'snow' ? this.options.snow.maxFlakes : 0;
+        const count = Math.round(target * intensity);
+        
+        if (type !== this.dropType) {
+            this.drops = [];
+            this.dropType = type;
+            this.needsDraw = true;
+        }
+        if (this.drops.length !== count) {
+            this.drops.length = Math.min(this.drops.length, count);
+            while (this.drops.length < count) {
+                this.drops.push(this.createDrop());
+            }
+            this.needsDraw = true;
+        }
+        
+        if (seconds === 0 && !this.needsDraw) return;
+        
+        const wind = this.getScreenWind(weather.wind);
+        if (seconds > 0) {
+            this.moveDrops(wind, seconds);
+        }
+        this.draw(wind);
+        this.needsDraw = false;
+    }
+    
+    /**
+     * A drop or flake somewhere on screen; depth makes nearer ones bigger and faster
+     * @returns {Object} {x, y, depth, sway}
+     */
+    createDrop() {
+        return {
+            x: this.random.next() * this.width,
+            y: this.random.next() * this.height,
+            depth: 0.5 + this.random.next() * 0.5,
+            sway: this.random.next() * Math.PI * 2
+        };
+    }
+    
+    /**
+     * Wind as seen on screen: reports give where it blows from and the map may be rotated
+     * @param {Object} wind - {speed, direction}
+     * @returns {Object} Push {x, y} in CSS pixels per second
+     */
+    getScreenWind(wind) {
+        const heading = (wind.direction + 180 - this.map.getBearing()) * Math.PI / 180;
+        const push = wind.speed * this.options.windPush;
+        
+        // Wind towards the top of the screen blows away from the viewer, mostly hidden by the fall
+        return { x: Math.sin(heading) * push, y: -Math.cos(heading) * push * 0.3 };
+    }
+    
+    /**
+     * Let the drops fall and blow, wrapping them round the screen edges
+     * @param {Object} wind - Screen wind from getScreenWind
+     * @param {number} seconds - Time to advance by
+     */
+    moveDrops(wind, seconds) {
+        const snow = this.dropType === 'snow';
+        const fallSpeed = snow ? this.options.snow.speed : this.options.rain.speed;
+        this.elapsed += seconds;
+        if (this.width === 0 || this.height === 0) return;
+        
+        this.drops.forEach(drop => {
+            // Flakes also drift from side to side as they fall
+            const sway = snow ? Math.sin(this.elapsed * 1.5 + drop.sway) * 20 : 0;
+            
+            drop.x += (wind.x + sway) * drop.depth * seconds;
+            drop.y += (fallSpeed + wind.y) * drop.depth * seconds;
+            drop.x = ((drop.x % this.width) + this.width) % this.width;
+            drop.y = ((drop.y % this.height) + this.height) % this.height;
+        });
+    }
+    
+    /**
+     * Draw the drops as streaks along their path, or the flakes as dots
+     * @param {Object} wind - Screen wind from getScreenWind
+     */
+    draw(wind) {
+        const context = this.context;
+        context.clearRect(0, 0, this.width, this.height);
+        if (this.drops.length === 0) return;
+        
+        if (this.dropType === 'snow') {
+            const { size, color } = this.options.snow;
+            context.fillStyle = color;
+            context.beginPath();
+            this.drops.forEach(drop => {
+                context.moveTo(drop.x + size * drop.depth, drop.y);
+                context.arc(drop.x, drop.y, size * drop.depth, 0, Math.PI * 2);
+            });
+            context.fill();
+            return;
+        }
+        
+        const { speed, length, color } = this.options.rain;
+        const fall = speed + wind.y;
+        const scale = length / Math.hypot(wind.x, fall);
+        
+        context.strokeStyle = color;
+        context.lineWidth = 1;
+        context.beginPath();
+        this.drops.forEach(drop => {
+            context.moveTo(drop.x, drop.y);
+            context.lineTo(drop.x - wind.x * scale * drop.depth, drop.y - fall * scale * drop.depth);
+        });
+        context.stroke();
+    }
+    
+    /**
+     * Move the cloud shadows over the active lake on with the wind
+     * @param {string} lakeId - ID of the active lake
+     * @param {Object} weather - Weather at the lake
+     * @param {number} delta - Time to advance by in ms, 0 to hold them still
+     */
+    updateShadows(lakeId, weather, delta) {
+        const { cloudShadow } = this.options;
+        
+        // Moving an image source re-uploads it, so only do so a few times a second
+        this.sinceShadowUpdate += delta;
+        const changed = lakeId !== this.shadowLake || weather !== this.shadowWeather;
+        if (!changed && this.sinceShadowUpdate < cloudShadow.updateInterval) return;
+        
+        const seconds = Math.min(this.sinceShadowUpdate, 1000) / 1000;
+        this.shadowPhase = (this.shadowPhase + weather.wind.speed * cloudShadow.cloudSpeed * seconds) % 1;
+        this.sinceShadowUpdate = 0;
+        this.shadowLake = lakeId;
+        this.shadowWeather = weather;
+        
+        // Shadows fade in upwind of the lake and out again downwind; in calm air they hang over it
+        const fade = weather.wind.speed > 0 ? Math.sin(Math.PI * this.shadowPhase) : 1;
+        const opacity = weather.cloudCover * cloudShadow.maxOpacity * fade;
+        this.map.setPaintProperty(SHADOW_LAYER_ID, 'raster-opacity', opacity);
+        
+        if (opacity > 0) {
+            this.map.getSource(SHADOW_SOURCE_ID).setCoordinates(this.getShadowCoordinates(lakeId, weather.wind));
+        }
+    }
+    
+    /**
+     * Corners of the shadow image over a lake, pushed downwind by the shadow phase
+     * @param {string} lakeId - ID of the lake
+     * @param {Object} wind - {speed, direction}
+     * @returns {Array<Array<number>>} Top left, top right, bottom right and bottom left [lng, lat]
+     */
+    getShadowCoordinates(lakeId, wind) {
+        const lake = StateManager.lakes[lakeId];
+        const [lng, lat] = lake ? lake.center : [0, 0];
+        const extent = lake && lake.shoreline ? lake.shoreline.getExtent() : DEFAULT_LAKE_EXTENT;
+        
+        const half = extent * this.options.cloudShadow.size / 2;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        
+        // Halfway through a cycle the shadows sit over the lake; calm air leaves them there
+        const heading = (wind.direction + 180) * Math.PI / 180;
+        const offset = wind.speed > 0 ? (this.shadowPhase - 0.5) * half * 2 : 0;
+        const x = lng + Math.sin(heading) * offset / cosLat;
+        const y = lat + Math.cos(heading) * offset;
+        const halfX = half / cosLat;
+        
+        return [
+            [x - halfX, y + half],
+            [x + halfX, y + half],
+            [x + halfX, y - half],
+            [x - halfX, y - half]
+        ];
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.map.off('resize', this.handleResize);
+        this.map.off('error', this.handleError);
+        this.canvas.remove();
+        this.drops = [];
+        
+        if (this.map.getLayer(SHADOW_LAYER_ID)) {
+            this.map.removeLayer(SHADOW_LAYER_ID);
+        }
+        if (this.map.getSource(SHADOW_SOURCE_ID)) {
+            this.map.removeSource(SHADOW_SOURCE_ID);
+        }
+        
+        this.map = null;
+        
+        console.log('[WeatherLayer] Disposed');
+    }
+}
\ No newline at end of file
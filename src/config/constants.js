@@ -1,10 +1,154 @@
+// Runtime data files, relative to index.html
+export const DATA_SOURCES = {
+    lakeCatalog: 'data/lakes.geojson',
+    tour: 'data/tour.json',
+    terrain: 'data/terrain/tiles.json', // TileJSON for locally hosted DEM tiles
+    mapStyle: 'data/map/style.json', // Basemap style reading the bundled tile archive
+    weather: 'data/weather.json' // Per-lake wind, precipitation and cloud cover (see WeatherController)
+};
+
+// Basemap style selection (see MapStyleProvider)
+export const MAP_STYLE = {
+    // Optional online style, set with MAP_STYLE_URL at build time so no key lives in the repo
+    remote: process.env.MAP_STYLE_URL || null,
+    prefer: 'local', // Which style to try first when both are usable ('local' or 'remote')
+    remoteTimeout: 5000, // Milliseconds to wait for the online style before falling back
+    background: '#efe6d2' // Colour of the plain style used when nothing else loads
+};
+
+// Lake markers (see LakeMarkerLayer)
+export const MARKER_CONFIG = {
+    clusterMaxZoom: 7, // Lakes stop clustering above this zoom
+    clusterRadius: 40, // Pixels within which markers merge into a cluster
+    minRadius: 7, // Marker radius in pixels for the smallest lakes
+    maxRadius: 16, // ...and for lakes of maxArea or more
+    maxArea: 400, // Square kilometres
+    tooltipNames: 5 // Lake names listed when hovering a cluster
+};
+
+// Interface languages (see LocaleController). Translations load from <path>/<code>.json;
+// anything a bundle leaves out is shown in English
+export const LOCALES = {
+    default: 'en',
+    path: 'data/i18n',
+    available: {
+        en: { name: 'English', numberLocale: 'en-IN' },
+        hi: { name: 'हिन्दी', numberLocale: 'hi-IN' },
+        ks: { name: 'کٲشُر', numberLocale: 'ks-u-nu-arabext', dir: 'rtl' },
+        mni: { name: 'ꯃꯩꯇꯩꯂꯣꯟ', numberLocale: 'mni-u-nu-mtei' },
+        lbj: { name: 'ལ་དྭགས་སྐད།', numberLocale: 'bo-u-nu-tibt' }, // No Ladakhi number data; same script as Tibetan
+        bo: { name: 'བོད་སྐད།', numberLocale: 'bo-u-nu-tibt' }
+    }
+};
+
+// Service worker caches (see workers/serviceWorker.js and OfflineController)
+export const OFFLINE_CONFIG = {
+    version: 1, // Bump to replace the precached app assets on the next visit
+    cachePrefix: 'neersarovar-',
+    // App shell, models and textures, relative to the app root; install fails without these
+    precache: [
+        './',
+        'index.html',
+        'neer.css',
+        'bundle.js',
+        'assets/coin.glb',
+        'assets/textures/ice_particle.png',
+        'assets/textures/cloud_shadow.png'
+    ],
+    // Cached at install when present
+    precacheOptional: [
+        DATA_SOURCES.lakeCatalog,
+        DATA_SOURCES.tour,
+        DATA_SOURCES.terrain,
+        DATA_SOURCES.mapStyle,
+        DATA_SOURCES.weather,
+        ...Object.keys(LOCALES.available)
+            .filter(code => code !== LOCALES.default)
+            .map(code => `${LOCALES.path}/${code}.json`)
+    ],
+    lakeMargin: 0.15, // Degrees around a lake's shoreline that count as "around the lake"
+    overviewZoom: 6, // Tiles up to this zoom are cached wherever they are
+    maxRuntimeTiles: 3000, // Tiles kept from browsing before the oldest are dropped
+    downloadMaxZoom: 14, // Deepest zoom fetched by "Download for offline"
+    maxDownloadTiles: 2500, // Per lake, over all tile sources
+    downloadConcurrency: 6
+};
+
+// Preferences chosen in the settings panel, kept in localStorage
+export const USER_SETTINGS = {
+    storageKey: 'neersarovar-settings',
+    // Media query for the system reduced-motion preference, followed unless the user overrides it
+    reducedMotionQuery: '(prefers-reduced-motion: reduce)'
+};
+
+// 3D terrain from the DEM tiles in DATA_SOURCES.terrain
+export const TERRAIN_CONFIG = {
+    sourceId: 'terrain-dem',
+    encoding: 'terrarium', // Used when the TileJSON doesn't say ('terrarium' or 'mapbox')
+    tileSize: 256,
+    exaggeration: 1.0,
+    surfaceOffset: 2 // Metres lake surfaces and particles sit above the DEM, to avoid z-fighting
+};
+
+// Weather at the lakes (see WeatherController and WeatherLayer)
+export const WEATHER_CONFIG = {
+    refreshInterval: 15 * 60000, // ms between weather reloads, 0 to load once
+    maxWindSpeed: 60, // m/s; faster reports are clamped
+    windDrift: 0.002, // Fraction of a lake's extent its surface drifts per second, per m/s of wind
+    rain: {
+        maxDrops: 400, // Streaks on screen at full intensity
+        speed: 900, // Fall speed in CSS pixels per second
+        length: 18, // Streak length in CSS pixels
+        color: 'rgba(190, 210, 230, 0.5)'
+    },
+    snow: {
+        maxFlakes: 300,
+        speed: 60,
+        size: 2.5, // Largest flake radius in CSS pixels
+        color: 'rgba(255, 255, 255, 0.85)'
+    },
+    // Pixels per second the screen-space rain and snow are pushed sideways, per m/s of wind
+    windPush: 12,
+    cloudShadow: {
+        image: 'assets/textures/cloud_shadow.png',
+        maxOpacity: 0.45, // Shadow opacity at full cloud cover
+        size: 4, // Width of the shadow image, in lake extents
+        cloudSpeed: 0.0004, // Fraction of the shadow's width it moves per second, per m/s of wind
+        updateInterval: 100 // ms between moves, to spare the map re-uploading the image every frame
+    }
+};
+
 // Core interaction configuration
 export const INTERACTION_CONFIG = {
     scrollSensitivity: 0.8,
     maxForce: 2.0,
     dragCoefficient: 0.05,
     touchMultiplier: 1.5,
-    minVelocity: 0.01
+    minVelocity: 0.01,
+    fluidStirRadius: 3, // Grid cells stirred around the pointer
+    fluidRippleStrength: 0.5 // Outward speed of a ripple, in fluid grid domains per second
+};
+
+// Dye offerings that drags and taps can release into a lake's fluid
+export const DYE_CONFIG = {
+    offerings: {
+        flower: {
+            label: 'Flower dye',
+            colors: ['#ff8f1f', '#e8364f', '#ffd23f'], // Marigold, rose, yellow chrysanthemum
+            dragAmount: 0.6, // Dye added per second of dragging
+            dropAmount: 1.5 // Dye added by a tap
+        },
+        diya: {
+            label: 'Diya light',
+            colors: ['#ffcf6b', '#ffe7a8'],
+            dragAmount: 0.3,
+            dropAmount: 2.0
+        }
+    },
+    defaultOffering: { 'Sacred Lake': 'flower' }, // Offering a lake type starts with, by LAKE_CONFIG type
+    radius: 2, // Grid cells the dye is released over
+    dissipation: 0.08, // Fraction of the dye that fades each second
+    opacity: 0.75 // Opacity of fully dyed water
 };
 
 // Performance thresholds
@@ -1,4 +1,5 @@
 // src/config/performance.js
+import { StateManager } from '../stateManager.js';
 
 /**
  * Performance thresholds and optimization settings
@@ -141,7 +142,11 @@ export class Vector3D {
  * Performance test harness for benchmarking and optimization
  */
 export class PerformanceTestHarness {
-    constructor() {
+    /**
+     * @param {PerformanceMonitor} perfMonitor - Monitor to sample (defaults to StateManager.perfMonitor)
+     */
+    constructor(perfMonitor = null) {
+        this.perfMonitor = perfMonitor;
         this.isRunning = false;
         this.sampleInterval = null;
         this.startTime = 0;
@@ -180,6 +185,9 @@ export class PerformanceTestHarness {
     sampleMetrics() {
         if (!this.isRunning) return;
         
+        const perfMonitor = this.perfMonitor || StateManager.perfMonitor;
+        if (!perfMonitor) return;
+        
         // Sample current metrics
         this.metrics.fps.push(perfMonitor.metrics.fps);
         this.metrics.renderTimes.push(perfMonitor.metrics.renderTime);
@@ -0,0 +1,109 @@
+/**
+ * FakeMap - Minimal stand-in for a MapLibre map in headless runs
+ * Implements the camera getters and Web Mercator project/unproject that
+ * particle code calls, without a canvas or WebGL context.
+ */
+export class FakeMap {
+    /**
+     * Create a fake map
+     * @param {Object} options - Camera and viewport
+     * @param {Array} options.center - [lng, lat]
+     * @param {number} options.zoom - Zoom level
+     * @param {number} options.width - Viewport width in pixels
+     * @param {number} options.height - Viewport height in pixels
+     */
+    constructor(options = {}) {
+        this.center = options.center || [0, 0];
+        this.zoom = options.zoom ?? 10;
+        this.bearing = options.bearing || 0;
+        this.pitch = options.pitch || 0;
+        this.width = options.width || 1280;
+        this.height = options.height || 720;
+        this.tileSize = 512;
+    }
+    
+    /**
+     * Convert [lng, lat] to world pixels at the current zoom
+     * @param {Array} lngLat - [lng, lat]
+     * @returns {Object} World pixel {x, y}
+     */
+    toWorld([lng, lat]) {
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const sin = Math.sin(lat * Math.PI / 180);
+        
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+    
+    /**
+     * Project [lng, lat] to screen pixels (bearing and pitch are ignored)
+     * @param {Array|Object} lngLat - [lng, lat] or {lng, lat}
+     * @returns {Object} Screen point {x, y}
+     */
+    project(lngLat) {
+        const coords = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat];
+        const point = this.toWorld(coords);
+        const center = this.toWorld(this.center);
+        
+        return {
+            x: point.x - center.x + this.width / 2,
+            y: point.y - center.y + this.height / 2
+        };
+    }
+    
+    /**
+     * Unproject screen pixels to a geographic position
+     * @param {Array|Object} point - [x, y] or {x, y}
+     * @returns {Object} {lng, lat}
+     */
+    unproject(point) {
+        const [px, py] = Array.isArray(point) ? point : [point.x, point.y];
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const center = this.toWorld(this.center);
+        const x = (px - this.width / 2 + center.x) / scale;
+        const y = (py - this.height / 2 + center.y) / scale;
+        
+        return {
+            lng: x * 360 - 180,
+            lat: Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180 / Math.PI
+        };
+    }
+    
+    getCenter() {
+        return { lng: this.center[0], lat: this.center[1] };
+    }
+    
+    getZoom() {
+        return this.zoom;
+    }
+    
+    getBearing() {
+        return this.bearing;
+    }
+    
+    getPitch() {
+        return this.pitch;
+    }
+    
+    jumpTo(camera) {
+        if (camera.center) this.center = camera.center;
+        if (camera.zoom !== undefined) this.zoom = camera.zoom;
+        if (camera.bearing !== undefined) this.bearing = camera.bearing;
+        if (camera.pitch !== undefined) this.pitch = camera.pitch;
+    }
+    
+    flyTo(camera) {
+        this.jumpTo(camera);
+    }
+    
+    getCanvas() {
+        return { width: this.width, height: this.height, style: {} };
+    }
+    
+    // Event wiring is a no-op: nothing moves the camera in a headless run
+    on() {}
+    
+    off() {}
+}
\ No newline at end of file
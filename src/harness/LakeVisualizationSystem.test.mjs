@@ -0,0 +1,59 @@
+/**
+ * Regression tests for particle systems built by LakeVisualizationSystem
+ *
+ * Usage (from src/):
+ *   npm test
+ */
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('./loader.mjs', import.meta.url);
+
+// Application logging would drown the test output
+console.log = console.info = () => {};
+
+const { StateManager } = await import('../stateManager.js');
+const { LakeVisualizationSystem } = await import('../components/LakeVisualizationSystem.js');
+const { ParticlePool } = await import('../utils/ParticlePool.js');
+const { FlowController } = await import('../components/FlowController.js');
+const { lakes } = await import('../models/lakes.js');
+const { FakeMap } = await import('./FakeMap.js');
+
+test('a system built by the visualization system can be stirred', () => {
+    const lake = lakes.wular;
+    
+    StateManager.setRandomSeed(7);
+    StateManager.lakes = lakes;
+    StateManager.particleSystems.clear();
+    StateManager.particlePool = new ParticlePool(1000);
+    StateManager.flowController = new FlowController();
+    StateManager.flowController.setFluidSimulations(StateManager.fluidSimulations);
+    StateManager.map = new FakeMap({ center: lake.center, zoom: lake.zoom, bearing: lake.bearing, pitch: lake.pitch });
+    
+    const visualization = new LakeVisualizationSystem();
+    
+    try {
+        visualization.initializeParticles('wular');
+        
+        const system = StateManager.particleSystems.get('wular');
+        assert.equal(system.map, StateManager.map);
+        system.activate();
+        
+        // Drag across the lake centre, then tap it
+        const { x, y } = StateManager.map.project(lake.center);
+        assert.ok(system.isOpenWater(...lake.center), 'the lake centre should be open water');
+        
+        system.applyDrag(x, y, 20, 0, 16);
+        const stirred = system.fluid.getVelocityAtLngLat(...lake.center);
+        assert.ok(Math.hypot(stirred.x, stirred.y) > 0, 'the drag should stir the water');
+        
+        system.applyRipple(x, y);
+        
+        system.dispose();
+    } finally {
+        visualization.dispose();
+        StateManager.particleSystems.clear();
+        StateManager.map = null;
+    }
+});
\ No newline at end of file
@@ -0,0 +1,313 @@
+import { StateManager } from '../stateManager.js';
+import { ParticleSystem } from '../components/ParticleSystem.js';
+import { FlowController } from '../components/FlowController.js';
+import { ParticlePool } from '../utils/ParticlePool.js';
+import { SeasonController } from '../components/SeasonController.js';
+import { WeatherController } from '../components/WeatherController.js';
+import { PERFORMANCE_THRESHOLDS } from '../config/constants.js';
+import { lakes as bundledLakes } from '../models/lakes.js';
+import { FakeMap } from './FakeMap.js';
+
+/**
+ * SimulationHarness - Steps the particle simulation without a browser or WebGL
+ * Runs ParticleSystem (with its lake's FluidSimulation), FlowController (with any wind) and ParticlePool against
+ * a FakeMap with a fixed timestep and a fixed seed, and summarises the run as
+ * plain JSON so two runs can be diffed.
+ */
+export class SimulationHarness {
+    /**
+     * Create a harness
+     * @param {Object} options - Run options
+     * @param {number|string} options.seed - Random seed
+     * @param {number} options.steps - Number of fixed steps
+     * @param {number} options.timestep - Step length in ms
+     * @param {Array} options.lakeIds - Lakes to simulate (default: all)
+     * @param {Object} options.lakes - Lake data keyed by id (default: bundled lakes)
+     * @param {number|null} options.day - Day of the year for seasonal lake state (default: lakes as mapped)
+     * @param {Object|null} options.weather - Weather reports keyed by lake id, as in data/weather.json (default: calm)
+     * @param {number} options.sampleEvery - Steps between recorded samples
+     * @param {number} options.impulseEvery - Steps between fluid impulses (0 disables)
+     * @param {boolean} options.timing - Include wall-clock timings (not reproducible)
+     */
+    constructor(options = {}) {
+        this.options = {
+            seed: 1,
+            steps: 600,
+            timestep: 1000 / 60,
+            lakeIds: null,
+            lakes: bundledLakes,
+            day: null,
+            weather: null,
+            poolSize: PERFORMANCE_THRESHOLDS.maxActiveParticles,
+            sampleEvery: 60,
+            impulseEvery: 30,
+            timing: false,
+            ...options
+        };
+        
+        this.runs = new Map();
+    }
+    
+    /**
+     * Reset global state and create one particle system and fluid grid per lake
+     */
+    setup() {
+        const { seed, lakes, poolSize } = this.options;
+        const lakeIds = this.options.lakeIds || Object.keys(lakes);
+        
+        lakeIds.forEach(lakeId => {
+            if (!lakes[lakeId]) {
+                throw new Error(`[SimulationHarness] Unknown lake: ${lakeId}`);
+            }
+        });
+        
+        StateManager.setRandomSeed(seed);
+        StateManager.lakes = lakes;
+        StateManager.seasonController = this.options.day === null ? null : new SeasonController(this.options.day);
+        StateManager.weatherController = null;
+        if (this.options.weather) {
+            StateManager.weatherController = new WeatherController(null, { refreshInterval: 0 });
+            StateManager.weatherController.setWeather(this.options.weather);
+        }
+        StateManager.particleSystems.clear();
+        StateManager.particlePool = new ParticlePool(poolSize);
+        StateManager.flowController = new FlowController();
+        StateManager.flowController.setFluidSimulations(StateManager.fluidSimulations);
+        
+        this.impulseRandom = StateManager.getRandom('harness:impulses');
+        this.runs.clear();
+        
+        lakeIds.forEach(lakeId => {
+            const lake = lakes[lakeId];
+            const map = new FakeMap({
+                center: lake.center,
+                zoom: lake.zoom,
+                bearing: lake.bearing,
+                pitch: lake.pitch
+            });
+            
+            const system = new ParticleSystem(map, lakeId, lake, null);
+            const fluid = system.fluid;
+            fluid.fixedTimestep = true;
+            
+            StateManager.particleSystems.set(lakeId, system);
+            system.activate();
+            
+            this.runs.set(lakeId, {
+                system,
+                fluid,
+                counts: [],
+                particleEnergy: [],
+                fluidEnergy: [],
+                invalid: 0,
+                samples: []
+            });
+        });
+    }
+    
+    /**
+     * Advance every lake by one fixed step
+     * @param {number} step - Step index
+     */
+    step(step) {
+        const { timestep, impulseEvery } = this.options;
+        
+        this.runs.forEach(run => {
+            // Stir the fluid at seeded positions, as a pointer drag would
+            if (impulseEvery > 0 && step % impulseEvery === 0) {
+                const worldWidth = run.fluid.width * run.fluid.resolution;
+                const worldHeight = run.fluid.height * run.fluid.resolution;
+                const angle = this.impulseRandom.next() * Math.PI * 2;
+                
+                run.fluid.addVelocity(
+                    this.impulseRandom.next() * worldWidth,
+                    this.impulseRandom.next() * worldHeight,
+                    Math.cos(angle) * 0.5,
+                    Math.sin(angle) * 0.5,
+                    2
+                );
+            }
+            
+            // Steps the lake's fluid and advects the particles through it
+            run.system.update(timestep);
+            
+            const particleEnergy = measureParticleEnergy(run.system.particles);
+            const fluidEnergy = measureFluidEnergy(run.fluid);
+            
+            run.counts.push(run.system.particles.length);
+            run.particleEnergy.push(particleEnergy);
+            run.fluidEnergy.push(fluidEnergy);
+            run.invalid += run.system.particles.filter(p =>
+                !Number.isFinite(p.position.x) || !Number.isFinite(p.position.y)).length;
+            
+            if (step % this.options.sampleEvery === 0 || step === this.options.steps - 1) {
+                run.samples.push({
+                    step,
+                    particles: run.system.particles.length,
+                    particleEnergy: round(particleEnergy),
+                    fluidEnergy: round(fluidEnergy)
+                });
+            }
+        });
+    }
+    
+    /**
+     * Run the full simulation and build the report
+     * @returns {Object} JSON-serialisable report
+     */
+    run() {
+        const startTime = performance.now();
+        
+        this.setup();
+        
+        for (let step = 0; step < this.options.steps; step++) {
+            this.step(step);
+        }
+        
+        const report = this.buildReport();
+        
+        if (this.options.timing) {
+            const elapsed = performance.now() - startTime;
+            report.timing = {
+                elapsedMs: round(elapsed),
+                msPerStep: round(elapsed / this.options.steps)
+            };
+        }
+        
+        // Disposing returns every particle, so anything still active has leaked
+        this.dispose();
+        report.pool.activeAfterDispose = StateManager.particlePool.getActiveCount();
+        
+        return report;
+    }
+    
+    /**
+     * Summarise the run, including a pool leak check
+     * @returns {Object} Report
+     */
+    buildReport() {
+        const pool = StateManager.particlePool;
+        const lakes = {};
+        const liveParticles = new Set();
+        
+        this.runs.forEach((run, lakeId) => {
+            const { system } = run;
+            const stats = system.stats;
+            
+            system.particles.forEach(particle => liveParticles.add(particle));
+            
+            lakes[lakeId] = {
+                type: system.lakeType,
+                particles: {
+                    limit: system.particleLimit,
+                    ...summarise(run.counts)
+                },
+                spawned: stats.spawned,
+                expired: stats.expired,
+                escaped: stats.escaped,
+                escapeRate: round(stats.spawned > 0 ? stats.escaped / stats.spawned : 0),
+                invalidPositions: run.invalid,
+                energy: {
+                    particles: summarise(run.particleEnergy),
+                    fluid: summarise(run.fluidEnergy)
+                },
+                samples: run.samples
+            };
+        });
+        
+        // Every live particle should be counted as active, and none should also sit in the pool
+        const pooled = new Set(pool.pool);
+        const duplicates = [...liveParticles].filter(particle => pooled.has(particle)).length;
+        
+        return {
+            seed: StateManager.randomSeed,
+            steps: this.options.steps,
+            timestep: this.options.timestep,
+            ...(this.options.day !== null && { day: this.options.day }),
+            ...(this.options.weather && {
+                weather: Object.fromEntries([...this.runs.keys()].map(lakeId => [lakeId, StateManager.getLakeWeather(lakeId)]))
+            }),
+            lakes,
+            pool: {
+                live: liveParticles.size,
+                active: pool.getActiveCount(),
+                leaked: pool.getActiveCount() - liveParticles.size,
+                duplicates,
+                available: pool.getPoolSize(),
+                maxSize: pool.getMaxSize(),
+                totalCreated: pool.totalCreated,
+                totalReused: pool.totalReused,
+                // Store slots are held by live or pooled particles; anything else has leaked
+                storeSlots: pool.store.getAllocatedCount(),
+                leakedSlots: pool.store.getAllocatedCount() - liveParticles.size - pool.getPoolSize()
+            }
+        };
+    }
+    
+    /**
+     * Release all particles and check the pool drains back to zero
+     */
+    dispose() {
+        this.runs.forEach(run => {
+            run.system.dispose();
+        });
+        
+        StateManager.particleSystems.clear();
+        StateManager.seasonController = null;
+        if (StateManager.weatherController) {
+            StateManager.weatherController.dispose();
+            StateManager.weatherController = null;
+        }
+        this.runs.clear();
+    }
+}
+
+/**
+ * Kinetic energy of the particles' drift across the water, taking each as unit mass
+ * @param {Array} particles - Particles
+ * @returns {number} Energy
+ */
+function measureParticleEnergy(particles) {
+    return particles.reduce((energy, p) => energy + 0.5 * (p.velocity.x * p.velocity.x + p.velocity.y * p.velocity.y), 0);
+}
+
+/**
+ * Kinetic energy of the fluid velocity field
+ * @param {FluidSimulation} fluid - Fluid simulation
+ * @returns {number} Energy
+ */
+function measureFluidEnergy(fluid) {
+    let energy = 0;
+    for (let i = 0; i < fluid.velocityX.length; i++) {
+        energy += 0.5 * (fluid.velocityX[i] * fluid.velocityX[i] + fluid.velocityY[i] * fluid.velocityY[i]);
+    }
+    return energy;
+}
+
+/**
+ * Min/max/mean of a series plus its first and last values
+ * @param {Array} values - Series
+ * @returns {Object} Summary
+ */
+function summarise(values) {
+    if (values.length === 0) {
+        return { initial: 0, final: 0, min: 0, max: 0, mean: 0 };
+    }
+    
+    return {
+        initial: round(values[0]),
+        final: round(values[values.length - 1]),
+        min: round(Math.min(...values)),
+        max: round(Math.max(...values)),
+        mean: round(values.reduce((a, b) => a + b, 0) / values.length)
+    };
+}
+
+/**
+ * Round to 8 significant digits so reports diff cleanly
+ * @param {number} value - Number
+ * @returns {number} Rounded number
+ */
+function round(value) {
+    return Number.isFinite(value) ? Number(value.toPrecision(8)) : value;
+}
\ No newline at end of file
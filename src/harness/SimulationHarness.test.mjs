@@ -0,0 +1,25 @@
+/**
+ * Regression tests for the headless simulation
+ *
+ * Usage (from src/):
+ *   npm test
+ */
+import { register } from 'node:module';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+register('./loader.mjs', import.meta.url);
+
+// Application logging would drown the test output
+console.log = console.info = () => {};
+
+const { SimulationHarness } = await import('./SimulationHarness.js');
+
+test('the same seed produces the same report', () => {
+    const options = { seed: 7, steps: 200, lakeIds: ['pushkar', 'pangong', 'wular'] };
+    
+    const first = new SimulationHarness(options).run();
+    const second = new SimulationHarness(options).run();
+    
+    assert.deepEqual(second, first);
+});
\ No newline at end of file
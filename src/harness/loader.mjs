@@ -0,0 +1,20 @@
+/**
+ * Node module hooks for running browser source files headlessly
+ * The app is bundled by webpack, so its .js files are ES modules without a
+ * "type": "module" package.json, and it imports JSON without import attributes.
+ */
+const SOURCE_ROOT = new URL('../', import.meta.url).href;
+
+export async function load(url, context, nextLoad) {
+    // JSON data files (e.g. data/shorelines.json)
+    if (url.endsWith('.json')) {
+        return nextLoad(url, { ...context, importAttributes: { ...context.importAttributes, type: 'json' } });
+    }
+    
+    // Application sources are always ES modules
+    if (url.startsWith(SOURCE_ROOT) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    
+    return nextLoad(url, context);
+}
\ No newline at end of file
@@ -0,0 +1,115 @@
+/**
+ * Headless simulation run: prints a JSON report to stdout
+ *
+ * Usage (from src/):
+ *   npm run simulate -- --seed 42 --steps 600 --lakes pangong,dal
+ *   node harness/run.mjs --catalogue ../public/data/lakes.geojson --out report.json
+ *
+ * Options:
+ *   --seed <n|text>      Random seed (default 1)
+ *   --steps <n>          Fixed steps to run (default 600)
+ *   --timestep <ms>      Step length in ms (default 16.667)
+ *   --lakes <a,b>        Lake ids to simulate (default: all)
+ *   --catalogue <file>   Load lakes from a catalogue file instead of the bundled lakes
+ *   --day <n>            Day of the year (1-365) for seasonal ice, water level and vegetation
+ *   --weather <file>     Weather reports to drift the lakes with, as in public/data/weather.json (default: calm)
+ *   --sample-every <n>   Steps between recorded samples (default 60)
+ *   --impulse-every <n>  Steps between fluid impulses, 0 to disable (default 30)
+ *   --timing             Include wall-clock timings (not reproducible)
+ *   --out <file>         Write the report to a file instead of stdout
+ */
+import { register } from 'node:module';
+import { readFileSync, writeFileSync } from 'node:fs';
+
+register('./loader.mjs', import.meta.url);
+
+/**
+ * Parse --key value pairs and --flags
+ * @param {Array} argv - Command line arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+    const args = {};
+    
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) {
+            throw new Error(`Unexpected argument: ${argv[i]}`);
+        }
+        
+        const key = argv[i].slice(2);
+        const value = argv[i + 1];
+        
+        if (value === undefined || value.startsWith('--')) {
+            args[key] = true;
+        } else {
+            args[key] = value;
+            i++;
+        }
+    }
+    
+    return args;
+}
+
+/**
+ * Parse a numeric option, rejecting anything that isn't a number
+ * @param {Object} args - Parsed arguments
+ * @param {string} key - Option name
+ * @param {number} fallback - Default value
+ * @returns {number} Value
+ */
+function numberArg(args, key, fallback) {
+    if (args[key] === undefined) return fallback;
+    
+    const value = Number(args[key]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${key} must be a number (got ${args[key]})`);
+    }
+    return value;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    
+    // Keep stdout for the report; application logging goes to stderr
+    console.log = console.info = (...messages) => console.error(...messages);
+    
+    const { SimulationHarness } = await import('./SimulationHarness.js');
+    const options = {
+        seed: args.seed === undefined ? 1 : (Number.isFinite(Number(args.seed)) ? Number(args.seed) : args.seed),
+        steps: numberArg(args, 'steps', 600),
+        timestep: numberArg(args, 'timestep', 1000 / 60),
+        sampleEvery: numberArg(args, 'sample-every', 60),
+        impulseEvery: numberArg(args, 'impulse-every', 30),
+        day: numberArg(args, 'day', null),
+        timing: args.timing === true
+    };
+    
+    if (args.lakes) {
+        options.lakeIds = String(args.lakes).split(',').map(id => id.trim()).filter(Boolean);
+    }
+    
+    if (args.weather) {
+        options.weather = JSON.parse(readFileSync(args.weather, 'utf8')).lakes;
+    }
+    
+    if (args.catalogue) {
+        const { LakeCatalog } = await import('../models/LakeCatalog.js');
+        const catalog = new LakeCatalog();
+        options.lakes = catalog.loadFromData(JSON.parse(readFileSync(args.catalogue, 'utf8')), args.catalogue);
+    }
+    
+    const report = new SimulationHarness(options).run();
+    const json = JSON.stringify(report, null, 2);
+    
+    if (args.out) {
+        writeFileSync(args.out, json + '\n');
+        console.error(`[SimulationHarness] Report written to ${args.out}`);
+    } else {
+        process.stdout.write(json + '\n');
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
\ No newline at end of file
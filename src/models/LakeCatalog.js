@@ -0,0 +1,451 @@
+/**
+ * LakeCatalog - Loads lake definitions from a JSON/GeoJSON file at runtime
+ * and validates them before they reach the rest of the application
+ */
+import { Shoreline } from '../utils/Shoreline.js';
+import { getLakeShoreline, matchLakeConfigType } from './lakes.js';
+import { LUNAR_MONTHS } from '../utils/lunarCalendar.js';
+
+/**
+ * Schema for a single lake entry. Each field lists its expected type, whether
+ * it is required and any range or length limits.
+ */
+export const LAKE_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 120 },
+    center: { type: 'lngLat', required: true },
+    zoom: { type: 'number', required: true, min: 0, max: 22 },
+    bearing: { type: 'number', required: false, min: -360, max: 360, default: 0 },
+    pitch: { type: 'number', required: true, min: 0, max: 85 },
+    type: { type: 'lakeType', required: true },
+    location: { type: 'string', required: true },
+    region: { type: 'string', required: false, maxLength: 120 }, // State or territory, used by the region filter
+    description: { type: 'string', required: true },
+    duration: { type: 'number', required: false, min: 0, max: 30000, default: 2000 },
+    size: { type: 'number', required: true, min: 0, exclusiveMin: true },
+    elevation: { type: 'number', required: false, min: -500, max: 9000, default: 0 }, // Lake surface, metres above sea level
+    historicalName: { type: 'string', required: false, maxLength: 120 },
+    historicalContext: { type: 'string', required: false, maxLength: 1000 },
+    seasons: { type: 'seasons', required: false }, // Keyframes through the year, see SEASON_KEYFRAME_SCHEMA
+    festivals: { type: 'festivals', required: false } // Lunar calendar rules, see FESTIVAL_RULE_SCHEMA
+};
+
+/**
+ * Schema for one seasonal keyframe. Between keyframes values are interpolated
+ * by day, wrapping round from the last keyframe of the year to the first.
+ */
+export const SEASON_KEYFRAME_SCHEMA = {
+    day: { type: 'number', required: true, min: 1, max: 365 }, // Day of the year
+    iceCover: { type: 'number', required: false, min: 0, max: 1 }, // Fraction of the water frozen, from the shore in
+    waterExtent: { type: 'number', required: false, min: 0, max: 1 }, // Fraction of the mapped lake under water
+    turbidity: { type: 'number', required: false, min: 0, max: 1 }, // 0 for clear water, 1 for opaque with silt
+    vegetation: { type: 'vegetation', required: false } // Floating mats: [{center: [lng, lat], radius: metres}]
+};
+
+/**
+ * Schema for one festival rule. A festival falls on the days whose tithi (lunar
+ * day, 1-30, where 15 is purnima and 30 amavasya) at sunrise is the given one,
+ * or within the given [first, last] range, in the given amanta lunar month.
+ */
+export const FESTIVAL_RULE_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 120 },
+    month: { type: 'lunarMonth', required: true }, // One of LUNAR_MONTHS
+    tithi: { type: 'tithi', required: true } // 15, or a range such as [8, 15]
+};
+
+// Lake ids double as DOM ids and URL keys
+const LAKE_ID_PATTERN = /^[a-z][a-z0-9_-]*$/;
+
+export class LakeCatalog {
+    /**
+     * Create a lake catalogue
+     * @param {Object} options - Catalogue options
+     * @param {string} options.url - Location of the catalogue file
+     */
+    constructor(options = {}) {
+        this.url = options.url || 'data/lakes.geojson';
+        this.lakes = {};
+        this.errors = [];
+        this.warnings = [];
+        this.loaded = false;
+    }
+    
+    /**
+     * Fetch and validate the catalogue file
+     * @param {string} url - Optional override for the catalogue location
+     * @returns {Promise<Object>} Validated lakes keyed by id
+     */
+    async load(url = this.url) {
+        const response = await fetch(url);
+        
+        if (!response.ok) {
+            throw new Error(`[LakeCatalog] Failed to load ${url}: ${response.status} ${response.statusText}`);
+        }
+        
+        let data;
+        try {
+            data = await response.json();
+        } catch (error) {
+            throw new Error(`[LakeCatalog] ${url} is not valid JSON: ${error.message}`);
+        }
+        
+        return this.loadFromData(data, url);
+    }
+    
+    /**
+     * Validate already parsed catalogue data. Invalid lakes are skipped and
+     * reported; the catalogue only fails if no lake survives validation.
+     * @param {Object} data - GeoJSON FeatureCollection or { lakes: { id: {...} } }
+     * @param {string} source - Name used in error messages
+     * @returns {Object} Validated lakes keyed by id
+     */
+    loadFromData(data, source = 'catalogue') {
+        this.errors = [];
+        this.warnings = [];
+        
+        const lakes = {};
+        
+        this.parseEntries(data, source).forEach(({ id, properties, geometry, label }) => {
+            if (lakes[id]) {
+                this.errors.push(`${label}: duplicate lake id "${id}"`);
+                return;
+            }
+            
+            const { lake, errors } = this.validateLake(id, properties, geometry, label);
+            
+            if (errors.length > 0) {
+                this.errors.push(...errors);
+                return;
+            }
+            
+            lakes[id] = lake;
+        });
+        
+        this.warnings.forEach(warning => console.warn(`[LakeCatalog] ${warning}`));
+        this.errors.forEach(error => console.error(`[LakeCatalog] ${error}`));
+        
+        if (Object.keys(lakes).length === 0) {
+            throw new Error(`[LakeCatalog] ${source} contains no valid lakes (${this.errors.length} errors)`);
+        }
+        
+        this.lakes = lakes;
+        this.loaded = true;
+        
+        console.log(`[LakeCatalog] Loaded ${Object.keys(lakes).length} lakes from ${source}`);
+        
+        return lakes;
+    }
+    
+    /**
+     * Normalise the supported file layouts into a flat list of entries
+     * @param {Object} data - Parsed catalogue data
+     * @param {string} source - Name used in error messages
+     * @returns {Array} Entries of {id, properties, geometry, label}
+     */
+    parseEntries(data, source) {
+        if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+            return data.features.map((feature, index) => {
+                const properties = (feature && feature.properties) || {};
+                const id = properties.id !== undefined ? properties.id : feature && feature.id;
+                
+                return {
+                    id,
+                    properties,
+                    geometry: feature ? feature.geometry : null,
+                    label: `${source} features[${index}]${id !== undefined ? ` ("${id}")` : ''}`
+                };
+            });
+        }
+        
+        if (data && data.lakes && typeof data.lakes === 'object' && !Array.isArray(data.lakes)) {
+            return Object.entries(data.lakes).map(([id, properties]) => ({
+                id,
+                properties: properties || {},
+                geometry: null,
+                label: `${source} lakes.${id}`
+            }));
+        }
+        
+        throw new Error(`[LakeCatalog] ${source} must be a GeoJSON FeatureCollection or an object with a "lakes" map`);
+    }
+    
+    /**
+     * Validate one lake against LAKE_SCHEMA
+     * @param {string} id - Lake id
+     * @param {Object} properties - Raw lake fields
+     * @param {Object} geometry - Optional GeoJSON geometry (Point center or shoreline polygon)
+     * @param {string} label - Prefix for error messages
+     * @returns {Object} { lake, errors }
+     */
+    validateLake(id, properties, geometry, label = `lake "${id}"`) {
+        const errors = [];
+        const lake = {};
+        
+        if (typeof id !== 'string' || !LAKE_ID_PATTERN.test(id)) {
+            errors.push(`${label}: "id" must be lowercase letters, digits, "-" or "_" starting with a letter (got ${describe(id)})`);
+        }
+        
+        const fields = { ...properties };
+        delete fields.id;
+        
+        // A Point geometry stands in for a missing center
+        if (fields.center === undefined && geometry && geometry.type === 'Point') {
+            fields.center = geometry.coordinates;
+        }
+        
+        Object.entries(LAKE_SCHEMA).forEach(([field, rule]) => {
+            const value = fields[field];
+            
+            if (value === undefined || value === null) {
+                if (rule.required) {
+                    errors.push(`${label}: "${field}" is required`);
+                } else if (rule.default !== undefined) {
+                    lake[field] = rule.default;
+                }
+                return;
+            }
+            
+            const problem = checkField(value, rule);
+            if (problem) {
+                errors.push(`${label}: "${field}" ${problem} (got ${describe(value)})`);
+                return;
+            }
+            
+            lake[field] = value;
+        });
+        
+        Object.keys(fields)
+            .filter(field => !(field in LAKE_SCHEMA))
+            .forEach(field => this.warnings.push(`${label}: unknown field "${field}" ignored`));
+        
+        if (errors.length > 0) {
+            return { lake: null, errors };
+        }
+        
+        // Polygon geometry is the shoreline; otherwise fall back to the bundled outlines
+        if (geometry && (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon')) {
+            try {
+                lake.shoreline = new Shoreline(geometry);
+            } catch (error) {
+                errors.push(`${label}: invalid shoreline geometry (${error.message})`);
+                return { lake: null, errors };
+            }
+        } else {
+            lake.shoreline = getLakeShoreline(id, lake.center);
+        }
+        
+        // Usually a sign of [lat, lng] order or a typo in the coordinates
+        if (!lake.shoreline.contains(lake.center[0], lake.center[1])) {
+            this.warnings.push(`${label}: "center" lies outside the lake shoreline`);
+        }
+        
+        return { lake, errors };
+    }
+    
+    /**
+     * Get all validated lakes
+     * @returns {Object} Lakes keyed by id
+     */
+    getLakes() {
+        return this.lakes;
+    }
+    
+    /**
+     * Get a single lake
+     * @param {string} lakeId - Lake id
+     * @returns {Object|undefined} Lake data
+     */
+    getLake(lakeId) {
+        return this.lakes[lakeId];
+    }
+    
+    /**
+     * Get lake ids in catalogue order
+     * @returns {Array} Lake ids
+     */
+    getLakeIds() {
+        return Object.keys(this.lakes);
+    }
+}
+
+/**
+ * Check a value against a schema rule
+ * @param {*} value - Value to check
+ * @param {Object} rule - Schema rule
+ * @returns {string|null} Description of the problem, or null if valid
+ */
+function checkField(value, rule) {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string' || value.trim() === '') {
+                return 'must be a non-empty string';
+            }
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return `must be at most ${rule.maxLength} characters`;
+            }
+            return null;
+        
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return 'must be a number';
+            }
+            if ((rule.exclusiveMin && value <= rule.min) || value < rule.min || value > rule.max) {
+                return rule.max !== undefined ?
+                    `must be between ${rule.min} and ${rule.max}` :
+                    `must be greater than ${rule.min}`;
+            }
+            return null;
+        
+        case 'lngLat':
+            if (!Array.isArray(value) || value.length !== 2 || !value.every(n => typeof n === 'number' && Number.isFinite(n))) {
+                return 'must be a [longitude, latitude] pair of numbers';
+            }
+            if (value[0] < -180 || value[0] > 180) {
+                return 'has a longitude outside -180..180';
+            }
+            if (value[1] < -90 || value[1] > 90) {
+                return 'has a latitude outside -90..90 (is it written as [lat, lng]?)';
+            }
+            return null;
+        
+        case 'seasons':
+            return checkSeasons(value);
+        
+        case 'festivals':
+            return checkFestivals(value);
+        
+        case 'lunarMonth':
+            if (!LUNAR_MONTHS.includes(value)) {
+                return `must be one of ${LUNAR_MONTHS.join(', ')}`;
+            }
+            return null;
+        
+        case 'tithi': {
+            const isTithi = n => Number.isInteger(n) && n >= 1 && n <= 30;
+            if (Array.isArray(value) ? !(value.length === 2 && value.every(isTithi) && value[0] <= value[1]) : !isTithi(value)) {
+                return 'must be a tithi from 1 to 30, or a [first, last] range of them';
+            }
+            return null;
+        }
+        
+        case 'vegetation':
+            if (!Array.isArray(value)) {
+                return 'must be an array of {center, radius} mats';
+            }
+            for (const [index, mat] of value.entries()) {
+                if (!mat || typeof mat !== 'object') {
+                    return `[${index}] must be a {center, radius} mat`;
+                }
+                const problem = checkField(mat.center, { type: 'lngLat' });
+                if (problem) {
+                    return `[${index}].center ${problem}`;
+                }
+                if (checkField(mat.radius, { type: 'number', min: 0, exclusiveMin: true, max: 50000 })) {
+                    return `[${index}].radius must be between 0 and 50000 metres`;
+                }
+            }
+            return null;
+        
+        case 'lakeType':
+            if (typeof value !== 'string' || !matchLakeConfigType(value)) {
+                return 'must describe a known lake type (freshwater, high altitude, urban, sacred, salt or brackish)';
+            }
+            return null;
+        
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a lake's seasonal keyframes against SEASON_KEYFRAME_SCHEMA
+ * @param {*} value - Keyframes
+ * @returns {string|null} Description of the problem, or null if valid
+ */
+function checkSeasons(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return 'must be a non-empty array of keyframes';
+    }
+    
+    for (const [index, keyframe] of value.entries()) {
+        const problem = checkEntry(keyframe, SEASON_KEYFRAME_SCHEMA);
+        if (problem) {
+            return `[${index}]${problem}`;
+        }
+        
+        if (index > 0 && keyframe.day <= value[index - 1].day) {
+            return `[${index}].day must be later than the previous keyframe's`;
+        }
+        
+        // Mats are matched up between keyframes by their place in the list
+        if ((keyframe.vegetation || []).length !== (value[0].vegetation || []).length) {
+            return `[${index}].vegetation must list as many mats as the first keyframe`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Check a lake's festival rules against FESTIVAL_RULE_SCHEMA
+ * @param {*} value - Rules
+ * @returns {string|null} Description of the problem, or null if valid
+ */
+function checkFestivals(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return 'must be a non-empty array of festival rules';
+    }
+    
+    for (const [index, rule] of value.entries()) {
+        const problem = checkEntry(rule, FESTIVAL_RULE_SCHEMA);
+        if (problem) {
+            return `[${index}]${problem}`;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Check one entry of a list field, such as a keyframe, against its schema
+ * @param {*} entry - Entry to check
+ * @param {Object} schema - Schema for the entry's fields
+ * @returns {string|null} Problem, starting with the field it is in (".day is required"), or null if valid
+ */
+function checkEntry(entry, schema) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        return ' must be an object';
+    }
+    
+    for (const [field, rule] of Object.entries(schema)) {
+        if (entry[field] === undefined || entry[field] === null) {
+            if (rule.required) {
+                return `.${field} is required`;
+            }
+            continue;
+        }
+        
+        const problem = checkField(entry[field], rule);
+        if (problem) {
+            return `.${field} ${problem}`;
+        }
+    }
+    
+    // A misspelt field would otherwise silently fall back to its default
+    const unknown = Object.keys(entry).find(field => !(field in schema));
+    if (unknown) {
+        return ` has unknown field "${unknown}"`;
+    }
+    
+    return null;
+}
+
+/**
+ * Format a value for an error message
+ * @param {*} value - Offending value
+ * @returns {string} Short printable description
+ */
+function describe(value) {
+    if (value === undefined) return 'undefined';
+    const text = JSON.stringify(value);
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
\ No newline at end of file
@@ -1,3 +1,6 @@
+import { Shoreline } from '../utils/Shoreline.js';
+import shorelineData from '../data/shorelines.json';
+
 /**
  * Lakes data model
  * Contains geographical information and metadata for all lakes
@@ -13,7 +16,16 @@ export const lakes = {
         location: 'Indian Subcontinent',
         description: 'Largest freshwater lake in the region; supports migratory birds and local fisheries',
         duration: 2000,
-        size: 1
+        size: 1,
+        elevation: 1580,
+        region: 'Jammu and Kashmir',
+        seasons: [
+            { day: 15, waterExtent: 0.6, turbidity: 0.15 },
+            { day: 105, waterExtent: 0.85, turbidity: 0.5 },
+            { day: 166, waterExtent: 1, turbidity: 0.6 },
+            { day: 227, waterExtent: 0.85, turbidity: 0.35 },
+            { day: 288, waterExtent: 0.65, turbidity: 0.2 }
+        ]
     },
     loktak: {
         title: 'Loktak Lake',
@@ -25,7 +37,77 @@ export const lakes = {
         location: 'Manipur',
         description: 'Known for floating phumdis (vegetation islands); home to Keibul Lamjao National Park',
         duration: 2000,
-        size: 3
+        size: 3,
+        elevation: 768,
+        region: 'Manipur',
+        seasons: [
+            {
+                day: 15,
+                waterExtent: 0.8,
+                turbidity: 0.25,
+                vegetation: [
+                    { center: [93.785, 24.51], radius: 900 },
+                    { center: [93.8, 24.56], radius: 1000 },
+                    { center: [93.775, 24.575], radius: 500 },
+                    { center: [93.8, 24.527], radius: 450 }
+                ]
+            },
+            {
+                day: 74,
+                waterExtent: 0.68,
+                turbidity: 0.2,
+                vegetation: [
+                    { center: [93.784, 24.509], radius: 900 },
+                    { center: [93.799, 24.559], radius: 1000 },
+                    { center: [93.774, 24.574], radius: 500 },
+                    { center: [93.799, 24.526], radius: 450 }
+                ]
+            },
+            {
+                day: 166,
+                waterExtent: 0.88,
+                turbidity: 0.55,
+                vegetation: [
+                    { center: [93.787, 24.511], radius: 945 },
+                    { center: [93.802, 24.561], radius: 1050 },
+                    { center: [93.777, 24.576], radius: 525 },
+                    { center: [93.802, 24.528], radius: 472 }
+                ]
+            },
+            {
+                day: 227,
+                waterExtent: 1,
+                turbidity: 0.6,
+                vegetation: [
+                    { center: [93.789, 24.513], radius: 990 },
+                    { center: [93.804, 24.563], radius: 1100 },
+                    { center: [93.779, 24.578], radius: 550 },
+                    { center: [93.804, 24.53], radius: 495 }
+                ]
+            },
+            {
+                day: 288,
+                waterExtent: 0.95,
+                turbidity: 0.4,
+                vegetation: [
+                    { center: [93.788, 24.512], radius: 990 },
+                    { center: [93.803, 24.562], radius: 1100 },
+                    { center: [93.778, 24.577], radius: 550 },
+                    { center: [93.803, 24.529], radius: 495 }
+                ]
+            },
+            {
+                day: 335,
+                waterExtent: 0.85,
+                turbidity: 0.3,
+                vegetation: [
+                    { center: [93.786, 24.511], radius: 945 },
+                    { center: [93.801, 24.561], radius: 1050 },
+                    { center: [93.776, 24.576], radius: 525 },
+                    { center: [93.801, 24.528], radius: 472 }
+                ]
+            }
+        ]
     },
     pangong: {
         title: 'Pangong Tso',
@@ -37,7 +119,19 @@ export const lakes = {
         location: 'Indian Subcontinent',
         description: 'High-altitude saltwater lake; famous for turquoise waters',
         duration: 2000,
-        size: 6
+        size: 6,
+        elevation: 4225,
+        region: 'Ladakh',
+        seasons: [
+            { day: 15, iceCover: 0.9, waterExtent: 0.96, turbidity: 0.05 },
+            { day: 46, iceCover: 1, waterExtent: 0.95, turbidity: 0.05 },
+            { day: 80, iceCover: 1, waterExtent: 0.95, turbidity: 0.05 },
+            { day: 110, iceCover: 0.5, waterExtent: 0.96, turbidity: 0.08 },
+            { day: 140, iceCover: 0, waterExtent: 0.98, turbidity: 0.12 },
+            { day: 210, iceCover: 0, waterExtent: 1, turbidity: 0.15 },
+            { day: 300, iceCover: 0, waterExtent: 0.98, turbidity: 0.05 },
+            { day: 335, iceCover: 0.2, waterExtent: 0.97, turbidity: 0.05 }
+        ]
     },
     mansarovar: {
         title: 'Manas Sarovar',
@@ -50,8 +144,24 @@ export const lakes = {
         description: 'Sacred high-altitude freshwater lake (4,590m) near Mount Kailash; pilgrimage site for Hindus, Buddhists, Jains',
         duration: 2000,
         size: 6.5,
+        elevation: 4590,
+        region: 'Tibet',
         historicalName: 'Manas Sarovar',
-        historicalContext: 'Name derives from Sanskrit "Manas" (mind) and "Sarovar" (lake), meaning "Lake of Consciousness". Ancient texts like Skanda Purana describe it as created in the mind of Lord Brahma'
+        historicalContext: 'Name derives from Sanskrit "Manas" (mind) and "Sarovar" (lake), meaning "Lake of Consciousness". Ancient texts like Skanda Purana describe it as created in the mind of Lord Brahma',
+        seasons: [
+            { day: 15, iceCover: 0.85, waterExtent: 0.97, turbidity: 0.05 },
+            { day: 46, iceCover: 1, waterExtent: 0.96, turbidity: 0.05 },
+            { day: 95, iceCover: 0.95, waterExtent: 0.96, turbidity: 0.05 },
+            { day: 130, iceCover: 0.4, waterExtent: 0.97, turbidity: 0.08 },
+            { day: 160, iceCover: 0, waterExtent: 0.98, turbidity: 0.1 },
+            { day: 225, iceCover: 0, waterExtent: 1, turbidity: 0.12 },
+            { day: 305, iceCover: 0, waterExtent: 0.98, turbidity: 0.05 },
+            { day: 340, iceCover: 0.3, waterExtent: 0.97, turbidity: 0.05 }
+        ],
+        festivals: [
+            { name: 'Buddha Purnima', month: 'Vaishakha', tithi: 15 },
+            { name: 'Guru Purnima', month: 'Ashadha', tithi: 15 }
+        ]
     },
     dal: {
         title: 'Dal Lake',
@@ -63,7 +173,9 @@ export const lakes = {
         location: 'Srinagar, Jammu and Kashmir',
         description: 'Iconic houseboat tourism and Mughal gardens',
         duration: 2000,
-        size: 12
+        size: 12,
+        elevation: 1583,
+        region: 'Jammu and Kashmir'
     },
     satpara: {
         title: 'Satpara Lake',
@@ -76,6 +188,8 @@ export const lakes = {
         description: 'Freshwater lake near Skardu; part of Greater Tibet and the Buddhist Baltistan Kingdom (8th-14th century CE); situated along ancient Silk Road trading routes',
         duration: 2000,
         size: 17,
+        elevation: 2636,
+        region: 'Gilgit-Baltistan',
         historicalName: 'Satpara',
         historicalContext: 'The region\'s integration into the Silk Road under the Kushan Empire (1st-5th century CE) shows Sanskrit or Prakrit influences'
     },
@@ -90,13 +204,47 @@ export const lakes = {
         description: 'Sacred lake surrounded by 52 ghats; site of the annual Pushkar Camel Fair',
         duration: 2000,
         size: 61,
+        elevation: 510,
+        region: 'Rajasthan',
         historicalName: 'Pushkar',
-        historicalContext: 'One of the oldest continuously inhabited lakes in India, with the name "Pushkar" (पुष्कर) meaning "blue lotus flower" in Sanskrit'
+        historicalContext: 'One of the oldest continuously inhabited lakes in India, with the name "Pushkar" (पुष्कर) meaning "blue lotus flower" in Sanskrit',
+        festivals: [
+            { name: 'Pushkar Camel Fair', month: 'Kartika', tithi: [8, 15] },
+            { name: 'Kartik Purnima', month: 'Kartika', tithi: 15 }
+        ]
     },
-    // Add more lakes here to complete the collection
-    // I'll focus on ensuring types match the LAKE_CONFIG
+    // Bundled defaults; further lakes are added through the runtime catalogue
+    // (public/data/lakes.geojson, loaded by LakeCatalog) without code changes
 };
 
+/**
+ * Shoreline polygons keyed by lake ID, built from the bundled GeoJSON
+ */
+const shorelines = new Map(
+    shorelineData.features.map(feature => [feature.properties.lakeId, new Shoreline(feature)])
+);
+
+/**
+ * Get the shoreline for a lake
+ * Lakes without an outline fall back to a circle around their center
+ * @param {string} lakeId - ID of the lake
+ * @param {Array} center - [lng, lat] used for the fallback circle
+ * @returns {Shoreline} Shoreline polygon for the lake
+ */
+export function getLakeShoreline(lakeId, center = lakes[lakeId]?.center) {
+    if (!shorelines.has(lakeId) && center) {
+        console.warn(`[Lakes] No shoreline for ${lakeId}, using circular fallback`);
+        shorelines.set(lakeId, Shoreline.fromCircle(center));
+    }
+
+    return shorelines.get(lakeId) || null;
+}
+
+// Attach shorelines so every consumer of `lakes` sees the real lake edge
+Object.entries(lakes).forEach(([lakeId, lake]) => {
+    lake.shoreline = getLakeShoreline(lakeId, lake.center);
+});
+
 /**
  * Configuration for different lake types
  */
@@ -158,40 +306,39 @@ export const LAKE_CONFIG = {
 };
 
 /**
- * Maps general lake types to specific configurations
- * This allows the system to match varied lake type descriptions to proper configurations
+ * Keywords recognised in free-form lake type descriptions, in match order
  */
-export function getLakeConfigType(lakeType) {
+export const LAKE_TYPE_KEYWORDS = {
+    'Freshwater Lake': ['freshwater', 'tectonic', 'lentic'],
+    'High Altitude Lake': ['high altitude', 'glacial', 'alpine'],
+    'Urban Lake': ['urban', 'artificial', 'reservoir'],
+    'Sacred Lake': ['sacred', 'temple', 'holy'],
+    'Salt Lake': ['salt', 'saline'],
+    'Brackish Lake': ['brackish', 'lagoon', 'coastal']
+};
+
+/**
+ * Find the configuration type matching a lake type description
+ * @param {string} lakeType - Free-form lake type (e.g. 'High Altitude Lake')
+ * @returns {string|null} Key into LAKE_CONFIG, or null if nothing matches
+ */
+export function matchLakeConfigType(lakeType) {
     // Normalize the lake type string for matching
-    const type = lakeType.toLowerCase();
+    const type = String(lakeType).toLowerCase();
     
-    // Map to specific config type
-    if (type.includes('freshwater') || type.includes('tectonic') || type.includes('lentic')) {
-        return 'Freshwater Lake';
-    }
-    
-    if (type.includes('high altitude') || type.includes('glacial') || type.includes('alpine')) {
-        return 'High Altitude Lake';
-    }
-    
-    if (type.includes('urban') || type.includes('artificial') || type.includes('reservoir')) {
-        return 'Urban Lake';
-    }
-    
-    if (type.includes('sacred') || type.includes('temple') || type.includes('holy')) {
-        return 'Sacred Lake';
-    }
-    
-    if (type.includes('salt') || type.includes('saline')) {
-        return 'Salt Lake';
-    }
-    
-    if (type.includes('brackish') || type.includes('lagoon') || type.includes('coastal')) {
-        return 'Brackish Lake';
-    }
+    const match = Object.entries(LAKE_TYPE_KEYWORDS)
+        .find(([, keywords]) => keywords.some(keyword => type.includes(keyword)));
     
+    return match ? match[0] : null;
+}
+
+/**
+ * Maps general lake types to specific configurations
+ * This allows the system to match varied lake type descriptions to proper configurations
+ */
+export function getLakeConfigType(lakeType) {
     // Default to freshwater if no match
-    return 'Freshwater Lake';
+    return matchLakeConfigType(lakeType) || 'Freshwater Lake';
 }
 
 /**
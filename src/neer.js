@@ -6,10 +6,28 @@ import { Particle3D } from './components/Particle3D.js';
 import { PerformanceMonitor } from './components/PerformanceMonitor.js';
 import { LakeManager } from './components/LakeManager.js';
 import { MapIntegrator } from './components/MapIntegrator.js';
-import { ParticleSystem } from './components/ParticleSystem.js';
-import { LakeRenderer } from './components/LakeRenderer.js';
 import { SpatialGrid } from './utils/SpatialGrid.js';
 import { lakes, LAKE_CONFIG } from './models/lakes.js';
+import { LakeCatalog } from './models/LakeCatalog.js';
+import { UrlStateController } from './components/UrlStateController.js';
+import { TourController } from './components/TourController.js';
+import { ScrollAnimationController } from './components/ScrollAnimationController.js';
+import { WaterSurfaceLayer } from './components/WaterSurfaceLayer.js';
+import { TerrainController } from './components/TerrainController.js';
+import { MapStyleProvider } from './components/MapStyleProvider.js';
+import { OfflineController } from './components/OfflineController.js';
+import { LakeSearchController } from './components/LakeSearchController.js';
+import { LakeMarkerLayer } from './components/LakeMarkerLayer.js';
+import { AccessibilityController } from './components/AccessibilityController.js';
+import { SettingsControl } from './components/SettingsControl.js';
+import { LocaleController, setLocalizedText } from './components/LocaleController.js';
+import { SeasonController } from './components/SeasonController.js';
+import { DaylightController } from './components/DaylightController.js';
+import { WeatherController, JsonWeatherProvider } from './components/WeatherController.js';
+import { WeatherLayer } from './components/WeatherLayer.js';
+import { SacredLakeEnhancer } from './components/SacredLakeEnhancer.js';
+import { CoinAttributionSystem } from './components/CoinAttributionSystem.js';
+import { DATA_SOURCES, DYE_CONFIG } from './config/constants.js';
 import { ParticlePool } from './utils/ParticlePool.js';
 
 // Performance and interaction configuration constants
@@ -33,8 +51,11 @@ const INTERACTION_CONFIG = {
 // Main initialization variables
 let map, animationFrameId;
 
+// Time of day inputs in the settings panel, kept in step with the lake in view
+let timeSlider, nowButton;
+
 // Initialize our application following the correct sequence
-function initializeApp() {
+async function initializeApp() {
     try {
         console.log('[NeerSarovar] Initializing application...');
         
@@ -42,17 +63,26 @@ function initializeApp() {
         validateDOMElements();
         
         // 2. Initialize Map
-        initializeMap();
+        await initializeMap();
         
         // 3. Initialize StateManager
         initializeStateManager();
         
-        // 4. Set up global event listeners
+        // 4. Add the settings panel to the map
+        createSettingsControl();
+        
+        // 5. Set up global event listeners
         setupEventListeners();
         
-        // 5. Initialize Perlin noise worker
+        // 6. Initialize Perlin noise worker
         initializePerlinWorker();
         
+        // 7. Initialize fluid simulation worker
+        initializeFluidWorker();
+        
+        // 8. Register the service worker that caches assets and tiles for offline use
+        initializeOfflineSupport();
+        
         console.log('[NeerSarovar] Application initialized successfully');
     } catch (error) {
         console.error('[NeerSarovar] Initialization failed:', error);
@@ -73,26 +103,40 @@ function validateDOMElements() {
     console.log('[NeerSarovar] DOM elements validated');
 }
 
-function initializeMap() {
+async function initializeMap() {
+    // Start from a shared link's camera if there is one, to avoid a visible jump later
+    const { camera } = UrlStateController.parseHash(window.location.hash);
+    
+    // Bundled offline style, or the online one if configured and reachable
+    const styleProvider = new MapStyleProvider(DATA_SOURCES.mapStyle);
+    const style = await styleProvider.resolve();
+    
     map = new maplibregl.Map({
         container: 'map',
-        style: 'https://api.maptiler.com/maps/aquarelle/style.json?key=Dg1WfMzTbfwtd1Wa6fY',
+        style,
         center: lakes.wular.center,
         zoom: lakes.wular.zoom,
         bearing: lakes.wular.bearing,
-        pitch: lakes.wular.pitch
+        pitch: lakes.wular.pitch,
+        ...camera
     });
+    StateManager.map = map;
 
     // Add navigation controls
     map.addControl(new maplibregl.NavigationControl(), 'top-right');
     
-    console.log('[NeerSarovar] Map initialized');
+    console.log(`[NeerSarovar] Map initialized with ${styleProvider.source} style`);
     
     // Load map and initialize components when map is ready
     map.on('load', onMapLoaded);
 }
 
 function initializeStateManager() {
+    // Seed all particle randomness, reusing the seed from a shared link if present
+    const { seed } = UrlStateController.parseHash(window.location.hash);
+    StateManager.setRandomSeed(seed ?? undefined);
+    console.log(`[NeerSarovar] Random seed: ${StateManager.randomSeed}`);
+    
     // Create performance monitor
     StateManager.perfMonitor = new PerformanceMonitor();
     
@@ -102,18 +146,115 @@ function initializeStateManager() {
     // Initialize particle pool for object reuse
     StateManager.particlePool = new ParticlePool(PERFORMANCE_THRESHOLDS.maxActiveParticles);
     
+    // Follow the system reduced-motion setting unless the viewer chose one in the settings panel
+    StateManager.initMotionPolicy();
+    
+    // Interface language; English until the saved or browser language has loaded
+    StateManager.localeController = new LocaleController();
+    
+    // Lakes start out as they are today: frozen, flooded or low as the season has them
+    StateManager.seasonController = new SeasonController(SeasonController.getDayOfYear());
+    
+    // Sun over each lake, following the clock until a time of day is chosen
+    StateManager.daylightController = new DaylightController();
+    
     console.log('[NeerSarovar] State manager initialized');
 }
 
+function createSettingsControl() {
+    const settings = new SettingsControl(uiLabel('settings.title'));
+    
+    settings.addSelect(uiLabel('settings.motion'), [
+        ['system', uiLabel('settings.motion.system')],
+        ['reduce', uiLabel('settings.motion.reduce')],
+        ['full', uiLabel('settings.motion.full')]
+    ], StateManager.motionPreference, preference => StateManager.setMotionPreference(preference));
+    
+    const languageSelect = settings.addSelect(uiLabel('settings.language'), LocaleController.getAvailableLocales(),
+        StateManager.localeController.locale, locale => StateManager.localeController.setLocale(locale));
+    
+    const seasons = StateManager.seasonController;
+    const dateSlider = settings.addRange(uiLabel('settings.date'), { min: 1, max: 365 },
+        seasons.day, day => seasons.setDay(day),
+        day => StateManager.localeController.formatDate(SeasonController.getDate(day), { day: 'numeric', month: 'long' }));
+    
+    StateManager.addEventListener('localeChanged', ({ current }) => {
+        languageSelect.value = current;
+        settings.refreshLabels();
+        settings.refreshRanges();
+        localizeLakeSections();
+        
+        // Translated names are searchable too
+        if (StateManager.lakeSearch) {
+            StateManager.lakeSearch.apply();
+        }
+    });
+    
+    // Frozen particles and waves stop requesting frames, so restart drawing when motion returns
+    StateManager.addEventListener('motionPolicyChanged', ({ reducedMotion }) => {
+        console.log(`[NeerSarovar] Reduced motion ${reducedMotion ? 'on' : 'off'}`);
+        map.triggerRepaint();
+    });
+    
+    // Time of day as solar time at the lake in view, so dawn is dawn wherever the viewer is
+    const daylight = StateManager.daylightController;
+    timeSlider = settings.addRange(uiLabel('settings.solarTime'), { min: 0, max: 1435, step: 5 },
+        daylight.getMinutes(StateManager.getActiveLake()), minutes => daylight.setMinutes(minutes),
+        minutes => StateManager.localeController.formatDate(new Date(minutes * 60000), { hour: '2-digit', minute: '2-digit' }));
+    nowButton = settings.addButton(uiLabel('settings.now'), () => daylight.setMinutes(null));
+    nowButton.disabled = true;
+    
+    StateManager.addEventListener('timeOfDayChanged', updateDaylight);
+    StateManager.addEventListener('lakeChanged', updateDaylight);
+    
+    // Ice, water level and vegetation are drawn by the water surface, which may be idle
+    StateManager.addEventListener('seasonChanged', ({ current }) => {
+        dateSlider.value = current;
+        updateDaylight();
+        map.triggerRepaint();
+    });
+    
+    map.addControl(settings, 'top-right');
+    StateManager.settingsControl = settings;
+}
+
+/**
+ * A settings label that follows the interface language
+ * @param {string} key - Interface text key (see LocaleController.translate)
+ * @returns {Function} Returns the label's {text, lang} in the current language
+ */
+function uiLabel(key) {
+    return () => StateManager.localeController.translate(key);
+}
+
+// Bring the time of day inputs and the water's lighting in line with the lake in view
+function updateDaylight() {
+    const lakeId = StateManager.getActiveLake();
+    const daylight = StateManager.daylightController;
+    
+    // Following the clock, the slider shows the solar time now at whichever lake is in view
+    if (timeSlider) {
+        timeSlider.value = daylight.getMinutes(lakeId);
+        nowButton.disabled = daylight.minutes === null;
+        StateManager.settingsControl.refreshRanges();
+    }
+    
+    // Light the water surface from where the sun stands over the lake
+    const sun = StateManager.getSunPosition(lakeId);
+    if (sun && StateManager.waterSurfaceLayer) {
+        StateManager.waterSurfaceLayer.setSunPosition(sun.azimuth, sun.altitude);
+    }
+}
+
 function initializePerlinWorker() {
     // Create the Perlin noise Web Worker
     try {
         const perlinWorker = new Worker(new URL('./workers/perlinWorker.js', import.meta.url));
         
-        // Initialize the worker with a random seed
+        // Initialize the worker with a seed derived from the global one
         perlinWorker.postMessage({ 
             type: 'init', 
-            data: { seed: Math.random } 
+            data: { seed: StateManager.getRandom('perlin').seed } 
         });
         
         // Store the worker in StateManager for later use
@@ -126,68 +267,183 @@ function initializePerlinWorker() {
     }
 }
 
-function onMapLoaded() {
+function initializeFluidWorker() {
+    // Create the fluid simulation Web Worker shared by every lake's grid
+    try {
+        const fluidWorker = new Worker(new URL('./workers/fluidWorker.js', import.meta.url));
+        
+        // Particle systems pick the worker up when they create their fluid grids
+        StateManager.fluidWorker = fluidWorker;
+        
+        console.log(`[NeerSarovar] Fluid worker initialized (${globalThis.crossOriginIsolated ? 'shared' : 'transferred'} buffers)`);
+    } catch (error) {
+        console.error('[NeerSarovar] Failed to initialize fluid worker:', error);
+        // Continue without the worker - fluid grids will be solved on the main thread
+    }
+}
+
+function initializeOfflineSupport() {
+    // Cache app assets and lake tiles, and enable "Download for offline" on the lake sections
+    StateManager.offlineController = new OfflineController(map);
+    
+    StateManager.offlineController.register().catch(error => {
+        console.error('[NeerSarovar] Failed to register service worker:', error);
+        // Continue without offline caching - everything is fetched from the network
+    });
+    
+    // Sources with tiles to download, like the DEM's TileJSON, can arrive after the lake sections
+    map.on('sourcedata', (event) => {
+        if (event.sourceDataType === 'metadata') {
+            updateOfflineButtons();
+        }
+    });
+}
+
+/**
+ * Load the runtime lake catalogue, falling back to the bundled lakes when the
+ * file is missing or contains no valid entries
+ */
+async function loadLakeCatalog() {
+    const catalog = new LakeCatalog({ url: DATA_SOURCES.lakeCatalog });
+    
+    try {
+        await catalog.load();
+        StateManager.lakes = catalog.getLakes();
+    } catch (error) {
+        console.error('[NeerSarovar] Lake catalogue unavailable, using bundled lakes:', error);
+        StateManager.lakes = lakes;
+    }
+    
+    StateManager.lakeCatalog = catalog;
+    
+    // Keep the initial lake valid if the catalogue does not contain it
+    if (!StateManager.lakes[StateManager.getActiveLake()]) {
+        StateManager.activeLakeName = Object.keys(StateManager.lakes)[0];
+    }
+}
+
+/**
+ * Enable 3D terrain from the local DEM tiles, leaving the map flat without them
+ */
+async function loadTerrain() {
+    StateManager.terrainController = new TerrainController(map);
+    
+    try {
+        await StateManager.terrainController.load(DATA_SOURCES.terrain);
+    } catch (error) {
+        console.warn('[NeerSarovar] DEM tiles unavailable, map stays flat:', error);
+    }
+}
+
+/**
+ * Load the guided tour, falling back to a tour through every catalogue lake
+ */
+async function loadTour() {
+    try {
+        StateManager.tourController = await TourController.load(DATA_SOURCES.tour);
+    } catch (error) {
+        console.warn('[NeerSarovar] Tour file unavailable, touring all lakes:', error);
+        StateManager.tourController = new TourController(TourController.stopsFromLakes(StateManager.lakes));
+    }
+}
+
+async function onMapLoaded() {
     try {
         console.log('[NeerSarovar] Map loaded, initializing visualization components');
         
+        // Load lake definitions and the interface language before anything renders them
+        await loadLakeCatalog();
+        await StateManager.localeController.init();
+        
         // Initialize core systems
         StateManager.initParticlePool();
         StateManager.initQualityGovernor();
+        
+        // Systems switch to GPU integration once the device is ready
+        StateManager.initGPUCompute();
         StateManager.initEventHandler(map);
         
+        // Restore lake, camera and quality from a shared link
+        StateManager.urlStateController = new UrlStateController(map);
+        StateManager.urlStateController.restoreFromUrl();
+        const initialLake = StateManager.getActiveLake();
+        
+        // Mountains around the lakes, when DEM tiles are hosted alongside the app
+        loadTerrain();
+        
+        // Shaded lake surfaces, drawn beneath the style's labels
+        const labelLayerId = getFirstSymbolLayerId();
+        initAddOn('Water surface', () => {
+            StateManager.waterSurfaceLayer = new WaterSurfaceLayer();
+            map.addLayer(StateManager.waterSurfaceLayer, labelLayerId);
+            updateDaylight();
+        });
+        
+        // Wind, rain, snow and cloud shadows from each lake's weather report
+        initAddOn('Weather', () => {
+            StateManager.weatherController = new WeatherController(new JsonWeatherProvider(DATA_SOURCES.weather));
+            StateManager.weatherController.load();
+            StateManager.weatherLayer = new WeatherLayer(map, { beforeId: labelLayerId });
+        });
+        
         // 1. Initialize lake sections and markers
         generateLakeSections();
         createMarkers();
+        initAddOn('Lake search', () => {
+            StateManager.lakeSearch = new LakeSearchController(document.getElementById('features'), StateManager.lakes);
+        });
+        initAddOn('Accessibility', () => {
+            StateManager.accessibility = new AccessibilityController(document.getElementById('features'), document.getElementById('map'));
+        });
         
-        // 2. Initialize lake manager and integrators
+        // 2. Initialize lake manager and integrators (particles draw above the water, below labels)
         StateManager.lakeManager = new LakeManager(map);
-        StateManager.mapIntegrator = new MapIntegrator(map);
+        StateManager.mapIntegrator = new MapIntegrator(map, { beforeId: labelLayerId });
         
         // 3. Initialize sacred lake enhancer
-        StateManager.sacredLakeEnhancer = new SacredLakeEnhancer();
+        initAddOn('Sacred lake enhancer', () => {
+            StateManager.sacredLakeEnhancer = new SacredLakeEnhancer();
+        });
         
         // 4. Create attribution system
-        StateManager.coinAttributionSystem = new CoinAttributionSystem('attribution-container');
-        StateManager.coinAttributionSystem.loadModel();
+        initAddOn('Coin attribution', () => {
+            StateManager.coinAttributionSystem = new CoinAttributionSystem('attribution-container');
+            return StateManager.coinAttributionSystem.loadModel();
+        });
+        
+        // Lake-to-lake transitions used by the guided tour
+        StateManager.scrollAnimationController = new ScrollAnimationController();
+        loadTour();
         
         // 5. Create and activate initial particle system
-        const lakeRenderer = new LakeRenderer(document.createElement('canvas'));
-        StateManager.particleSystems.set('wular', new ParticleSystem(map, 'wular', lakes.wular, lakeRenderer));
-        StateManager.particleSystems.get('wular').activate();
+        StateManager.lakeManager.toggleParticleSystems(initialLake, null);
         
         // 6. Start animation loop
         animationFrameId = requestAnimationFrame(updateParticleSystems);
         
         // 7. Set active lake
-        StateManager.lakeManager.setActiveLake('wular');
+        StateManager.lakeManager.setActiveLake(initialLake);
+        StateManager.urlStateController.start();
         
         // 8. Setup window resize handling
         window.addEventListener('resize', handleWindowResize);
         
-        // Initialize visualization system
-        const visualizationSystem = StateManager.initializeVisualizationSystem();
-        
-        // Register visualization system with map integrator
-        if (mapIntegrator) {
-            mapIntegrator.registerViewportListener(visualizationSystem);
+        initAddOn('Lake visualization system', () => {
+            const visualizationSystem = StateManager.initializeVisualizationSystem();
+            
+            // Register visualization system with map integrator
+            const mapIntegrator = StateManager.mapIntegrator;
+            if (mapIntegrator) {
+                mapIntegrator.registerViewportListener(visualizationSystem);
+            }
             
-            // Register high altitude controller for viewport updates
-            const highAltitudeController = StateManager.highAltitudeController;
-            if (highAltitudeController) {
-                mapIntegrator.registerViewportListener({
-                    updateVisualizations: function() {
-                        highAltitudeController.updateIceEdgePositions();
-                    }
+            // Create visualizations for initial lakes
+            if (visualizationSystem && StateManager.lakes) {
+                Object.keys(StateManager.lakes).forEach(lakeName => {
+                    visualizationSystem.createVisualization(lakeName);
                 });
             }
-        }
-        
-        // Create visualizations for initial lakes
-        if (visualizationSystem && StateManager.lakes) {
-            Object.keys(StateManager.lakes).forEach(lakeName => {
-                visualizationSystem.createVisualization(lakeName);
-            });
-        }
+        });
         
     } catch (error) {
         console.error('[NeerSarovar] Map load failed:', error);
@@ -195,19 +451,34 @@ function onMapLoaded() {
     }
 }
 
+/**
+ * Set up an optional add-on. A failing one is logged and left out, so the map,
+ * lakes, particles and tour still start.
+ * @param {string} name - Add-on name for the log
+ * @param {Function} setup - Creates the add-on; may return a promise
+ */
+function initAddOn(name, setup) {
+    try {
+        Promise.resolve(setup()).catch(error => {
+            console.error(`[NeerSarovar] ${name} failed to load:`, error);
+        });
+    } catch (error) {
+        console.error(`[NeerSarovar] ${name} failed to initialize:`, error);
+    }
+}
+
+/**
+ * Find the bottom-most label layer, so custom layers can be inserted below it
+ * @returns {string|undefined} Layer ID, or undefined to add on top
+ */
+function getFirstSymbolLayerId() {
+    const layer = map.getStyle().layers.find(layer => layer.type === 'symbol');
+    return layer ? layer.id : undefined;
+}
+
 function handleWindowResize() {
     // Debounced resize handler for performance
     const debounceResize = debounce(() => {
-        // Update particle systems and renderers
-        StateManager.particleSystems.forEach(system => {
-            if (system.renderer) system.renderer.resize();
-        });
-        
-        // Update map integrator
-        if (StateManager.mapIntegrator) {
-            StateManager.mapIntegrator.updateParticleCanvas();
-        }
-        
         // Update coin attribution system
         if (StateManager.coinAttributionSystem) {
             StateManager.coinAttributionSystem.resize();
@@ -219,13 +490,26 @@ function handleWindowResize() {
 }
 
 function setupEventListeners() {
-    // Add resize event listener
-    window.addEventListener('resize', debounce(() => {
-        StateManager.particleSystems.forEach(system => system.renderer.resize());
-    }, 250));
-    
     // Add keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Leave typing in the search box and other form fields alone
+        if (e.target.closest && e.target.closest('input, select, textarea')) {
+            return;
+        }
+        
+        // '/' key to search the lakes
+        if (e.key === '/' && StateManager.lakeSearch) {
+            e.preventDefault();
+            StateManager.lakeSearch.focus();
+            return;
+        }
+        
+        // Guided tour: 'T' starts/stops, and while it runs it owns Space, arrows, Home/End and 'L'
+        if (StateManager.tourController && StateManager.tourController.handleKeydown(e)) {
+            e.preventDefault();
+            return;
+        }
+        
         // 'P' key to toggle performance monitor
         if (e.key === 'p' || e.key === 'P') {
             const monitor = document.getElementById('performance-monitor');
@@ -234,9 +518,22 @@ function setupEventListeners() {
             }
         }
         
-        // Arrow keys for lake navigation
-        const lakeIds = Object.keys(lakes);
+        // 'O' key to cycle the offering released into the active lake: none, then each DYE_CONFIG offering
+        if (e.key === 'o' || e.key === 'O') {
+            const system = StateManager.particleSystems.get(StateManager.getActiveLake());
+            if (system) {
+                const offerings = [null, ...Object.keys(DYE_CONFIG.offerings)];
+                const next = offerings[(offerings.indexOf(system.offering) + 1) % offerings.length];
+                system.setOffering(next);
+                console.log(`[NeerSarovar] Offering: ${next ? DYE_CONFIG.offerings[next].label : 'none'}`);
+            }
+        }
+        
+        // Arrow keys for lake navigation, skipping lakes hidden by the search
+        const lakeIds = Object.keys(StateManager.lakes)
+            .filter(lakeId => !StateManager.lakeSearch || StateManager.lakeSearch.isVisible(lakeId));
         const currentIdx = lakeIds.indexOf(StateManager.getActiveLake());
+        if (lakeIds.length === 0) return;
         if (e.key === 'ArrowRight') {
             const nextIndex = (currentIdx + 1) % lakeIds.length;
             StateManager.lakeManager.setActiveLake(lakeIds[nextIndex]);
@@ -248,77 +545,174 @@ function setupEventListeners() {
     });
 }
 
-// Utility functions
-function updateSectionClasses(newLake, oldLake) {
-    const newEl = document.getElementById(newLake);
-    const oldEl = document.getElementById(oldLake);
-    if (oldEl) oldEl.className = '';
-    if (newEl) newEl.className = 'active';
-}
-
-function updateMarkerStyles(newLake, oldLake) {
-    const markers = StateManager.markers;
-    if (markers.get(oldLake)) markers.get(oldLake).element.classList.remove('marker-active');
-    if (markers.get(newLake)) markers.get(newLake).element.classList.add('marker-active');
-}
-
-function toggleParticleSystems(newLake, oldLake) {
-    const systems = StateManager.particleSystems;
-    if (systems.get(oldLake)) systems.get(oldLake).deactivate();
-    if (!systems.get(newLake)) {
-        systems.set(newLake, new ParticleSystem(map, newLake, lakes[newLake], new LakeRenderer(document.createElement('canvas'))));
-    }
-    systems.get(newLake).activate();
-}
-
 function generateLakeSections() {
     const featuresContainer = document.getElementById('features');
     featuresContainer.innerHTML = '';
     
-    Object.entries(lakes).sort((a, b) => b[1].size - a[1].size).forEach(([lakeId, lake]) => {
+    Object.entries(StateManager.lakes).sort((a, b) => b[1].size - a[1].size).forEach(([lakeId, lake]) => {
         const section = document.createElement('section');
         section.id = lakeId;
         section.className = lakeId === StateManager.getActiveLake() ? 'active' : '';
         section.innerHTML = `
-            <h2>${lake.title || lakeId}</h2>
-            <p>Type: ${lake.type}</p>
-            <p>Location: ${lake.location}</p>
-            <p>${lake.description}</p>
+            <h2 class="lake-title"></h2>
+            <p><span class="lake-type-label"></span>: <span class="lake-type"></span></p>
+            <p><span class="lake-location-label"></span>: <span class="lake-location"></span></p>
+            <p><span class="lake-elevation-label"></span>: <span class="lake-elevation"></span></p>
+            <p class="lake-description"></p>
         `;
         
         // Add historical context if available
         if (lake.historicalContext) {
             section.innerHTML += `
                 <div class="lake-historical">
-                    <p><strong>Historical Context:</strong> ${lake.historicalContext}</p>
+                    <p><strong class="lake-historical-label"></strong>: <span class="lake-historical-context"></span></p>
                 </div>
             `;
         }
         
+        // Catalogue lakes without a known elevation default to 0
+        if (!lake.elevation) {
+            section.querySelector('.lake-elevation').parentElement.remove();
+        }
+        
+        localizeLakeSection(section, lakeId, lake);
+        
+        if (StateManager.offlineController && StateManager.offlineController.isSupported()) {
+            section.appendChild(createOfflineButton(lakeId, lake));
+        }
+        
         section.addEventListener('click', () => StateManager.lakeManager.setActiveLake(lakeId));
         featuresContainer.appendChild(section);
     });
 }
 
-function createMarkers() {
-    const markers = new Map();
-    Object.entries(lakes).forEach(([lakeId, lake]) => {
-        const el = document.createElement('div');
-        el.className = 'marker';
-        el.dataset.lakeId = lakeId;
-        
-        const marker = new maplibregl.Marker({ element: el })
-            .setLngLat(lake.center)
-            .addTo(map);
-            
-        marker.getElement().addEventListener('click', () => {
-            StateManager.lakeManager.setActiveLake(lakeId);
-        });
+/**
+ * Fill a lake section's text in the current language. Text a translation
+ * bundle lacks stays in English and is marked as such, so it gets the right
+ * font and pronunciation.
+ * @param {HTMLElement} section - Lake section
+ * @param {string} lakeId - ID of the lake
+ * @param {Object} lake - Lake data
+ */
+function localizeLakeSection(section, lakeId, lake) {
+    const i18n = StateManager.localeController;
+    const fill = (selector, { text, lang }) => {
+        const element = section.querySelector(selector);
+        if (element) {
+            setLocalizedText(element, text, lang);
+        }
+    };
+    
+    section.lang = i18n.locale;
+    section.dir = i18n.getDirection();
+    
+    const title = i18n.translateLakeField(lakeId, lake, 'title');
+    fill('.lake-title', { text: title.text || lakeId, lang: title.lang });
+    fill('.lake-type-label', i18n.translate('lake.type'));
+    fill('.lake-type', i18n.translateLakeType(lake.type));
+    fill('.lake-location-label', i18n.translate('lake.location'));
+    fill('.lake-location', i18n.translateLakeField(lakeId, lake, 'location'));
+    fill('.lake-elevation-label', i18n.translate('lake.elevation'));
+    fill('.lake-elevation', { text: i18n.formatElevation(lake.elevation), lang: i18n.locale });
+    fill('.lake-description', i18n.translateLakeField(lakeId, lake, 'description'));
+    fill('.lake-historical-label', i18n.translate('lake.historicalContext'));
+    fill('.lake-historical-context', i18n.translateLakeField(lakeId, lake, 'historicalContext'));
+    
+    // A download in progress relabels itself with its next progress report
+    const offlineButton = section.querySelector('.offline-download');
+    if (offlineButton && !offlineButton.disabled) {
+        labelOfflineButton(offlineButton);
+    }
+}
+
+/**
+ * Re-render every lake section after a language change
+ */
+function localizeLakeSections() {
+    Object.entries(StateManager.lakes).forEach(([lakeId, lake]) => {
+        const section = document.getElementById(lakeId);
+        if (section) {
+            localizeLakeSection(section, lakeId, lake);
+        }
+    });
+}
+
+/**
+ * Button that downloads a lake's surroundings for offline use, or removes the download
+ * @param {string} lakeId - ID of the lake
+ * @param {Object} lake - Lake data
+ * @returns {HTMLButtonElement} The button
+ */
+function createOfflineButton(lakeId, lake) {
+    const offline = StateManager.offlineController;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'offline-download';
+    
+    const setSaved = (saved) => {
+        button.classList.toggle('offline-saved', saved);
+        button.disabled = false;
+        labelOfflineButton(button);
         
-        markers.set(lakeId, marker);
+        // A saved copy can always be removed, but there may be nothing to download
+        button.hidden = !saved && !offline.canDownload();
+    };
+    
+    setSaved(false);
+    offline.isLakeAvailable(lakeId).then(setSaved);
+    
+    button.addEventListener('click', async (e) => {
+        // Don't also fly to the lake
+        e.stopPropagation();
+        button.disabled = true;
+        
+        try {
+            if (button.classList.contains('offline-saved')) {
+                await offline.removeLake(lakeId);
+                setSaved(false);
+                return;
+            }
+            
+            const { cached, total } = await offline.downloadLake(lakeId, lake, (progress) => {
+                const { text, lang } = StateManager.localeController.translate('offline.downloading',
+                    { percent: Math.round(progress * 100) });
+                setLocalizedText(button, text, lang);
+            });
+            setSaved(true);
+            console.log(`[NeerSarovar] ${lake.title || lakeId} available offline (${cached}/${total} tiles)`);
+        } catch (error) {
+            console.error(`[NeerSarovar] Offline download of ${lakeId} failed:`, error);
+            setSaved(false);
+        }
     });
     
-    StateManager.markers = markers;
+    return button;
+}
+
+/**
+ * Label an offline button for whether its lake is saved, in the current language
+ * @param {HTMLButtonElement} button - Button made by createOfflineButton
+ */
+function labelOfflineButton(button) {
+    const saved = button.classList.contains('offline-saved');
+    const { text, lang } = StateManager.localeController.translate(saved ? 'offline.remove' : 'offline.download');
+    setLocalizedText(button, text, lang);
+}
+
+/**
+ * Show "Download for offline" only while the style has tiles to download
+ */
+function updateOfflineButtons() {
+    const canDownload = StateManager.offlineController.canDownload();
+    
+    document.querySelectorAll('.offline-download:not(.offline-saved)').forEach(button => {
+        button.hidden = !canDownload;
+    });
+}
+
+function createMarkers() {
+    // Clustered, per-type lake markers drawn by the map itself
+    StateManager.lakeMarkers = new LakeMarkerLayer(map, StateManager.lakes);
 }
 
 function updateParticleSystems() {
@@ -339,6 +733,11 @@ function updateParticleSystems() {
         }
     });
     
+    // Rain, snow and cloud shadows over the active lake
+    if (StateManager.weatherLayer) {
+        StateManager.weatherLayer.update(delta);
+    }
+    
     // Update sacred lake effects if enabled
     if (StateManager.sacredLakeEnhancer) {
         StateManager.sacredLakeEnhancer.updateActiveSacredLakes();
@@ -347,7 +746,7 @@ function updateParticleSystems() {
     // If performance is low, reduce particle count temporarily
     if (StateManager.perfMonitor.isLowPerformance()) {
         StateManager.particleSystems.forEach(system => {
-            system.particles = system.particles.slice(0, Math.floor(system.particles.length * 0.8));
+            system.trimParticles(system.particles.length * 0.8);
         });
     }
     
@@ -4,10 +4,16 @@
  */
 import { QualityGovernor } from './utils/QualityGovernor.js';
 import { ParticlePool } from './utils/ParticlePool.js';
-import { PERFORMANCE_THRESHOLDS } from './config/constants.js';
+import { PERFORMANCE_THRESHOLDS, USER_SETTINGS } from './config/constants.js';
 import { LakeVisualizationSystem } from './components/LakeVisualizationSystem.js';
 import { FlowController } from './components/FlowController.js';
 import { HighAltitudeEffectController } from './components/HighAltitudeEffectController.js';
+import { DeterministicRandom } from './utils/DeterministicRandom.js';
+import { WebGPUParticleCompute } from './utils/WebGPUParticleCompute.js';
+import { DEFAULT_LAKE_SEASON } from './components/SeasonController.js';
+import { getSolarPosition } from './utils/solarPosition.js';
+import { CALM_WEATHER } from './components/WeatherController.js';
+import { getLakeConfigType } from './models/lakes.js';
 
 class StateManager {
     constructor() {
@@ -16,11 +22,15 @@ class StateManager {
         
         // Maps to store component instances
         this.particleSystems = new Map();
+        this.fluidSimulations = new Map(); // Per-lake fluid grids, owned by the particle systems
+        this.fluidWorker = null; // Worker the fluid grids are solved in, when available
         this.lakes = {};
+        this.lakeCatalog = null;
         this.perfMonitor = null;
         this.lakeVisualizationSystem = null;
         
         // Core system references
+        this.map = null; // The MapLibre map, once created
         this.particlePool = null;
         this.lakeManager = null;
         this.mapIntegrator = null;
@@ -31,13 +41,40 @@ class StateManager {
         this.qualityGovernor = null;
         this.flowController = null;
         this.highAltitudeController = null;
+        this.urlStateController = null;
+        this.tourController = null;
+        this.waterSurfaceLayer = null;
+        this.terrainController = null;
+        this.offlineController = null;
+        this.lakeSearch = null;
+        this.lakeMarkers = null;
+        this.accessibility = null;
+        this.settingsControl = null;
+        this.localeController = null;
+        this.seasonController = null;
+        this.daylightController = null;
+        this.weatherController = null;
+        this.weatherLayer = null;
+        
+        // WebGPU particle integration; null means particles update on the CPU
+        this.gpuCompute = null;
         
         // Quality settings
         this.qualityLevel = 'high';
         
+        // Seeded randomness shared by all particle code
+        this.random = null;
+        this.randomSeed = null;
+        
         // Performance tracking
         this.isLowPerformanceMode = false;
         
+        // Motion policy: true when animations should become jump-cuts and still images.
+        // motionPreference is 'system' to follow prefers-reduced-motion, or 'reduce'/'full'
+        this.reducedMotion = false;
+        this.motionPreference = 'system';
+        this.motionQuery = null;
+        
         // Event handling
         this.eventListeners = new Map();
     }
@@ -75,6 +112,117 @@ class StateManager {
         this.dispatchEvent('qualityChanged', { level });
     }
     
+    // Set the seed that all particle randomness derives from
+    setRandomSeed(seed = DeterministicRandom.generateSeed()) {
+        this.random = new DeterministicRandom(seed);
+        this.randomSeed = this.random.seed;
+        this.dispatchEvent('randomSeedChanged', { seed: this.randomSeed });
+        return this.randomSeed;
+    }
+    
+    // Follow the system reduced-motion setting, unless the user saved their own preference
+    initMotionPolicy() {
+        if (this.motionQuery || typeof window === 'undefined' || !window.matchMedia) return;
+        
+        this.motionQuery = window.matchMedia(USER_SETTINGS.reducedMotionQuery);
+        this.handleMotionQueryChange = () => this.updateMotionPolicy();
+        this.motionQuery.addEventListener('change', this.handleMotionQueryChange);
+        
+        this.motionPreference = this.loadSettings().motion || 'system';
+        this.updateMotionPolicy();
+    }
+    
+    // Set the motion preference ('system', 'reduce' or 'full') and remember it
+    setMotionPreference(preference) {
+        if (!['system', 'reduce', 'full'].includes(preference)) {
+            console.warn(`[StateManager] Unknown motion preference "${preference}"`);
+            return;
+        }
+        
+        this.motionPreference = preference;
+        this.saveSetting('motion', preference === 'system' ? undefined : preference);
+        this.updateMotionPolicy();
+    }
+    
+    // Work out whether motion is reduced and tell the animated components if that changed
+    updateMotionPolicy() {
+        const reduced = this.motionPreference === 'system'
+            ? Boolean(this.motionQuery?.matches)
+            : this.motionPreference === 'reduce';
+        
+        if (typeof document !== 'undefined') {
+            document.documentElement.classList.toggle('reduced-motion', reduced);
+        }
+        
+        if (this.reducedMotion !== reduced) {
+            this.reducedMotion = reduced;
+            this.dispatchEvent('motionPolicyChanged', { reducedMotion: reduced, preference: this.motionPreference });
+        }
+    }
+    
+    // Whether animations should be replaced by jump-cuts, static glow and frozen particles
+    prefersReducedMotion() {
+        return this.reducedMotion;
+    }
+    
+    // Camera options for flyTo/easeTo. MapLibre checks prefers-reduced-motion itself unless an
+    // animation is marked essential, which would ignore the in-app setting, so decide here instead
+    getCameraMotion() {
+        return { animate: !this.reducedMotion, essential: true };
+    }
+    
+    // Seasonal state of a lake on the chosen date, or the lake as mapped when no date is set
+    getLakeSeason(lakeId) {
+        return this.seasonController ? this.seasonController.getLakeState(lakeId) : DEFAULT_LAKE_SEASON;
+    }
+    
+    // Current weather at a lake; calm when there is no report
+    getLakeWeather(lakeId) {
+        return this.weatherController ? this.weatherController.getLakeWeather(lakeId) : CALM_WEATHER;
+    }
+    
+    // Festivals held at a lake on the chosen date; none when no date is set
+    getLakeFestivals(lakeId) {
+        return this.seasonController ? this.seasonController.getLakeFestivals(lakeId) : [];
+    }
+    
+    // Sun position over a lake at the chosen date and time of day, or right now when none is set
+    getSunPosition(lakeId) {
+        if (this.daylightController) {
+            return this.daylightController.getSunPosition(lakeId);
+        }
+        
+        const lake = this.lakes[lakeId];
+        return lake ? getSolarPosition(new Date(), lake.center[0], lake.center[1]) : null;
+    }
+    
+    // Saved settings panel preferences
+    loadSettings() {
+        try {
+            return JSON.parse(localStorage.getItem(USER_SETTINGS.storageKey)) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+    
+    // Save one settings panel preference; undefined removes it
+    saveSetting(name, value) {
+        try {
+            const settings = { ...this.loadSettings(), [name]: value };
+            localStorage.setItem(USER_SETTINGS.storageKey, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('[StateManager] Could not save settings:', error.message);
+        }
+    }
+    
+    // Get an independent random stream for a subsystem (e.g. 'particles:wular')
+    getRandom(label) {
+        if (!this.random) {
+            this.setRandomSeed();
+        }
+        return this.random.fork(label);
+    }
+    
     // Get appropriate particle count based on performance mode
     getParticleCountForCurrentMode(baseCount) {
         const qualityMultipliers = {
@@ -129,12 +277,55 @@ class StateManager {
         this.particleSystems.forEach(system => system.dispose());
         this.particleSystems.clear();
         
-        // Clear markers
-        this.markers.clear();
+        if (this.accessibility) {
+            this.accessibility.dispose();
+            this.accessibility = null;
+        }
+        
+        if (this.settingsControl) {
+            this.settingsControl.dispose();
+            this.settingsControl = null;
+        }
+        
+        if (this.localeController) {
+            this.localeController.dispose();
+            this.localeController = null;
+        }
+        
+        if (this.seasonController) {
+            this.seasonController.dispose();
+            this.seasonController = null;
+        }
+        
+        if (this.daylightController) {
+            this.daylightController.dispose();
+            this.daylightController = null;
+        }
+        
+        if (this.weatherLayer) {
+            this.weatherLayer.dispose();
+            this.weatherLayer = null;
+        }
+        
+        if (this.weatherController) {
+            this.weatherController.dispose();
+            this.weatherController = null;
+        }
+        
+        // Remove lake markers
+        if (this.lakeMarkers) {
+            this.lakeMarkers.dispose();
+            this.lakeMarkers = null;
+        }
         
         // Clear event listeners
         this.eventListeners.clear();
         
+        if (this.motionQuery) {
+            this.motionQuery.removeEventListener('change', this.handleMotionQueryChange);
+            this.motionQuery = null;
+        }
+        
         // Clean up managers
         if (this.lakeManager) {
             this.lakeManager.dispose();
@@ -146,6 +337,11 @@ class StateManager {
             this.mapIntegrator = null;
         }
         
+        if (this.lakeVisualizationSystem) {
+            this.lakeVisualizationSystem.dispose();
+            this.lakeVisualizationSystem = null;
+        }
+        
         if (this.sacredLakeEnhancer) {
             this.sacredLakeEnhancer.dispose();
             this.sacredLakeEnhancer = null;
@@ -161,6 +357,43 @@ class StateManager {
             this.coinAttributionSystem = null;
         }
         
+        if (this.urlStateController) {
+            this.urlStateController.dispose();
+            this.urlStateController = null;
+        }
+        
+        if (this.tourController) {
+            this.tourController.dispose();
+            this.tourController = null;
+        }
+        
+        if (this.waterSurfaceLayer) {
+            this.waterSurfaceLayer.dispose();
+            this.waterSurfaceLayer = null;
+        }
+        
+        if (this.terrainController) {
+            this.terrainController.dispose();
+            this.terrainController = null;
+        }
+        
+        if (this.lakeSearch) {
+            this.lakeSearch.dispose();
+            this.lakeSearch = null;
+        }
+        
+        if (this.offlineController) {
+            this.offlineController.dispose();
+            this.offlineController = null;
+        }
+        
+        if (this.gpuCompute) {
+            this.gpuCompute.dispose();
+            this.gpuCompute = null;
+        }
+        
+        this.map = null;
+        
         console.log('[StateManager] Cleaned up resources');
     }
 
@@ -232,6 +465,15 @@ class StateManager {
     getParticlePool() {
         return this.particlePool;
     }
+    
+    // Pick the particle integration backend: WebGPU compute when available, otherwise CPU
+    async initGPUCompute() {
+        if (!this.gpuCompute) {
+            this.gpuCompute = await WebGPUParticleCompute.create();
+            console.log(`[StateManager] Particle integration backend: ${this.gpuCompute ? 'WebGPU' : 'CPU'}`);
+        }
+        return this.gpuCompute;
+    }
 
     // Initialize visualization system
     initializeVisualizationSystem() {
@@ -254,6 +496,7 @@ class StateManager {
         
         console.log('[StateManager] Initializing Flow Controller');
         this.flowController = new FlowController();
+        this.flowController.setFluidSimulations(this.fluidSimulations);
         return this.flowController;
     }
 
@@ -336,44 +579,32 @@ class StateManager {
             return this.flowController;
         }
         
-        // First load the FluidSimulation
-        import('./utils/FluidSimulation.js').then(fluidModule => {
-            // Then load FlowController and initialize with FluidSimulation
-            import('./components/FlowController.js').then(flowModule => {
-                this.flowController = new flowModule.FlowController();
-                
-                // Initialize fluid simulations for each lake type
-                this.fluidSimulations = new Map();
-                
-                const lakeTypes = ['Freshwater', 'Salt Lake', 'High Altitude', 'Sacred Lake', 'Brackish'];
-                
-                lakeTypes.forEach(type => {
-                    // Create fluid simulation with type-specific parameters
-                    const simOptions = this.getFluidSimulationOptionsForType(type);
-                    
-                    this.fluidSimulations.set(
-                        type, 
-                        new fluidModule.FluidSimulation(simOptions)
-                    );
-                });
-                
-                // Connect FlowController with FluidSimulations
-                this.flowController.setFluidSimulations(this.fluidSimulations);
-                
-                console.log('[StateManager] Initialized Flow Controller with Fluid Simulations');
-                
-                // Connect to active lake
-                const activeLake = this.getActiveLake();
-                if (activeLake && this.lakeTypeEffectController) {
-                    this.lakeTypeEffectController.applyLakeTypeEffects(activeLake);
-                }
-            }).catch(error => {
-                console.error('[StateManager] Failed to initialize FlowController:', error);
-            });
+        // Load FlowController and share the per-lake fluid grids with it
+        import('./components/FlowController.js').then(flowModule => {
+            this.flowController = new flowModule.FlowController();
+            
+            // Each particle system registers its lake's grid here as it is created
+            this.flowController.setFluidSimulations(this.fluidSimulations);
+            
+            console.log('[StateManager] Initialized Flow Controller with Fluid Simulations');
+            
+            // Connect to active lake
+            const activeLake = this.getActiveLake();
+            if (activeLake && this.lakeTypeEffectController) {
+                this.lakeTypeEffectController.applyLakeTypeEffects(activeLake);
+            }
         }).catch(error => {
-            console.error('[StateManager] Failed to load FluidSimulation:', error);
+            console.error('[StateManager] Failed to initialize FlowController:', error);
         });
     }
+    
+    // Fluid simulation options for a lake's type description (e.g. 'Sacred Lake, Glacial')
+    getFluidSimulationOptionsForLake(lakeType) {
+        const configType = getLakeConfigType(lakeType);
+        const fluidType = configType === 'Salt Lake' || configType === 'Sacred Lake' ?
+            configType : configType.replace(/ Lake$/, '');
+        return this.getFluidSimulationOptionsForType(fluidType);
+    }
 
     // Helper method to get fluid simulation options for each lake type
     getFluidSimulationOptionsForType(lakeType) {
@@ -456,4 +687,7 @@ StateManager.init = function() {
     this.initializeLakeTypeEffectController();
 };
 
-export const stateManager = new StateManager();
\ No newline at end of file
+export const stateManager = new StateManager();
+
+// Components import the shared instance under the class name
+export { stateManager as StateManager };
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * DeterministicRandom - Seedable pseudo-random number generator (mulberry32)
+ * Replaces Math.random in particle code so a seed reproduces the same particle
+ * field for screenshots, regression runs and bug reports.
+ *
+ * Subsystems should take their own stream with fork(label) rather than share
+ * one generator, so e.g. activating a second lake doesn't shift the first
+ * lake's numbers.
+ */
+export class DeterministicRandom {
+    /**
+     * Create a generator
+     * @param {number|string} seed - Seed value; strings are hashed
+     */
+    constructor(seed = DeterministicRandom.generateSeed()) {
+        // Bound so it can be passed around as a plain `() => number` like Math.random
+        this.next = this.next.bind(this);
+        this.setSeed(seed);
+    }
+    
+    /**
+     * Create a fresh non-deterministic seed
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+    
+    /**
+     * Normalise any seed value to an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value
+     * @returns {number} Unsigned 32-bit seed
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(seed) >>> 0;
+        }
+        
+        // FNV-1a over the string form
+        const text = String(seed);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+    
+    /**
+     * Restart the sequence from a seed
+     * @param {number|string} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = DeterministicRandom.hashSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Next value in [0, 1)
+     * @returns {number} Pseudo-random number
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+    
+    /**
+     * Value in [min, max)
+     * @param {number} min - Lower bound
+     * @param {number} max - Upper bound
+     * @returns {number} Pseudo-random number
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+    
+    /**
+     * Integer in [min, max)
+     * @param {number} min - Lower bound (inclusive)
+     * @param {number} max - Upper bound (exclusive)
+     * @returns {number} Pseudo-random integer
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max));
+    }
+    
+    /**
+     * Create an independent generator derived from this seed and a label
+     * The result depends only on the seed and label, not on how many numbers
+     * this generator has already produced.
+     * @param {string} label - Stream name, e.g. 'particles:wular'
+     * @returns {DeterministicRandom} Child generator
+     */
+    fork(label) {
+        return new DeterministicRandom(`${this.seed}:${label}`);
+    }
+    
+    /**
+     * Capture the generator position
+     * @returns {number} Internal state
+     */
+    getState() {
+        return this.state;
+    }
+    
+    /**
+     * Restore a position captured with getState()
+     * @param {number} state - Internal state
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
\ No newline at end of file
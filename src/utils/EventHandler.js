@@ -151,6 +151,9 @@ export class EventHandler {
                 this.momentum.y = dy / elapsed * 16;
             }
             
+            // Stir the water under the pointer
+            this.stirActiveLake(e.clientX, e.clientY, dx, dy, elapsed);
+            
             // Notify drag listeners
             this.notifyListeners('drag', {
                 type: 'move',
@@ -203,6 +206,13 @@ export class EventHandler {
         );
         
         if (moveDistance <= moveThreshold) {
+            // A tap on the water sends out a ripple
+            const system = this.getActiveParticleSystem();
+            if (system) {
+                const point = this.toMapPoint(e.clientX, e.clientY);
+                system.applyRipple(point.x, point.y);
+            }
+            
             this.notifyListeners('click', {
                 x: e.clientX,
                 y: e.clientY,
@@ -289,6 +299,9 @@ export class EventHandler {
                     this.momentum.y = dy / elapsed * 16;
                 }
                 
+                // Stir the water under the finger
+                this.stirActiveLake(touch.clientX, touch.clientY, dx, dy, elapsed);
+                
                 // Notify drag listeners
                 this.notifyListeners('drag', {
                     type: 'move',
@@ -481,13 +494,6 @@ export class EventHandler {
             StateManager.spatialGrid.updateActiveCells();
         }
         
-        // Resize particle system canvases
-        StateManager.particleSystems.forEach(system => {
-            if (system.renderer) {
-                system.renderer.resize();
-            }
-        });
-        
         // Notify resize listeners
         this.notifyListeners('resize', {
             width: window.innerWidth,
@@ -496,6 +502,26 @@ export class EventHandler {
         });
     }
     
+    // Fluid interaction
+    getActiveParticleSystem() {
+        return StateManager.particleSystems.get(StateManager.getActiveLake()) || null;
+    }
+    
+    // Convert client coordinates to map container coordinates
+    toMapPoint(clientX, clientY) {
+        const rect = this.map.getContainer().getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+    
+    // Inject a drag into the active lake's fluid grid
+    stirActiveLake(clientX, clientY, dx, dy, elapsed) {
+        const system = this.getActiveParticleSystem();
+        if (!system) return;
+        
+        const point = this.toMapPoint(clientX, clientY);
+        system.applyDrag(point.x, point.y, dx, dy, elapsed);
+    }
+    
     // Momentum handling
     applyMomentum() {
         if (!this.active) return;
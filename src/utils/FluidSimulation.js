@@ -1,7 +1,8 @@
-import { StateManager } from '../stateManager.js';
-
 /**
  * FluidSimulation provides grid-based fluid dynamics for lake particles
+ * Velocities are in grid domains per second: 1 crosses the grid interior once a second.
+ * Viscosity and diffusion are in grid cells squared per second.
+ * With geographic bounds set, the *AtLngLat methods map the grid onto a lake's extent.
  */
 export class FluidSimulation {
     constructor(options = {}) {
@@ -12,6 +13,9 @@ export class FluidSimulation {
         this.viscosity = options.viscosity || 0.3;
         this.diffusion = options.diffusion || 0.5;
         
+        // Geographic extent {minX, maxX, minY, maxY} in degrees the grid covers
+        this.bounds = options.bounds || null;
+        
         // Core fluid simulation arrays
         this.velocityX = new Float32Array(this.width * this.height);
         this.velocityY = new Float32Array(this.width * this.height);
@@ -20,11 +24,21 @@ export class FluidSimulation {
         this.density = new Float32Array(this.width * this.height);
         this.prevDensity = new Float32Array(this.width * this.height);
         
+        // Dye colour, premultiplied by density so it advects and diffuses like the density does
+        this.dyeRed = new Float32Array(this.width * this.height);
+        this.dyeGreen = new Float32Array(this.width * this.height);
+        this.dyeBlue = new Float32Array(this.width * this.height);
+        this.dyeDissipation = options.dyeDissipation || 0; // Fraction of the dye lost per second
+        
         // Performance optimization
         this.simulationQuality = 1.0; // Scale for adaptive quality
         this.lastUpdateTime = 0;
         this.updateInterval = 16; // ms
         
+        // Step on every update() call instead of throttling by wall-clock time,
+        // so runs with the same inputs and seed produce the same field
+        this.fixedTimestep = options.fixedTimestep || false;
+        
         // Debug visualization
         this.debugMode = options.debug || false;
         
@@ -112,34 +126,46 @@ export class FluidSimulation {
      * @param {number} dt - Delta time in milliseconds
      */
     update(dt = 16.67) {
-        const now = performance.now();
-        if (now - this.lastUpdateTime < this.updateInterval) {
-            return;
+        if (!this.fixedTimestep) {
+            const now = performance.now();
+            if (now - this.lastUpdateTime < this.updateInterval) {
+                return;
+            }
+            this.lastUpdateTime = now;
         }
-        this.lastUpdateTime = now;
         
         // Scale simulation steps based on quality level
         const steps = Math.max(1, Math.round(this.iterations * this.simulationQuality));
         
-        // Run multiple iterations for stability
+        // Split the frame into sub-steps for stability; the solver works in seconds
+        const seconds = dt / 1000 / steps;
+        
         for (let i = 0; i < steps; i++) {
             // Velocity diffusion
-            this.diffuse(1, this.prevVelocityX, this.velocityX, this.viscosity, dt);
-            this.diffuse(2, this.prevVelocityY, this.velocityY, this.viscosity, dt);
+            this.diffuse(1, this.prevVelocityX, this.velocityX, this.viscosity, seconds);
+            this.diffuse(2, this.prevVelocityY, this.velocityY, this.viscosity, seconds);
             
             // Project to ensure mass conservation (incompressibility)
             this.project(this.prevVelocityX, this.prevVelocityY, this.velocityX, this.velocityY);
             
             // Advection - move velocity with the fluid flow
-            this.advect(1, this.velocityX, this.prevVelocityX, this.prevVelocityX, this.prevVelocityY, dt);
-            this.advect(2, this.velocityY, this.prevVelocityY, this.prevVelocityX, this.prevVelocityY, dt);
+            this.advect(1, this.velocityX, this.prevVelocityX, this.prevVelocityX, this.prevVelocityY, seconds);
+            this.advect(2, this.velocityY, this.prevVelocityY, this.prevVelocityX, this.prevVelocityY, seconds);
             
             // Project again after advection
             this.project(this.velocityX, this.velocityY, this.prevVelocityX, this.prevVelocityY);
             
-            // Density diffusion and advection
-            this.diffuse(0, this.prevDensity, this.density, this.diffusion, dt);
-            this.advect(0, this.density, this.prevDensity, this.velocityX, this.velocityY, dt);
+            // Density and dye diffusion and advection, with prevDensity as scratch
+            // (seeded with the field itself as the solver's starting guess)
+            [this.density, this.dyeRed, this.dyeGreen, this.dyeBlue].forEach(field => {
+                this.prevDensity.set(field);
+                this.diffuse(0, this.prevDensity, field, this.diffusion, seconds);
+                this.advect(0, field, this.prevDensity, this.velocityX, this.velocityY, seconds);
+            });
+        }
+        
+        if (this.dyeDissipation > 0) {
+            this.fadeDye(Math.pow(1 - Math.min(1, this.dyeDissipation), dt / 1000));
         }
         
         // Update debug visualization
@@ -211,12 +237,159 @@ export class FluidSimulation {
         return { x: vx, y: vy };
     }
     
+    /**
+     * Set the geographic extent the grid covers
+     * @param {Object} bounds - {minX, maxX, minY, maxY} in degrees
+     */
+    setBounds(bounds) {
+        this.bounds = bounds;
+    }
+    
+    /**
+     * Convert a geographic position to fractional grid coordinates
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @returns {Object} Grid coordinates {x, y}
+     */
+    lngLatToGrid(lng, lat) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        return {
+            x: (lng - minX) / (maxX - minX) * this.width,
+            y: (lat - minY) / (maxY - minY) * this.height
+        };
+    }
+    
+    /**
+     * Degrees per second for a velocity of one grid domain per second
+     * @returns {Object} Scale {x, y}
+     */
+    getDegreeScale() {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        return {
+            x: (maxX - minX) * (this.width - 2) / this.width,
+            y: (maxY - minY) * (this.height - 2) / this.height
+        };
+    }
+    
+    /**
+     * Get the flow at a geographic position
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @returns {Object} Velocity {x, y} in degrees per second
+     */
+    getVelocityAtLngLat(lng, lat) {
+        const grid = this.lngLatToGrid(lng, lat);
+        const velocity = this.interpolateVelocity(grid.x, grid.y);
+        const scale = this.getDegreeScale();
+        
+        velocity.x *= scale.x;
+        velocity.y *= scale.y;
+        return velocity;
+    }
+    
+    /**
+     * Add velocity at a geographic position
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {number} velLng - Longitude velocity in degrees per second
+     * @param {number} velLat - Latitude velocity in degrees per second
+     * @param {number} radius - Radius of influence in grid cells
+     */
+    addVelocityAtLngLat(lng, lat, velLng, velLat, radius = 1) {
+        const grid = this.lngLatToGrid(lng, lat);
+        const scale = this.getDegreeScale();
+        
+        this.addVelocity(
+            grid.x * this.resolution,
+            grid.y * this.resolution,
+            velLng / scale.x,
+            velLat / scale.y,
+            radius
+        );
+    }
+    
+    /**
+     * Push the fluid outwards from a geographic position, like a drop hitting the water
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {number} strength - Outward speed at the centre in grid domains per second
+     * @param {number} radius - Radius of influence in grid cells
+     */
+    addRipple(lng, lat, strength, radius = 3) {
+        const grid = this.lngLatToGrid(lng, lat);
+        const cells = this.getCellsInRadius(Math.floor(grid.x), Math.floor(grid.y), radius);
+        
+        cells.forEach(cell => {
+            // Measure from the cell centre so the push is symmetric around the drop
+            const dx = cell.x + 0.5 - grid.x;
+            const dy = cell.y + 0.5 - grid.y;
+            const dist = Math.sqrt(dx * dx + dy * dy);
+            if (dist === 0) return;
+            
+            const falloff = Math.max(0, 1 - dist / radius);
+            const idx = this.IX(cell.x, cell.y);
+            this.velocityX[idx] += dx / dist * strength * falloff;
+            this.velocityY[idx] += dy / dist * strength * falloff;
+        });
+    }
+    
+    /**
+     * Add coloured dye to the fluid at a specific point
+     * @param {number} x - World x coordinate
+     * @param {number} y - World y coordinate
+     * @param {number} amount - Dye density to add at the centre
+     * @param {Array} color - Dye colour as [r, g, b] in 0-1
+     * @param {number} radius - Radius of influence
+     */
+    addDye(x, y, amount, color, radius = 1) {
+        const gridX = Math.floor(x / this.resolution);
+        const gridY = Math.floor(y / this.resolution);
+        
+        this.getCellsInRadius(gridX, gridY, radius).forEach(cell => {
+            const dist = Math.sqrt(Math.pow(cell.x - gridX, 2) + Math.pow(cell.y - gridY, 2));
+            const added = amount * Math.max(0, 1 - dist / (radius + 1));
+            const idx = this.IX(cell.x, cell.y);
+            
+            this.density[idx] += added;
+            this.dyeRed[idx] += added * color[0];
+            this.dyeGreen[idx] += added * color[1];
+            this.dyeBlue[idx] += added * color[2];
+        });
+    }
+    
+    /**
+     * Add coloured dye at a geographic position
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {number} amount - Dye density to add at the centre
+     * @param {Array} color - Dye colour as [r, g, b] in 0-1
+     * @param {number} radius - Radius of influence in grid cells
+     */
+    addDyeAtLngLat(lng, lat, amount, color, radius = 1) {
+        const grid = this.lngLatToGrid(lng, lat);
+        this.addDye(grid.x * this.resolution, grid.y * this.resolution, amount, color, radius);
+    }
+    
+    /**
+     * Scale down the density and dye everywhere
+     * @param {number} factor - Fraction of the dye to keep
+     */
+    fadeDye(factor) {
+        for (let i = 0; i < this.density.length; i++) {
+            this.density[i] *= factor;
+            this.dyeRed[i] *= factor;
+            this.dyeGreen[i] *= factor;
+            this.dyeBlue[i] *= factor;
+        }
+    }
+    
     /**
      * Core fluid simulation method: Diffusion
      */
     diffuse(b, x, x0, diffusion, dt) {
-        const a = dt * diffusion * (this.width - 2) * (this.height - 2);
-        this.linearSolve(b, x, x0, a, 1 + 6 * a);
+        const a = dt * diffusion;
+        // Each cell has four neighbours on a 2D grid
+        this.linearSolve(b, x, x0, a, 1 + 4 * a);
     }
     
     /**
@@ -301,7 +474,7 @@ export class FluidSimulation {
         
         this.setBoundary(0, div);
         this.setBoundary(0, p);
-        this.linearSolve(0, p, div, 1, 6);
+        this.linearSolve(0, p, div, 1, 4);
         
         // Subtract pressure gradient from velocity
         for (let j = 1; j < this.height - 1; j++) {
@@ -471,6 +644,9 @@ export class FluidSimulation {
         this.prevVelocityY = null;
         this.density = null;
         this.prevDensity = null;
+        this.dyeRed = null;
+        this.dyeGreen = null;
+        this.dyeBlue = null;
         
         console.log('[FluidSimulation] Disposed');
     }
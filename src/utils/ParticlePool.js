@@ -1,8 +1,11 @@
 import { Particle3D } from '../components/Particle3D.js';
 import { PERFORMANCE_THRESHOLDS } from '../config/constants.js';
+import { ParticleStore } from './ParticleStore.js';
 
 /**
  * ParticlePool - Manages reusable particle objects to reduce garbage collection
+ * Every particle the pool creates lives in the pool's ParticleStore, which
+ * particle systems and the renderer share.
  */
 export class ParticlePool {
     /**
@@ -16,9 +19,12 @@ export class ParticlePool {
         this.totalCreated = 0;
         this.totalReused = 0;
         
+        // Struct-of-arrays state for every particle from this pool
+        this.store = new ParticleStore(size);
+        
         // Pre-allocate pool with empty particles
         for (let i = 0; i < Math.min(size, 500); i++) {
-            this.pool.push(new Particle3D());
+            this.pool.push(this.createParticle());
         }
         
         console.log(`[ParticlePool] Initialized with ${this.pool.length} particles`);
@@ -27,15 +33,16 @@ export class ParticlePool {
     /**
      * Acquire a particle from the pool or create a new one
      * @param {Object} map - The MapLibre map instance
-     * @param {Array} lakeCenter - Center coordinates of the lake
+     * @param {Array} position - [lng, lat, elevation] spawn position on the lake
      * @param {string} lakeType - Type of lake (affects particle behavior)
+     * @param {Function} random - Random source for the particle's initial state
      * @returns {Particle3D} - A particle instance
      */
-    acquire(map, lakeCenter, lakeType) {
+    acquire(map, position, lakeType, random = Math.random) {
         this.activeCount++;
         
         // Get a particle from the pool or create a new one
-        const particle = this.pool.pop() || new Particle3D();
+        const particle = this.pool.pop() || this.createParticle();
         
         if (this.pool.length === 0) {
             this.totalCreated++;
@@ -45,10 +52,10 @@ export class ParticlePool {
         
         // Initialize particle properties
         if (typeof particle.init === 'function') {
-            particle.init(map, lakeCenter, lakeType);
+            particle.init(map, position, lakeType, random);
         } else {
             // If init doesn't exist, create a new particle (fallback)
-            return new Particle3D(map, lakeCenter, lakeType);
+            return new Particle3D(map, position, lakeType, random, this.store);
         }
         
         return particle;
@@ -66,12 +73,22 @@ export class ParticlePool {
             particle.reset();
         }
         
-        // Only add to pool if we're under max size
+        // Only add to pool if we're under max size, otherwise free its store slot
         if (this.pool.length < this.maxSize) {
             this.pool.push(particle);
+        } else {
+            particle.dispose();
         }
     }
     
+    /**
+     * Create an empty particle in the pool's store
+     * @returns {Particle3D} - A particle awaiting init()
+     */
+    createParticle() {
+        return new Particle3D(null, null, null, Math.random, this.store);
+    }
+    
     /**
      * Get the current size of the pool
      * @returns {number} - The number of available particles
@@ -105,7 +122,7 @@ export class ParticlePool {
         
         // If current pool is larger than new max, trim it
         if (this.pool.length > newSize) {
-            this.pool.length = newSize;
+            this.pool.splice(newSize).forEach(particle => particle.dispose());
         }
         
         console.log(`[ParticlePool] Resized to ${newSize} maximum particles`);
@@ -122,6 +139,7 @@ export class ParticlePool {
             activeCount: this.activeCount,
             totalCreated: this.totalCreated,
             totalReused: this.totalReused,
+            storeCapacity: this.store.capacity,
             reuseRatio: this.totalCreated > 0 ? 
                 this.totalReused / (this.totalCreated + this.totalReused) : 0
         };
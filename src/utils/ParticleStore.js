@@ -0,0 +1,278 @@
+import * as THREE from 'three';
+
+// Colour for particles without one
+const WHITE = [1, 1, 1];
+
+// Parsed #RRGGBB colours, shared by every store
+const colorCache = new Map();
+
+// Groups of render attributes the renderer uploads together, each with its own dirty range
+const DIRTY_GROUPS = ['position', 'opacity', 'appearance'];
+
+/**
+ * ParticleStore - Struct-of-arrays storage for particle state
+ * Every particle owns one slot, and each attribute lives in its own typed
+ * array indexed by slot. ParticlePool hands out slots, Particle3D reads and
+ * writes through them, and LakeRenderer uploads the arrays to the GPU
+ * directly instead of gathering them from particle objects every frame.
+ *
+ * Writes to render attributes mark a dirty range per group (position, opacity
+ * and visibility, colour and size), and the renderer uploads only those
+ * ranges. Positions keep a single precision copy of lng, lat and elevation
+ * that the vertex shader projects, so nothing is converted per particle in JS.
+ */
+export class ParticleStore {
+    /**
+     * Create a particle store
+     * @param {number} capacity - Initial number of slots (grows on demand)
+     */
+    constructor(capacity = 1024) {
+        this.capacity = 0;
+        this.count = 0; // High-water mark: slots [0, count) have been handed out
+        this.freeSlots = [];
+        this.version = 0; // Bumped whenever the arrays are reallocated
+        
+        this.resetDirtyRange();
+        this.allocateArrays(Math.max(1, Math.ceil(capacity)));
+    }
+    
+    /**
+     * Allocate (or grow) the attribute arrays, keeping existing slots
+     * @param {number} capacity - New number of slots
+     */
+    allocateArrays(capacity) {
+        const grow = (Type, old, components = 1) => {
+            const array = new Type(capacity * components);
+            if (old) array.set(old);
+            return array;
+        };
+        
+        // Simulation state in double precision so results match plain objects
+        this.position = grow(Float64Array, this.position, 3);
+        this.velocity = grow(Float64Array, this.velocity, 3);
+        this.age = grow(Float64Array, this.age);
+        this.lifespan = grow(Float64Array, this.lifespan);
+        
+        // Render attributes in the layout the GPU consumes
+        this.renderPosition = grow(Float32Array, this.renderPosition, 3);
+        this.color = grow(Float32Array, this.color, 3);
+        this.size = grow(Float32Array, this.size);
+        this.opacity = grow(Float32Array, this.opacity);
+        
+        // Slot flags: alive while the particle is in a system, visible while that system is drawn
+        this.alive = grow(Uint8Array, this.alive);
+        this.visible = grow(Uint8Array, this.visible);
+        
+        // The renderer's index for the system owning the slot, which picks that system's opacity
+        this.owner = grow(Uint8Array, this.owner);
+        
+        this.capacity = capacity;
+        this.version++;
+    }
+    
+    /**
+     * Hand out a slot, growing the store when it is full
+     * @returns {number} Slot index
+     */
+    allocate() {
+        if (this.freeSlots.length > 0) {
+            return this.freeSlots.pop();
+        }
+        
+        if (this.count === this.capacity) {
+            this.allocateArrays(this.capacity * 2);
+            console.log(`[ParticleStore] Grew to ${this.capacity} slots`);
+        }
+        
+        return this.count++;
+    }
+    
+    /**
+     * Return a slot for reuse
+     * @param {number} index - Slot index
+     */
+    free(index) {
+        this.alive[index] = 0;
+        this.setVisible(index, false);
+        this.freeSlots.push(index);
+    }
+    
+    /**
+     * Number of slots currently in use
+     * @returns {number} Allocated slots
+     */
+    getAllocatedCount() {
+        return this.count - this.freeSlots.length;
+    }
+    
+    /**
+     * Write one component of a slot's position or velocity
+     * @param {string} attribute - 'position' or 'velocity'
+     * @param {number} offset - Index into the attribute array (slot * 3 + component)
+     * @param {number} value - New value
+     */
+    setComponent(attribute, offset, value) {
+        this[attribute][offset] = value;
+        
+        if (attribute === 'position') {
+            this.renderPosition[offset] = value;
+            this.markDirty((offset / 3) | 0, 'position');
+        }
+    }
+    
+    /**
+     * Set a slot's opacity
+     * @param {number} index - Slot index
+     * @param {number} opacity - Opacity (0-1)
+     */
+    setOpacity(index, opacity) {
+        this.opacity[index] = opacity;
+        this.markDirty(index, 'opacity');
+    }
+    
+    /**
+     * Show or hide a slot; hidden slots are uploaded with their opacity
+     * @param {number} index - Slot index
+     * @param {boolean} visible - Whether the renderer should draw it
+     */
+    setVisible(index, visible) {
+        this.visible[index] = visible ? 1 : 0;
+        this.markDirty(index, 'opacity');
+    }
+    
+    /**
+     * Hand a slot to a system, so the system's opacity applies to it
+     * @param {number} index - Slot index
+     * @param {number} owner - The system's renderer index (see LakeRenderer.registerSystem)
+     */
+    setOwner(index, owner) {
+        if (this.owner[index] === owner) return;
+        
+        this.owner[index] = owner;
+        this.markDirty(index, 'opacity');
+    }
+    
+    /**
+     * Set a slot's colour
+     * @param {number} index - Slot index
+     * @param {string} color - Colour (#RRGGBB)
+     */
+    setColor(index, color) {
+        const [r, g, b] = parseColor(color);
+        const offset = index * 3;
+        
+        this.color[offset] = r;
+        this.color[offset + 1] = g;
+        this.color[offset + 2] = b;
+        this.markDirty(index);
+    }
+    
+    /**
+     * Set a slot's size
+     * @param {number} index - Slot index
+     * @param {number} size - Particle size
+     */
+    setSize(index, size) {
+        if (this.size[index] === size) return;
+        
+        this.size[index] = size;
+        this.markDirty(index);
+    }
+    
+    /**
+     * Record that a slot's render attributes changed
+     * @param {number} index - Slot index
+     * @param {string} group - 'position', 'opacity' (with visibility and owner) or 'appearance' (colour and size)
+     */
+    markDirty(index, group = 'appearance') {
+        const range = this.dirty[group];
+        if (index < range.start) range.start = index;
+        if (index >= range.end) range.end = index + 1;
+    }
+    
+    /**
+     * Take the range of slots whose attributes in a group changed since the last call
+     * @param {string} group - Attribute group, as for markDirty
+     * @returns {Object|null} {start, end} slot range, or null when nothing changed
+     */
+    takeDirtyRange(group = 'appearance') {
+        const { start, end } = this.dirty[group];
+        if (end <= start) return null;
+        
+        this.resetDirtyRange(group);
+        return { start, end };
+    }
+    
+    /**
+     * Mark every slot clean
+     * @param {string} group - Attribute group to reset (default: all of them)
+     */
+    resetDirtyRange(group) {
+        if (!this.dirty) this.dirty = {};
+        
+        (group ? [group] : DIRTY_GROUPS).forEach(name => {
+            this.dirty[name] = { start: Infinity, end: 0 };
+        });
+    }
+}
+
+/**
+ * ParticleVector3 - THREE.Vector3 whose components live in a ParticleStore
+ * Lets existing code keep using particle.position.x or velocity.multiplyScalar()
+ * while the values are stored in the store's typed arrays.
+ */
+export class ParticleVector3 extends THREE.Vector3 {
+    /**
+     * Create a vector view onto a store slot
+     * @param {ParticleStore} store - Backing store
+     * @param {string} attribute - Three-component attribute name ('position' or 'velocity')
+     * @param {number} index - Slot index
+     */
+    constructor(store, attribute, index) {
+        // Vector3's constructor assigns x/y/z before the view is bound; the setters ignore that
+        super();
+        
+        this.store = store;
+        this.attribute = attribute;
+        this.offset = index * 3;
+    }
+    
+    get x() { return this.store[this.attribute][this.offset]; }
+    
+    set x(value) { if (this.store) this.store.setComponent(this.attribute, this.offset, value); }
+    
+    get y() { return this.store[this.attribute][this.offset + 1]; }
+    
+    set y(value) { if (this.store) this.store.setComponent(this.attribute, this.offset + 1, value); }
+    
+    get z() { return this.store[this.attribute][this.offset + 2]; }
+    
+    set z(value) { if (this.store) this.store.setComponent(this.attribute, this.offset + 2, value); }
+    
+    // Copies are plain vectors, not further views onto the same slot
+    clone() {
+        return new THREE.Vector3(this.x, this.y, this.z);
+    }
+}
+
+/**
+ * Parse a colour string to RGB components in 0-1
+ * @param {string} color - Colour (#RRGGBB)
+ * @returns {Array} [r, g, b]
+ */
+function parseColor(color) {
+    if (!color) return WHITE;
+    
+    let result = colorCache.get(color);
+    if (result) return result;
+    
+    result = WHITE;
+    
+    if (color.startsWith('#')) {
+        const hex = parseInt(color.slice(1), 16);
+        result = [((hex >> 16) & 255) / 255, ((hex >> 8) & 255) / 255, (hex & 255) / 255];
+    }
+    
+    colorCache.set(color, result);
+    return result;
+}
\ No newline at end of file
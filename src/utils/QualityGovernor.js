@@ -188,25 +188,11 @@ export class QualityGovernor {
     }
     
     updateCanvasScale(scale) {
-        // Update all canvases with new scale
-        StateManager.particleSystems.forEach(system => {
-            if (system.renderer?.canvas) {
-                const canvas = system.renderer.canvas;
-                const parent = canvas.parentElement;
-                
-                // Get parent dimensions
-                const width = parent.clientWidth;
-                const height = parent.clientHeight;
-                
-                // Set canvas size based on scale
-                canvas.width = Math.floor(width * scale);
-                canvas.height = Math.floor(height * scale);
-                
-                // Update style to maintain visual size
-                canvas.style.width = width + 'px';
-                canvas.style.height = height + 'px';
-            }
-        });
+        // Particles draw into the map's own canvas, so scale the shared particle layer instead
+        const lakeRenderer = StateManager.mapIntegrator?.lakeRenderer;
+        if (lakeRenderer) {
+            lakeRenderer.setRenderScale(scale);
+        }
     }
     
     subscribe(callback) {
@@ -0,0 +1,302 @@
+/**
+ * Shoreline wraps a lake outline (GeoJSON Polygon/MultiPolygon) and answers
+ * the geometric questions particle code needs: containment, spawning and
+ * distance to the water's edge. Coordinates are [lng, lat] in degrees and
+ * islands are represented as polygon holes.
+ */
+// Mean Earth radius
+const EARTH_RADIUS_KM = 6371.0088;
+
+// Grid points per side sampled to measure how far the water lies from the shore
+const SHORE_SAMPLES = 48;
+
+export class Shoreline {
+    /**
+     * Create a shoreline from GeoJSON
+     * @param {Object} geometry - GeoJSON Polygon or MultiPolygon (or a Feature wrapping one)
+     */
+    constructor(geometry) {
+        const geom = geometry && geometry.type === 'Feature' ? geometry.geometry : geometry;
+        
+        if (!geom || (geom.type !== 'Polygon' && geom.type !== 'MultiPolygon')) {
+            throw new Error(`[Shoreline] Unsupported geometry type: ${geom ? geom.type : geom}`);
+        }
+        
+        // Normalise to a list of polygons, each a list of rings (outer ring first, then holes)
+        this.polygons = geom.type === 'Polygon' ? [geom.coordinates] : geom.coordinates;
+        this.bounds = this.computeBounds();
+    }
+    
+    /**
+     * Build a circular shoreline, used for lakes without a surveyed outline
+     * @param {Array} center - [lng, lat] of the lake center
+     * @param {number} radius - Radius in degrees
+     * @param {number} segments - Number of ring vertices
+     * @returns {Shoreline} Circular shoreline
+     */
+    static fromCircle(center, radius = 0.05, segments = 32) {
+        const ring = [];
+        
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i % segments) / segments * Math.PI * 2;
+            ring.push([
+                center[0] + Math.cos(angle) * radius,
+                center[1] + Math.sin(angle) * radius
+            ]);
+        }
+        
+        return new Shoreline({ type: 'Polygon', coordinates: [ring] });
+    }
+    
+    /**
+     * Compute the bounding box of all outer rings
+     * @returns {Object} Bounds {minX, maxX, minY, maxY}
+     */
+    computeBounds() {
+        const bounds = { minX: Infinity, maxX: -Infinity, minY: Infinity, maxY: -Infinity };
+        
+        this.polygons.forEach(rings => {
+            rings[0].forEach(([x, y]) => {
+                bounds.minX = Math.min(bounds.minX, x);
+                bounds.maxX = Math.max(bounds.maxX, x);
+                bounds.minY = Math.min(bounds.minY, y);
+                bounds.maxY = Math.max(bounds.maxY, y);
+            });
+        });
+        
+        return bounds;
+    }
+    
+    /**
+     * Get the bounding box of the lake
+     * @returns {Object} Bounds {minX, maxX, minY, maxY}
+     */
+    getBounds() {
+        return { ...this.bounds };
+    }
+    
+    /**
+     * Get the larger side of the bounding box, used to scale edge margins
+     * @returns {number} Extent in degrees
+     */
+    getExtent() {
+        return Math.max(this.bounds.maxX - this.bounds.minX, this.bounds.maxY - this.bounds.minY);
+    }
+    
+    /**
+     * Approximate water surface area, islands excluded
+     * @returns {number} Area in square kilometres
+     */
+    getArea() {
+        // Equirectangular projection about the lake's middle latitude is plenty at lake scale
+        const midLat = (this.bounds.minY + this.bounds.maxY) / 2 * Math.PI / 180;
+        const kmPerDegree = EARTH_RADIUS_KM * Math.PI / 180;
+        const scale = kmPerDegree * kmPerDegree * Math.cos(midLat);
+        
+        return this.polygons.reduce((total, rings) =>
+            total + Math.abs(ringArea(rings[0])) -
+            rings.slice(1).reduce((holes, hole) => holes + Math.abs(ringArea(hole)), 0), 0) * scale;
+    }
+    
+    /**
+     * Get every ring (outer rings and island holes)
+     * @returns {Array} Array of rings, each an array of [lng, lat]
+     */
+    getRings() {
+        return this.polygons.flat();
+    }
+    
+    /**
+     * Check whether a point lies on the water (inside an outer ring, outside any island)
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {boolean} True if the point is on the lake
+     */
+    contains(x, y) {
+        if (x < this.bounds.minX || x > this.bounds.maxX || y < this.bounds.minY || y > this.bounds.maxY) {
+            return false;
+        }
+        
+        return this.polygons.some(rings =>
+            isPointInRing(x, y, rings[0]) &&
+            !rings.slice(1).some(hole => isPointInRing(x, y, hole)));
+    }
+    
+    /**
+     * Pick a uniformly distributed point on the water using rejection sampling
+     * @param {Function} random - Random source returning values in [0, 1)
+     * @param {number} maxAttempts - Samples to try before falling back
+     * @returns {Array} [lng, lat] inside the shoreline
+     */
+    randomPoint(random = Math.random, maxAttempts = 100) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        
+        for (let i = 0; i < maxAttempts; i++) {
+            const x = minX + random() * (maxX - minX);
+            const y = minY + random() * (maxY - minY);
+            
+            if (this.contains(x, y)) {
+                return [x, y];
+            }
+        }
+        
+        // Very thin lakes can defeat rejection sampling; use the first shoreline vertex
+        return this.polygons[0][0][0].slice(0, 2);
+    }
+    
+    /**
+     * Find the closest point on the shoreline (including island edges)
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {Object} {x, y, distance, inside, normal} where normal points into the water
+     */
+    nearestEdge(x, y) {
+        let best = { x, y, distance: Infinity, segment: null };
+        
+        this.getRings().forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const [ax, ay] = ring[i];
+                const [bx, by] = ring[i + 1];
+                const abx = bx - ax;
+                const aby = by - ay;
+                const lengthSquared = abx * abx + aby * aby;
+                
+                // Project the point onto the segment and clamp to its ends
+                const t = lengthSquared > 0 ?
+                    Math.max(0, Math.min(1, ((x - ax) * abx + (y - ay) * aby) / lengthSquared)) : 0;
+                const px = ax + t * abx;
+                const py = ay + t * aby;
+                const distance = Math.sqrt((x - px) * (x - px) + (y - py) * (y - py));
+                
+                if (distance < best.distance) {
+                    best = { x: px, y: py, distance, segment: { x: abx, y: aby } };
+                }
+            }
+        });
+        
+        const inside = this.contains(x, y);
+        
+        // Direction from the edge towards the point, or the segment perpendicular when on the edge
+        let nx = x - best.x;
+        let ny = y - best.y;
+        if (best.distance === 0 && best.segment) {
+            nx = -best.segment.y;
+            ny = best.segment.x;
+        }
+        
+        const length = Math.sqrt(nx * nx + ny * ny) || 1;
+        const sign = inside ? 1 : -1;
+        
+        return {
+            x: best.x,
+            y: best.y,
+            distance: best.distance,
+            inside,
+            normal: { x: sign * nx / length, y: sign * ny / length }
+        };
+    }
+    
+    /**
+     * Distance from a point to the nearest shoreline edge
+     * @param {number} x - Longitude
+     * @param {number} y - Latitude
+     * @returns {number} Distance in degrees
+     */
+    distanceToEdge(x, y) {
+        return this.nearestEdge(x, y).distance;
+    }
+    
+    /**
+     * Distance in from the shore that takes in a given fraction of the water,
+     * e.g. how far a frozen margin covering a third of the lake reaches
+     * @param {number} fraction - Fraction of the water area (0-1)
+     * @returns {number} Distance in degrees; 0 for none of the water, Infinity for all of it
+     */
+    getShoreBand(fraction) {
+        if (fraction <= 0) return 0;
+        if (fraction >= 1) return Infinity;
+        
+        // Sorted distances from the shore of a grid of points on the water, sampled once
+        if (!this.shoreDistances) {
+            this.shoreDistances = this.sampleShoreDistances(SHORE_SAMPLES);
+        }
+        
+        const distances = this.shoreDistances;
+        return distances.length > 0 ? distances[Math.floor(fraction * distances.length)] : 0;
+    }
+    
+    /**
+     * Measure distance to the shore over a grid covering the lake
+     * @param {number} resolution - Grid points per side of the bounding box
+     * @returns {Float64Array} Distances in degrees of the points on the water, ascending
+     */
+    sampleShoreDistances(resolution) {
+        const { minX, maxX, minY, maxY } = this.bounds;
+        const distances = [];
+        
+        for (let j = 0; j < resolution; j++) {
+            const y = minY + (j + 0.5) / resolution * (maxY - minY);
+            
+            for (let i = 0; i < resolution; i++) {
+                const x = minX + (i + 0.5) / resolution * (maxX - minX);
+                
+                if (this.contains(x, y)) {
+                    distances.push(this.distanceToEdge(x, y));
+                }
+            }
+        }
+        
+        return Float64Array.from(distances).sort();
+    }
+    
+    /**
+     * Build an SVG path for the shoreline in screen space
+     * @param {Function} project - Maps [lng, lat] to a screen point {x, y}
+     * @returns {string} SVG path data (use with fill-rule="evenodd" for islands)
+     */
+    toPath(project) {
+        return this.getRings().map(ring =>
+            ring.map((coord, i) => {
+                const point = project(coord);
+                return `${i === 0 ? 'M' : 'L'}${point.x.toFixed(1)} ${point.y.toFixed(1)}`;
+            }).join(' ') + ' Z'
+        ).join(' ');
+    }
+}
+
+/**
+ * Signed area of a ring (shoelace formula)
+ * @param {Array} ring - Closed ring of [lng, lat]
+ * @returns {number} Area in square degrees
+ */
+function ringArea(ring) {
+    let area = 0;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+    }
+    
+    return area / 2;
+}
+
+/**
+ * Ray-casting point-in-ring test
+ * @param {number} x - Longitude
+ * @param {number} y - Latitude
+ * @param {Array} ring - Closed ring of [lng, lat]
+ * @returns {boolean} True if the point is inside the ring
+ */
+function isPointInRing(x, y, ring) {
+    let inside = false;
+    
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    
+    return inside;
+}
\ No newline at end of file
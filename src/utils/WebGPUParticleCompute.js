@@ -0,0 +1,383 @@
+import { VELOCITY_DAMPING, FRAME_MS } from '../components/Particle3D.js';
+
+// Compute shader mirroring Particle3D.update and Particle3D.applyFlowPatternForces
+const computeShader = `
+struct Particle {
+    position: vec2f,
+    velocity: vec2f,
+    age: f32,
+    lifespan: f32,
+    baseOpacity: f32,
+    phase: f32,
+    orbitalAngle: f32,
+    orbitalSpeed: f32,
+    orbitalRadius: f32,
+    opacity: f32,
+};
+
+struct Params {
+    center: vec2f,
+    dt: f32,
+    time: f32,
+    pattern: u32,
+    count: u32,
+    extent: f32,
+};
+
+@group(0) @binding(0) var<uniform> params: Params;
+@group(0) @binding(1) var<storage, read_write> particles: array<Particle>;
+
+@compute @workgroup_size(64)
+fn main(@builtin(global_invocation_id) id: vec3u) {
+    let i = id.x;
+    if (i >= params.count) {
+        return;
+    }
+    
+    var p = particles[i];
+    if (p.age >= p.lifespan) {
+        return;
+    }
+    
+    p.age += params.dt;
+    if (p.age >= p.lifespan) {
+        particles[i] = p;
+        return;
+    }
+    
+    // Flow pattern forces work in seconds; dt is in ms like the rest of the particle code
+    let seconds = params.dt * 0.001;
+    
+    switch params.pattern {
+        // sacred-spiral: each particle circles at its own rate
+        case 2u: {
+            p.orbitalAngle += p.orbitalSpeed * seconds;
+            p.velocity += vec2f(cos(p.orbitalAngle), sin(p.orbitalAngle)) * p.orbitalRadius * seconds;
+        }
+        // crystalline: a standing wave over absolute position
+        case 3u: {
+            let absolute = p.position + params.center;
+            let crystalForce = sin(params.time + absolute.x * 5.0 + absolute.y * 5.0) * 0.01;
+            p.velocity += vec2f(crystalForce) * seconds;
+        }
+        // gentle-ripple and every other pattern; mountain-current lakes get their wind from the weather
+        default: {
+            let rippleForce = sin(params.time + p.phase) * 0.005;
+            p.velocity += vec2f(rippleForce) * seconds;
+        }
+    }
+    
+    // Integrate (velocities are in lake extents per second) and damp as on a 60 Hz frame
+    p.position += p.velocity * params.extent * seconds;
+    p.velocity *= pow(${VELOCITY_DAMPING}, params.dt / ${FRAME_MS});
+    
+    // Fade in at birth and out towards the end of life
+    let progress = p.age / p.lifespan;
+    p.opacity = p.baseOpacity * clamp(min(progress / 0.15, (1.0 - progress) / 0.3), 0.0, 1.0);
+    
+    particles[i] = p;
+}`;
+
+// Floats per particle, matching the Particle struct above
+const PARTICLE_FLOATS = 12;
+const PARTICLE_BYTES = PARTICLE_FLOATS * 4;
+const WORKGROUP_SIZE = 64;
+
+// Flow pattern IDs understood by the shader
+const FLOW_PATTERNS = {
+    'gentle-ripple': 0,
+    'mountain-current': 1,
+    'sacred-spiral': 2,
+    'crystalline': 3
+};
+
+/**
+ * WebGPUParticleCompute integrates particles in a WebGPU compute shader.
+ * Each frame a ParticleSystem uploads its particles to a storage buffer, the
+ * shader applies flow pattern forces, damping and ageing, and the results are
+ * read back into the Particle3D objects on a later frame. Shoreline
+ * boundaries, culling and spawning stay on the CPU so both backends share
+ * them. Drawing stays in the map's WebGL context (see LakeRenderer); when
+ * WebGPU is unavailable particles are integrated by Particle3D.update.
+ */
+export class WebGPUParticleCompute {
+    /**
+     * Use WebGPUParticleCompute.create() rather than constructing directly
+     * @param {GPUDevice} device - WebGPU device
+     */
+    constructor(device) {
+        this.device = device;
+        this.lost = false;
+        this.slots = new Map();
+        
+        this.pipeline = device.createComputePipeline({
+            layout: 'auto',
+            compute: {
+                module: device.createShaderModule({ code: computeShader }),
+                entryPoint: 'main'
+            }
+        });
+        
+        // Systems fall back to the CPU path once the device goes away
+        device.lost.then(info => {
+            this.lost = true;
+            this.slots.clear();
+            console.warn(`[WebGPUParticleCompute] Device lost (${info.reason}), using CPU particle updates`);
+        });
+        
+        console.log('[WebGPUParticleCompute] Initialized');
+    }
+    
+    /**
+     * Check whether the browser exposes WebGPU at all
+     * @returns {boolean} True if navigator.gpu exists
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.gpu;
+    }
+    
+    /**
+     * Request a GPU device and build the compute pipeline
+     * @returns {Promise<WebGPUParticleCompute|null>} Compute backend, or null when WebGPU is unavailable
+     */
+    static async create() {
+        if (!WebGPUParticleCompute.isSupported()) {
+            console.log('[WebGPUParticleCompute] WebGPU not supported, using CPU particle updates');
+            return null;
+        }
+        
+        try {
+            const adapter = await navigator.gpu.requestAdapter();
+            if (!adapter) {
+                console.log('[WebGPUParticleCompute] No WebGPU adapter, using CPU particle updates');
+                return null;
+            }
+            
+            const device = await adapter.requestDevice();
+            return new WebGPUParticleCompute(device);
+        } catch (error) {
+            console.warn('[WebGPUParticleCompute] WebGPU initialization failed, using CPU particle updates:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Check whether systems should integrate on the GPU
+     * @returns {boolean} True while the device is usable
+     */
+    isReady() {
+        return !this.lost;
+    }
+    
+    /**
+     * Get or create the GPU buffers for a particle system
+     * @param {ParticleSystem} system - Particle system
+     * @returns {Object} Slot
+     */
+    getSlot(system) {
+        let slot = this.slots.get(system);
+        
+        if (!slot) {
+            slot = {
+                capacity: 0,
+                particleBuffer: null,
+                stagingBuffer: null,
+                uniformBuffer: this.device.createBuffer({
+                    size: 32,
+                    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+                }),
+                params: new ArrayBuffer(32),
+                bindGroup: null,
+                upload: new Float32Array(0),
+                batch: [],
+                result: null,
+                inFlight: false,
+                pendingDelta: 0
+            };
+            this.slots.set(system, slot);
+        }
+        
+        return slot;
+    }
+    
+    /**
+     * Grow a slot's buffers to hold at least count particles
+     * @param {Object} slot - Slot from getSlot
+     * @param {number} count - Particle count
+     */
+    ensureCapacity(slot, count) {
+        if (slot.capacity >= count) return;
+        
+        // Headroom so spawning doesn't reallocate every frame
+        const capacity = Math.ceil(count * 1.5);
+        const size = capacity * PARTICLE_BYTES;
+        
+        if (slot.particleBuffer) slot.particleBuffer.destroy();
+        if (slot.stagingBuffer) slot.stagingBuffer.destroy();
+        
+        slot.particleBuffer = this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+        });
+        slot.stagingBuffer = this.device.createBuffer({
+            size,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST
+        });
+        slot.bindGroup = this.device.createBindGroup({
+            layout: this.pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: slot.uniformBuffer } },
+                { binding: 1, resource: { buffer: slot.particleBuffer } }
+            ]
+        });
+        
+        slot.upload = new Float32Array(capacity * PARTICLE_FLOATS);
+        slot.capacity = capacity;
+    }
+    
+    /**
+     * Copy the last finished step back into the system's particles.
+     * Call before boundary handling and culling.
+     * @param {ParticleSystem} system - Particle system
+     */
+    collect(system) {
+        const slot = this.slots.get(system);
+        if (!slot || !slot.result) return;
+        
+        const { result, upload, batch } = slot;
+        const [centerX, centerY] = system.lakeCenter;
+        
+        for (let i = 0; i < batch.length; i++) {
+            const particle = batch[i];
+            
+            // Skip particles that were removed or replaced while the step ran
+            if (system.particles[i] !== particle) continue;
+            
+            const offset = i * PARTICLE_FLOATS;
+            
+            // Keep any impulses (ripples, scroll flow) applied since the upload
+            const impulseX = particle.velocity.x - upload[offset + 2];
+            const impulseY = particle.velocity.y - upload[offset + 3];
+            
+            particle.position.x = result[offset] + centerX;
+            particle.position.y = result[offset + 1] + centerY;
+            particle.velocity.x = result[offset + 2] + impulseX;
+            particle.velocity.y = result[offset + 3] + impulseY;
+            particle.age = result[offset + 4];
+            particle.orbitalAngle = result[offset + 8];
+            particle.opacity = result[offset + 11];
+        }
+        
+        slot.result = null;
+        slot.batch = [];
+    }
+    
+    /**
+     * Upload the system's particles and run one integration step.
+     * Call after culling and spawning. If the previous step hasn't been read
+     * back yet, the time is carried over to the next dispatch.
+     * @param {ParticleSystem} system - Particle system
+     * @param {number} delta - Time elapsed since the last update in ms
+     */
+    dispatch(system, delta) {
+        const slot = this.getSlot(system);
+        slot.pendingDelta += delta;
+        
+        if (slot.inFlight || slot.result) return;
+        
+        const particles = system.particles;
+        const count = particles.length;
+        if (count === 0) return;
+        
+        this.ensureCapacity(slot, count);
+        
+        // Positions are relative to the lake center to keep float32 precision
+        const [centerX, centerY] = system.lakeCenter;
+        const upload = slot.upload;
+        
+        for (let i = 0; i < count; i++) {
+            const particle = particles[i];
+            const offset = i * PARTICLE_FLOATS;
+            
+            upload[offset] = particle.position.x - centerX;
+            upload[offset + 1] = particle.position.y - centerY;
+            upload[offset + 2] = particle.velocity.x;
+            upload[offset + 3] = particle.velocity.y;
+            upload[offset + 4] = particle.age;
+            upload[offset + 5] = particle.lifespan;
+            upload[offset + 6] = particle.baseOpacity ?? particle.opacity;
+            upload[offset + 7] = particle.phaseOffset || 0;
+            upload[offset + 8] = particle.orbitalAngle || 0;
+            upload[offset + 9] = particle.orbitalSpeed || 0;
+            upload[offset + 10] = particle.orbitalRadius || 0;
+            upload[offset + 11] = particle.opacity;
+        }
+        
+        const floats = new Float32Array(slot.params);
+        const uints = new Uint32Array(slot.params);
+        floats[0] = centerX;
+        floats[1] = centerY;
+        floats[2] = slot.pendingDelta;
+        floats[3] = system.time; // The same clock Particle3D.update is given
+        uints[4] = FLOW_PATTERNS[system.flowPattern] ?? FLOW_PATTERNS['gentle-ripple'];
+        uints[5] = count;
+        floats[6] = system.shoreline.getExtent();
+        
+        const bytes = count * PARTICLE_BYTES;
+        const device = this.device;
+        
+        device.queue.writeBuffer(slot.uniformBuffer, 0, slot.params);
+        device.queue.writeBuffer(slot.particleBuffer, 0, upload, 0, count * PARTICLE_FLOATS);
+        
+        const encoder = device.createCommandEncoder();
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipeline);
+        pass.setBindGroup(0, slot.bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(count / WORKGROUP_SIZE));
+        pass.end();
+        encoder.copyBufferToBuffer(slot.particleBuffer, 0, slot.stagingBuffer, 0, bytes);
+        device.queue.submit([encoder.finish()]);
+        
+        slot.batch = particles.slice();
+        slot.pendingDelta = 0;
+        slot.inFlight = true;
+        
+        const stagingBuffer = slot.stagingBuffer;
+        stagingBuffer.mapAsync(GPUMapMode.READ, 0, bytes).then(() => {
+            slot.result = new Float32Array(stagingBuffer.getMappedRange(0, bytes).slice(0));
+            stagingBuffer.unmap();
+        }).catch(error => {
+            // Buffers destroyed by release() or a lost device reject here
+            if (!this.lost && this.slots.get(system) === slot) {
+                console.error(`[WebGPUParticleCompute] Readback failed for ${system.lakeId}:`, error);
+            }
+        }).finally(() => {
+            slot.inFlight = false;
+        });
+    }
+    
+    /**
+     * Free a system's GPU buffers
+     * @param {ParticleSystem} system - Particle system
+     */
+    release(system) {
+        const slot = this.slots.get(system);
+        if (!slot) return;
+        
+        this.slots.delete(system);
+        
+        if (slot.particleBuffer) slot.particleBuffer.destroy();
+        if (slot.stagingBuffer) slot.stagingBuffer.destroy();
+        slot.uniformBuffer.destroy();
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        Array.from(this.slots.keys()).forEach(system => this.release(system));
+        this.device.destroy();
+        
+        console.log('[WebGPUParticleCompute] Disposed');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,304 @@
+import { FluidSimulation } from './FluidSimulation.js';
+
+// Fields the worker publishes back to the main thread
+export const FLUID_FIELDS = ['velocityX', 'velocityY', 'density', 'dyeRed', 'dyeGreen', 'dyeBlue'];
+
+// Fluid methods that can be queued for the worker
+const IMPULSES = ['addVelocity', 'addRipple', 'addDye'];
+
+// Longest step handed to the worker after a stall, in ms
+const MAX_STEP = 100;
+
+let nextId = 1;
+
+/**
+ * WorkerFluidSimulation - FluidSimulation whose solver runs in workers/fluidWorker.js
+ * The main thread keeps the read side of the FluidSimulation API
+ * (getVelocityAt, interpolateVelocity, the velocity, density and dye arrays) over
+ * the latest field the worker published, and queues impulses for the worker's
+ * next step. update() never blocks: while a step is in flight, time is carried
+ * over into the next one.
+ *
+ * When the page is cross-origin isolated the field is double-buffered in a
+ * SharedArrayBuffer and the worker flips the front frame when a step is done.
+ * Otherwise the field arrays are transferred back and forth. If the worker
+ * fails, the simulation carries on solving on the main thread.
+ */
+export class WorkerFluidSimulation extends FluidSimulation {
+    /**
+     * Create a fluid simulation, in a worker when one is available
+     * @param {Object} options - FluidSimulation options
+     * @param {Worker} worker - Fluid worker (see workers/fluidWorker.js), or null
+     * @returns {FluidSimulation} Worker-backed or main-thread simulation
+     */
+    static create(options = {}, worker = null) {
+        if (!worker) {
+            return new FluidSimulation(options);
+        }
+        return new WorkerFluidSimulation(options, worker);
+    }
+    
+    /**
+     * Create a worker-backed fluid simulation
+     * @param {Object} options - FluidSimulation options
+     * @param {Worker} worker - Fluid worker
+     */
+    constructor(options, worker) {
+        super(options);
+        
+        this.id = nextId++;
+        this.worker = worker;
+        this.local = false;
+        this.inFlight = false;
+        this.pendingDelta = 0;
+        this.impulses = [];
+        
+        // Field arrays returned to the worker for reuse (transfer mode)
+        this.spareFields = null;
+        
+        const size = this.width * this.height;
+        this.shared = typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+        
+        if (this.shared) {
+            // Header (front frame index) followed by two frames of every field
+            const frameBytes = FLUID_FIELDS.length * size * Float32Array.BYTES_PER_ELEMENT;
+            this.sharedBuffer = new SharedArrayBuffer(Int32Array.BYTES_PER_ELEMENT * 2 + frameBytes * 2);
+            this.header = new Int32Array(this.sharedBuffer, 0, 2);
+            this.frames = createFrameViews(this.sharedBuffer, size);
+        }
+        
+        this.handleMessage = this.handleMessage.bind(this);
+        this.handleError = this.handleError.bind(this);
+        worker.addEventListener('message', this.handleMessage);
+        worker.addEventListener('error', this.handleError);
+        
+        worker.postMessage({
+            type: 'create',
+            data: {
+                id: this.id,
+                options: {
+                    width: this.width,
+                    height: this.height,
+                    resolution: this.resolution,
+                    iterations: this.iterations,
+                    viscosity: this.viscosity,
+                    diffusion: this.diffusion,
+                    dyeDissipation: this.dyeDissipation,
+                    bounds: this.bounds
+                },
+                buffer: this.sharedBuffer || null
+            }
+        });
+        
+        console.log(`[WorkerFluidSimulation] Solving ${this.width}x${this.height} grid in a worker (${this.shared ? 'shared' : 'transferred'} buffers)`);
+    }
+    
+    /**
+     * Hand the elapsed time to the worker, or carry it over while a step is running
+     * @param {number} dt - Delta time in milliseconds
+     */
+    update(dt = 16.67) {
+        if (this.local) {
+            super.update(dt);
+            return;
+        }
+        
+        this.pendingDelta += dt;
+        if (this.inFlight) return;
+        
+        if (this.shared) {
+            this.readSharedFrame();
+        }
+        
+        const message = {
+            type: 'step',
+            data: {
+                id: this.id,
+                dt: Math.min(this.pendingDelta, MAX_STEP),
+                quality: this.simulationQuality,
+                impulses: this.impulses,
+                fields: this.spareFields
+            }
+        };
+        const transfer = this.spareFields ? FLUID_FIELDS.map(name => this.spareFields[name].buffer) : [];
+        
+        this.pendingDelta = 0;
+        this.impulses = [];
+        this.spareFields = null;
+        this.inFlight = true;
+        
+        this.worker.postMessage(message, transfer);
+    }
+    
+    /**
+     * Queue velocity for the worker's next step
+     * @param {number} x - World x coordinate
+     * @param {number} y - World y coordinate
+     * @param {number} velX - X velocity to add
+     * @param {number} velY - Y velocity to add
+     * @param {number} radius - Radius of influence
+     */
+    addVelocity(x, y, velX, velY, radius = 1) {
+        if (this.local) {
+            super.addVelocity(x, y, velX, velY, radius);
+            return;
+        }
+        this.impulses.push(['addVelocity', [x, y, velX, velY, radius]]);
+    }
+    
+    /**
+     * Queue a ripple for the worker's next step
+     * @param {number} lng - Longitude
+     * @param {number} lat - Latitude
+     * @param {number} strength - Outward speed at the centre in grid domains per second
+     * @param {number} radius - Radius of influence in grid cells
+     */
+    addRipple(lng, lat, strength, radius = 3) {
+        if (this.local) {
+            super.addRipple(lng, lat, strength, radius);
+            return;
+        }
+        this.impulses.push(['addRipple', [lng, lat, strength, radius]]);
+    }
+    
+    /**
+     * Queue dye for the worker's next step
+     * @param {number} x - World x coordinate
+     * @param {number} y - World y coordinate
+     * @param {number} amount - Dye density to add at the centre
+     * @param {Array} color - Dye colour as [r, g, b] in 0-1
+     * @param {number} radius - Radius of influence
+     */
+    addDye(x, y, amount, color, radius = 1) {
+        if (this.local) {
+            super.addDye(x, y, amount, color, radius);
+            return;
+        }
+        this.impulses.push(['addDye', [x, y, amount, color, radius]]);
+    }
+    
+    /**
+     * Point the field arrays at the frame the worker published last
+     */
+    readSharedFrame() {
+        const frame = this.frames[Atomics.load(this.header, 0)];
+        FLUID_FIELDS.forEach(name => {
+            this[name] = frame[name];
+        });
+    }
+    
+    /**
+     * Handle replies from the worker
+     * @param {MessageEvent} e - Worker message
+     */
+    handleMessage(e) {
+        const { type, id } = e.data;
+        if (id !== this.id || this.local) return;
+        
+        switch (type) {
+            case 'stepped':
+                this.inFlight = false;
+                break;
+            
+            case 'field':
+                // Keep the previous arrays to hand back to the worker with the next step
+                this.spareFields = {};
+                FLUID_FIELDS.forEach(name => {
+                    this.spareFields[name] = this[name];
+                    this[name] = e.data.fields[name];
+                });
+                this.inFlight = false;
+                break;
+            
+            case 'error':
+                console.error(`[WorkerFluidSimulation] Worker step failed: ${e.data.message}`);
+                this.fallBackToMainThread();
+                break;
+        }
+    }
+    
+    /**
+     * Handle the worker failing to load or crashing
+     * @param {ErrorEvent} e - Worker error
+     */
+    handleError(e) {
+        console.error('[WorkerFluidSimulation] Fluid worker error:', e.message || e);
+        this.fallBackToMainThread();
+    }
+    
+    /**
+     * Continue on the main thread from the latest field the worker published
+     */
+    fallBackToMainThread() {
+        if (this.local) return;
+        
+        if (this.shared) {
+            this.readSharedFrame();
+        }
+        
+        // Own, unshared copies of the latest field
+        FLUID_FIELDS.forEach(name => {
+            this[name] = new Float32Array(this[name]);
+        });
+        
+        this.local = true;
+        this.detachWorker();
+        
+        console.warn('[WorkerFluidSimulation] Falling back to main-thread fluid solve');
+    }
+    
+    /**
+     * Stop listening to the worker and drop this simulation from it
+     */
+    detachWorker() {
+        if (!this.worker) return;
+        
+        this.worker.removeEventListener('message', this.handleMessage);
+        this.worker.removeEventListener('error', this.handleError);
+        this.worker.postMessage({ type: 'dispose', data: { id: this.id } });
+        this.worker = null;
+    }
+    
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        this.detachWorker();
+        this.impulses = [];
+        this.spareFields = null;
+        this.frames = null;
+        this.header = null;
+        this.sharedBuffer = null;
+        
+        super.dispose();
+    }
+}
+
+/**
+ * Create views of both frames of every field in a shared buffer
+ * @param {SharedArrayBuffer} buffer - Header followed by two frames
+ * @param {number} size - Cells per field
+ * @returns {Array} Two frames, each an object of Float32Array views keyed by field
+ */
+export function createFrameViews(buffer, size) {
+    const headerBytes = Int32Array.BYTES_PER_ELEMENT * 2;
+    const fieldBytes = size * Float32Array.BYTES_PER_ELEMENT;
+    
+    return [0, 1].map(frame => {
+        const views = {};
+        FLUID_FIELDS.forEach((name, index) => {
+            const offset = headerBytes + (frame * FLUID_FIELDS.length + index) * fieldBytes;
+            views[name] = new Float32Array(buffer, offset, size);
+        });
+        return views;
+    });
+}
+
+/**
+ * Check whether a queued impulse names a method the worker may call
+ * @param {string} method - Method name
+ * @returns {boolean} True if allowed
+ */
+export function isFluidImpulse(method) {
+    return IMPULSES.includes(method);
+}
\ No newline at end of file
@@ -0,0 +1,135 @@
+/**
+ * Forgiving text matching for the lake search box. A query matches when every
+ * word in it is found in the text, either as a substring, within a typo or two
+ * of a word ("pushker", "wullar"), or as its letters in order ("pshkr").
+ */
+
+// How much each kind of word match counts towards a score
+const MATCH_SCORES = {
+    prefix: 1.0,
+    substring: 0.8,
+    typo: 0.6,
+    subsequence: 0.3
+};
+
+/**
+ * Lower-case and strip accents, so "Mānasarovar" matches "manasarovar"
+ * @param {string} text - Text to normalise
+ * @returns {string} Normalised text
+ */
+export function normalizeText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Split normalised text into words. Vowel signs and viramas are marks, so they
+ * count as part of a word (e.g. Devanagari "पुष्कर")
+ * @param {string} text - Normalised text
+ * @returns {Array<string>} Words
+ */
+function splitWords(text) {
+    return text.split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} Distance, or limit + 1 if it is larger than limit
+ */
+export function editDistance(a, b, limit = Infinity) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+/**
+ * Check whether a word's letters appear in order within another
+ * @param {string} needle - Letters to find
+ * @param {string} haystack - Word to search
+ * @returns {boolean} True if every letter of needle appears in order
+ */
+function isSubsequence(needle, haystack) {
+    let i = 0;
+    
+    for (let j = 0; j < haystack.length && i < needle.length; j++) {
+        if (haystack[j] === needle[i]) i++;
+    }
+    
+    return i === needle.length;
+}
+
+/**
+ * Score one query word against some text
+ * @param {string} word - Normalised query word
+ * @param {string} text - Normalised text
+ * @param {Array<string>} words - Words of text
+ * @returns {number} 0 for no match, up to 1 for a word prefix
+ */
+function scoreWord(word, text, words) {
+    if (words.some(candidate => candidate.startsWith(word))) return MATCH_SCORES.prefix;
+    if (text.includes(word)) return MATCH_SCORES.substring;
+    
+    // One typo allowed from four letters, two from eight; also compare against word
+    // prefixes so a misspelt partial word still matches while typing
+    const limit = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+    if (limit > 0 && words.some(candidate =>
+        editDistance(word, candidate, limit) <= limit ||
+        editDistance(word, candidate.slice(0, word.length), limit) <= limit)) {
+        return MATCH_SCORES.typo;
+    }
+    
+    if (word.length >= 3 && words.some(candidate => isSubsequence(word, candidate))) {
+        return MATCH_SCORES.subsequence;
+    }
+    
+    return 0;
+}
+
+/**
+ * Score a query against weighted fields
+ * @param {string} query - What the user typed
+ * @param {Array<Object>} fields - [{text, weight}] to search
+ * @returns {number} 0 if some query word matches nothing, otherwise higher is better
+ */
+export function fuzzyScore(query, fields) {
+    const queryWords = splitWords(normalizeText(query));
+    if (queryWords.length === 0) return 1;
+    
+    const prepared = fields
+        .filter(field => field.text)
+        .map(field => {
+            const text = normalizeText(field.text);
+            return { text, words: splitWords(text), weight: field.weight ?? 1 };
+        });
+    
+    let total = 0;
+    
+    for (const word of queryWords) {
+        const best = Math.max(0, ...prepared.map(field => scoreWord(word, field.text, field.words) * field.weight));
+        if (best === 0) return 0;
+        total += best;
+    }
+    
+    return total;
+}
\ No newline at end of file
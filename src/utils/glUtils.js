@@ -0,0 +1,137 @@
+/**
+ * Raw WebGL helpers shared by the MapLibre custom layers. Custom layers draw
+ * into the map's own context, so they avoid three.js and leave MapLibre's
+ * vertex array bindings alone.
+ */
+
+/**
+ * Compile and link a shader program
+ * @param {WebGLRenderingContext} gl - GL context
+ * @param {string} vertexSource - Vertex shader source
+ * @param {string} fragmentSource - Fragment shader source
+ * @param {string} label - Owner name used in error messages
+ * @returns {WebGLProgram|null} Linked program, or null on failure
+ */
+export function createProgram(gl, vertexSource, fragmentSource, label = 'glUtils') {
+    const compile = (type, source) => {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            console.error(`[${label}] Failed to compile shader:`, gl.getShaderInfoLog(shader));
+            gl.deleteShader(shader);
+            return null;
+        }
+        return shader;
+    };
+    
+    const vertex = compile(gl.VERTEX_SHADER, vertexSource);
+    const fragment = compile(gl.FRAGMENT_SHADER, fragmentSource);
+    if (!vertex || !fragment) return null;
+    
+    const program = gl.createProgram();
+    gl.attachShader(program, vertex);
+    gl.attachShader(program, fragment);
+    gl.linkProgram(program);
+    
+    // The program keeps its own reference to the compiled shaders
+    gl.deleteShader(vertex);
+    gl.deleteShader(fragment);
+    
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        console.error(`[${label}] Failed to link program:`, gl.getProgramInfoLog(program));
+        gl.deleteProgram(program);
+        return null;
+    }
+    
+    return program;
+}
+
+/**
+ * Create a texture from raw pixels
+ * @param {WebGLRenderingContext} gl - GL context
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {number} format - gl.RGBA or gl.LUMINANCE
+ * @param {Uint8Array} pixels - Pixel data
+ * @param {number} wrap - Wrap mode for both axes
+ * @param {boolean} mipmap - Generate mipmaps (requires power-of-two size)
+ * @returns {WebGLTexture} Texture
+ */
+export function createTexture(gl, width, height, format, pixels, wrap, mipmap = false) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    gl.texImage2D(gl.TEXTURE_2D, 0, format, width, height, 0, format, gl.UNSIGNED_BYTE, pixels);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, wrap);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, wrap);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    
+    if (mipmap) {
+        gl.generateMipmap(gl.TEXTURE_2D);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    } else {
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    }
+    
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+    return texture;
+}
+
+/**
+ * Unbind any vertex array object left bound by MapLibre
+ * @param {WebGLRenderingContext} gl - GL context
+ */
+export function bindDefaultVertexArray(gl) {
+    if (typeof gl.bindVertexArray === 'function') {
+        gl.bindVertexArray(null);
+        return;
+    }
+    
+    const extension = gl.getExtension('OES_vertex_array_object');
+    if (extension) {
+        extension.bindVertexArrayOES(null);
+    }
+}
+
+/**
+ * Get instanced drawing entry points: native on WebGL2, ANGLE_instanced_arrays on WebGL1
+ * @param {WebGLRenderingContext} gl - GL context
+ * @returns {Object|null} {vertexAttribDivisor, drawArraysInstanced}, or null if unsupported
+ */
+export function getInstancing(gl) {
+    if (typeof gl.drawArraysInstanced === 'function') {
+        return {
+            vertexAttribDivisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+            drawArraysInstanced: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances)
+        };
+    }
+    
+    const extension = gl.getExtension('ANGLE_instanced_arrays');
+    if (!extension) return null;
+    
+    return {
+        vertexAttribDivisor: (index, divisor) => extension.vertexAttribDivisorANGLE(index, divisor),
+        drawArraysInstanced: (mode, first, count, instances) => extension.drawArraysInstancedANGLE(mode, first, count, instances)
+    };
+}
+
+/**
+ * Post-multiply a column-major matrix by a translation, in double precision
+ * @param {Array} matrix - 4x4 matrix
+ * @param {number} x - X translation
+ * @param {number} y - Y translation
+ * @returns {Float32Array} Translated matrix
+ */
+export function translateMatrix(matrix, x, y) {
+    const result = new Float32Array(matrix);
+    
+    for (let row = 0; row < 4; row++) {
+        result[12 + row] = matrix[row] * x + matrix[4 + row] * y + matrix[12 + row];
+    }
+    
+    return result;
+}
\ No newline at end of file
@@ -0,0 +1,147 @@
+/**
+ * Offline Hindu lunisolar calendar: the Moon's phase, the lunar day (tithi)
+ * and the lunar month (masa) at a moment, from low-precision positions of the
+ * Sun and Moon (Meeus, Astronomical Algorithms). Tithi boundaries come out
+ * within a few minutes of published panchangs, which is enough to tell which
+ * day a festival falls on.
+ *
+ * Months are amanta, running from new moon to new moon and named after the
+ * sidereal sign the Sun is in at the new moon that starts them. Purnimanta
+ * calendars name the dark half a month later; the bright half, and so every
+ * purnima, is the same in both.
+ */
+import { getJulianCenturies, getSunLongitude } from './solarPosition.js';
+
+const DEG = Math.PI / 180;
+
+// Amanta months, starting from the one that begins with the Sun in Pisces
+export const LUNAR_MONTHS = [
+    'Chaitra', 'Vaishakha', 'Jyeshtha', 'Ashadha', 'Shravana', 'Bhadrapada',
+    'Ashvin', 'Kartika', 'Margashirsha', 'Pausha', 'Magha', 'Phalguna'
+];
+
+// Degrees the Moon gains on the Sun in a lunar day, and on average in a day
+const TITHI_SPAN = 12;
+const ELONGATION_PER_DAY = 360 / 29.530589;
+
+// Lahiri ayanamsa: how far the sidereal zodiac lags the tropical one, at J2000.0 and per century
+const AYANAMSA_J2000 = 23.853;
+const AYANAMSA_PER_CENTURY = 1.3969;
+
+// Periodic terms of the Moon's longitude: [D, M, M', F] multipliers and amplitude in degrees
+const MOON_LONGITUDE_TERMS = [
+    [0, 0, 1, 0, 6.288774],
+    [2, 0, -1, 0, 1.274027],
+    [2, 0, 0, 0, 0.658314],
+    [0, 0, 2, 0, 0.213618],
+    [0, 1, 0, 0, -0.185116],
+    [0, 0, 0, 2, -0.114332],
+    [2, 0, -2, 0, 0.058793],
+    [2, -1, -1, 0, 0.057066],
+    [2, 0, 1, 0, 0.053322],
+    [2, -1, 0, 0, 0.045758],
+    [0, 1, -1, 0, -0.040923],
+    [1, 0, 0, 0, -0.03472],
+    [0, 1, 1, 0, -0.030383],
+    [2, 0, 0, -2, 0.015327],
+    [0, 0, 1, 2, -0.012528],
+    [0, 0, 1, -2, 0.01098],
+    [4, 0, -1, 0, 0.010675],
+    [0, 0, 3, 0, 0.010034],
+    [4, 0, -2, 0, 0.008548],
+    [2, 1, -1, 0, -0.007888],
+    [2, 1, 0, 0, -0.006766],
+    [1, 0, -1, 0, -0.005163]
+];
+
+/**
+ * Moon's ecliptic longitude
+ * @param {Date} date - Moment to compute for
+ * @returns {number} Longitude in degrees (0-360)
+ */
+export function getMoonLongitude(date) {
+    const t = getJulianCenturies(date);
+    
+    const meanLongitude = 218.3164477 + 481267.88123421 * t;
+    const elongation = 297.8501921 + 445267.1114034 * t;
+    const sunAnomaly = 357.5291092 + 35999.0502909 * t;
+    const moonAnomaly = 134.9633964 + 477198.8675055 * t;
+    const latitudeArgument = 93.272095 + 483202.0175233 * t;
+    
+    const longitude = MOON_LONGITUDE_TERMS.reduce((sum, [d, m, mp, f, amplitude]) =>
+        sum + amplitude * Math.sin((d * elongation + m * sunAnomaly + mp * moonAnomaly + f * latitudeArgument) * DEG),
+    meanLongitude);
+    
+    return mod(longitude, 360);
+}
+
+/**
+ * Phase of the Moon
+ * @param {Date} date - Moment to compute for
+ * @returns {Object} {elongation, illumination}: degrees the Moon is east of the Sun (0 at
+ *   new moon, 180 at full moon) and the lit fraction of its disc (0-1)
+ */
+export function getLunarPhase(date) {
+    const elongation = mod(getMoonLongitude(date) - getSunLongitude(date), 360);
+    
+    return { elongation, illumination: (1 - Math.cos(elongation * DEG)) / 2 };
+}
+
+/**
+ * Lunar date in force at a moment
+ * @param {Date} date - Moment to compute for; panchangs use the tithi at local sunrise
+ * @returns {Object} {tithi, paksha, month, monthIndex, leap, illumination}: tithi 1-30 counted
+ *   through the month (15 is purnima, 30 amavasya), paksha 'shukla' (bright half) or 'krishna',
+ *   the amanta month's name and index in LUNAR_MONTHS, and whether it is an adhika (leap) month
+ */
+export function getLunarDate(date) {
+    const { elongation, illumination } = getLunarPhase(date);
+    const tithi = Math.floor(elongation / TITHI_SPAN) + 1;
+    
+    // A month with no change of sign in it repeats the name of the next one and is adhika
+    const start = findNewMoon(new Date(date.getTime() - elongation / ELONGATION_PER_DAY * 86400000));
+    const end = findNewMoon(new Date(start.getTime() + 30 * 86400000));
+    const sign = getSiderealSign(start);
+    const monthIndex = (sign + 1) % 12;
+    
+    return {
+        tithi,
+        paksha: tithi <= 15 ? 'shukla' : 'krishna',
+        month: LUNAR_MONTHS[monthIndex],
+        monthIndex,
+        leap: getSiderealSign(end) === sign,
+        illumination
+    };
+}
+
+/**
+ * Refine a guess at a new moon to the moment the Moon passes the Sun
+ * @param {Date} guess - Moment within a few days of the new moon
+ * @returns {Date} Moment of the new moon, to within a minute or so
+ */
+function findNewMoon(guess) {
+    let time = guess.getTime();
+    
+    for (let i = 0; i < 4; i++) {
+        // Signed distance from conjunction, -180..180 degrees
+        const offset = mod(getLunarPhase(new Date(time)).elongation + 180, 360) - 180;
+        time -= offset / ELONGATION_PER_DAY * 86400000;
+    }
+    
+    return new Date(time);
+}
+
+/**
+ * Sidereal zodiac sign the Sun is in
+ * @param {Date} date - Moment to compute for
+ * @returns {number} Sign index, 0 for Mesha (Aries) to 11 for Meena (Pisces)
+ */
+function getSiderealSign(date) {
+    const ayanamsa = AYANAMSA_J2000 + AYANAMSA_PER_CENTURY * getJulianCenturies(date);
+    return Math.floor(mod(getSunLongitude(date) - ayanamsa, 360) / 30);
+}
+
+// Remainder that is never negative
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
\ No newline at end of file
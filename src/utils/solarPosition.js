@@ -0,0 +1,137 @@
+/**
+ * Position of the sun in the sky at a place and moment, computed offline with
+ * NOAA's solar position equations (after Meeus). Good to a fraction of a degree
+ * for dates within a few centuries of 2000, which is plenty for lighting.
+ */
+
+const DEG = Math.PI / 180;
+
+// Julian day of the Unix epoch, and of the J2000.0 epoch the series are expanded around
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_J2000 = 2451545;
+
+/**
+ * Sun position seen from a point on the ground
+ * @param {Date} date - Moment to compute for
+ * @param {number} lng - Longitude in degrees east
+ * @param {number} lat - Latitude in degrees north
+ * @returns {Object} {azimuth, altitude} in degrees: azimuth clockwise from north,
+ *   altitude above the horizon including atmospheric refraction
+ */
+export function getSolarPosition(date, lng, lat) {
+    const time = date.getTime();
+    const t = getJulianCenturies(date);
+    const { meanLongitude, meanAnomaly, eccentricity, omega, apparentLongitude } = getSunOrbit(t);
+    
+    const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+    const obliquity = meanObliquity + 0.00256 * Math.cos(omega * DEG);
+    
+    const declination = Math.asin(Math.sin(obliquity * DEG) * Math.sin(apparentLongitude * DEG));
+    
+    // Equation of time in minutes: how far sundials run ahead of clocks
+    const y = Math.tan(obliquity * DEG / 2) ** 2;
+    const l0 = meanLongitude * DEG;
+    const m = meanAnomaly * DEG;
+    const equationOfTime = 4 / DEG * (
+        y * Math.sin(2 * l0) -
+        2 * eccentricity * Math.sin(m) +
+        4 * eccentricity * y * Math.sin(m) * Math.cos(2 * l0) -
+        0.5 * y * y * Math.sin(4 * l0) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * m)
+    );
+    
+    // True solar time at the place gives the hour angle: 0 at solar noon, 15 degrees an hour
+    const utcMinutes = mod(time, 86400000) / 60000;
+    const solarMinutes = mod(utcMinutes + equationOfTime + 4 * lng, 1440);
+    const hourAngle = (solarMinutes / 4 - 180) * DEG;
+    
+    const latitude = lat * DEG;
+    const cosZenith = Math.sin(latitude) * Math.sin(declination) +
+        Math.cos(latitude) * Math.cos(declination) * Math.cos(hourAngle);
+    const altitude = 90 - Math.acos(Math.min(1, Math.max(-1, cosZenith))) / DEG;
+    
+    const azimuth = mod(180 + Math.atan2(
+        Math.sin(hourAngle),
+        Math.cos(hourAngle) * Math.sin(latitude) - Math.tan(declination) * Math.cos(latitude)
+    ) / DEG, 360);
+    
+    return { azimuth, altitude: altitude + getRefraction(altitude) };
+}
+
+/**
+ * Sun's apparent ecliptic longitude, e.g. for working out the lunar day
+ * @param {Date} date - Moment to compute for
+ * @returns {number} Longitude in degrees (0-360), measured from the equinox of date
+ */
+export function getSunLongitude(date) {
+    return mod(getSunOrbit(getJulianCenturies(date)).apparentLongitude, 360);
+}
+
+/**
+ * Julian centuries since J2000.0, the time argument of the series here
+ * @param {Date} date - Moment to convert
+ * @returns {number} Centuries of 36525 days
+ */
+export function getJulianCenturies(date) {
+    return (date.getTime() / 86400000 + JULIAN_UNIX_EPOCH - JULIAN_J2000) / 36525;
+}
+
+/**
+ * Sun's mean longitude and anomaly, the eccentricity of Earth's orbit and the
+ * apparent longitude, corrected for nutation and aberration
+ * @param {number} t - Julian centuries since J2000.0
+ * @returns {Object} {meanLongitude, meanAnomaly, eccentricity, omega, apparentLongitude} in degrees
+ */
+function getSunOrbit(t) {
+    const meanLongitude = mod(280.46646 + t * (36000.76983 + t * 0.0003032), 360);
+    const meanAnomaly = 357.52911 + t * (35999.05029 - t * 0.0001537);
+    const eccentricity = 0.016708634 - t * (0.000042037 + t * 0.0000001267);
+    
+    const center = Math.sin(meanAnomaly * DEG) * (1.914602 - t * (0.004817 + t * 0.000014)) +
+        Math.sin(2 * meanAnomaly * DEG) * (0.019993 - t * 0.000101) +
+        Math.sin(3 * meanAnomaly * DEG) * 0.000289;
+    
+    // Longitude of the Moon's ascending node, which drives nutation
+    const omega = 125.04 - 1934.136 * t;
+    const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * DEG);
+    
+    return { meanLongitude, meanAnomaly, eccentricity, omega, apparentLongitude };
+}
+
+/**
+ * Local mean solar time: the clock time at a longitude if noon fell when the
+ * sun crosses its meridian (on average over the year)
+ * @param {Date} date - Moment to convert
+ * @param {number} lng - Longitude in degrees east
+ * @returns {number} Minutes since local mean solar midnight (0-1439.99)
+ */
+export function getSolarMinutes(date, lng) {
+    return mod(date.getTime() / 60000 + 4 * lng, 1440);
+}
+
+/**
+ * How much the atmosphere lifts the sun's image near the horizon
+ * @param {number} altitude - Geometric altitude in degrees
+ * @returns {number} Refraction in degrees
+ */
+function getRefraction(altitude) {
+    if (altitude > 85) return 0;
+    
+    const tanAltitude = Math.tan(altitude * DEG);
+    let arcSeconds;
+    
+    if (altitude > 5) {
+        arcSeconds = 58.1 / tanAltitude - 0.07 / tanAltitude ** 3 + 0.000086 / tanAltitude ** 5;
+    } else if (altitude > -0.575) {
+        arcSeconds = 1735 + altitude * (-518.2 + altitude * (103.4 + altitude * (-12.79 + altitude * 0.711)));
+    } else {
+        arcSeconds = -20.772 / tanAltitude;
+    }
+    
+    return arcSeconds / 3600;
+}
+
+// Remainder that is never negative
+function mod(value, divisor) {
+    return ((value % divisor) + divisor) % divisor;
+}
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Slippy-map tile helpers shared by the service worker and OfflineController:
+ * which tiles lie around a lake, and which tile a URL or template names.
+ * Areas are bounding boxes {minX, maxX, minY, maxY} in degrees.
+ */
+
+// Matches .../{z}/{x}/{y}.ext (optionally @2x) in a tile URL path
+const TILE_PATH = /\/(\d{1,2})\/(\d+)\/(\d+)(?:@\d(?:\.\d+)?x)?\.(?:png|jpe?g|webp|pbf|mvt)$/i;
+
+// Web Mercator stops just short of the poles
+const MAX_LATITUDE = 85.0511;
+
+/**
+ * Area to keep tiles for around a lake
+ * @param {Object} lake - Lake data with a center and, usually, a shoreline
+ * @param {number} margin - Degrees to add on every side
+ * @returns {Object} Bounds {minX, maxX, minY, maxY}
+ */
+export function getLakeArea(lake, margin) {
+    const bounds = lake.shoreline
+        ? lake.shoreline.getBounds()
+        : { minX: lake.center[0], maxX: lake.center[0], minY: lake.center[1], maxY: lake.center[1] };
+    
+    return {
+        minX: bounds.minX - margin,
+        maxX: bounds.maxX + margin,
+        minY: bounds.minY - margin,
+        maxY: bounds.maxY + margin
+    };
+}
+
+/**
+ * Tile containing a coordinate
+ * @param {number} lng - Longitude in degrees
+ * @param {number} lat - Latitude in degrees
+ * @param {number} zoom - Integer zoom level
+ * @returns {Array} [x, y] tile indices
+ */
+export function lngLatToTile(lng, lat, zoom) {
+    const n = 2 ** zoom;
+    const latRad = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI / 180;
+    const x = Math.floor((lng + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+    
+    return [Math.min(n - 1, Math.max(0, x)), Math.min(n - 1, Math.max(0, y))];
+}
+
+/**
+ * Tiles covering an area at one zoom level
+ * @param {Object} area - Bounds in degrees
+ * @param {number} zoom - Integer zoom level
+ * @returns {Object} Inclusive tile index range {minX, maxX, minY, maxY}
+ */
+export function getTileRange(area, zoom) {
+    // Tile rows count down from the north
+    const [minX, minY] = lngLatToTile(area.minX, area.maxY, zoom);
+    const [maxX, maxY] = lngLatToTile(area.maxX, area.minY, zoom);
+    
+    return { minX, maxX, minY, maxY };
+}
+
+/**
+ * Check whether a tile overlaps any of the areas
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {Array} areas - Bounds in degrees
+ * @returns {boolean} True if the tile touches an area
+ */
+export function isTileInAreas(z, x, y, areas) {
+    return areas.some(area => {
+        const range = getTileRange(area, z);
+        return x >= range.minX && x <= range.maxX && y >= range.minY && y <= range.maxY;
+    });
+}
+
+/**
+ * Read the tile coordinates from a tile URL
+ * @param {URL|string} url - Request URL
+ * @returns {Object|null} {z, x, y}, or null if the URL isn't an XYZ tile
+ */
+export function parseTileUrl(url) {
+    const match = TILE_PATH.exec(new URL(url).pathname);
+    return match ? { z: Number(match[1]), x: Number(match[2]), y: Number(match[3]) } : null;
+}
+
+/**
+ * Fill in a MapLibre tile URL template
+ * @param {string} template - URL with {z}, {x}, {y} and optionally {ratio} placeholders
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {string} ratio - '@2x' where MapLibre asks for high-DPI tiles
+ * @returns {string} Tile URL
+ */
+export function fillTileTemplate(template, z, x, y, ratio = '') {
+    return template
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{ratio}', ratio);
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 const path = require('path');
+const webpack = require('webpack');
 
 module.exports = {
   entry: './src/neer.js',
@@ -6,6 +7,12 @@ module.exports = {
     filename: 'bundle.js',
     path: path.resolve(__dirname, 'public')
   },
+  plugins: [
+    // Optional online basemap style, e.g. MAP_STYLE_URL=https://... npm run build
+    new webpack.DefinePlugin({
+      'process.env.MAP_STYLE_URL': JSON.stringify(process.env.MAP_STYLE_URL || '')
+    })
+  ],
   module: {
     rules: [
       {
@@ -0,0 +1,94 @@
+/**
+ * Web Worker for fluid simulation
+ * Runs the FluidSimulation solver (diffuse/advect/project) off the main thread.
+ * Each lake's grid is created here by a WorkerFluidSimulation and stepped on
+ * request; results are published into a shared buffer or transferred back.
+ */
+import { FluidSimulation } from '../utils/FluidSimulation.js';
+import { FLUID_FIELDS, createFrameViews, isFluidImpulse } from '../utils/WorkerFluidSimulation.js';
+
+// Simulations by ID: { fluid, header, frames }
+const simulations = new Map();
+
+/**
+ * Create a simulation, with views onto its shared buffer when there is one
+ * @param {Object} data - {id, options, buffer}
+ */
+function create({ id, options, buffer }) {
+    // The main thread decides when to step, so never throttle by wall-clock time
+    const fluid = new FluidSimulation({ ...options, fixedTimestep: true });
+    const entry = { fluid, header: null, frames: null };
+    
+    if (buffer) {
+        entry.header = new Int32Array(buffer, 0, 2);
+        entry.frames = createFrameViews(buffer, fluid.width * fluid.height);
+    }
+    
+    simulations.set(id, entry);
+}
+
+/**
+ * Apply queued impulses, advance the solver and publish the new field
+ * @param {Object} data - {id, dt, quality, impulses, fields}
+ */
+function step({ id, dt, quality, impulses, fields }) {
+    const entry = simulations.get(id);
+    if (!entry) return;
+    
+    const { fluid } = entry;
+    
+    impulses.forEach(([method, args]) => {
+        if (isFluidImpulse(method)) {
+            fluid[method](...args);
+        }
+    });
+    
+    fluid.simulationQuality = quality;
+    fluid.update(dt);
+    
+    if (entry.header) {
+        // Write the frame the main thread isn't reading, then make it the front
+        const back = 1 - Atomics.load(entry.header, 0);
+        FLUID_FIELDS.forEach(name => entry.frames[back][name].set(fluid[name]));
+        Atomics.store(entry.header, 0, back);
+        
+        self.postMessage({ type: 'stepped', id });
+        return;
+    }
+    
+    // Reuse the arrays the main thread handed back, or allocate the first set
+    const output = {};
+    FLUID_FIELDS.forEach(name => {
+        output[name] = fields ? fields[name] : new Float32Array(fluid[name].length);
+        output[name].set(fluid[name]);
+    });
+    
+    self.postMessage({ type: 'field', id, fields: output }, FLUID_FIELDS.map(name => output[name].buffer));
+}
+
+// Set up message handler
+self.onmessage = (e) => {
+    const { type, data } = e.data;
+    
+    try {
+        switch (type) {
+            case 'create':
+                create(data);
+                break;
+            
+            case 'step':
+                step(data);
+                break;
+            
+            case 'dispose':
+                simulations.get(data.id)?.fluid.dispose();
+                simulations.delete(data.id);
+                break;
+            
+            default:
+                self.postMessage({ type: 'error', message: 'Unknown command' });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id: data?.id, message: error.message });
+    }
+};
\ No newline at end of file
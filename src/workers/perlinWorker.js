@@ -2,6 +2,7 @@
  * Web Worker for Perlin noise calculations
  * Offloads computationally intensive noise generation from the main thread
  */
+import { DeterministicRandom } from '../utils/DeterministicRandom.js';
 
 // Perlin noise implementation
 class Perlin {
@@ -11,10 +12,15 @@ class Perlin {
     }
 
     init(seed) {
-        // Initialize permutation table
+        // Shuffle 0..255 with a seeded generator so a seed always gives the same noise field
+        const random = new DeterministicRandom(seed !== undefined ? seed : DeterministicRandom.generateSeed());
         const p = new Array(256);
         for (let i = 0; i < 256; i++) {
-            p[i] = (typeof seed === 'function') ? seed() : Math.floor(Math.random() * 256);
+            p[i] = i;
+        }
+        for (let i = 255; i > 0; i--) {
+            const j = random.int(0, i + 1);
+            [p[i], p[j]] = [p[j], p[i]];
         }
         
         // Extend permutation for easier indexing
@@ -26,14 +32,16 @@ class Perlin {
         return this;
     }
 
-    noise2D(x, y) {
+    noise2D(x, y, period = 256) {
         if (!this.initialized) {
             this.init();
         }
         
-        // Find unit cube that contains point
-        const X = Math.floor(x) & 255;
-        const Y = Math.floor(y) & 255;
+        // Find unit cube that contains point, wrapping at the period so the field can tile
+        const X = ((Math.floor(x) % period) + period) % period & 255;
+        const Y = ((Math.floor(y) % period) + period) % period & 255;
+        const X1 = (X + 1) % period & 255;
+        const Y1 = (Y + 1) % period & 255;
         
         // Get relative xy coordinates of point within unit cube
         x -= Math.floor(x);
@@ -44,12 +52,10 @@ class Perlin {
         const v = this.fade(y);
         
         // Hash coordinates of the 4 square corners
-        const A = this.permutation[X] + Y;
-        const AA = this.permutation[A];
-        const AB = this.permutation[A + 1];
-        const B = this.permutation[X + 1] + Y;
-        const BA = this.permutation[B];
-        const BB = this.permutation[B + 1];
+        const AA = this.permutation[this.permutation[X] + Y];
+        const AB = this.permutation[this.permutation[X] + Y1];
+        const BA = this.permutation[this.permutation[X1] + Y];
+        const BB = this.permutation[this.permutation[X1] + Y1];
         
         // Calculate noise values at four corners
         const v1 = this.lerp(
@@ -89,6 +95,58 @@ class Perlin {
 // Initialize Perlin noise generator
 const perlin = new Perlin();
 
+/**
+ * Build a tileable wave normal map from fractal Perlin noise
+ * @param {Object} options - Normal map options
+ * @param {number} options.size - Texture width and height in pixels
+ * @param {number} options.period - Noise cells across the texture for the first octave
+ * @param {number} options.octaves - Number of noise octaves
+ * @param {number} options.persistence - Amplitude falloff per octave
+ * @param {number} options.strength - Slope scale, in height units per first-octave noise cell
+ * @returns {Uint8Array} RGBA pixels with normals encoded as n * 0.5 + 0.5
+ */
+function generateNormalMap({ size = 256, period = 8, octaves = 4, persistence = 0.5, strength = 0.6 }) {
+    const heights = new Float32Array(size * size);
+    
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            let height = 0;
+            let amplitude = 1;
+            let frequency = period;
+            
+            // Each octave's period divides the texture exactly, so the result tiles
+            for (let o = 0; o < octaves && frequency <= 256; o++) {
+                height += perlin.noise2D(i / size * frequency, j / size * frequency, frequency) * amplitude;
+                amplitude *= persistence;
+                frequency *= 2;
+            }
+            
+            heights[i + j * size] = height;
+        }
+    }
+    
+    const pixels = new Uint8Array(size * size * 4);
+    const slopeScale = strength * size / (2 * period);
+    const at = (i, j) => heights[((i + size) % size) + ((j + size) % size) * size];
+    
+    for (let j = 0; j < size; j++) {
+        for (let i = 0; i < size; i++) {
+            // Central differences, wrapping at the edges
+            const dx = (at(i + 1, j) - at(i - 1, j)) * slopeScale;
+            const dy = (at(i, j + 1) - at(i, j - 1)) * slopeScale;
+            const length = Math.sqrt(dx * dx + dy * dy + 1);
+            const index = (i + j * size) * 4;
+            
+            pixels[index] = Math.round((-dx / length * 0.5 + 0.5) * 255);
+            pixels[index + 1] = Math.round((-dy / length * 0.5 + 0.5) * 255);
+            pixels[index + 2] = Math.round((1 / length * 0.5 + 0.5) * 255);
+            pixels[index + 3] = 255;
+        }
+    }
+    
+    return pixels;
+}
+
 // Set up message handler
 self.onmessage = (e) => {
     const { type, data } = e.data;
@@ -120,6 +178,17 @@ self.onmessage = (e) => {
             }, [noiseData.buffer]); // Transfer ownership of the buffer
             break;
             
+        case 'normalMap': {
+            const pixels = generateNormalMap(data);
+            
+            self.postMessage({
+                type: 'normalMap',
+                pixels: pixels,
+                size: data.size
+            }, [pixels.buffer]);
+            break;
+        }
+            
         default:
             self.postMessage({ type: 'error', message: 'Unknown command' });
     }
@@ -0,0 +1,173 @@
+/**
+ * Service worker for offline use
+ * Precaches the app shell, coin model and textures in a cache named after
+ * OFFLINE_CONFIG.version, keeps a bounded cache of map and terrain tiles seen
+ * around the lakes, and answers from the per-lake caches that
+ * OfflineController fills when a lake is downloaded for offline use.
+ *
+ * Only the models and textures under assets/ are served from the cache first.
+ * The bundle, the data files and the translations change between deployments
+ * (the weather between visits), so they come from the network while there is
+ * one, and from the cache offline.
+ */
+import { lakes } from '../models/lakes.js';
+import { MAP_STYLE, OFFLINE_CONFIG } from '../config/constants.js';
+import { getLakeArea, isTileInAreas, parseTileUrl } from '../utils/tileCoverage.js';
+
+const { cachePrefix, version } = OFFLINE_CONFIG;
+
+const PRECACHE = `${cachePrefix}precache-v${version}`;
+const ASSET_CACHE = `${cachePrefix}assets-v${version}`;
+const TILE_CACHE = `${cachePrefix}tiles`;
+const LAKE_CACHE_PREFIX = `${cachePrefix}lake-`;
+
+// Trim the tile cache after this many additions rather than on every one
+const TRIM_INTERVAL = 50;
+
+const lakeAreas = Object.values(lakes).map(lake => getLakeArea(lake, OFFLINE_CONFIG.lakeMargin));
+
+// Style, sprites and glyphs of the online style, if one is configured
+const remoteStyleOrigin = MAP_STYLE.remote ? new URL(MAP_STYLE.remote).origin : null;
+
+// Models and textures, which are never changed in place
+const immutablePath = new URL('assets/', self.location).pathname;
+
+let tilesSinceTrim = 0;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    
+    // Range requests (PMTiles archives) can't be stored in the Cache API
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+    
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http')) return;
+    
+    const tile = parseTileUrl(url);
+    if (tile) {
+        event.respondWith(handleTile(request, tile));
+        return;
+    }
+    
+    if (url.origin === self.location.origin) {
+        event.respondWith(url.pathname.startsWith(immutablePath) ? cacheFirst(request) : networkFirst(request));
+    } else if (url.origin === remoteStyleOrigin) {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * Cache the app assets; optional data files are skipped when missing
+ */
+async function precache() {
+    const cache = await caches.open(PRECACHE);
+    await cache.addAll(OFFLINE_CONFIG.precache);
+    
+    const optional = await Promise.allSettled(OFFLINE_CONFIG.precacheOptional.map(url => cache.add(url)));
+    optional.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.warn(`[ServiceWorker] Not precaching ${OFFLINE_CONFIG.precacheOptional[i]}:`, result.reason.message);
+        }
+    });
+    
+    console.log(`[ServiceWorker] Precached app assets (v${version})`);
+}
+
+/**
+ * Drop caches from earlier versions, keeping tiles and downloaded lakes
+ */
+async function removeOldCaches() {
+    const keep = [PRECACHE, ASSET_CACHE, TILE_CACHE];
+    const names = await caches.keys();
+    
+    await Promise.all(names
+        .filter(name => name.startsWith(cachePrefix) && !keep.includes(name) && !name.startsWith(LAKE_CACHE_PREFIX))
+        .map(name => caches.delete(name)));
+}
+
+/**
+ * Serve a tile from any cache, otherwise fetch it and keep it if it's near a lake
+ * @param {Request} request - Tile request
+ * @param {Object} tile - {z, x, y}
+ * @returns {Promise<Response>} Tile response
+ */
+async function handleTile(request, { z, x, y }) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    
+    if (response.ok && (z <= OFFLINE_CONFIG.overviewZoom || isTileInAreas(z, x, y, lakeAreas))) {
+        const cache = await caches.open(TILE_CACHE);
+        await cache.put(request, response.clone());
+        
+        if (++tilesSinceTrim >= TRIM_INTERVAL) {
+            tilesSinceTrim = 0;
+            await trimCache(cache, OFFLINE_CONFIG.maxRuntimeTiles);
+        }
+    }
+    
+    return response;
+}
+
+/**
+ * Delete the oldest entries beyond a limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+    // Keys come back in insertion order
+    const keys = await cache.keys();
+    const excess = keys.slice(0, Math.max(0, keys.length - maxEntries));
+    
+    await Promise.all(excess.map(key => cache.delete(key)));
+}
+
+/**
+ * Serve precached or previously fetched models and textures, fetching and keeping the rest
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    
+    if (response.ok) {
+        const cache = await caches.open(ASSET_CACHE);
+        await cache.put(request, response.clone());
+    }
+    
+    return response;
+}
+
+/**
+ * Prefer the network so pages, code, data and the online style stay current, falling back to the cache
+ * @param {Request} request - Request
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        
+        if (response.ok) {
+            const cache = await caches.open(ASSET_CACHE);
+            await cache.put(request, response.clone());
+        }
+        
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
\ No newline at end of file